@@ -0,0 +1,115 @@
+const AssignmentRule = require('../models/AssignmentRule');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/error');
+
+// Check that every assignee is an existing user
+const assigneesExist = async (assignees) => {
+  if (!assignees) return true;
+  const count = await User.countDocuments({ _id: { $in: assignees } });
+  return count === assignees.length;
+};
+
+// @desc    Get lead assignment rules
+// @route   GET /api/assignment-rules
+// @access  Private/Admin
+const getAssignmentRules = asyncHandler(async (req, res, next) => {
+  const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+  const rules = await AssignmentRule.find(filter)
+    .populate('assignees', 'name email isActive')
+    .sort('order createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: {
+      rules
+    }
+  });
+});
+
+// @desc    Create lead assignment rule
+// @route   POST /api/assignment-rules
+// @access  Private/Admin
+const createAssignmentRule = asyncHandler(async (req, res, next) => {
+  if (!(await assigneesExist(req.body.assignees))) {
+    return res.status(400).json({
+      success: false,
+      message: 'All assignees must be existing users'
+    });
+  }
+
+  const rule = await AssignmentRule.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Assignment rule created successfully',
+    data: {
+      rule
+    }
+  });
+});
+
+// @desc    Update lead assignment rule
+// @route   PUT /api/assignment-rules/:id
+// @access  Private/Admin
+const updateAssignmentRule = asyncHandler(async (req, res, next) => {
+  const rule = await AssignmentRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Assignment rule not found'
+    });
+  }
+
+  if (!(await assigneesExist(req.body.assignees))) {
+    return res.status(400).json({
+      success: false,
+      message: 'All assignees must be existing users'
+    });
+  }
+
+  rule.set(req.body);
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Assignment rule updated successfully',
+    data: {
+      rule
+    }
+  });
+});
+
+// @desc    Delete lead assignment rule
+// @route   DELETE /api/assignment-rules/:id
+// @access  Private/Admin
+const deleteAssignmentRule = asyncHandler(async (req, res, next) => {
+  const rule = await AssignmentRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Assignment rule not found'
+    });
+  }
+
+  await rule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Assignment rule deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getAssignmentRules,
+  createAssignmentRule,
+  updateAssignmentRule,
+  deleteAssignmentRule
+};
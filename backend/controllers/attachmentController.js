@@ -0,0 +1,181 @@
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+const auditService = require('../services/auditService');
+const {
+  resolveStoragePath,
+  saveAttachment,
+  removeAttachmentFiles
+} = require('../services/attachmentService');
+
+const sendLeadNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Lead not found'
+});
+
+const sendAttachmentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Attachment not found'
+});
+
+// Send a stored file inline or as a download, never letting the browser
+// guess a different content type
+const sendStoredFile = (res, relativePath, { mimetype, filename, inline }) => {
+  if (!inline) {
+    res.attachment(filename);
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.type(mimetype);
+
+  res.sendFile(resolveStoragePath(relativePath), (error) => {
+    if (error && !res.headersSent) {
+      sendAttachmentNotFound(res);
+    }
+  });
+};
+
+// @desc    Get lead attachments
+// @route   GET /api/leads/:id/attachments
+// @access  Private
+const getAttachments = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user)
+    .select('attachments')
+    .populate('attachments.uploadedBy', 'name email');
+
+  if (!lead) {
+    return sendLeadNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: lead.attachments.length,
+    data: {
+      attachments: lead.attachments
+    }
+  });
+});
+
+// @desc    Upload attachment to lead
+// @route   POST /api/leads/:id/attachments
+// @access  Private
+const uploadAttachment = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a file'
+    });
+  }
+
+  const lead = await Lead.findAccessible(req.params.id, req.user);
+
+  if (!lead) {
+    return sendLeadNotFound(res);
+  }
+
+  const attachment = await saveAttachment(lead._id, req.file, req.user._id);
+
+  // Push atomically so concurrent uploads don't overwrite each other
+  const updated = await Lead.findOneAndUpdate(
+    { _id: lead._id },
+    { $push: { attachments: attachment } },
+    { new: true, projection: { attachments: { $slice: -1 } } }
+  );
+
+  if (!updated) {
+    await removeAttachmentFiles(attachment);
+    return sendLeadNotFound(res);
+  }
+
+  await auditService.logAction('Lead', 'update', [lead._id], req, {
+    changes: [{ field: 'attachments', oldValue: null, newValue: attachment.originalName }]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment uploaded successfully',
+    data: {
+      attachment: updated.attachments[0]
+    }
+  });
+});
+
+// @desc    Download lead attachment
+// @route   GET /api/leads/:id/attachments/:attachmentId/download
+// @access  Private
+const downloadAttachment = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user).select('attachments');
+  const attachment = lead && lead.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return sendAttachmentNotFound(res);
+  }
+
+  sendStoredFile(res, attachment.filename, {
+    mimetype: attachment.mimetype,
+    filename: attachment.originalName
+  });
+});
+
+// @desc    Get image attachment thumbnail
+// @route   GET /api/leads/:id/attachments/:attachmentId/thumbnail
+// @access  Private
+const getAttachmentThumbnail = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user).select('attachments');
+  const attachment = lead && lead.attachments.id(req.params.attachmentId);
+
+  if (!attachment || !attachment.thumbnail) {
+    return sendAttachmentNotFound(res);
+  }
+
+  res.set('Cache-Control', 'private, max-age=86400');
+  sendStoredFile(res, attachment.thumbnail, {
+    mimetype: 'image/webp',
+    filename: `${attachment.originalName}.webp`,
+    inline: true
+  });
+});
+
+// @desc    Delete lead attachment
+// @route   DELETE /api/leads/:id/attachments/:attachmentId
+// @access  Private
+const deleteAttachment = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user).select('attachments quotes');
+  const attachment = lead && lead.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return sendAttachmentNotFound(res);
+  }
+
+  // Quote documents are kept with their quote
+  const quote = lead.quotes.find(existing => existing.attachmentId && existing.attachmentId.equals(attachment._id));
+  if (quote) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete attachment. It is the document of quote ${quote.number}.`
+    });
+  }
+
+  await Lead.updateOne(
+    { _id: lead._id },
+    { $pull: { attachments: { _id: attachment._id } } }
+  );
+  await removeAttachmentFiles(attachment);
+
+  await auditService.logAction('Lead', 'update', [lead._id], req, {
+    changes: [{ field: 'attachments', oldValue: attachment.originalName, newValue: null }]
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Attachment deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+};
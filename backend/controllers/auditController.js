@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middleware/error');
+const { getPagination, buildPaginationResponse } = require('../utils/helpers');
+const auditService = require('../services/auditService');
+
+// @desc    Query the audit log across customers and leads
+// @route   GET /api/audit?entityType=&entityId=&userId=&action=&source=&field=&from=&to=
+// @access  Private/Admin
+const getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+
+  const invalidId = ['entityId', 'userId'].find(key => req.query[key] && !mongoose.isValidObjectId(req.query[key]));
+
+  if (invalidId) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalidId} is not a valid ID`
+    });
+  }
+
+  const invalidDate = ['from', 'to'].find(key => req.query[key] && Number.isNaN(new Date(req.query[key]).getTime()));
+
+  if (invalidDate) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalidDate} is not a valid date`
+    });
+  }
+
+  const { logs, total } = await auditService.findLogs(
+    auditService.buildAuditFilter(req.query),
+    { skip, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    ...buildPaginationResponse(logs, total, page, limit)
+  });
+});
+
+module.exports = {
+  getAuditLogs
+};
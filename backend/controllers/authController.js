@@ -308,6 +308,14 @@ const updateDetails = asyncHandler(async (req, res, next) => {
     }
   });
 
+  // Only the notification preferences sent are changed
+  const preferences = req.body.notificationPreferences || {};
+  ['followUpEmail', 'followUpInApp', 'taskReminderEmail', 'taskReminderInApp'].forEach(key => {
+    if (typeof preferences[key] === 'boolean') {
+      fieldsToUpdate[`notificationPreferences.${key}`] = preferences[key];
+    }
+  });
+
   // Check if email is being changed and if it already exists
   if (fieldsToUpdate.email && fieldsToUpdate.email !== req.user.email) {
     const existingUser = await User.findOne({ email: fieldsToUpdate.email });
@@ -0,0 +1,121 @@
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/error');
+const { hashString } = require('../utils/helpers');
+const { parseCalendar } = require('../utils/icalendar');
+const { buildUserFeed, buildMeetingActivities } = require('../services/calendarService');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+// @desc    Get a user's calendar feed
+// @route   GET /api/calendar/:token.ics
+// @access  Public (token in the URL)
+const getCalendarFeed = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({
+    calendarToken: hashString(req.params.token),
+    isActive: true
+  });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar not found'
+    });
+  }
+
+  const calendar = await buildUserFeed(user);
+
+  res.set('Cache-Control', 'private, max-age=300');
+  res.type('text/calendar; charset=utf-8');
+  res.send(calendar);
+});
+
+// @desc    Create my calendar feed URL, replacing any earlier one
+// @route   POST /api/calendar/token
+// @access  Private
+const createCalendarToken = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  const token = user.generateCalendarToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed URL created. Earlier feed URLs no longer work.',
+    data: {
+      url: feedUrl(req, token)
+    }
+  });
+});
+
+// @desc    Revoke my calendar feed URL
+// @route   DELETE /api/calendar/token
+// @access  Private
+const revokeCalendarToken = asyncHandler(async (req, res, next) => {
+  await User.updateOne({ _id: req.user._id }, { $unset: { calendarToken: 1 } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed URL revoked',
+    data: {}
+  });
+});
+
+// @desc    Import the meetings of an iCalendar file as lead activities
+// @route   POST /api/calendar/import
+// @access  Private
+const importCalendar = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload an iCalendar (.ics) file'
+    });
+  }
+
+  const events = parseCalendar(req.file.buffer.toString('utf8'));
+
+  if (!events) {
+    return res.status(400).json({
+      success: false,
+      message: 'The file is not a valid iCalendar file'
+    });
+  }
+
+  const query = { _id: req.body.leadId };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.assignedTo = req.user._id;
+  }
+
+  const lead = await Lead.findOne(query);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const { activities, skipped } = buildMeetingActivities(events, lead, req.user._id);
+
+  if (activities.length > 0) {
+    lead.activities.push(...activities);
+    await lead.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Imported ${activities.length} meeting(s)`,
+    data: {
+      imported: activities.length,
+      skipped
+    }
+  });
+});
+
+module.exports = {
+  getCalendarFeed,
+  createCalendarToken,
+  revokeCalendarToken,
+  importCalendar
+};
@@ -0,0 +1,156 @@
+const Campaign = require('../models/Campaign');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+const { resolveReportCurrency } = require('../services/currencyService');
+const { getCampaignPerformance } = require('../services/campaignService');
+const { ATTRIBUTION_MODELS } = require('../utils/attribution');
+
+const sendCampaignNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Campaign not found'
+});
+
+// @desc    Get campaigns
+// @route   GET /api/campaigns
+// @access  Private
+const getCampaigns = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.channel) {
+    filter.channel = req.query.channel;
+  }
+
+  // Inactive campaigns are only listed for admins
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const campaigns = await Campaign.find(filter).sort('-startDate name');
+
+  res.status(200).json({
+    success: true,
+    count: campaigns.length,
+    data: {
+      campaigns
+    }
+  });
+});
+
+// @desc    Get campaign with its first and last touch performance
+// @route   GET /api/campaigns/:id
+// @access  Private
+const getCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await Campaign.findById(req.params.id);
+
+  if (!campaign) {
+    return sendCampaignNotFound(res);
+  }
+
+  const report = await resolveReportCurrency(req.query.currency);
+  if (report.error) {
+    return res.status(400).json({
+      success: false,
+      message: report.error
+    });
+  }
+
+  const leadFilter = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
+  const performance = {};
+
+  for (const model of ATTRIBUTION_MODELS) {
+    const [result] = await getCampaignPerformance(leadFilter, {
+      model,
+      report,
+      campaignFilter: { _id: campaign._id }
+    });
+    performance[model] = result || null;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      campaign,
+      currency: report.currency,
+      performance
+    }
+  });
+});
+
+// @desc    Create campaign
+// @route   POST /api/campaigns
+// @access  Private/Admin
+const createCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await Campaign.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Campaign created successfully',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Update campaign
+// @route   PUT /api/campaigns/:id
+// @access  Private/Admin
+const updateCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await Campaign.findById(req.params.id);
+
+  if (!campaign) {
+    return sendCampaignNotFound(res);
+  }
+
+  campaign.set(req.body);
+  await campaign.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Campaign updated successfully',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Delete campaign
+// @route   DELETE /api/campaigns/:id
+// @access  Private/Admin
+const deleteCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await Campaign.findById(req.params.id);
+
+  if (!campaign) {
+    return sendCampaignNotFound(res);
+  }
+
+  // Campaigns leads are attributed to stay for reporting
+  const leadsCount = await Lead.countDocuments({
+    $or: [{ 'firstTouch.campaignId': campaign._id }, { 'lastTouch.campaignId': campaign._id }]
+  }).setOptions({ withDeleted: true });
+
+  if (leadsCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete campaign. ${leadsCount} lead(s) are attributed to it. Deactivate it instead.`
+    });
+  }
+
+  await campaign.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Campaign deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign
+};
@@ -0,0 +1,133 @@
+const CloseReason = require('../models/CloseReason');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+
+// Check that no other reason of the same type uses the name
+const nameTaken = (type, name, excludeId) => CloseReason.exists({
+  type,
+  name,
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Get win and loss reasons
+// @route   GET /api/close-reasons?type=won|lost
+// @access  Private
+const getCloseReasons = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  // Inactive reasons are only listed for admins
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const reasons = await CloseReason.find(filter).sort('type order name');
+
+  res.status(200).json({
+    success: true,
+    count: reasons.length,
+    data: {
+      closeReasons: reasons
+    }
+  });
+});
+
+// @desc    Create win or loss reason
+// @route   POST /api/close-reasons
+// @access  Private/Admin
+const createCloseReason = asyncHandler(async (req, res, next) => {
+  if (await nameTaken(req.body.type, req.body.name)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${req.body.type} reason named "${req.body.name}" already exists`
+    });
+  }
+
+  const reason = await CloseReason.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Close reason created successfully',
+    data: {
+      closeReason: reason
+    }
+  });
+});
+
+// @desc    Update win or loss reason
+// @route   PUT /api/close-reasons/:id
+// @access  Private/Admin
+const updateCloseReason = asyncHandler(async (req, res, next) => {
+  const reason = await CloseReason.findById(req.params.id);
+
+  if (!reason) {
+    return res.status(404).json({
+      success: false,
+      message: 'Close reason not found'
+    });
+  }
+
+  if (req.body.name && req.body.name !== reason.name && await nameTaken(reason.type, req.body.name, reason._id)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${reason.type} reason named "${req.body.name}" already exists`
+    });
+  }
+
+  reason.set(req.body);
+  await reason.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Close reason updated successfully',
+    data: {
+      closeReason: reason
+    }
+  });
+});
+
+// @desc    Delete win or loss reason
+// @route   DELETE /api/close-reasons/:id
+// @access  Private/Admin
+const deleteCloseReason = asyncHandler(async (req, res, next) => {
+  const reason = await CloseReason.findById(req.params.id);
+
+  if (!reason) {
+    return res.status(404).json({
+      success: false,
+      message: 'Close reason not found'
+    });
+  }
+
+  // Reasons recorded on leads stay for reporting
+  const leadsCount = await Lead.countDocuments({ closeReason: reason._id })
+    .setOptions({ withDeleted: true });
+
+  if (leadsCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete reason. It is recorded on ${leadsCount} lead(s). Deactivate it instead.`
+    });
+  }
+
+  await reason.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Close reason deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getCloseReasons,
+  createCloseReason,
+  updateCloseReason,
+  deleteCloseReason
+};
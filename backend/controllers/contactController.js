@@ -0,0 +1,245 @@
+const Contact = require('../models/Contact');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+
+// Contact fields a request may set; the customer and creator are set by the server
+const CONTACT_FIELDS = ['name', 'title', 'email', 'phone', 'role', 'isPrimary', 'notes'];
+
+const pickContactFields = (body) => CONTACT_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Load the parent customer if the current user may access it
+const findAccessibleCustomer = (req) => {
+  const query = { _id: req.params.customerId };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.ownerId = req.user._id;
+  }
+
+  return Customer.findOne(query);
+};
+
+// @desc    Get contacts for a customer
+// @route   GET /api/customers/:customerId/contacts
+// @access  Private
+const getContacts = asyncHandler(async (req, res, next) => {
+  const customer = await findAccessibleCustomer(req);
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const filter = { customerId: customer._id };
+
+  // Role filter
+  if (req.query.role) {
+    filter.role = req.query.role;
+  }
+
+  const contacts = await Contact.find(filter).sort({ isPrimary: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: contacts.length,
+    data: {
+      contacts
+    }
+  });
+});
+
+// @desc    Get single contact
+// @route   GET /api/customers/:customerId/contacts/:id
+// @access  Private
+const getContact = asyncHandler(async (req, res, next) => {
+  const customer = await findAccessibleCustomer(req);
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const contact = await Contact.findOne({ _id: req.params.id, customerId: customer._id });
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  // Leads this contact is involved in that the user may see
+  const leadQuery = { contacts: contact._id };
+  if (req.user.role !== 'admin') {
+    leadQuery.assignedTo = req.user._id;
+  }
+
+  const leads = await Lead.find(leadQuery)
+    .select('title status value expectedCloseDate')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      contact: {
+        ...contact.toObject(),
+        leads
+      }
+    }
+  });
+});
+
+// @desc    Create contact
+// @route   POST /api/customers/:customerId/contacts
+// @access  Private
+const createContact = asyncHandler(async (req, res, next) => {
+  const customer = await findAccessibleCustomer(req);
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  // Check if contact with email already exists for this customer
+  if (req.body.email) {
+    const existingContact = await Contact.findOne({
+      customerId: customer._id,
+      email: req.body.email.toLowerCase()
+    });
+
+    if (existingContact) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact with this email already exists for this customer'
+      });
+    }
+  }
+
+  const contact = await Contact.create({
+    ...pickContactFields(req.body),
+    customerId: customer._id,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Contact created successfully',
+    data: {
+      contact
+    }
+  });
+});
+
+// @desc    Update contact
+// @route   PUT /api/customers/:customerId/contacts/:id
+// @access  Private
+const updateContact = asyncHandler(async (req, res, next) => {
+  const customer = await findAccessibleCustomer(req);
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const contact = await Contact.findOne({ _id: req.params.id, customerId: customer._id });
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  // Check if updating email and if it already exists
+  if (req.body.email) {
+    const existingContact = await Contact.findOne({
+      customerId: customer._id,
+      email: req.body.email.toLowerCase(),
+      _id: { $ne: contact._id }
+    });
+
+    if (existingContact) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact with this email already exists for this customer'
+      });
+    }
+  }
+
+  const wasPrimary = contact.isPrimary;
+
+  contact.set(pickContactFields(req.body));
+  await contact.save();
+
+  // Unsetting the primary flag hands it to another contact
+  if (wasPrimary && !contact.isPrimary) {
+    await Contact.ensurePrimary(customer._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Contact updated successfully',
+    data: {
+      contact
+    }
+  });
+});
+
+// @desc    Delete contact
+// @route   DELETE /api/customers/:customerId/contacts/:id
+// @access  Private
+const deleteContact = asyncHandler(async (req, res, next) => {
+  const customer = await findAccessibleCustomer(req);
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const contact = await Contact.findOneAndDelete({ _id: req.params.id, customerId: customer._id });
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  // Remove references from leads
+  await Lead.updateMany(
+    { contacts: contact._id },
+    { $pull: { contacts: contact._id } }
+  );
+
+  if (contact.isPrimary) {
+    await Contact.ensurePrimary(customer._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Contact deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact
+};
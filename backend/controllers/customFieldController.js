@@ -0,0 +1,132 @@
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+
+// @desc    Get custom field definitions
+// @route   GET /api/custom-fields?entity=Customer|Lead
+// @access  Private
+const getCustomFields = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.entity) {
+    filter.entity = req.query.entity;
+  }
+
+  // Inactive definitions are only listed for admins
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const definitions = await CustomFieldDefinition.find(filter).sort('entity order label');
+
+  res.status(200).json({
+    success: true,
+    count: definitions.length,
+    data: {
+      customFields: definitions
+    }
+  });
+});
+
+// @desc    Create custom field definition
+// @route   POST /api/custom-fields
+// @access  Private/Admin
+const createCustomField = asyncHandler(async (req, res, next) => {
+  const existing = await CustomFieldDefinition.findOne({
+    entity: req.body.entity,
+    key: req.body.key
+  });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${req.body.entity} custom field with key "${req.body.key}" already exists`
+    });
+  }
+
+  const definition = await CustomFieldDefinition.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Custom field created successfully',
+    data: {
+      customField: definition
+    }
+  });
+});
+
+// @desc    Update custom field definition
+// @route   PUT /api/custom-fields/:id
+// @access  Private/Admin
+const updateCustomField = asyncHandler(async (req, res, next) => {
+  const definition = await CustomFieldDefinition.findById(req.params.id);
+
+  if (!definition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Custom field not found'
+    });
+  }
+
+  if (req.body.options && !['select', 'multiselect'].includes(definition.type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Options are only allowed for select fields'
+    });
+  }
+
+  definition.set(req.body);
+  await definition.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Custom field updated successfully',
+    data: {
+      customField: definition
+    }
+  });
+});
+
+// @desc    Delete custom field definition and its stored values
+// @route   DELETE /api/custom-fields/:id
+// @access  Private/Admin
+const deleteCustomField = asyncHandler(async (req, res, next) => {
+  const definition = await CustomFieldDefinition.findById(req.params.id);
+
+  if (!definition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Custom field not found'
+    });
+  }
+
+  // Remove stored values so they don't linger in exports and filters
+  const Model = definition.entity === 'Customer' ? Customer : Lead;
+  const path = `customFields.${definition.key}`;
+  const result = await Model.updateMany(
+    { [path]: { $exists: true } },
+    { $unset: { [path]: '' } },
+    { withDeleted: true }
+  );
+
+  await definition.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Custom field deleted successfully',
+    data: {
+      valuesRemoved: result.modifiedCount
+    }
+  });
+});
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
@@ -1,22 +1,26 @@
+const ExcelJS = require('exceljs');
 const Customer = require('../models/Customer');
 const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
 const { asyncHandler } = require('../middleware/error');
 const {
   getPagination,
   buildPaginationResponse,
   buildSortQuery,
   buildSearchQuery,
-  buildDateRangeQuery
+  buildDateRangeQuery,
+  buildCustomFieldFilter,
+  applyDocumentUpdate
 } = require('../utils/helpers');
-
-// @desc    Get all customers
-// @route   GET /api/customers
-// @access  Private
-const getCustomers = asyncHandler(async (req, res, next) => {
-  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
-  const sort = buildSortQuery(req.query.sort);
-
-  // Build filter query
+const { escapeFormula, toCsvLine, getValueByPath, setValueByPath, parseCsv } = require('../utils/csv');
+const { customerValidation, buildCustomFieldSchema } = require('../middleware/validation');
+const { findDuplicateCandidates } = require('../utils/duplicateDetection');
+const { findContactsToFold } = require('../utils/contacts');
+const auditService = require('../services/auditService');
+
+// Build customer filter from query string (shared by list and export)
+const buildCustomerFilter = (req, customFieldDefinitions = []) => {
   let filter = {};
 
   // Role-based filtering
@@ -58,6 +62,172 @@ const getCustomers = asyncHandler(async (req, res, next) => {
     filter.tags = { $in: tags };
   }
 
+  // Custom field filters (?cf[key]=value)
+  if (req.query.cf) {
+    filter = { ...filter, ...buildCustomFieldFilter(req.query.cf, customFieldDefinitions) };
+  }
+
+  return filter;
+};
+
+// Columns available for customer export
+const EXPORT_COLUMNS = {
+  name: { header: 'Name', width: 24 },
+  email: { header: 'Email', width: 30 },
+  phone: { header: 'Phone' },
+  company: { header: 'Company', width: 28 },
+  'address.street': { header: 'Street', width: 28 },
+  'address.city': { header: 'City' },
+  'address.state': { header: 'State' },
+  'address.zipCode': { header: 'Zip Code' },
+  'address.country': { header: 'Country' },
+  industry: { header: 'Industry' },
+  website: { header: 'Website', width: 28 },
+  status: { header: 'Status' },
+  tags: { header: 'Tags', width: 24 },
+  notes: { header: 'Notes', width: 40 },
+  totalLeadValue: { header: 'Total Lead Value' },
+  leadsCount: { header: 'Leads' },
+  lastContactDate: { header: 'Last Contact' },
+  owner: { header: 'Owner', value: customer => customer.ownerId && customer.ownerId.name },
+  ownerEmail: { header: 'Owner Email', width: 30, value: customer => customer.ownerId && customer.ownerId.email },
+  createdAt: { header: 'Created At' },
+  updatedAt: { header: 'Updated At' }
+};
+
+const DEFAULT_EXPORT_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'company',
+  'industry',
+  'status',
+  'address.city',
+  'address.country',
+  'tags',
+  'totalLeadValue',
+  'leadsCount',
+  'owner',
+  'createdAt'
+];
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Export columns for the active custom field definitions
+const buildCustomFieldColumns = (definitions) => {
+  return definitions.reduce((columns, definition) => {
+    columns[`customFields.${definition.key}`] = { header: definition.label, width: 20 };
+    return columns;
+  }, {});
+};
+
+// Build a flat export row for the requested columns
+const buildExportRow = (customer, fields, columns = EXPORT_COLUMNS) => {
+  return fields.reduce((row, field) => {
+    const column = columns[field];
+    const value = column.value ? column.value(customer) : getValueByPath(customer, field);
+    row[field] = Array.isArray(value) ? value.join('; ') : value;
+    return row;
+  }, {});
+};
+
+// Customer fields that can be filled from an import file
+const IMPORT_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'company',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.zipCode',
+  'address.country',
+  'industry',
+  'website',
+  'tags',
+  'notes',
+  'status'
+];
+
+// Common header spellings that don't match a field name directly
+const IMPORT_HEADER_ALIASES = {
+  fullname: 'name',
+  contactname: 'name',
+  emailaddress: 'email',
+  phonenumber: 'phone',
+  companyname: 'company',
+  street: 'address.street',
+  city: 'address.city',
+  state: 'address.state',
+  zip: 'address.zipCode',
+  zipcode: 'address.zipCode',
+  postalcode: 'address.zipCode',
+  country: 'address.country'
+};
+
+const IMPORT_DUPLICATE_MODES = ['skip', 'update', 'fail'];
+const IMPORT_MAX_ROWS = 5000;
+
+// Longest notes a customer can hold, which also caps the notes of a merge
+const NOTES_MAX_LENGTH = Customer.schema.path('notes').options.maxlength[0];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Import fields including the active custom fields ("customFields.<key>")
+const getImportFields = (customFieldDefinitions = []) => [
+  ...IMPORT_FIELDS,
+  ...customFieldDefinitions.map(definition => `customFields.${definition.key}`)
+];
+
+// Resolve which customer field each CSV column maps to. Custom fields also
+// match on their key or label. An explicit mapping ({ "CSV header": "field" })
+// wins; a null target ignores the column.
+const resolveImportMapping = (headers, explicitMapping = {}, customFieldDefinitions = []) => {
+  const fieldsByHeader = customFieldDefinitions.reduce((acc, definition) => {
+    const field = `customFields.${definition.key}`;
+    [field, definition.key, definition.label].forEach(name => {
+      const header = normalizeHeader(name);
+      if (!acc[header]) acc[header] = field;
+    });
+    return acc;
+  }, IMPORT_FIELDS.reduce((acc, field) => {
+    acc[normalizeHeader(field)] = field;
+    return acc;
+  }, { ...IMPORT_HEADER_ALIASES }));
+
+  return headers.map(header => {
+    if (Object.prototype.hasOwnProperty.call(explicitMapping, header)) {
+      return explicitMapping[header] || null;
+    }
+    return fieldsByHeader[normalizeHeader(header)] || null;
+  });
+};
+
+// Turn a CSV row into a customer payload using the resolved column mapping.
+// Tags and multiselect custom fields are lists separated by ; or ,
+const buildImportRecord = (row, mapping, listFields = ['tags']) => {
+  return mapping.reduce((record, field, index) => {
+    const value = (row[index] || '').trim();
+    if (!field || value === '') return record;
+
+    if (listFields.includes(field)) {
+      return setValueByPath(record, field, value.split(/[;,]/).map(tag => tag.trim()).filter(Boolean));
+    }
+
+    return setValueByPath(record, field, value);
+  }, {});
+};
+
+// @desc    Get all customers
+// @route   GET /api/customers
+// @access  Private
+const getCustomers = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  const sort = buildSortQuery(req.query.sort);
+
+  const customFieldDefinitions = req.query.cf ? await CustomFieldDefinition.getActive('Customer') : [];
+  const filter = buildCustomerFilter(req, customFieldDefinitions);
+
   // Execute query
   const customers = await Customer.find(filter)
     .populate('ownerId', 'name email')
@@ -78,11 +248,37 @@ const getCustomers = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Check that a parent customer exists, is accessible and does not create a cycle
+const validateParentCustomer = async (req, customerId, parentId) => {
+  if (!parentId) return null;
+
+  const parentQuery = { _id: parentId };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    parentQuery.ownerId = req.user._id;
+  }
+
+  const parent = await Customer.exists(parentQuery);
+
+  if (!parent) {
+    return { status: 404, message: 'Parent customer not found' };
+  }
+
+  if (customerId && await Customer.wouldCreateCycle(customerId, parentId)) {
+    return { status: 400, message: 'A customer cannot be its own ancestor' };
+  }
+
+  return null;
+};
+
 // @desc    Get single customer
 // @route   GET /api/customers/:id
 // @access  Private
 const getCustomer = asyncHandler(async (req, res, next) => {
-  let query = Customer.findById(req.params.id).populate('ownerId', 'name email');
+  let query = Customer.findById(req.params.id)
+    .populate('ownerId', 'name email')
+    .populate('parentId', 'name company');
 
   // Role-based access control
   if (req.user.role !== 'admin') {
@@ -103,12 +299,27 @@ const getCustomer = asyncHandler(async (req, res, next) => {
     .populate('assignedTo', 'name email')
     .sort('-createdAt');
 
+  // Get customer's contacts, primary first
+  const contacts = await Contact.find({ customerId: customer._id })
+    .sort({ isPrimary: -1, name: 1 });
+
+  // Direct subsidiaries the user can see
+  const childQuery = { parentId: customer._id };
+  if (req.user.role !== 'admin') {
+    childQuery.ownerId = req.user._id;
+  }
+  const children = await Customer.find(childQuery)
+    .select('name company status totalLeadValue leadsCount')
+    .sort('name');
+
   res.status(200).json({
     success: true,
     data: {
       customer: {
         ...customer.toObject(),
-        leads
+        leads,
+        contacts,
+        children
       }
     }
   });
@@ -121,6 +332,10 @@ const createCustomer = asyncHandler(async (req, res, next) => {
   // Add user as owner
   req.body.ownerId = req.user._id;
 
+  // Opt-outs are only changed through the unsubscribe link
+  delete req.body.emailOptOut;
+  delete req.body.unsubscribedAt;
+
   // Check if customer with email already exists for this user
   const existingCustomer = await Customer.findOne({
     email: req.body.email,
@@ -134,7 +349,30 @@ const createCustomer = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Email is unique across the collection, including the trash
+  const trashedCustomer = await Customer.exists({
+    email: req.body.email,
+    deletedAt: { $ne: null }
+  });
+
+  if (trashedCustomer) {
+    return res.status(400).json({
+      success: false,
+      message: 'Customer with this email is in the trash. Restore it instead.'
+    });
+  }
+
+  const parentError = await validateParentCustomer(req, null, req.body.parentId);
+
+  if (parentError) {
+    return res.status(parentError.status).json({
+      success: false,
+      message: parentError.message
+    });
+  }
+
   const customer = await Customer.create(req.body);
+  await auditService.logCreate('Customer', customer, req);
 
   // Populate owner info
   await customer.populate('ownerId', 'name email');
@@ -175,14 +413,17 @@ const updateCustomer = asyncHandler(async (req, res, next) => {
     }
   }
 
-  const customer = await Customer.findOneAndUpdate(
-    query,
-    req.body,
-    {
-      new: true,
-      runValidators: true
-    }
-  ).populate('ownerId', 'name email');
+  // Check the new parent and reject cycles in the hierarchy
+  const parentError = await validateParentCustomer(req, req.params.id, req.body.parentId);
+
+  if (parentError) {
+    return res.status(parentError.status).json({
+      success: false,
+      message: parentError.message
+    });
+  }
+
+  const customer = await Customer.findOne(query);
 
   if (!customer) {
     return res.status(404).json({
@@ -191,6 +432,17 @@ const updateCustomer = asyncHandler(async (req, res, next) => {
     });
   }
 
+  delete req.body.emailOptOut;
+  delete req.body.unsubscribedAt;
+
+  const before = auditService.snapshot(customer);
+
+  applyDocumentUpdate(customer, req.body);
+  await customer.save();
+
+  await auditService.logUpdate('Customer', before, customer, req);
+  await customer.populate('ownerId', 'name email');
+
   res.status(200).json({
     success: true,
     message: 'Customer updated successfully',
@@ -220,22 +472,114 @@ const deleteCustomer = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Check if customer has leads
-  const leadsCount = await Lead.countDocuments({ customerId: customer._id });
+  // Move the customer and its leads to the trash with the same timestamp,
+  // so restoring the customer brings back exactly those leads
+  const deletedAt = new Date();
+  const leadIds = await Lead.find({ customerId: customer._id }).distinct('_id');
 
-  if (leadsCount > 0) {
-    return res.status(400).json({
+  const leadResult = await Lead.updateMany(
+    { _id: { $in: leadIds } },
+    { $set: { deletedAt, deletedBy: req.user._id } }
+  );
+
+  await customer.softDelete(req.user._id, deletedAt);
+
+  // Subsidiaries move up to the deleted customer's parent
+  const newParentId = customer.parentId || null;
+  const children = await Customer.find({ parentId: customer._id }).select('parentId').lean();
+
+  await Customer.updateMany(
+    { parentId: customer._id },
+    { $set: { parentId: newParentId } }
+  );
+
+  await auditService.logAction('Customer', 'delete', [customer._id], req);
+  await auditService.logAction('Lead', 'delete', leadIds, req, {
+    source: 'cascade',
+    metadata: { customerId: customer._id }
+  });
+  await auditService.logUpdates(
+    'Customer',
+    children.map(child => [child, { ...child, parentId: newParentId }]),
+    req,
+    { source: 'cascade' }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Customer moved to trash',
+    data: {
+      leadsDeleted: leadResult.modifiedCount
+    }
+  });
+});
+
+// @desc    Get the account hierarchy a customer belongs to
+// @route   GET /api/customers/:id/hierarchy
+// @access  Private
+const getCustomerHierarchy = asyncHandler(async (req, res, next) => {
+  let query = { _id: req.params.id };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.ownerId = req.user._id;
+  }
+
+  const customer = await Customer.findOne(query).select('_id');
+
+  if (!customer) {
+    return res.status(404).json({
       success: false,
-      message: `Cannot delete customer. Customer has ${leadsCount} associated lead(s). Please delete or reassign leads first.`
+      message: 'Customer not found'
     });
   }
 
-  await customer.deleteOne();
+  // Other owners' customers in the tree are redacted for non-admins
+  const hierarchy = await Customer.getHierarchy(
+    customer._id,
+    req.user.role !== 'admin' ? { ownerId: req.user._id } : {}
+  );
 
   res.status(200).json({
     success: true,
-    message: 'Customer deleted successfully',
-    data: {}
+    data: {
+      customerId: customer._id,
+      ...hierarchy
+    }
+  });
+});
+
+// @desc    Get field-level change history of a customer
+// @route   GET /api/customers/:id/history
+// @access  Private
+const getCustomerHistory = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  let query = { _id: req.params.id };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.ownerId = req.user._id;
+  }
+
+  // History stays available while the customer is in the trash
+  const customer = await Customer.findOne(query).setOptions({ withDeleted: true }).select('_id');
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const { logs, total } = await auditService.findLogs(
+    auditService.buildAuditFilter({ ...req.query, entityType: 'Customer', entityId: customer._id }),
+    { skip, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    ...buildPaginationResponse(logs, total, page, limit)
   });
 });
 
@@ -378,27 +722,593 @@ const searchCustomers = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Export customers
-// @route   GET /api/customers/export
+// @route   GET /api/customers/export?format=csv|xlsx|json&fields=name,email
 // @access  Private
 const exportCustomers = asyncHandler(async (req, res, next) => {
-  // Build filter query based on user role
-  const filter = req.user.role === 'admin' ? {} : { ownerId: req.user._id };
+  const format = (req.query.format || 'json').toLowerCase();
 
-  const customers = await Customer.find(filter)
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid export format. Allowed formats: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  // Resolve requested columns
+  const fields = req.query.fields
+    ? String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean)
+    : null;
+
+  // Custom fields are exported alongside the built-in columns
+  const customFieldDefinitions = await CustomFieldDefinition.getActive('Customer');
+  const customFieldColumns = buildCustomFieldColumns(customFieldDefinitions);
+  const exportColumns = { ...EXPORT_COLUMNS, ...customFieldColumns };
+
+  if (fields) {
+    const invalidFields = fields.filter(field => !exportColumns[field]);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid export field(s): ${invalidFields.join(', ')}`,
+        allowedFields: Object.keys(exportColumns)
+      });
+    }
+  }
+
+  // Apply the same filters as the customer list
+  const filter = buildCustomerFilter(req, customFieldDefinitions);
+  const sort = buildSortQuery(req.query.sort);
+
+  const query = Customer.find(filter)
     .populate('ownerId', 'name email')
     .select('-__v')
-    .sort('-createdAt');
+    .sort(sort);
+
+  if (format === 'json') {
+    const customers = await query;
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer data exported successfully',
+      count: customers.length,
+      data: {
+        customers: fields ? customers.map(customer => buildExportRow(customer, fields, exportColumns)) : customers,
+        exportDate: new Date().toISOString(),
+        exportedBy: req.user.name
+      }
+    });
+    return;
+  }
+
+  const columns = fields || [...DEFAULT_EXPORT_FIELDS, ...Object.keys(customFieldColumns)];
+  const filename = `customers-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const cursor = query.cursor();
+
+  // Once the first bytes are sent a failure can no longer become a JSON
+  // error, so the download is cut off instead
+  try {
+    res.status(200);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+      // BOM so spreadsheet applications detect UTF-8
+      res.write('\ufeff');
+      res.write(toCsvLine(columns.map(field => exportColumns[field].header)));
+
+      for await (const customer of cursor) {
+        const row = buildExportRow(customer, columns, exportColumns);
+        const canContinue = res.write(toCsvLine(columns.map(field => row[field])));
+        if (!canContinue) {
+          await new Promise(resolve => res.once('drain', resolve));
+        }
+      }
+
+      res.end();
+      return;
+    }
+
+    // XLSX
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const worksheet = workbook.addWorksheet('Customers');
+    worksheet.columns = columns.map(field => ({
+      header: exportColumns[field].header,
+      key: field,
+      width: exportColumns[field].width || 18
+    }));
+
+    for await (const customer of cursor) {
+      const row = buildExportRow(customer, columns, exportColumns);
+      Object.keys(row).forEach(field => {
+        row[field] = escapeFormula(row[field]);
+      });
+      worksheet.addRow(row).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+  } catch (error) {
+    await cursor.close().catch(() => {});
+
+    if (!res.headersSent) {
+      throw error;
+    }
+
+    console.error('Customer export failed:', error.message);
+    res.destroy();
+  }
+});
+
+// @desc    Import customers from a CSV file
+// @route   POST /api/customers/import
+// @access  Private
+const importCustomers = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a CSV file in the "file" field'
+    });
+  }
+
+  const customFieldDefinitions = await CustomFieldDefinition.getActive('Customer');
+  const importFields = getImportFields(customFieldDefinitions);
+  const listFields = ['tags', ...customFieldDefinitions
+    .filter(definition => definition.type === 'multiselect')
+    .map(definition => `customFields.${definition.key}`)];
+  const customFieldSchema = buildCustomFieldSchema(customFieldDefinitions);
+  const newCustomerCustomFieldSchema = buildCustomFieldSchema(customFieldDefinitions, { isCreate: true });
+
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  const onDuplicate = req.body.onDuplicate || 'skip';
+
+  if (!IMPORT_DUPLICATE_MODES.includes(onDuplicate)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid onDuplicate value. Allowed values: ${IMPORT_DUPLICATE_MODES.join(', ')}`
+    });
+  }
+
+  // Column mapping may arrive as a JSON string in multipart forms
+  let explicitMapping = {};
+  if (req.body.mapping) {
+    try {
+      explicitMapping = typeof req.body.mapping === 'string'
+        ? JSON.parse(req.body.mapping)
+        : req.body.mapping;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mapping must be a valid JSON object'
+      });
+    }
+
+    const invalidTargets = Object.values(explicitMapping)
+      .filter(field => field && !importFields.includes(field));
+
+    if (invalidTargets.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mapping target(s): ${invalidTargets.join(', ')}`,
+        allowedFields: importFields
+      });
+    }
+  }
+
+  const [headers, ...rows] = parseCsv(req.file.buffer.toString('utf8'));
+
+  if (!headers || rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'CSV file must contain a header row and at least one data row'
+    });
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `CSV file cannot contain more than ${IMPORT_MAX_ROWS} rows`
+    });
+  }
+
+  const mapping = resolveImportMapping(headers, explicitMapping, customFieldDefinitions);
+
+  if (!mapping.includes('email')) {
+    return res.status(400).json({
+      success: false,
+      message: 'No column is mapped to the email field'
+    });
+  }
+
+  const isAdmin = req.user.role === 'admin';
+  const errors = [];
+  const validRecords = [];
+  const seenEmails = new Map();
+
+  // Validate every row before writing anything
+  rows.forEach((row, index) => {
+    // Header is line 1
+    const rowNumber = index + 2;
+    const record = buildImportRecord(row, mapping, listFields);
+
+    const { error, value } = customerValidation.create.validate(record, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+    const customFieldResult = customFieldSchema.validate(record.customFields || {}, { abortEarly: false });
+    const details = [
+      ...(error ? error.details : []),
+      ...(customFieldResult.error ? customFieldResult.error.details.map(detail => ({
+        ...detail,
+        path: ['customFields', ...detail.path]
+      })) : [])
+    ];
+
+    if (details.length > 0) {
+      errors.push({
+        row: rowNumber,
+        email: record.email,
+        errors: details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      });
+      return;
+    }
+
+    // Keep converted custom field values (numbers, dates, booleans)
+    if (record.customFields) {
+      value.customFields = customFieldResult.value;
+      record.customFields = customFieldResult.value;
+    }
+
+    value.email = value.email.toLowerCase();
+
+    if (seenEmails.has(value.email)) {
+      errors.push({
+        row: rowNumber,
+        email: value.email,
+        errors: [{ field: 'email', message: `Duplicate email in file (first seen on row ${seenEmails.get(value.email)})` }]
+      });
+      return;
+    }
+
+    seenEmails.set(value.email, rowNumber);
+
+    // Updates only touch columns present in the file, not schema defaults
+    validRecords.push({ row: rowNumber, data: value, fields: { ...record, email: value.email } });
+  });
+
+  // Match against existing customers (email is unique across the collection)
+  const existingCustomers = await Customer.find({
+    email: { $in: validRecords.map(record => record.data.email) }
+  }).setOptions({ withDeleted: true });
+  const existingByEmail = new Map(existingCustomers.map(customer => [customer.email, customer]));
+
+  const plan = [];
+  const duplicates = [];
+
+  validRecords.forEach(record => {
+    const existing = existingByEmail.get(record.data.email);
+
+    if (!existing) {
+      // New customers need every required custom field
+      const { error } = newCustomerCustomFieldSchema.validate(record.data.customFields || {}, { abortEarly: false });
+      if (error) {
+        errors.push({
+          row: record.row,
+          email: record.data.email,
+          errors: error.details.map(detail => ({
+            field: ['customFields', ...detail.path].join('.'),
+            message: detail.message
+          }))
+        });
+        return;
+      }
+
+      plan.push({ ...record, action: 'create' });
+      return;
+    }
+
+    duplicates.push(record);
+
+    if (existing.deletedAt) {
+      errors.push({
+        row: record.row,
+        email: record.data.email,
+        errors: [{ field: 'email', message: 'Customer with this email is in the trash' }]
+      });
+      return;
+    }
+
+    if (onDuplicate === 'skip') {
+      plan.push({ ...record, action: 'skip' });
+    } else if (onDuplicate === 'update') {
+      if (!isAdmin && existing.ownerId.toString() !== req.user._id.toString()) {
+        errors.push({
+          row: record.row,
+          email: record.data.email,
+          errors: [{ field: 'email', message: 'Customer with this email belongs to another user' }]
+        });
+        return;
+      }
+      plan.push({ ...record, action: 'update', existing });
+    } else {
+      errors.push({
+        row: record.row,
+        email: record.data.email,
+        errors: [{ field: 'email', message: 'Customer with this email already exists' }]
+      });
+    }
+  });
+
+  const summary = {
+    totalRows: rows.length,
+    valid: plan.length,
+    invalid: errors.length,
+    duplicates: duplicates.length,
+    created: 0,
+    updated: 0,
+    skipped: 0
+  };
+
+  const columns = headers.map((header, index) => ({ header, field: mapping[index] }));
+  errors.sort((a, b) => a.row - b.row);
+
+  // Fail mode is all-or-nothing when existing emails are found
+  const aborted = onDuplicate === 'fail' && duplicates.length > 0;
+
+  if (dryRun || aborted) {
+    plan.forEach(item => {
+      if (item.action === 'create') summary.created++;
+      if (item.action === 'update') summary.updated++;
+      if (item.action === 'skip') summary.skipped++;
+    });
+
+    return res.status(aborted ? 409 : 200).json({
+      success: !aborted,
+      message: aborted
+        ? 'Import aborted: customers with these emails already exist'
+        : 'Dry run completed, no customers were written',
+      data: {
+        dryRun,
+        onDuplicate,
+        summary,
+        columns,
+        errors
+      }
+    });
+  }
+
+  for (const item of plan) {
+    try {
+      if (item.action === 'create') {
+        const customer = await Customer.create({ ...item.data, ownerId: req.user._id });
+        await auditService.logCreate('Customer', customer, req, { source: 'import' });
+        summary.created++;
+      } else if (item.action === 'update') {
+        const before = auditService.snapshot(item.existing);
+
+        // Set field by field so nested address values are merged, not replaced
+        importFields.forEach(field => {
+          const value = getValueByPath(item.fields, field);
+          if (value !== undefined) item.existing.set(field, value);
+        });
+        await item.existing.save();
+        await auditService.logUpdate('Customer', before, item.existing, req, { source: 'import' });
+        summary.updated++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      errors.push({
+        row: item.row,
+        email: item.data.email,
+        errors: [{ field: null, message: error.message }]
+      });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  summary.invalid = errors.length;
 
-  // In a real application, you might want to generate CSV or Excel file
-  // For now, we'll return JSON data
   res.status(200).json({
     success: true,
-    message: 'Customer data exported successfully',
-    count: customers.length,
+    message: `Import completed: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${errors.length} failed`,
+    data: {
+      dryRun,
+      onDuplicate,
+      summary,
+      columns,
+      errors
+    }
+  });
+});
+
+// @desc    Find likely duplicate customers
+// @route   GET /api/customers/duplicates?threshold=50&customerId=
+// @access  Private
+const findDuplicateCustomers = asyncHandler(async (req, res, next) => {
+  const threshold = Math.min(Math.max(parseInt(req.query.threshold, 10) || 50, 1), 100);
+  const filter = req.user.role === 'admin' ? {} : { ownerId: req.user._id };
+
+  const customers = await Customer.find(filter)
+    .select('name email phone company website status leadsCount totalLeadValue ownerId createdAt')
+    .lean();
+
+  let candidates = findDuplicateCandidates(customers, threshold);
+
+  // Only matches for one customer
+  if (req.query.customerId) {
+    candidates = candidates.filter(candidate =>
+      candidate.customers.some(customer => customer._id.toString() === req.query.customerId)
+    );
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  res.status(200).json({
+    success: true,
+    count: Math.min(candidates.length, limit),
     data: {
-      customers,
-      exportDate: new Date().toISOString(),
-      exportedBy: req.user.name
+      threshold,
+      totalCandidates: candidates.length,
+      duplicates: candidates.slice(0, limit)
+    }
+  });
+});
+
+// @desc    Merge duplicate customers into this one
+// @route   POST /api/customers/:id/merge
+// @access  Private
+const mergeCustomers = asyncHandler(async (req, res, next) => {
+  const sourceIds = [...new Set(req.body.sourceIds.map(String))];
+
+  if (sourceIds.includes(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A customer cannot be merged into itself'
+    });
+  }
+
+  const accessFilter = req.user.role === 'admin' ? {} : { ownerId: req.user._id };
+
+  const survivor = await Customer.findOne({ _id: req.params.id, ...accessFilter });
+
+  if (!survivor) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const sources = await Customer.find({ _id: { $in: sourceIds }, ...accessFilter });
+
+  if (sources.length !== sourceIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more customers to merge were not found'
+    });
+  }
+
+  // Checked before anything moves, so a rejected merge changes nothing
+  const notes = [survivor.notes, ...sources.map(source => source.notes)].filter(Boolean).join('\n\n');
+  if (notes.length > NOTES_MAX_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Combined notes cannot exceed ${NOTES_MAX_LENGTH} characters; shorten the notes before merging`
+    });
+  }
+
+  const survivorBefore = auditService.snapshot(survivor);
+
+  // Move all leads onto the surviving record
+  const movedLeads = await Lead.find({ customerId: { $in: sourceIds } }).select('customerId').lean();
+  const leadResult = await Lead.updateMany(
+    { customerId: { $in: sourceIds } },
+    { $set: { customerId: survivor._id } }
+  );
+
+  // Contacts sharing an email, with the survivor or across the merged
+  // customers, are folded into one
+  const withEmail = { email: { $type: 'string' } };
+  const survivorContacts = await Contact.find({ customerId: survivor._id, ...withEmail });
+  const sourceContacts = await Contact.find({ customerId: { $in: sourceIds }, ...withEmail }).sort('createdAt');
+
+  for (const [contact, target] of findContactsToFold(survivorContacts, sourceContacts)) {
+    await Lead.updateMany({ contacts: contact._id }, { $addToSet: { contacts: target._id } });
+    await Lead.updateMany({ contacts: contact._id }, { $pull: { contacts: contact._id } });
+    await contact.deleteOne();
+  }
+
+  // Move the remaining contacts; the survivor keeps its primary contact
+  await Contact.updateMany(
+    { customerId: { $in: sourceIds } },
+    { $set: { customerId: survivor._id, isPrimary: false } }
+  );
+  await Contact.ensurePrimary(survivor._id);
+
+  // Keep the hierarchy intact: if the survivor sat below a merged customer it
+  // takes that customer's place, and the merged customers' subsidiaries move
+  // under the survivor
+  const ancestors = await Customer.getAncestors(survivor._id);
+  const topSourceIndex = ancestors.map(ancestor => ancestor._id.toString())
+    .reduce((index, id, position) => (sourceIds.includes(id) ? position : index), -1);
+
+  if (topSourceIndex >= 0) {
+    const newParentId = ancestors[topSourceIndex + 1] ? ancestors[topSourceIndex + 1]._id : null;
+    const chain = [survivor, ...ancestors.slice(0, topSourceIndex)];
+    const chainIds = chain
+      .filter(node => node.parentId && sourceIds.includes(node.parentId.toString()))
+      .map(node => node._id);
+
+    await Customer.updateMany({ _id: { $in: chainIds } }, { $set: { parentId: newParentId } });
+    if (chainIds.some(id => id.equals(survivor._id))) {
+      survivor.parentId = newParentId;
+    }
+  }
+
+  const adoptedChildren = await Customer.find({ parentId: { $in: sourceIds }, _id: { $ne: survivor._id } })
+    .select('parentId')
+    .lean();
+
+  await Customer.updateMany(
+    { _id: { $in: adoptedChildren.map(child => child._id) } },
+    { $set: { parentId: survivor._id } }
+  );
+
+  // Combine tags and notes
+  survivor.tags = [...new Set([
+    ...survivor.tags,
+    ...sources.flatMap(source => source.tags)
+  ])];
+
+  if (notes) {
+    survivor.notes = notes;
+  }
+
+  // Fill gaps on the survivor from the merged records
+  ['phone', 'website', 'industry', 'address.street', 'address.city', 'address.state', 'address.zipCode'].forEach(field => {
+    if (survivor.get(field)) return;
+    const source = sources.find(item => item.get(field));
+    if (source) survivor.set(field, source.get(field));
+  });
+
+  // The merged customers go to the trash once the survivor is saved
+  await survivor.save();
+  for (const source of sources) {
+    await source.softDelete(req.user._id);
+  }
+
+  const mergeAudit = { source: 'merge', metadata: { mergedInto: survivor._id, sourceIds } };
+  await auditService.logUpdate('Customer', survivorBefore, survivor, req, mergeAudit);
+  await auditService.logAction('Customer', 'delete', sourceIds, req, mergeAudit);
+  await auditService.logUpdates(
+    'Lead',
+    movedLeads.map(lead => [lead, { ...lead, customerId: survivor._id }]),
+    req,
+    mergeAudit
+  );
+  await auditService.logUpdates(
+    'Customer',
+    adoptedChildren.map(child => [child, { ...child, parentId: survivor._id }]),
+    req,
+    mergeAudit
+  );
+
+  // Recompute totals now that the leads moved
+  await survivor.updateLeadStats();
+  await survivor.populate('ownerId', 'name email');
+
+  res.status(200).json({
+    success: true,
+    message: `${sources.length} customer(s) merged successfully`,
+    data: {
+      customer: survivor,
+      mergedCustomerIds: sourceIds,
+      leadsMoved: leadResult.modifiedCount
     }
   });
 });
@@ -416,6 +1326,20 @@ const bulkUpdateCustomers = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Opt-outs are only changed through the unsubscribe link, also when the
+  // update uses operators such as $set or $unset
+  if (updates && typeof updates === 'object') {
+    [updates, ...Object.keys(updates).filter(key => key.startsWith('$')).map(key => updates[key])]
+      .filter(update => update && typeof update === 'object')
+      .forEach(update => {
+        delete update.emailOptOut;
+        delete update.unsubscribedAt;
+      });
+    Object.keys(updates)
+      .filter(key => key.startsWith('$') && Object.keys(updates[key] || {}).length === 0)
+      .forEach(key => delete updates[key]);
+  }
+
   if (!updates || Object.keys(updates).length === 0) {
     return res.status(400).json({
       success: false,
@@ -423,6 +1347,14 @@ const bulkUpdateCustomers = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Parent changes need cycle checks, so they go through the single update endpoint
+  if (Object.prototype.hasOwnProperty.call(updates, 'parentId')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parent customer cannot be changed in bulk'
+    });
+  }
+
   // Build filter query
   let filter = { _id: { $in: customerIds } };
 
@@ -431,10 +1363,23 @@ const bulkUpdateCustomers = asyncHandler(async (req, res, next) => {
     filter.ownerId = req.user._id;
   }
 
+  const before = await Customer.find(filter).lean();
+
   const result = await Customer.updateMany(filter, updates, {
     runValidators: true
   });
 
+  // Record what actually changed on each customer
+  const after = await Customer.find({ _id: { $in: before.map(customer => customer._id) } }).lean();
+  const beforeById = new Map(before.map(customer => [customer._id.toString(), customer]));
+
+  await auditService.logUpdates(
+    'Customer',
+    after.map(customer => [beforeById.get(customer._id.toString()), customer]),
+    req,
+    { source: 'bulk' }
+  );
+
   res.status(200).json({
     success: true,
     message: `${result.modifiedCount} customers updated successfully`,
@@ -451,8 +1396,13 @@ module.exports = {
   createCustomer,
   updateCustomer,
   deleteCustomer,
+  getCustomerHierarchy,
+  getCustomerHistory,
   getCustomerStats,
   searchCustomers,
   exportCustomers,
+  importCustomers,
+  findDuplicateCustomers,
+  mergeCustomers,
   bulkUpdateCustomers
 };
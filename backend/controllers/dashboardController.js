@@ -1,7 +1,25 @@
 const Customer = require('../models/Customer');
 const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/error');
+const { buildDateRangeQuery } = require('../utils/helpers');
+const { computeStageMetrics } = require('../utils/stageMetrics');
+const { PERIODS, computeCloseReasonAnalytics } = require('../utils/closeReasonAnalytics');
+const { resolveReportCurrency, reportValue } = require('../services/currencyService');
+const { getCampaignPerformance } = require('../services/campaignService');
+const { ATTRIBUTION_MODELS } = require('../utils/attribution');
+
+// Multiply money fields of plain objects by a currency factor
+const scaleValues = (items, fields, factor) => (factor === 1 ? items : items.map(item => ({
+  ...item,
+  ...Object.fromEntries(fields.map(field => [field, (item[field] || 0) * factor]))
+})));
+
+// Pipeline from ?pipelineId, or the default pipeline
+const resolvePipeline = (req) => (
+  req.query.pipelineId ? Pipeline.findById(req.query.pipelineId) : Pipeline.ensureDefault()
+);
 
 // @desc    Get dashboard overview
 // @route   GET /api/dashboard
@@ -12,6 +30,16 @@ const getDashboard = asyncHandler(async (req, res, next) => {
   const userFilter = isAdmin ? {} : { ownerId: req.user._id };
   const leadFilter = isAdmin ? {} : { assignedTo: req.user._id };
 
+  // Values are reported in the reporting currency or ?currency=
+  const report = await resolveReportCurrency(req.query.currency);
+  if (report.error) {
+    return res.status(400).json({
+      success: false,
+      message: report.error
+    });
+  }
+  const value = reportValue(report.factor);
+
   // Get current date info
   const now = new Date();
   const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -31,9 +59,9 @@ const getDashboard = asyncHandler(async (req, res, next) => {
   const totalLeads = await Lead.countDocuments(leadFilter);
   const openLeads = await Lead.countDocuments({
     ...leadFilter,
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   });
-  const convertedLeads = await Lead.countDocuments({ ...leadFilter, status: 'Converted' });
+  const convertedLeads = await Lead.countDocuments({ ...leadFilter, stageCategory: 'won' });
   const newLeadsThisMonth = await Lead.countDocuments({
     ...leadFilter,
     createdAt: { $gte: startOfMonth }
@@ -42,24 +70,24 @@ const getDashboard = asyncHandler(async (req, res, next) => {
   // Revenue metrics
   const totalValue = await Lead.aggregate([
     { $match: leadFilter },
-    { $group: { _id: null, total: { $sum: '$value' } } }
+    { $group: { _id: null, total: { $sum: value } } }
   ]);
 
   const convertedValue = await Lead.aggregate([
-    { $match: { ...leadFilter, status: 'Converted' } },
-    { $group: { _id: null, total: { $sum: '$value' } } }
+    { $match: { ...leadFilter, stageCategory: 'won' } },
+    { $group: { _id: null, total: { $sum: value } } }
   ]);
 
   const pipelineValue = await Lead.aggregate([
-    { $match: { ...leadFilter, status: { $nin: ['Converted', 'Lost'] } } },
-    { $group: { _id: null, total: { $sum: { $multiply: ['$value', { $divide: ['$probability', 100] }] } } } }
+    { $match: { ...leadFilter, stageCategory: 'open' } },
+    { $group: { _id: null, total: { $sum: { $multiply: [value, { $divide: ['$probability', 100] }] } } } }
   ]);
 
   // Overdue leads
   const overdueLeads = await Lead.countDocuments({
     ...leadFilter,
     expectedCloseDate: { $lt: new Date() },
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   });
 
   // Recent activities (last 10)
@@ -68,7 +96,7 @@ const getDashboard = asyncHandler(async (req, res, next) => {
     .populate('assignedTo', 'name')
     .sort('-createdAt')
     .limit(10)
-    .select('title status value expectedCloseDate');
+    .select('title status value currency convertedValue expectedCloseDate');
 
   // Lead status breakdown
   const leadStatusBreakdown = await Lead.aggregate([
@@ -77,7 +105,7 @@ const getDashboard = asyncHandler(async (req, res, next) => {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        totalValue: { $sum: '$value' }
+        totalValue: { $sum: value }
       }
     }
   ]);
@@ -89,18 +117,28 @@ const getDashboard = asyncHandler(async (req, res, next) => {
       $group: {
         _id: '$source',
         count: { $sum: 1 },
-        totalValue: { $sum: '$value' }
+        totalValue: { $sum: value }
       }
     },
     { $sort: { count: -1 } }
   ]);
 
   // Top customers by lead value
-  const topCustomers = await Customer.find(userFilter)
-    .populate('ownerId', 'name')
-    .sort('-totalLeadValue')
-    .limit(5)
-    .select('name company totalLeadValue leadsCount');
+  // ?rollup=true ranks holding companies by the combined value of their subsidiaries
+  let topCustomers;
+  if (req.query.rollup === 'true') {
+    topCustomers = await Customer.getTopRollups(userFilter, 5);
+    await Customer.populate(topCustomers, { path: 'ownerId', select: 'name' });
+    topCustomers = scaleValues(topCustomers, ['totalLeadValue', 'rollupLeadValue'], report.factor);
+  } else {
+    topCustomers = await Customer.find(userFilter)
+      .populate('ownerId', 'name')
+      .sort('-totalLeadValue')
+      .limit(5)
+      .select('name company totalLeadValue leadsCount')
+      .lean();
+    topCustomers = scaleValues(topCustomers, ['totalLeadValue'], report.factor);
+  }
 
   // Upcoming follow-ups (next 7 days)
   const upcomingFollowUps = await Lead.find({
@@ -109,7 +147,7 @@ const getDashboard = asyncHandler(async (req, res, next) => {
       $gte: new Date(),
       $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
     },
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   })
     .populate('customerId', 'name company')
     .sort('nextFollowUp')
@@ -133,15 +171,15 @@ const getDashboard = asyncHandler(async (req, res, next) => {
           month: { $month: '$createdAt' }
         },
         leadsCreated: { $sum: 1 },
-        totalValue: { $sum: '$value' },
+        totalValue: { $sum: value },
         conversions: {
           $sum: {
-            $cond: [{ $eq: ['$status', 'Converted'] }, 1, 0]
+            $cond: [{ $eq: ['$stageCategory', 'won'] }, 1, 0]
           }
         },
         conversionValue: {
           $sum: {
-            $cond: [{ $eq: ['$status', 'Converted'] }, '$value', 0]
+            $cond: [{ $eq: ['$stageCategory', 'won'] }, value, 0]
           }
         }
       }
@@ -165,6 +203,17 @@ const getDashboard = asyncHandler(async (req, res, next) => {
           as: 'leads'
         }
       },
+      // Leave out leads sitting in the trash
+      {
+        $addFields: {
+          leads: {
+            $filter: {
+              input: '$leads',
+              cond: { $not: ['$$this.deletedAt'] }
+            }
+          }
+        }
+      },
       {
         $project: {
           name: 1,
@@ -174,11 +223,11 @@ const getDashboard = asyncHandler(async (req, res, next) => {
             $size: {
               $filter: {
                 input: '$leads',
-                cond: { $eq: ['$$this.status', 'Converted'] }
+                cond: { $eq: ['$$this.stageCategory', 'won'] }
               }
             }
           },
-          totalValue: { $sum: '$leads.value' },
+          totalValue: { $multiply: [{ $sum: '$leads.convertedValue' }, report.factor] },
           conversionRate: {
             $cond: [
               { $gt: [{ $size: '$leads' }, 0] },
@@ -190,7 +239,7 @@ const getDashboard = asyncHandler(async (req, res, next) => {
                         $size: {
                           $filter: {
                             input: '$leads',
-                            cond: { $eq: ['$$this.status', 'Converted'] }
+                            cond: { $eq: ['$$this.stageCategory', 'won'] }
                           }
                         }
                       },
@@ -213,6 +262,7 @@ const getDashboard = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
+      currency: report.currency,
       overview: {
         customers: {
           total: totalCustomers,
@@ -249,19 +299,37 @@ const getDashboard = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Get sales funnel data
-// @route   GET /api/dashboard/funnel
+// @route   GET /api/dashboard/funnel?pipelineId=
 // @access  Private
 const getSalesFunnel = asyncHandler(async (req, res, next) => {
   const leadFilter = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
 
+  const pipeline = await resolvePipeline(req);
+
+  if (!pipeline) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pipeline not found'
+    });
+  }
+
+  const report = await resolveReportCurrency(req.query.currency);
+  if (report.error) {
+    return res.status(400).json({
+      success: false,
+      message: report.error
+    });
+  }
+  const value = reportValue(report.factor);
+
   const funnelData = await Lead.aggregate([
-    { $match: leadFilter },
+    { $match: { ...leadFilter, pipelineId: pipeline._id } },
     {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        totalValue: { $sum: '$value' },
-        avgValue: { $avg: '$value' }
+        totalValue: { $sum: value },
+        avgValue: { $avg: value }
       }
     },
     {
@@ -274,13 +342,13 @@ const getSalesFunnel = asyncHandler(async (req, res, next) => {
     }
   ]);
 
-  // Define the sales funnel stages in order
-  const stages = ['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Converted', 'Lost'];
-  
-  const organizedFunnel = stages.map(stage => {
-    const stageData = funnelData.find(item => item.status === stage);
+  // Funnel stages in pipeline order
+  const organizedFunnel = pipeline.stages.map(stage => {
+    const stageData = funnelData.find(item => item.status === stage.name);
     return {
-      stage,
+      stage: stage.name,
+      category: stage.category,
+      probability: stage.probability,
       count: stageData?.count || 0,
       totalValue: stageData?.totalValue || 0,
       avgValue: stageData?.avgValue || 0
@@ -290,23 +358,147 @@ const getSalesFunnel = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
+      currency: report.currency,
+      pipeline: {
+        _id: pipeline._id,
+        name: pipeline.name
+      },
       funnel: organizedFunnel
     }
   });
 });
 
+// @desc    Get stage history metrics (time in stage, backward moves, lost-from stage)
+// @route   GET /api/dashboard/stage-metrics?pipelineId=&startDate=&endDate=&assignedTo=
+// @access  Private
+const getStageMetrics = asyncHandler(async (req, res, next) => {
+  const leadFilter = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
+
+  const pipeline = await resolvePipeline(req);
+
+  if (!pipeline) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pipeline not found'
+    });
+  }
+
+  if (req.user.role === 'admin' && req.query.assignedTo) {
+    leadFilter.assignedTo = req.query.assignedTo;
+  }
+
+  // Optional range on when the lead was created
+  const filter = {
+    ...leadFilter,
+    pipelineId: pipeline._id,
+    ...buildDateRangeQuery('createdAt', req.query.startDate, req.query.endDate)
+  };
+
+  const leads = await Lead.find(filter)
+    .select('status stageCategory stageHistory')
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      pipeline: {
+        _id: pipeline._id,
+        name: pipeline.name
+      },
+      ...computeStageMetrics(leads, pipeline.stages)
+    }
+  });
+});
+
+// @desc    Get win and loss reasons by source, owner, value band and period
+// @route   GET /api/dashboard/close-reasons?type=&period=&pipelineId=&startDate=&endDate=&assignedTo=
+// @access  Private
+const getCloseReasonAnalytics = asyncHandler(async (req, res, next) => {
+  const leadFilter = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
+  const period = req.query.period || 'month';
+
+  if (!PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      message: `Period must be one of: ${PERIODS.join(', ')}`
+    });
+  }
+
+  if (req.query.type && !['won', 'lost'].includes(req.query.type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Type must be won or lost'
+    });
+  }
+
+  const report = await resolveReportCurrency(req.query.currency);
+  if (report.error) {
+    return res.status(400).json({
+      success: false,
+      message: report.error
+    });
+  }
+
+  if (req.user.role === 'admin' && req.query.assignedTo) {
+    leadFilter.assignedTo = req.query.assignedTo;
+  }
+
+  // Optional range on when the lead was closed
+  const filter = {
+    ...leadFilter,
+    stageCategory: req.query.type || { $in: ['won', 'lost'] },
+    ...(req.query.pipelineId && { pipelineId: req.query.pipelineId }),
+    ...buildDateRangeQuery('actualCloseDate', req.query.startDate, req.query.endDate)
+  };
+
+  const leads = await Lead.find(filter)
+    .select('stageCategory convertedValue source assignedTo closeReason competitor actualCloseDate')
+    .populate('closeReason', 'name type')
+    .populate('assignedTo', 'name')
+    .lean();
+
+  // Value bands and totals in the report currency
+  const reportLeads = leads.map(lead => ({ ...lead, value: (lead.convertedValue || 0) * report.factor }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      currency: report.currency,
+      period,
+      ...computeCloseReasonAnalytics(reportLeads, { period })
+    }
+  });
+});
+
 // @desc    Get revenue analytics
-// @route   GET /api/dashboard/revenue
+// @route   GET /api/dashboard/revenue?attribution=first|last
 // @access  Private
 const getRevenueAnalytics = asyncHandler(async (req, res, next) => {
   const leadFilter = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
 
+  const report = await resolveReportCurrency(req.query.currency);
+  if (report.error) {
+    return res.status(400).json({
+      success: false,
+      message: report.error
+    });
+  }
+  const value = reportValue(report.factor);
+
+  const attribution = req.query.attribution || 'first';
+  if (!ATTRIBUTION_MODELS.includes(attribution)) {
+    return res.status(400).json({
+      success: false,
+      message: `Attribution must be one of: ${ATTRIBUTION_MODELS.join(', ')}`
+    });
+  }
+
   // Monthly revenue for the last 12 months
   const monthlyRevenue = await Lead.aggregate([
     {
       $match: {
         ...leadFilter,
-        status: 'Converted',
+        stageCategory: 'won',
         actualCloseDate: {
           $gte: new Date(new Date().setMonth(new Date().getMonth() - 12))
         }
@@ -318,27 +510,66 @@ const getRevenueAnalytics = asyncHandler(async (req, res, next) => {
           year: { $year: '$actualCloseDate' },
           month: { $month: '$actualCloseDate' }
         },
-        revenue: { $sum: '$value' },
+        revenue: { $sum: value },
         deals: { $sum: 1 }
       }
     },
     { $sort: { '_id.year': 1, '_id.month': 1 } }
   ]);
 
-  // Revenue by source
+  // Revenue by source, with the share of the source's leads that were won
+  const won = { $eq: ['$stageCategory', 'won'] };
   const revenueBySource = await Lead.aggregate([
+    { $match: leadFilter },
+    {
+      $group: {
+        _id: '$source',
+        leads: { $sum: 1 },
+        revenue: { $sum: { $cond: [won, value, 0] } },
+        deals: { $sum: { $cond: [won, 1, 0] } },
+        avgDealSize: { $avg: { $cond: [won, value, null] } }
+      }
+    },
+    {
+      $addFields: {
+        avgDealSize: { $ifNull: ['$avgDealSize', 0] },
+        conversionRate: { $round: [{ $multiply: [{ $divide: ['$deals', '$leads'] }, 100] }, 1] }
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+
+  // Leads, revenue, cost per lead and ROI of each campaign
+  const revenueByCampaign = await getCampaignPerformance(leadFilter, { model: attribution, report });
+
+  // Revenue by product, from the line items of won leads
+  const revenueByProduct = await Lead.aggregate([
     {
       $match: {
         ...leadFilter,
-        status: 'Converted'
+        stageCategory: 'won'
       }
     },
+    { $unwind: '$lineItems' },
     {
       $group: {
-        _id: '$source',
-        revenue: { $sum: '$value' },
-        deals: { $sum: 1 },
-        avgDealSize: { $avg: '$value' }
+        _id: '$lineItems.productId',
+        sku: { $last: '$lineItems.sku' },
+        name: { $last: '$lineItems.name' },
+        // Line totals are in the lead currency; convert them at the lead's rate
+        revenue: { $sum: { $multiply: ['$lineItems.total', { $ifNull: ['$exchangeRate', 0] }, report.factor] } },
+        quantity: { $sum: '$lineItems.quantity' },
+        leads: { $addToSet: '$_id' }
+      }
+    },
+    {
+      $project: {
+        sku: 1,
+        name: 1,
+        revenue: 1,
+        quantity: 1,
+        deals: { $size: '$leads' },
+        avgDealRevenue: { $divide: ['$revenue', { $size: '$leads' }] }
       }
     },
     { $sort: { revenue: -1 } }
@@ -347,19 +578,19 @@ const getRevenueAnalytics = asyncHandler(async (req, res, next) => {
   // Top deals (converted)
   const topDeals = await Lead.find({
     ...leadFilter,
-    status: 'Converted'
+    stageCategory: 'won'
   })
     .populate('customerId', 'name company')
-    .sort('-value')
+    .sort('-convertedValue')
     .limit(10)
-    .select('title value actualCloseDate');
+    .select('title value currency convertedValue actualCloseDate');
 
   // Revenue forecast (weighted pipeline value)
   const forecast = await Lead.aggregate([
     {
       $match: {
         ...leadFilter,
-        status: { $nin: ['Converted', 'Lost'] }
+        stageCategory: 'open'
       }
     },
     {
@@ -368,8 +599,8 @@ const getRevenueAnalytics = asyncHandler(async (req, res, next) => {
           year: { $year: '$expectedCloseDate' },
           month: { $month: '$expectedCloseDate' }
         },
-        potentialRevenue: { $sum: '$value' },
-        weightedRevenue: { $sum: { $multiply: ['$value', { $divide: ['$probability', 100] }] } },
+        potentialRevenue: { $sum: value },
+        weightedRevenue: { $sum: { $multiply: [value, { $divide: ['$probability', 100] }] } },
         deals: { $sum: 1 }
       }
     },
@@ -380,8 +611,12 @@ const getRevenueAnalytics = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
+      currency: report.currency,
       monthlyRevenue,
+      attribution,
       revenueBySource,
+      revenueByCampaign,
+      revenueByProduct,
       topDeals,
       forecast
     }
@@ -448,6 +683,8 @@ const getActivityFeed = asyncHandler(async (req, res, next) => {
 module.exports = {
   getDashboard,
   getSalesFunnel,
+  getStageMetrics,
+  getCloseReasonAnalytics,
   getRevenueAnalytics,
   getActivityFeed
 };
@@ -0,0 +1,417 @@
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailRecipient = require('../models/EmailRecipient');
+const Segment = require('../models/Segment');
+const Customer = require('../models/Customer');
+const { asyncHandler } = require('../middleware/error');
+const { listTemplates, templateExists } = require('../utils/enhancedEmailService');
+const {
+  findSegmentCustomers,
+  countSegmentCustomers,
+  renderEmail,
+  findRecipientByToken,
+  unsubscribe
+} = require('../services/emailCampaignService');
+const {
+  getPagination,
+  buildPaginationResponse,
+  escapeHtml
+} = require('../utils/helpers');
+
+const sendEmailCampaignNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Email campaign not found'
+});
+
+// Check the template and segment of a campaign exist
+const checkCampaignLinks = async ({ template, segmentId }) => {
+  if (template && !(await templateExists(template))) {
+    return `Template "${template}" not found`;
+  }
+  if (segmentId && !(await Segment.exists({ _id: segmentId, isActive: true }))) {
+    return 'Segment not found';
+  }
+  return null;
+};
+
+// Change the status of a campaign that is in one of `from`; the campaign
+// is null when it doesn't exist or is in another status
+const transitionCampaign = (id, from, update) => EmailCampaign.findOneAndUpdate(
+  { _id: id, status: { $in: from } },
+  { $set: update },
+  { new: true }
+);
+
+const sendTransitionError = async (req, res, message) => {
+  if (!(await EmailCampaign.exists({ _id: req.params.id }))) {
+    return sendEmailCampaignNotFound(res);
+  }
+
+  res.status(400).json({
+    success: false,
+    message
+  });
+};
+
+// @desc    Get email campaigns
+// @route   GET /api/email-campaigns?status=
+// @access  Private/Admin
+const getEmailCampaigns = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const campaigns = await EmailCampaign.find(filter)
+    .populate('segmentId', 'name')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: campaigns.length,
+    data: {
+      campaigns
+    }
+  });
+});
+
+// @desc    Get templates campaigns can use
+// @route   GET /api/email-campaigns/templates
+// @access  Private/Admin
+const getEmailTemplates = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      templates: await listTemplates()
+    }
+  });
+});
+
+// @desc    Get email campaign
+// @route   GET /api/email-campaigns/:id
+// @access  Private/Admin
+const getEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await EmailCampaign.findById(req.params.id)
+    .populate('segmentId', 'name filters')
+    .populate('createdBy', 'name email');
+
+  if (!campaign) {
+    return sendEmailCampaignNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Get the recipients of an email campaign and their status
+// @route   GET /api/email-campaigns/:id/recipients?status=
+// @access  Private/Admin
+const getEmailCampaignRecipients = asyncHandler(async (req, res, next) => {
+  if (!(await EmailCampaign.exists({ _id: req.params.id }))) {
+    return sendEmailCampaignNotFound(res);
+  }
+
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  const filter = { campaignId: req.params.id };
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const [recipients, total] = await Promise.all([
+    EmailRecipient.find(filter)
+      .sort('_id')
+      .skip(skip)
+      .limit(limit),
+    EmailRecipient.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    ...buildPaginationResponse(recipients, total, page, limit)
+  });
+});
+
+// @desc    Preview an email campaign as a customer of its segment
+// @route   GET /api/email-campaigns/:id/preview?customerId=
+// @access  Private/Admin
+const previewEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await EmailCampaign.findById(req.params.id);
+
+  if (!campaign) {
+    return sendEmailCampaignNotFound(res);
+  }
+
+  const segment = await Segment.findById(campaign.segmentId);
+
+  if (!segment) {
+    return res.status(400).json({
+      success: false,
+      message: 'Segment not found'
+    });
+  }
+
+  const [customers, recipientCount] = await Promise.all([
+    req.query.customerId
+      ? Customer.find({ _id: req.query.customerId })
+      : findSegmentCustomers(segment).sort('name').limit(1),
+    countSegmentCustomers(segment)
+  ]);
+  const [customer] = customers;
+
+  if (!customer) {
+    return res.status(400).json({
+      success: false,
+      message: req.query.customerId ? 'Customer not found' : 'The segment matches no customers'
+    });
+  }
+
+  const email = await renderEmail(campaign, customer);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      customer: { _id: customer._id, name: customer.name, email: customer.email },
+      recipientCount,
+      ...email
+    }
+  });
+});
+
+// @desc    Create email campaign
+// @route   POST /api/email-campaigns
+// @access  Private/Admin
+const createEmailCampaign = asyncHandler(async (req, res, next) => {
+  const linkError = await checkCampaignLinks(req.body);
+  if (linkError) {
+    return res.status(400).json({
+      success: false,
+      message: linkError
+    });
+  }
+
+  const campaign = await EmailCampaign.create({
+    name: req.body.name,
+    subject: req.body.subject,
+    template: req.body.template,
+    variables: req.body.variables,
+    segmentId: req.body.segmentId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Email campaign created successfully',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Update email campaign
+// @route   PUT /api/email-campaigns/:id
+// @access  Private/Admin
+const updateEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await EmailCampaign.findById(req.params.id);
+
+  if (!campaign) {
+    return sendEmailCampaignNotFound(res);
+  }
+
+  if (!['draft', 'scheduled'].includes(campaign.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft or scheduled campaigns can be changed'
+    });
+  }
+
+  const linkError = await checkCampaignLinks(req.body);
+  if (linkError) {
+    return res.status(400).json({
+      success: false,
+      message: linkError
+    });
+  }
+
+  ['name', 'subject', 'template', 'variables', 'segmentId'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      campaign.set(field, req.body[field]);
+    }
+  });
+  await campaign.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Email campaign updated successfully',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Schedule email campaign
+// @route   POST /api/email-campaigns/:id/schedule
+// @access  Private/Admin
+const scheduleEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await transitionCampaign(req.params.id, ['draft', 'scheduled'], {
+    status: 'scheduled',
+    scheduledAt: new Date(req.body.scheduledAt)
+  });
+
+  if (!campaign) {
+    return sendTransitionError(req, res, 'Only draft or scheduled campaigns can be scheduled');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email campaign scheduled',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Send email campaign now
+// @route   POST /api/email-campaigns/:id/send
+// @access  Private/Admin
+const sendEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await transitionCampaign(req.params.id, ['draft', 'scheduled'], {
+    status: 'scheduled',
+    scheduledAt: new Date()
+  });
+
+  if (!campaign) {
+    return sendTransitionError(req, res, 'Only draft or scheduled campaigns can be sent');
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Email campaign queued. Sending starts within a minute.',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Cancel email campaign; recipients not sent yet are left out
+// @route   POST /api/email-campaigns/:id/cancel
+// @access  Private/Admin
+const cancelEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await transitionCampaign(req.params.id, ['draft', 'scheduled', 'sending'], {
+    status: 'cancelled',
+    completedAt: new Date()
+  });
+
+  if (!campaign) {
+    return sendTransitionError(req, res, 'Only unsent campaigns can be cancelled');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email campaign cancelled',
+    data: {
+      campaign
+    }
+  });
+});
+
+// @desc    Delete email campaign
+// @route   DELETE /api/email-campaigns/:id
+// @access  Private/Admin
+const deleteEmailCampaign = asyncHandler(async (req, res, next) => {
+  const campaign = await EmailCampaign.findById(req.params.id).select('status startedAt');
+
+  if (!campaign) {
+    return sendEmailCampaignNotFound(res);
+  }
+
+  // Sent emails keep their unsubscribe links and history
+  if (campaign.startedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot delete a campaign that started sending'
+    });
+  }
+
+  await EmailRecipient.deleteMany({ campaignId: campaign._id });
+  await campaign.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Email campaign deleted successfully',
+    data: {}
+  });
+});
+
+const unsubscribePage = (content) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Unsubscribe</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 40px;">
+  ${content}
+</body>
+</html>`;
+
+// @desc    Confirmation page of an unsubscribe link. Nothing changes until
+//          the form is posted, so link scanners don't unsubscribe anyone.
+// @route   GET /api/public/unsubscribe/:token
+// @access  Public
+const getUnsubscribePage = asyncHandler(async (req, res, next) => {
+  const recipient = await findRecipientByToken(req.params.token);
+
+  if (!recipient) {
+    return res.status(404).type('html').send(unsubscribePage('<p>Unsubscribe link is invalid</p>'));
+  }
+
+  res.status(200).type('html').send(unsubscribePage(`
+  <p>Stop receiving these emails at ${escapeHtml(recipient.email)}?</p>
+  <form method="post">
+    <button type="submit">Unsubscribe</button>
+  </form>`));
+});
+
+// @desc    Unsubscribe from campaign emails, from the confirmation page or
+//          a one-click List-Unsubscribe-Post
+// @route   POST /api/public/unsubscribe/:token
+// @access  Public
+const unsubscribeRecipient = asyncHandler(async (req, res, next) => {
+  const { error } = await unsubscribe(req.params.token, req);
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res
+      .status(error ? 404 : 200)
+      .type('html')
+      .send(unsubscribePage(`<p>${error || 'You have been unsubscribed and will not receive these emails anymore.'}</p>`));
+  }
+
+  if (error) {
+    return res.status(404).json({
+      success: false,
+      message: error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'You have been unsubscribed'
+  });
+});
+
+module.exports = {
+  getEmailCampaigns,
+  getEmailTemplates,
+  getEmailCampaign,
+  getEmailCampaignRecipients,
+  previewEmailCampaign,
+  createEmailCampaign,
+  updateEmailCampaign,
+  scheduleEmailCampaign,
+  sendEmailCampaign,
+  cancelEmailCampaign,
+  deleteEmailCampaign,
+  getUnsubscribePage,
+  unsubscribeRecipient
+};
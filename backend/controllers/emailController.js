@@ -0,0 +1,131 @@
+const path = require('path');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+const { getParticipantAddresses } = require('../utils/emailMessages');
+const {
+  parseEmail,
+  matchParticipants,
+  findLeadForCustomers,
+  logEmail,
+  isEmailLogged
+} = require('../services/emailLogService');
+
+// The uploaded .eml file, or a message posted as the raw request body
+const getEmailSource = (req) => {
+  if (req.file) {
+    const name = path.basename(req.file.originalname, path.extname(req.file.originalname)) || 'email';
+    return { buffer: req.file.buffer, originalname: `${name}.eml` };
+  }
+
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    return { buffer: req.body, originalname: 'email.eml' };
+  }
+
+  return null;
+};
+
+// Parse the request's email, sending the 400 response when there is none
+const readEmail = async (req, res) => {
+  const source = getEmailSource(req);
+
+  if (!source) {
+    res.status(400).json({
+      success: false,
+      message: 'Please upload an .eml file or post the message as message/rfc822'
+    });
+    return {};
+  }
+
+  const email = await parseEmail(source.buffer);
+
+  if (!email) {
+    res.status(400).json({
+      success: false,
+      message: 'The upload is not a valid email message'
+    });
+    return {};
+  }
+
+  return { source, email };
+};
+
+// Log the email on the lead and send the response
+const sendLoggedEmail = async (req, res, lead, { source, email, contacts }) => {
+  if (isEmailLogged(lead, email)) {
+    return res.status(409).json({
+      success: false,
+      message: 'This email is already logged on the lead'
+    });
+  }
+
+  const { activity, skippedAttachments } = await logEmail(lead, email, source, {
+    userId: req.user._id,
+    contacts
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Email logged successfully',
+    data: {
+      leadId: lead._id,
+      customerId: lead.customerId,
+      activity,
+      skippedAttachments
+    }
+  });
+};
+
+// @desc    Log an email on a lead
+// @route   POST /api/leads/:id/emails
+// @access  Private
+const logLeadEmail = asyncHandler(async (req, res, next) => {
+  const { source, email } = await readEmail(req, res);
+  if (!email) return;
+
+  let query = { _id: req.params.id };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.assignedTo = req.user._id;
+  }
+
+  const lead = await Lead.findOne(query);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const { contacts } = await matchParticipants(getParticipantAddresses(email));
+
+  await sendLoggedEmail(req, res, lead, { source, email, contacts });
+});
+
+// @desc    Log an email on the lead of the customer it was exchanged with
+// @route   POST /api/leads/emails
+// @access  Private
+const logMatchedEmail = asyncHandler(async (req, res, next) => {
+  const { source, email } = await readEmail(req, res);
+  if (!email) return;
+
+  const { customerIds, contacts } = await matchParticipants(getParticipantAddresses(email));
+  const lead = await findLeadForCustomers(customerIds, req.user);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: customerIds.length > 0
+        ? 'No lead of the matching customer was found'
+        : 'No customer or contact matches the email addresses'
+    });
+  }
+
+  await sendLoggedEmail(req, res, lead, { source, email, contacts });
+});
+
+module.exports = {
+  logLeadEmail,
+  logMatchedEmail
+};
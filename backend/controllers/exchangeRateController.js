@@ -0,0 +1,128 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { asyncHandler } = require('../middleware/error');
+const { getReportingCurrency, convertAllInBackground } = require('../services/currencyService');
+
+// Check that the currency has no other rate taking effect on the same date
+const dateTaken = (currency, effectiveDate, excludeId) => ExchangeRate.exists({
+  currency,
+  effectiveDate,
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Get exchange rates
+// @route   GET /api/exchange-rates?currency=
+// @access  Private
+const getExchangeRates = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.currency) {
+    filter.currency = req.query.currency;
+  }
+
+  const rates = await ExchangeRate.find(filter).sort('currency -effectiveDate');
+
+  res.status(200).json({
+    success: true,
+    count: rates.length,
+    data: {
+      baseCurrency: ExchangeRate.BASE_CURRENCY,
+      reportingCurrency: await getReportingCurrency(),
+      rates
+    }
+  });
+});
+
+// @desc    Create exchange rate
+// @route   POST /api/exchange-rates
+// @access  Private/Admin
+const createExchangeRate = asyncHandler(async (req, res, next) => {
+  const effectiveDate = new Date(req.body.effectiveDate);
+
+  if (await dateTaken(req.body.currency, effectiveDate)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${req.body.currency} rate already takes effect on that date`
+    });
+  }
+
+  const rate = await ExchangeRate.create({
+    ...req.body,
+    effectiveDate,
+    createdBy: req.user._id
+  });
+
+  convertAllInBackground();
+
+  res.status(201).json({
+    success: true,
+    message: 'Exchange rate created successfully',
+    data: {
+      rate
+    }
+  });
+});
+
+// @desc    Update exchange rate
+// @route   PUT /api/exchange-rates/:id
+// @access  Private/Admin
+const updateExchangeRate = asyncHandler(async (req, res, next) => {
+  const rate = await ExchangeRate.findById(req.params.id);
+
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Exchange rate not found'
+    });
+  }
+
+  if (req.body.effectiveDate && await dateTaken(rate.currency, new Date(req.body.effectiveDate), rate._id)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${rate.currency} rate already takes effect on that date`
+    });
+  }
+
+  rate.set(req.body);
+  await rate.save();
+
+  convertAllInBackground();
+
+  res.status(200).json({
+    success: true,
+    message: 'Exchange rate updated successfully',
+    data: {
+      rate
+    }
+  });
+});
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private/Admin
+const deleteExchangeRate = asyncHandler(async (req, res, next) => {
+  const rate = await ExchangeRate.findById(req.params.id);
+
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Exchange rate not found'
+    });
+  }
+
+  await rate.deleteOne();
+
+  convertAllInBackground();
+
+  res.status(200).json({
+    success: true,
+    message: 'Exchange rate deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+};
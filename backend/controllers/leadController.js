@@ -1,13 +1,36 @@
+const mongoose = require('mongoose');
 const Lead = require('../models/Lead');
 const Customer = require('../models/Customer');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
 const { asyncHandler } = require('../middleware/error');
 const {
   getPagination,
   buildPaginationResponse,
   buildSortQuery,
   buildDateRangeQuery,
-  calculateLeadScore
+  buildCustomFieldFilter,
+  applyDocumentUpdate
 } = require('../utils/helpers');
+const { leadValidation, pickValidFields } = require('../middleware/validation');
+const auditService = require('../services/auditService');
+const assignmentService = require('../services/assignmentService');
+const { resolveLineItems } = require('../services/productService');
+const { resolveReportCurrency, reportValue } = require('../services/currencyService');
+const { resolveTouch } = require('../services/campaignService');
+
+// Check that all referenced contacts belong to the lead's customer
+const contactsBelongToCustomer = async (contactIds, customerId) => {
+  if (!contactIds || contactIds.length === 0) return true;
+
+  const count = await Contact.countDocuments({
+    _id: { $in: contactIds },
+    customerId
+  });
+
+  return count === contactIds.length;
+};
 
 // @desc    Get all leads for a customer
 // @route   GET /api/customers/:customerId/leads
@@ -105,12 +128,36 @@ const getAllLeads = asyncHandler(async (req, res, next) => {
     filter.assignedTo = req.query.assignedTo;
   }
 
+  // Pipeline filter
+  if (req.query.pipelineId) {
+    filter.pipelineId = req.query.pipelineId;
+  }
+
   // Status filter
   if (req.query.status) {
     const statuses = Array.isArray(req.query.status) ? req.query.status : [req.query.status];
     filter.status = { $in: statuses };
   }
 
+  // Stage category filter (open, won, lost)
+  if (req.query.stageCategory) {
+    filter.stageCategory = req.query.stageCategory;
+  }
+
+  // Score range filter (?minScore=60&maxScore=100)
+  const minScore = parseFloat(req.query.minScore);
+  const maxScore = parseFloat(req.query.maxScore);
+  if (!Number.isNaN(minScore) || !Number.isNaN(maxScore)) {
+    filter.score = {};
+    if (!Number.isNaN(minScore)) filter.score.$gte = minScore;
+    if (!Number.isNaN(maxScore)) filter.score.$lte = maxScore;
+  }
+
+  // Win or loss reason filter
+  if (req.query.closeReason) {
+    filter.closeReason = req.query.closeReason;
+  }
+
   // Priority filter
   if (req.query.priority) {
     filter.priority = req.query.priority;
@@ -139,7 +186,13 @@ const getAllLeads = asyncHandler(async (req, res, next) => {
   // Overdue filter
   if (req.query.overdue === 'true') {
     filter.expectedCloseDate = { $lt: new Date() };
-    filter.status = { $nin: ['Converted', 'Lost'] };
+    filter.stageCategory = 'open';
+  }
+
+  // Custom field filters (?cf[key]=value)
+  if (req.query.cf) {
+    const definitions = await CustomFieldDefinition.getActive('Lead');
+    filter = { ...filter, ...buildCustomFieldFilter(req.query.cf, definitions) };
   }
 
   // Execute query
@@ -170,7 +223,10 @@ const getLead = asyncHandler(async (req, res, next) => {
   let query = Lead.findById(req.params.id)
     .populate('customerId', 'name company email phone')
     .populate('assignedTo', 'name email')
-    .populate('activities.userId', 'name email');
+    .populate('contacts', 'name title email phone role isPrimary')
+    .populate('activities.userId', 'name email')
+    .populate('stageHistory.changedBy', 'name email')
+    .populate('closeReason', 'name type');
 
   // Role-based access control
   if (req.user.role !== 'admin') {
@@ -186,16 +242,10 @@ const getLead = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Calculate lead score
-  const leadScore = calculateLeadScore(lead);
-
   res.status(200).json({
     success: true,
     data: {
-      lead: {
-        ...lead.toObject(),
-        leadScore
-      }
+      lead
     }
   });
 });
@@ -223,16 +273,61 @@ const createLead = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Add customer and assigned user to lead data
+  if (!(await contactsBelongToCustomer(req.body.contacts, customer._id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'All contacts must belong to the lead\'s customer'
+    });
+  }
+
+  if (req.body.lineItems) {
+    const currency = req.body.currency || Lead.schema.path('currency').defaultValue;
+    const { lineItems, error } = await resolveLineItems(req.body.lineItems, currency);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.lineItems = lineItems;
+  }
+
+  // Touches are only set from a campaign or UTM parameters
+  delete req.body.firstTouch;
+  delete req.body.lastTouch;
+
+  if (req.body.campaignId || req.body.utm) {
+    const { touch, error } = await resolveTouch(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    req.body.firstTouch = touch;
+    req.body.lastTouch = touch;
+  }
+
+  // Leads without an assignee are routed by the assignment rules and fall
+  // back to the creator when no rule applies
+  const routing = req.body.assignedTo ? null : await assignmentService.routeLead(req.body, customer);
+
   req.body.customerId = customerId;
-  req.body.assignedTo = req.body.assignedTo || req.user._id;
+  req.body.assignedTo = req.body.assignedTo || (routing ? routing.userId : req.user._id);
 
-  const lead = await Lead.create(req.body);
+  const lead = new Lead(req.body);
+  lead.$locals.changedBy = req.user._id;
+  await lead.save();
+  await auditService.logCreate('Lead', lead, req);
+  await assignmentService.recordAssignment(lead, { routing, req });
 
   // Populate the created lead
   await lead.populate([
     { path: 'customerId', select: 'name company email' },
-    { path: 'assignedTo', select: 'name email' }
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'contacts', select: 'name title email phone role isPrimary' }
   ]);
 
   res.status(201).json({
@@ -255,18 +350,7 @@ const updateLead = asyncHandler(async (req, res, next) => {
     query.assignedTo = req.user._id;
   }
 
-  const lead = await Lead.findOneAndUpdate(
-    query,
-    req.body,
-    {
-      new: true,
-      runValidators: true
-    }
-  ).populate([
-    { path: 'customerId', select: 'name company email' },
-    { path: 'assignedTo', select: 'name email' },
-    { path: 'activities.userId', select: 'name email' }
-  ]);
+  const lead = await Lead.findOne(query);
 
   if (!lead) {
     return res.status(404).json({
@@ -275,6 +359,46 @@ const updateLead = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Only fields a client may edit are applied; stage history, quotes,
+  // attachments, scores and touches are kept up to date by the server
+  const updates = pickValidFields(leadValidation.update, req.body);
+
+  // Contacts must belong to the lead's customer
+  if (updates.contacts && !(await contactsBelongToCustomer(updates.contacts, lead.customerId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'All contacts must belong to the lead\'s customer'
+    });
+  }
+
+  // Line items are checked against the catalog again when the currency changes
+  if (updates.lineItems || (updates.currency && lead.lineItems.length > 0)) {
+    const items = updates.lineItems || lead.lineItems.map(item => item.toObject());
+    const { lineItems, error } = await resolveLineItems(items, updates.currency || lead.currency, lead.lineItems);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    updates.lineItems = lineItems;
+  }
+
+  const before = auditService.snapshot(lead);
+
+  applyDocumentUpdate(lead, updates);
+  lead.$locals.changedBy = req.user._id;
+  await lead.save();
+
+  await auditService.logUpdate('Lead', before, lead, req);
+  await lead.populate([
+    { path: 'customerId', select: 'name company email' },
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'contacts', select: 'name title email phone role isPrimary' },
+    { path: 'activities.userId', select: 'name email' }
+  ]);
+
   res.status(200).json({
     success: true,
     message: 'Lead updated successfully',
@@ -295,7 +419,7 @@ const deleteLead = asyncHandler(async (req, res, next) => {
     query.assignedTo = req.user._id;
   }
 
-  const lead = await Lead.findOneAndDelete(query);
+  const lead = await Lead.findOne(query);
 
   if (!lead) {
     return res.status(404).json({
@@ -304,9 +428,13 @@ const deleteLead = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Post-save hook refreshes the customer's lead statistics
+  await lead.softDelete(req.user._id);
+  await auditService.logAction('Lead', 'delete', [lead._id], req);
+
   res.status(200).json({
     success: true,
-    message: 'Lead deleted successfully',
+    message: 'Lead moved to trash',
     data: {}
   });
 });
@@ -360,14 +488,32 @@ const getLeadStats = asyncHandler(async (req, res, next) => {
   // Build match query based on user role
   const matchQuery = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
 
+  // Pipeline filter
+  const pipelineId = req.query.pipelineId && mongoose.isValidObjectId(req.query.pipelineId)
+    ? new mongoose.Types.ObjectId(req.query.pipelineId)
+    : null;
+  if (pipelineId) {
+    matchQuery.pipelineId = pipelineId;
+  }
+
+  // Values are reported in the reporting currency or ?currency=
+  const report = await resolveReportCurrency(req.query.currency);
+  if (report.error) {
+    return res.status(400).json({
+      success: false,
+      message: report.error
+    });
+  }
+  const value = reportValue(report.factor);
+
   // Get basic stats
   const totalLeads = await Lead.countDocuments(matchQuery);
   const openLeads = await Lead.countDocuments({
     ...matchQuery,
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   });
-  const convertedLeads = await Lead.countDocuments({ ...matchQuery, status: 'Converted' });
-  const lostLeads = await Lead.countDocuments({ ...matchQuery, status: 'Lost' });
+  const convertedLeads = await Lead.countDocuments({ ...matchQuery, stageCategory: 'won' });
+  const lostLeads = await Lead.countDocuments({ ...matchQuery, stageCategory: 'lost' });
 
   // Get leads added this month
   const thisMonth = new Date();
@@ -383,27 +529,27 @@ const getLeadStats = asyncHandler(async (req, res, next) => {
   const overdueLeads = await Lead.countDocuments({
     ...matchQuery,
     expectedCloseDate: { $lt: new Date() },
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   });
 
   // Get conversion rate
   const conversionRate = totalLeads > 0 ? Math.round((convertedLeads / totalLeads) * 100) : 0;
 
   // Get status breakdown with values
-  const statusStats = await Lead.getStats(req.user.role === 'admin' ? null : req.user._id);
+  const statusStats = await Lead.getStats(req.user.role === 'admin' ? null : req.user._id, pipelineId, report.factor);
 
   // Get conversion funnel
-  const conversionFunnel = await Lead.getConversionFunnel(req.user.role === 'admin' ? null : req.user._id);
+  const conversionFunnel = await Lead.getConversionFunnel(req.user.role === 'admin' ? null : req.user._id, pipelineId);
 
   // Get top leads by value
   const topLeads = await Lead.find({
     ...matchQuery,
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   })
     .populate('customerId', 'name company')
-    .sort('-value')
+    .sort('-convertedValue')
     .limit(5)
-    .select('title value probability status expectedCloseDate');
+    .select('title value currency convertedValue probability status expectedCloseDate');
 
   // Get leads by source
   const leadsBySource = await Lead.aggregate([
@@ -412,8 +558,8 @@ const getLeadStats = asyncHandler(async (req, res, next) => {
       $group: {
         _id: '$source',
         count: { $sum: 1 },
-        totalValue: { $sum: '$value' },
-        avgValue: { $avg: '$value' }
+        totalValue: { $sum: value },
+        avgValue: { $avg: value }
       }
     },
     { $sort: { count: -1 } }
@@ -429,10 +575,10 @@ const getLeadStats = asyncHandler(async (req, res, next) => {
           month: { $month: '$createdAt' }
         },
         leads: { $sum: 1 },
-        value: { $sum: '$value' },
+        value: { $sum: value },
         conversions: {
           $sum: {
-            $cond: [{ $eq: ['$status', 'Converted'] }, 1, 0]
+            $cond: [{ $eq: ['$stageCategory', 'won'] }, 1, 0]
           }
         }
       }
@@ -444,6 +590,7 @@ const getLeadStats = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: {
+      currency: report.currency,
       overview: {
         totalLeads,
         openLeads,
@@ -462,20 +609,67 @@ const getLeadStats = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get overdue leads
+// @desc    Record a marketing touch on a lead
+// @route   POST /api/leads/:id/touches
+// @access  Private
+const addLeadTouch = asyncHandler(async (req, res, next) => {
+  let query = { _id: req.params.id };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.assignedTo = req.user._id;
+  }
+
+  const lead = await Lead.findOne(query);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const { touch, error } = await resolveTouch(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const before = auditService.snapshot(lead);
+  lead.recordTouch(touch);
+  lead.$locals.changedBy = req.user._id;
+  await lead.save();
+  await auditService.logUpdate('Lead', before, lead, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Touch recorded successfully',
+    data: {
+      firstTouch: lead.firstTouch,
+      lastTouch: lead.lastTouch
+    }
+  });
+});
+
+// @desc    Get overdue leads (past their expected close date, or with
+//          ?type=followUp past their next follow-up)
 // @route   GET /api/leads/overdue
 // @access  Private
 const getOverdueLeads = asyncHandler(async (req, res, next) => {
   const matchQuery = req.user.role === 'admin' ? {} : { assignedTo: req.user._id };
+  const dateField = req.query.type === 'followUp' ? 'nextFollowUp' : 'expectedCloseDate';
 
   const overdueLeads = await Lead.find({
     ...matchQuery,
-    expectedCloseDate: { $lt: new Date() },
-    status: { $nin: ['Converted', 'Lost'] }
+    [dateField]: { $lt: new Date() },
+    stageCategory: 'open'
   })
     .populate('customerId', 'name company email')
     .populate('assignedTo', 'name email')
-    .sort('expectedCloseDate')
+    .sort(dateField)
     .limit(50);
 
   res.status(200).json({
@@ -487,11 +681,114 @@ const getOverdueLeads = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get field-level change history of a lead
+// @route   GET /api/leads/:id/history
+// @access  Private
+const getLeadHistory = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  let query = { _id: req.params.id };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    query.assignedTo = req.user._id;
+  }
+
+  // History stays available while the lead is in the trash
+  const lead = await Lead.findOne(query).setOptions({ withDeleted: true }).select('_id');
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const { logs, total } = await auditService.findLogs(
+    auditService.buildAuditFilter({ ...req.query, entityType: 'Lead', entityId: lead._id }),
+    { skip, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    ...buildPaginationResponse(logs, total, page, limit)
+  });
+});
+
+// @desc    Assign lead to a user, or route it with the assignment rules
+//          when no user is given
+// @route   POST /api/leads/:id/assign
+// @access  Private/Admin
+const assignLead = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findById(req.params.id);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  let routing = null;
+  let assigneeId = req.body.assignedTo;
+
+  if (assigneeId) {
+    const assignee = await User.findOne({ _id: assigneeId, isActive: true });
+
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee not found or inactive'
+      });
+    }
+  } else {
+    const customer = await Customer.findById(lead.customerId).setOptions({ withDeleted: true });
+    routing = await assignmentService.routeLead(lead, customer);
+
+    if (!routing) {
+      return res.status(400).json({
+        success: false,
+        message: 'No assignment rule matches this lead'
+      });
+    }
+    assigneeId = routing.userId;
+  }
+
+  const previousUserId = lead.assignedTo;
+
+  if (previousUserId.toString() !== assigneeId.toString()) {
+    lead.assignedTo = assigneeId;
+    lead.$locals.changedBy = req.user._id;
+    await lead.save();
+    await assignmentService.recordAssignment(lead, { previousUserId, routing, req });
+  }
+
+  await lead.populate([
+    { path: 'customerId', select: 'name company email' },
+    { path: 'assignedTo', select: 'name email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Lead assigned successfully',
+    data: {
+      lead,
+      ...(routing && {
+        rule: {
+          _id: routing.rule._id,
+          name: routing.rule.name,
+          strategy: routing.rule.strategy
+        }
+      })
+    }
+  });
+});
+
 // @desc    Update lead status
 // @route   PATCH /api/leads/:id/status
 // @access  Private
 const updateLeadStatus = asyncHandler(async (req, res, next) => {
-  const { status } = req.body;
+  const { status, closeReason, competitor } = req.body;
 
   if (!status) {
     return res.status(400).json({
@@ -507,14 +804,7 @@ const updateLeadStatus = asyncHandler(async (req, res, next) => {
     query.assignedTo = req.user._id;
   }
 
-  const lead = await Lead.findOneAndUpdate(
-    query,
-    { status },
-    { new: true, runValidators: true }
-  ).populate([
-    { path: 'customerId', select: 'name company email' },
-    { path: 'assignedTo', select: 'name email' }
-  ]);
+  const lead = await Lead.findOne(query);
 
   if (!lead) {
     return res.status(404).json({
@@ -523,6 +813,27 @@ const updateLeadStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
+  const before = auditService.snapshot(lead);
+
+  // Saving checks the stage rules and runs the status hooks (probability,
+  // close date); a rejected move surfaces as a 422
+  lead.status = status;
+  if (closeReason !== undefined) {
+    lead.closeReason = closeReason;
+  }
+  if (competitor !== undefined) {
+    lead.competitor = competitor;
+  }
+  lead.$locals.changedBy = req.user._id;
+  await lead.save();
+
+  await auditService.logUpdate('Lead', before, lead, req);
+  await lead.populate([
+    { path: 'customerId', select: 'name company email' },
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'closeReason', select: 'name type' }
+  ]);
+
   res.status(200).json({
     success: true,
     message: 'Lead status updated successfully',
@@ -542,5 +853,8 @@ module.exports = {
   addActivity,
   getLeadStats,
   getOverdueLeads,
-  updateLeadStatus
+  getLeadHistory,
+  assignLead,
+  updateLeadStatus,
+  addLeadTouch
 };
@@ -0,0 +1,87 @@
+const Notification = require('../models/Notification');
+const { asyncHandler } = require('../middleware/error');
+const {
+  getPagination,
+  buildPaginationResponse
+} = require('../utils/helpers');
+
+// @desc    Get my notifications, newest first
+// @route   GET /api/notifications?unread=true
+// @access  Private
+const getNotifications = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  const filter = { userId: req.user._id };
+
+  if (req.query.unread === 'true') {
+    filter.readAt = null;
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ userId: req.user._id, readAt: null })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    unreadCount,
+    ...buildPaginationResponse(notifications, total, page, limit)
+  });
+});
+
+// @desc    Mark notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user._id },
+    [{ $set: { readAt: { $ifNull: ['$readAt', new Date()] } } }],
+    { new: true }
+  );
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as read',
+    data: {
+      notification
+    }
+  });
+});
+
+// @desc    Mark all my notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { userId: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked as read`,
+    data: {
+      modifiedCount: result.modifiedCount
+    }
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
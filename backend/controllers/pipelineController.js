@@ -0,0 +1,198 @@
+const Pipeline = require('../models/Pipeline');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+const { syncStageCategories, renameStages } = require('../services/pipelineService');
+
+// Leads in a pipeline (optionally in one stage), including the trash
+const countLeads = (pipelineId, status) => Lead.countDocuments({
+  pipelineId,
+  ...(status && { status })
+}).setOptions({ withDeleted: true });
+
+// @desc    Get pipelines
+// @route   GET /api/pipelines
+// @access  Private
+const getPipelines = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  // Inactive pipelines are only listed for admins
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const pipelines = await Pipeline.find(filter).sort({ isDefault: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: pipelines.length,
+    data: {
+      pipelines
+    }
+  });
+});
+
+// @desc    Get single pipeline
+// @route   GET /api/pipelines/:id
+// @access  Private
+const getPipeline = asyncHandler(async (req, res, next) => {
+  const pipeline = await Pipeline.findById(req.params.id);
+
+  if (!pipeline) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pipeline not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      pipeline
+    }
+  });
+});
+
+// @desc    Create pipeline
+// @route   POST /api/pipelines
+// @access  Private/Admin
+const createPipeline = asyncHandler(async (req, res, next) => {
+  const existing = await Pipeline.findOne({ name: req.body.name });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'A pipeline with this name already exists'
+    });
+  }
+
+  const pipeline = await Pipeline.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Pipeline created successfully',
+    data: {
+      pipeline
+    }
+  });
+});
+
+// @desc    Update pipeline; stages keep their leads when renamed (matched by _id)
+// @route   PUT /api/pipelines/:id
+// @access  Private/Admin
+const updatePipeline = asyncHandler(async (req, res, next) => {
+  const pipeline = await Pipeline.findById(req.params.id);
+
+  if (!pipeline) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pipeline not found'
+    });
+  }
+
+  if (req.body.name && req.body.name !== pipeline.name) {
+    const existing = await Pipeline.findOne({ name: req.body.name, _id: { $ne: pipeline._id } });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pipeline with this name already exists'
+      });
+    }
+  }
+
+  if (pipeline.isDefault && (req.body.isDefault === false || req.body.isActive === false)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The default pipeline cannot be unset or deactivated. Make another pipeline the default first.'
+    });
+  }
+
+  let renames = [];
+
+  if (req.body.stages) {
+    const stagesById = new Map(pipeline.stages.map(stage => [stage._id.toString(), stage]));
+
+    renames = req.body.stages
+      .filter(stage => stage._id && stagesById.has(stage._id))
+      .map(stage => ({ id: stage._id, from: stagesById.get(stage._id).name, to: stage.name }));
+
+    // Removed stages must not hold any leads
+    const keptNames = new Set(req.body.stages.map(stage => stage.name));
+    const renamedFrom = new Set(renames.map(rename => rename.from));
+    const removed = pipeline.stages.filter(stage => !renamedFrom.has(stage.name) && !keptNames.has(stage.name));
+
+    for (const stage of removed) {
+      const leadsInStage = await countLeads(pipeline._id, stage.name);
+
+      if (leadsInStage > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Stage "${stage.name}" still has ${leadsInStage} lead(s). Move them to another stage first.`
+        });
+      }
+    }
+  }
+
+  pipeline.set(req.body);
+  await pipeline.save();
+
+  await renameStages(pipeline._id, renames);
+  await syncStageCategories(pipeline);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pipeline updated successfully',
+    data: {
+      pipeline
+    }
+  });
+});
+
+// @desc    Delete pipeline
+// @route   DELETE /api/pipelines/:id
+// @access  Private/Admin
+const deletePipeline = asyncHandler(async (req, res, next) => {
+  const pipeline = await Pipeline.findById(req.params.id);
+
+  if (!pipeline) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pipeline not found'
+    });
+  }
+
+  if (pipeline.isDefault) {
+    return res.status(400).json({
+      success: false,
+      message: 'The default pipeline cannot be deleted'
+    });
+  }
+
+  const leadsCount = await countLeads(pipeline._id);
+
+  if (leadsCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete pipeline. It has ${leadsCount} lead(s). Move them to another pipeline or deactivate it instead.`
+    });
+  }
+
+  await pipeline.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Pipeline deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+};
@@ -0,0 +1,174 @@
+const Product = require('../models/Product');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+const {
+  sanitizeSearchQuery,
+  getPagination,
+  buildPaginationResponse,
+  buildSortQuery
+} = require('../utils/helpers');
+
+// Check that no other product uses the SKU
+const skuTaken = (sku, excludeId) => Product.exists({
+  sku: sku.trim().toUpperCase(),
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @desc    Get products
+// @route   GET /api/products
+// @access  Private
+const getProducts = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  const sort = buildSortQuery(req.query.sort || 'name');
+  const filter = {};
+
+  if (req.query.q) {
+    const searchRegex = { $regex: sanitizeSearchQuery(req.query.q), $options: 'i' };
+    filter.$or = [
+      { name: searchRegex },
+      { sku: searchRegex }
+    ];
+  }
+
+  if (req.query.currency) {
+    filter.currency = req.query.currency;
+  }
+
+  // Inactive products are only listed for admins
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const products = await Product.find(filter)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Product.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    ...buildPaginationResponse(products, total, page, limit)
+  });
+});
+
+// @desc    Get single product
+// @route   GET /api/products/:id
+// @access  Private
+const getProduct = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Create product
+// @route   POST /api/products
+// @access  Private/Admin
+const createProduct = asyncHandler(async (req, res, next) => {
+  if (await skuTaken(req.body.sku)) {
+    return res.status(400).json({
+      success: false,
+      message: `A product with SKU "${req.body.sku}" already exists`
+    });
+  }
+
+  const product = await Product.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Update product
+// @route   PUT /api/products/:id
+// @access  Private/Admin
+const updateProduct = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  if (req.body.sku && await skuTaken(req.body.sku, product._id)) {
+    return res.status(400).json({
+      success: false,
+      message: `A product with SKU "${req.body.sku}" already exists`
+    });
+  }
+
+  // Existing line items keep the price they were quoted at
+  product.set(req.body);
+  await product.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Product updated successfully',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Delete product
+// @route   DELETE /api/products/:id
+// @access  Private/Admin
+const deleteProduct = asyncHandler(async (req, res, next) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  // Products quoted on leads stay for reporting
+  const leadsCount = await Lead.countDocuments({ 'lineItems.productId': product._id })
+    .setOptions({ withDeleted: true });
+
+  if (leadsCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete product. It is on ${leadsCount} lead(s). Deactivate it instead.`
+    });
+  }
+
+  await product.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Product deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct
+};
@@ -0,0 +1,146 @@
+const Lead = require('../models/Lead');
+const Customer = require('../models/Customer');
+const { asyncHandler } = require('../middleware/error');
+const auditService = require('../services/auditService');
+const quoteService = require('../services/quoteService');
+const {
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  DEFAULT_QUOTE_TERMS,
+  canChangeQuoteStatus
+} = require('../utils/quotes');
+
+const defaultValidUntil = () => {
+  const days = parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || DEFAULT_QUOTE_VALIDITY_DAYS;
+  const validUntil = new Date();
+  validUntil.setDate(validUntil.getDate() + days);
+  return validUntil;
+};
+
+// @desc    Get lead quotes
+// @route   GET /api/leads/:id/quotes
+// @access  Private
+const getQuotes = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user)
+    .select('quotes')
+    .populate('quotes.createdBy', 'name email');
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const quotes = [...lead.quotes].sort((a, b) => b.version - a.version);
+
+  res.status(200).json({
+    success: true,
+    count: quotes.length,
+    data: {
+      quotes
+    }
+  });
+});
+
+// @desc    Generate a new quote version as PDF
+// @route   POST /api/leads/:id/quotes
+// @access  Private
+const createQuote = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const customer = await Customer.findById(lead.customerId);
+
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+  }
+
+  const quote = await quoteService.createQuote(lead, customer, {
+    validUntil: req.body.validUntil ? new Date(req.body.validUntil) : defaultValidUntil(),
+    terms: req.body.terms !== undefined ? req.body.terms : (process.env.QUOTE_TERMS || DEFAULT_QUOTE_TERMS)
+  }, req.user._id);
+
+  if (!quote) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another quote was created for this lead at the same time. Please try again.'
+    });
+  }
+
+  await auditService.logAction('Lead', 'update', [lead._id], req, {
+    changes: [{ field: 'quotes', oldValue: null, newValue: quote.number }]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Quote created successfully',
+    data: {
+      quote
+    }
+  });
+});
+
+// @desc    Change quote status
+// @route   PATCH /api/leads/:id/quotes/:quoteId/status
+// @access  Private
+const updateQuoteStatus = asyncHandler(async (req, res, next) => {
+  const lead = await Lead.findAccessible(req.params.id, req.user).select('quotes');
+  const quote = lead && lead.quotes.id(req.params.quoteId);
+
+  if (!quote) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quote not found'
+    });
+  }
+
+  const { status } = req.body;
+
+  if (!canChangeQuoteStatus(quote.status, status)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${quote.status} quote cannot be marked as ${status}`
+    });
+  }
+
+  // Only apply the change if nobody changed the status in the meantime
+  const updated = await Lead.findOneAndUpdate(
+    { _id: lead._id, quotes: { $elemMatch: { _id: quote._id, status: quote.status } } },
+    { $set: { 'quotes.$.status': status, 'quotes.$.statusChangedAt': new Date() } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: 'The quote status was changed by someone else. Please reload and try again.'
+    });
+  }
+
+  await auditService.logAction('Lead', 'update', [lead._id], req, {
+    changes: [{ field: `quotes.${quote.number}.status`, oldValue: quote.status, newValue: status }]
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote status updated successfully',
+    data: {
+      quote: updated.quotes.id(quote._id)
+    }
+  });
+});
+
+module.exports = {
+  getQuotes,
+  createQuote,
+  updateQuoteStatus
+};
@@ -0,0 +1,119 @@
+const ScoringRule = require('../models/ScoringRule');
+const { asyncHandler } = require('../middleware/error');
+const { rescoreLeads, rescoreAllInBackground } = require('../services/scoringService');
+
+// @desc    Get lead scoring rules
+// @route   GET /api/scoring/rules
+// @access  Private
+const getScoringRules = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  // Inactive rules are only listed for admins
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  const rules = await ScoringRule.find(filter).sort('order name');
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: {
+      rules
+    }
+  });
+});
+
+// @desc    Create lead scoring rule
+// @route   POST /api/scoring/rules
+// @access  Private/Admin
+const createScoringRule = asyncHandler(async (req, res, next) => {
+  const rule = await ScoringRule.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  rescoreAllInBackground();
+
+  res.status(201).json({
+    success: true,
+    message: 'Scoring rule created successfully. Lead scores are being recalculated.',
+    data: {
+      rule
+    }
+  });
+});
+
+// @desc    Update lead scoring rule
+// @route   PUT /api/scoring/rules/:id
+// @access  Private/Admin
+const updateScoringRule = asyncHandler(async (req, res, next) => {
+  const rule = await ScoringRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scoring rule not found'
+    });
+  }
+
+  rule.set(req.body);
+  await rule.save();
+
+  rescoreAllInBackground();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scoring rule updated successfully. Lead scores are being recalculated.',
+    data: {
+      rule
+    }
+  });
+});
+
+// @desc    Delete lead scoring rule
+// @route   DELETE /api/scoring/rules/:id
+// @access  Private/Admin
+const deleteScoringRule = asyncHandler(async (req, res, next) => {
+  const rule = await ScoringRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scoring rule not found'
+    });
+  }
+
+  await rule.deleteOne();
+
+  rescoreAllInBackground();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scoring rule deleted successfully. Lead scores are being recalculated.',
+    data: {}
+  });
+});
+
+// @desc    Recalculate the score of every lead
+// @route   POST /api/scoring/recalculate
+// @access  Private/Admin
+const recalculateScores = asyncHandler(async (req, res, next) => {
+  const { rescored } = await rescoreLeads({});
+
+  res.status(200).json({
+    success: true,
+    message: `Recalculated the score of ${rescored} lead(s)`,
+    data: {
+      rescored
+    }
+  });
+});
+
+module.exports = {
+  getScoringRules,
+  createScoringRule,
+  updateScoringRule,
+  deleteScoringRule,
+  recalculateScores
+};
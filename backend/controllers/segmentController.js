@@ -0,0 +1,130 @@
+const Segment = require('../models/Segment');
+const EmailCampaign = require('../models/EmailCampaign');
+const { asyncHandler } = require('../middleware/error');
+const { findSegmentCustomers, countSegmentCustomers } = require('../services/emailCampaignService');
+
+const sendSegmentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Segment not found'
+});
+
+// @desc    Get segments
+// @route   GET /api/segments
+// @access  Private/Admin
+const getSegments = asyncHandler(async (req, res, next) => {
+  const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+  const segments = await Segment.find(filter).sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: segments.length,
+    data: {
+      segments
+    }
+  });
+});
+
+// @desc    Get segment with the number of customers it matches
+// @route   GET /api/segments/:id
+// @access  Private/Admin
+const getSegment = asyncHandler(async (req, res, next) => {
+  const segment = await Segment.findById(req.params.id);
+
+  if (!segment) {
+    return sendSegmentNotFound(res);
+  }
+
+  const [customerCount, sample] = await Promise.all([
+    countSegmentCustomers(segment),
+    findSegmentCustomers(segment).sort('name').limit(10)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      segment,
+      customerCount,
+      sample
+    }
+  });
+});
+
+// @desc    Create segment
+// @route   POST /api/segments
+// @access  Private/Admin
+const createSegment = asyncHandler(async (req, res, next) => {
+  const segment = await Segment.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Segment created successfully',
+    data: {
+      segment
+    }
+  });
+});
+
+// @desc    Update segment
+// @route   PUT /api/segments/:id
+// @access  Private/Admin
+const updateSegment = asyncHandler(async (req, res, next) => {
+  const segment = await Segment.findById(req.params.id);
+
+  if (!segment) {
+    return sendSegmentNotFound(res);
+  }
+
+  segment.set(req.body);
+  await segment.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Segment updated successfully',
+    data: {
+      segment
+    }
+  });
+});
+
+// @desc    Delete segment
+// @route   DELETE /api/segments/:id
+// @access  Private/Admin
+const deleteSegment = asyncHandler(async (req, res, next) => {
+  const segment = await Segment.findById(req.params.id);
+
+  if (!segment) {
+    return sendSegmentNotFound(res);
+  }
+
+  const campaignsCount = await EmailCampaign.countDocuments({
+    segmentId: segment._id,
+    status: { $in: ['draft', 'scheduled', 'sending'] }
+  });
+
+  if (campaignsCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete segment. ${campaignsCount} unsent email campaign(s) use it.`
+    });
+  }
+
+  await segment.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Segment deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment
+};
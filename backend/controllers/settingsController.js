@@ -0,0 +1,51 @@
+const CompanySetting = require('../models/CompanySetting');
+const { asyncHandler } = require('../middleware/error');
+const { convertAllInBackground } = require('../services/currencyService');
+
+// @desc    Get company settings
+// @route   GET /api/settings
+// @access  Private
+const getSettings = asyncHandler(async (req, res, next) => {
+  const settings = await CompanySetting.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      settings
+    }
+  });
+});
+
+// @desc    Update company settings
+// @route   PUT /api/settings
+// @access  Private/Admin
+const updateSettings = asyncHandler(async (req, res, next) => {
+  const settings = await CompanySetting.getSettings();
+  const currencyChanged = req.body.reportingCurrency && req.body.reportingCurrency !== settings.reportingCurrency;
+
+  settings.set({
+    ...req.body,
+    updatedBy: req.user._id
+  });
+  await settings.save();
+
+  // Lead values are stored in the reporting currency
+  if (currencyChanged) {
+    convertAllInBackground();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: currencyChanged
+      ? 'Settings updated successfully. Lead values are being converted to the new reporting currency.'
+      : 'Settings updated successfully',
+    data: {
+      settings
+    }
+  });
+});
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
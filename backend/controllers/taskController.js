@@ -0,0 +1,335 @@
+const Task = require('../models/Task');
+const Lead = require('../models/Lead');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/error');
+const {
+  getPagination,
+  buildPaginationResponse,
+  buildSortQuery,
+  buildDateRangeQuery
+} = require('../utils/helpers');
+const { getDayBounds, bucketTasks } = require('../utils/taskBuckets');
+
+const TASK_POPULATE = [
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'createdBy', select: 'name email' },
+  { path: 'customerId', select: 'name company' },
+  { path: 'leadId', select: 'title status' }
+];
+
+// Tasks a user may see and change: admins all, others those assigned to or created by them
+const taskAccessFilter = (req) => (
+  req.user.role === 'admin'
+    ? {}
+    : { $or: [{ assignedTo: req.user._id }, { createdBy: req.user._id }] }
+);
+
+// Check the lead and customer a task links to. A lead link also sets the
+// customer. Returns { links } or { status, message }.
+const resolveTaskLinks = async (req, { leadId, customerId }) => {
+  const isAdmin = req.user.role === 'admin';
+  const links = {};
+
+  if (leadId) {
+    const lead = await Lead.findOne({ _id: leadId, ...(!isAdmin && { assignedTo: req.user._id }) })
+      .select('customerId');
+
+    if (!lead) {
+      return { status: 404, message: 'Lead not found' };
+    }
+    if (customerId && customerId.toString() !== lead.customerId.toString()) {
+      return { status: 400, message: 'The lead belongs to another customer' };
+    }
+
+    links.leadId = lead._id;
+    links.customerId = lead.customerId;
+    return { links };
+  }
+
+  if (customerId) {
+    const customer = await Customer.findOne({ _id: customerId, ...(!isAdmin && { ownerId: req.user._id }) })
+      .select('_id');
+
+    if (!customer) {
+      return { status: 404, message: 'Customer not found' };
+    }
+
+    links.customerId = customer._id;
+  }
+
+  return { links };
+};
+
+// Check the assignee: users assign tasks to themselves, admins to any active user
+const checkAssignee = async (req, assignedTo) => {
+  if (req.user.role !== 'admin') {
+    return assignedTo.toString() === req.user._id.toString()
+      ? null
+      : { status: 403, message: 'Not authorized to assign tasks to other users' };
+  }
+
+  const user = await User.findOne({ _id: assignedTo, isActive: true }).select('_id');
+  return user ? null : { status: 400, message: 'Assignee must be an active user' };
+};
+
+// @desc    Get tasks
+// @route   GET /api/tasks
+// @access  Private
+const getTasks = asyncHandler(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query.page, req.query.limit);
+  const sort = buildSortQuery(req.query.sort || 'dueDate');
+
+  const filter = {
+    ...taskAccessFilter(req),
+    ...buildDateRangeQuery('dueDate', req.query.startDate, req.query.endDate)
+  };
+
+  if (req.query.completed !== undefined) {
+    filter.completed = req.query.completed === 'true';
+  }
+  if (req.query.priority) {
+    filter.priority = req.query.priority;
+  }
+  if (req.query.leadId) {
+    filter.leadId = req.query.leadId;
+  }
+  if (req.query.customerId) {
+    filter.customerId = req.query.customerId;
+  }
+  if (req.query.assignedTo) {
+    filter.assignedTo = req.query.assignedTo;
+  }
+
+  const tasks = await Task.find(filter)
+    .populate(TASK_POPULATE)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Task.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: tasks.length,
+    ...buildPaginationResponse(tasks, total, page, limit)
+  });
+});
+
+// @desc    Get my open tasks in overdue, today and upcoming buckets
+// @route   GET /api/tasks/my?days=7
+// @access  Private
+const getMyTasks = asyncHandler(async (req, res, next) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  const now = new Date();
+  const { end } = getDayBounds(now);
+  const upcomingEnd = new Date(end);
+  upcomingEnd.setDate(upcomingEnd.getDate() + days);
+
+  const tasks = await Task.find({
+    assignedTo: req.user._id,
+    completed: false,
+    dueDate: { $lt: upcomingEnd }
+  })
+    .populate(TASK_POPULATE)
+    .sort('dueDate');
+
+  const buckets = bucketTasks(tasks, { now, days });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      days,
+      counts: {
+        overdue: buckets.overdue.length,
+        today: buckets.today.length,
+        upcoming: buckets.upcoming.length
+      },
+      ...buckets
+    }
+  });
+});
+
+// @desc    Get single task
+// @route   GET /api/tasks/:id
+// @access  Private
+const getTask = asyncHandler(async (req, res, next) => {
+  const task = await Task.findOne({ _id: req.params.id, ...taskAccessFilter(req) })
+    .populate(TASK_POPULATE);
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      task
+    }
+  });
+});
+
+// @desc    Create task
+// @route   POST /api/tasks
+// @access  Private
+const createTask = asyncHandler(async (req, res, next) => {
+  const assignedTo = req.body.assignedTo || req.user._id;
+
+  const assigneeError = await checkAssignee(req, assignedTo);
+  if (assigneeError) {
+    return res.status(assigneeError.status).json({
+      success: false,
+      message: assigneeError.message
+    });
+  }
+
+  const { links, status, message } = await resolveTaskLinks(req, req.body);
+  if (!links) {
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  }
+
+  const task = await Task.create({
+    ...req.body,
+    ...links,
+    assignedTo,
+    createdBy: req.user._id
+  });
+
+  await task.populate(TASK_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    message: 'Task created successfully',
+    data: {
+      task
+    }
+  });
+});
+
+// @desc    Update task
+// @route   PUT /api/tasks/:id
+// @access  Private
+const updateTask = asyncHandler(async (req, res, next) => {
+  const task = await Task.findOne({ _id: req.params.id, ...taskAccessFilter(req) });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  if (req.body.assignedTo && req.body.assignedTo !== task.assignedTo.toString()) {
+    const assigneeError = await checkAssignee(req, req.body.assignedTo);
+    if (assigneeError) {
+      return res.status(assigneeError.status).json({
+        success: false,
+        message: assigneeError.message
+      });
+    }
+  }
+
+  // Links are checked again when either one changes; null removes a link.
+  // A new lead brings its own customer unless one is given.
+  if (req.body.leadId !== undefined || req.body.customerId !== undefined) {
+    const keepCustomer = req.body.customerId === undefined && !req.body.leadId;
+    const { links, status, message } = await resolveTaskLinks(req, {
+      leadId: req.body.leadId !== undefined ? req.body.leadId : task.leadId,
+      customerId: keepCustomer ? task.customerId : req.body.customerId
+    });
+
+    if (!links) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    req.body.leadId = links.leadId || null;
+    req.body.customerId = links.customerId || null;
+  }
+
+  task.set(req.body);
+  if (task.isModified('completed') && task.completed) {
+    task.completedBy = req.user._id;
+  }
+  await task.save();
+  await task.populate(TASK_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: 'Task updated successfully',
+    data: {
+      task
+    }
+  });
+});
+
+// @desc    Mark task as completed or open
+// @route   PATCH /api/tasks/:id/complete
+// @access  Private
+const completeTask = asyncHandler(async (req, res, next) => {
+  const task = await Task.findOne({ _id: req.params.id, ...taskAccessFilter(req) });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  const completed = req.body.completed !== false;
+
+  task.completed = completed;
+  if (completed && task.isModified('completed')) {
+    task.completedBy = req.user._id;
+  }
+  await task.save();
+  await task.populate(TASK_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: completed ? 'Task completed' : 'Task reopened',
+    data: {
+      task
+    }
+  });
+});
+
+// @desc    Delete task
+// @route   DELETE /api/tasks/:id
+// @access  Private
+const deleteTask = asyncHandler(async (req, res, next) => {
+  const task = await Task.findOne({ _id: req.params.id, ...taskAccessFilter(req) });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  await task.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Task deleted successfully',
+    data: {}
+  });
+});
+
+module.exports = {
+  getTasks,
+  getMyTasks,
+  getTask,
+  createTask,
+  updateTask,
+  completeTask,
+  deleteTask
+};
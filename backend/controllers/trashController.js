@@ -0,0 +1,231 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/error');
+const {
+  getRetentionDays,
+  purgeCustomer,
+  purgeLead,
+  purgeExpired
+} = require('../services/trashService');
+const auditService = require('../services/auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_TYPES = ['customers', 'leads'];
+
+// Only deleted records the current user owns, unless admin
+const buildTrashFilter = (req, type) => {
+  const filter = { deletedAt: { $ne: null } };
+
+  // Role-based access control
+  if (req.user.role !== 'admin') {
+    filter[type === 'customers' ? 'ownerId' : 'assignedTo'] = req.user._id;
+  }
+
+  return filter;
+};
+
+const withPurgeDate = (doc, retentionDays) => ({
+  ...doc.toObject(),
+  purgeAt: new Date(doc.deletedAt.getTime() + retentionDays * DAY_MS)
+});
+
+// @desc    List deleted customers and leads
+// @route   GET /api/trash?type=customers|leads
+// @access  Private
+const getTrash = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const skip = (page - 1) * limit;
+  const retentionDays = getRetentionDays();
+
+  if (req.query.type && !TRASH_TYPES.includes(req.query.type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${TRASH_TYPES.join(', ')}`
+    });
+  }
+
+  const types = req.query.type ? [req.query.type] : TRASH_TYPES;
+  const data = { retentionDays };
+
+  for (const type of types) {
+    const filter = buildTrashFilter(req, type);
+
+    const query = type === 'customers'
+      ? Customer.find(filter).select('name email company status leadsCount totalLeadValue ownerId deletedAt deletedBy')
+      : Lead.find(filter).select('title status value customerId assignedTo deletedAt deletedBy')
+        .populate({ path: 'customerId', select: 'name company deletedAt', options: { withDeleted: true } });
+
+    const [items, total] = await Promise.all([
+      query
+        .populate('deletedBy', 'name email')
+        .sort('-deletedAt')
+        .skip(skip)
+        .limit(limit),
+      (type === 'customers' ? Customer : Lead).countDocuments(filter)
+    ]);
+
+    data[type] = items.map(item => withPurgeDate(item, retentionDays));
+    data[`${type}Total`] = total;
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Restore a deleted customer or lead
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private
+const restoreItem = asyncHandler(async (req, res, next) => {
+  const { type, id } = req.params;
+
+  if (type === 'customers') {
+    const customer = await Customer.findOne({ _id: id, ...buildTrashFilter(req, type) });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found in trash'
+      });
+    }
+
+    // Leads deleted together with the customer come back with it
+    const leadIds = await Lead.find({ customerId: customer._id, deletedAt: customer.deletedAt }).distinct('_id');
+    const leadResult = await Lead.updateMany(
+      { _id: { $in: leadIds } },
+      { $set: { deletedAt: null, deletedBy: null } }
+    );
+
+    // The parent may have been deleted in the meantime
+    if (customer.parentId && !(await Customer.exists({ _id: customer.parentId }))) {
+      customer.parentId = null;
+    }
+
+    await customer.restore();
+    await customer.updateLeadStats();
+
+    await auditService.logAction('Customer', 'restore', [customer._id], req);
+    await auditService.logAction('Lead', 'restore', leadIds, req, {
+      source: 'cascade',
+      metadata: { customerId: customer._id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Customer restored successfully',
+      data: {
+        customer,
+        leadsRestored: leadResult.modifiedCount
+      }
+    });
+  }
+
+  if (type === 'leads') {
+    const lead = await Lead.findOne({ _id: id, ...buildTrashFilter(req, type) });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found in trash'
+      });
+    }
+
+    const customerExists = await Customer.exists({ _id: lead.customerId });
+
+    if (!customerExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'The customer of this lead is deleted. Restore the customer first.'
+      });
+    }
+
+    // Post-save hook refreshes the customer's lead statistics
+    await lead.restore();
+    await auditService.logAction('Lead', 'restore', [lead._id], req);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Lead restored successfully',
+      data: {
+        lead
+      }
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: `Type must be one of: ${TRASH_TYPES.join(', ')}`
+  });
+});
+
+// @desc    Permanently delete a customer or lead from the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private/Admin
+const purgeItem = asyncHandler(async (req, res, next) => {
+  const { type, id } = req.params;
+
+  if (!TRASH_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Type must be one of: ${TRASH_TYPES.join(', ')}`
+    });
+  }
+
+  const Model = type === 'customers' ? Customer : Lead;
+  const item = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: `${type === 'customers' ? 'Customer' : 'Lead'} not found in trash`
+    });
+  }
+
+  const data = {};
+
+  if (type === 'customers') {
+    Object.assign(data, await purgeCustomer(item, req));
+  } else {
+    await purgeLead(item, req);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Permanently deleted',
+    data
+  });
+});
+
+// @desc    Purge trash items older than the retention period (or `olderThanDays`)
+// @route   DELETE /api/trash
+// @access  Private/Admin
+const emptyTrash = asyncHandler(async (req, res, next) => {
+  const olderThanDays = req.query.olderThanDays !== undefined
+    ? parseInt(req.query.olderThanDays, 10)
+    : getRetentionDays();
+
+  if (Number.isNaN(olderThanDays) || olderThanDays < 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'olderThanDays must be a non-negative number'
+    });
+  }
+
+  const summary = await purgeExpired(olderThanDays, req);
+
+  res.status(200).json({
+    success: true,
+    message: `${summary.customers} customer(s) and ${summary.leads} lead(s) permanently deleted`,
+    data: summary
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  emptyTrash
+};
@@ -0,0 +1,216 @@
+const WebForm = require('../models/WebForm');
+const User = require('../models/User');
+const AssignmentRule = require('../models/AssignmentRule');
+const Campaign = require('../models/Campaign');
+const { asyncHandler } = require('../middleware/error');
+const { submitForm } = require('../services/webFormService');
+const { isHoneypotFilled } = require('../utils/webForms');
+
+const sendFormNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Web form not found'
+});
+
+// Check the default owner, assignment rule and campaign of a form exist
+const checkFormLinks = async ({ defaultOwner, assignmentRuleId, campaignId }) => {
+  if (defaultOwner && !(await User.exists({ _id: defaultOwner, isActive: true }))) {
+    return 'Default owner must be an active user';
+  }
+  if (assignmentRuleId && !(await AssignmentRule.exists({ _id: assignmentRuleId }))) {
+    return 'Assignment rule not found';
+  }
+  if (campaignId && !(await Campaign.exists({ _id: campaignId }))) {
+    return 'Campaign not found';
+  }
+  return null;
+};
+
+// Public submission URL of a form
+const submissionUrl = (req, form) => `${req.protocol}://${req.get('host')}/api/public/forms/${form.publicKey}/submissions`;
+
+const withSubmissionUrl = (req, form) => ({
+  ...form.toObject(),
+  submissionUrl: submissionUrl(req, form)
+});
+
+// @desc    Get web forms
+// @route   GET /api/web-forms
+// @access  Private/Admin
+const getWebForms = asyncHandler(async (req, res, next) => {
+  const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+  const forms = await WebForm.find(filter)
+    .populate('defaultOwner', 'name email')
+    .populate('assignmentRuleId', 'name isActive')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: forms.length,
+    data: {
+      forms: forms.map(form => withSubmissionUrl(req, form))
+    }
+  });
+});
+
+// @desc    Get web form
+// @route   GET /api/web-forms/:id
+// @access  Private/Admin
+const getWebForm = asyncHandler(async (req, res, next) => {
+  const form = await WebForm.findById(req.params.id)
+    .populate('defaultOwner', 'name email')
+    .populate('assignmentRuleId', 'name isActive');
+
+  if (!form) {
+    return sendFormNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      form: withSubmissionUrl(req, form)
+    }
+  });
+});
+
+// @desc    Create web form
+// @route   POST /api/web-forms
+// @access  Private/Admin
+const createWebForm = asyncHandler(async (req, res, next) => {
+  const linkError = await checkFormLinks(req.body);
+  if (linkError) {
+    return res.status(400).json({
+      success: false,
+      message: linkError
+    });
+  }
+
+  const form = await WebForm.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Web form created successfully',
+    data: {
+      form: withSubmissionUrl(req, form)
+    }
+  });
+});
+
+// @desc    Update web form
+// @route   PUT /api/web-forms/:id
+// @access  Private/Admin
+const updateWebForm = asyncHandler(async (req, res, next) => {
+  const form = await WebForm.findById(req.params.id);
+
+  if (!form) {
+    return sendFormNotFound(res);
+  }
+
+  const linkError = await checkFormLinks(req.body);
+  if (linkError) {
+    return res.status(400).json({
+      success: false,
+      message: linkError
+    });
+  }
+
+  form.set(req.body);
+  await form.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Web form updated successfully',
+    data: {
+      form: withSubmissionUrl(req, form)
+    }
+  });
+});
+
+// @desc    Replace the public key of a web form
+// @route   POST /api/web-forms/:id/regenerate-key
+// @access  Private/Admin
+const regenerateWebFormKey = asyncHandler(async (req, res, next) => {
+  const form = await WebForm.findById(req.params.id);
+
+  if (!form) {
+    return sendFormNotFound(res);
+  }
+
+  form.regenerateKey();
+  await form.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Public key replaced. The old submission URL no longer works.',
+    data: {
+      form: withSubmissionUrl(req, form)
+    }
+  });
+});
+
+// @desc    Delete web form
+// @route   DELETE /api/web-forms/:id
+// @access  Private/Admin
+const deleteWebForm = asyncHandler(async (req, res, next) => {
+  const form = await WebForm.findById(req.params.id);
+
+  if (!form) {
+    return sendFormNotFound(res);
+  }
+
+  await form.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Web form deleted successfully',
+    data: {}
+  });
+});
+
+// Answer a submission: browsers posting the form directly are redirected
+const sendSubmissionReceived = (req, res, form) => {
+  if (form.redirectUrl && req.is('application/x-www-form-urlencoded')) {
+    return res.redirect(303, form.redirectUrl);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Thank you, your submission has been received'
+  });
+};
+
+// @desc    Submit a web form
+// @route   POST /api/public/forms/:key/submissions
+// @access  Public
+const submitWebForm = asyncHandler(async (req, res, next) => {
+  const form = req.webForm;
+
+  // Bots get the same answer, so they don't learn to avoid the honeypot
+  if (isHoneypotFilled(req.body, form.honeypotField)) {
+    return sendSubmissionReceived(req, res, form);
+  }
+
+  const { error } = await submitForm(form, req);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  sendSubmissionReceived(req, res, form);
+});
+
+module.exports = {
+  getWebForms,
+  getWebForm,
+  createWebForm,
+  updateWebForm,
+  regenerateWebFormKey,
+  deleteWebForm,
+  submitWebForm
+};
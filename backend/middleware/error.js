@@ -34,6 +34,27 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Lead status change that breaks the pipeline's stage rules
+  if (err.name === 'StageTransitionError') {
+    error = {
+      message: err.message,
+      statusCode: 422,
+      details: {
+        errors: err.violations,
+        transition: { from: err.from, to: err.to }
+      }
+    };
+  }
+
+  // Multer upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = {
+      message,
+      statusCode: 400
+    };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -54,6 +75,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(err.name === 'StageTransitionError' && error.details),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       error: err
@@ -38,6 +38,13 @@ const authLimiter = createRateLimit(
   'Too many authentication attempts, please try again later'
 );
 
+// Public web form submissions (per IP)
+const webFormLimiter = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  parseInt(process.env.WEB_FORM_RATE_LIMIT, 10) || 20,
+  'Too many form submissions, please try again later'
+);
+
 // API rate limiting
 const apiLimiter = createRateLimit(
   15 * 60 * 1000, // 15 minutes
@@ -45,6 +52,13 @@ const apiLimiter = createRateLimit(
   'Too many API requests from this IP, please try again later'
 );
 
+// Routes under this path are called from other websites
+const PUBLIC_API_PATH = '/api/public/';
+
+const skipPublicRoutes = (middleware) => (req, res, next) => (
+  req.originalUrl.startsWith(PUBLIC_API_PATH) ? next() : middleware(req, res, next)
+);
+
 // Security middleware configuration
 const securityConfig = {
   // Helmet configuration
@@ -66,8 +80,8 @@ const securityConfig = {
     crossOriginEmbedderPolicy: false
   }),
 
-  // CORS configuration
-  cors: cors({
+  // CORS configuration; public routes set their own CORS headers
+  cors: skipPublicRoutes(cors({
     origin: function (origin, callback) {
       // Allow requests with no origin (like mobile apps or curl requests)
       if (!origin) return callback(null, true);
@@ -91,7 +105,7 @@ const securityConfig = {
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-  }),
+  })),
 
   // MongoDB injection protection
   mongoSanitize: mongoSanitize(),
@@ -198,9 +212,11 @@ const requestSizeLimit = (limit = '10mb') => {
 
 module.exports = {
   // Rate limiters
+  createRateLimit,
   generalLimiter,
   authLimiter,
   apiLimiter,
+  webFormLimiter,
   
   // Security configuration
   securityConfig,
@@ -0,0 +1,128 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024; // 5MB
+
+// Build an upload error that the global error handler maps to a 400 response
+const createUploadError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Accept only files whose MIME type or extension is in the allowed lists
+const fileFilter = (allowedMimeTypes, allowedExtensions) => (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(extension)) {
+    return cb(null, true);
+  }
+
+  cb(createUploadError(`File type not allowed. Allowed extensions: ${allowedExtensions.join(', ')}`));
+};
+
+// CSV upload kept in memory for parsing
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: fileFilter(
+    ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'],
+    ['.csv']
+  )
+});
+
+// iCalendar upload kept in memory for parsing
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: fileFilter(
+    ['text/calendar', 'application/ics'],
+    ['.ics']
+  )
+});
+
+// Lead attachment types and the extensions each may use. Types a browser
+// could render as a page (HTML, SVG) are deliberately left out.
+const ATTACHMENT_TYPES = {
+  'application/pdf': ['.pdf'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/vnd.ms-powerpoint': ['.ppt'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'message/rfc822': ['.eml']
+};
+
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+
+// Both the MIME type and the extension must be allowed, and must agree
+const isAllowedAttachment = (mimetype, originalname) => {
+  const extensions = ATTACHMENT_TYPES[mimetype];
+  return Boolean(extensions) && extensions.includes(path.extname(originalname).toLowerCase());
+};
+
+// Lead attachment upload kept in memory until it is validated and stored
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedAttachment(file.mimetype, file.originalname)) {
+      return cb(null, true);
+    }
+
+    const allowed = [...new Set(Object.values(ATTACHMENT_TYPES).flat())];
+    cb(createUploadError(`File type not allowed. Allowed extensions: ${allowed.join(', ')}`));
+  }
+});
+
+const MAX_EMAIL_SIZE = parseInt(process.env.MAX_EMAIL_SIZE, 10) || 25 * 1024 * 1024; // 25MB
+
+// Email message uploaded as an .eml file, kept in memory for parsing
+const emailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_EMAIL_SIZE,
+    files: 1
+  },
+  fileFilter: fileFilter(
+    ['message/rfc822'],
+    ['.eml']
+  )
+});
+
+// Email message posted as the raw request body (Content-Type: message/rfc822)
+const rawEmail = express.raw({
+  type: 'message/rfc822',
+  limit: MAX_EMAIL_SIZE
+});
+
+module.exports = {
+  csvUpload,
+  emailUpload,
+  rawEmail,
+  MAX_EMAIL_SIZE,
+  calendarUpload,
+  attachmentUpload,
+  isAllowedAttachment,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  createUploadError,
+  MAX_FILE_SIZE
+};
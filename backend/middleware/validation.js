@@ -1,4 +1,11 @@
 const Joi = require('joi');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const { SCORING_FIELDS, OPERATORS } = require('../utils/leadScoring');
+const { ASSIGNMENT_STRATEGIES } = require('../utils/assignmentRules');
+const { QUOTE_STATUSES } = require('../utils/quotes');
+const { CURRENCIES, RATE_BASE_CURRENCY } = require('../utils/currency');
+const { WEB_FORM_TARGETS } = require('../utils/webForms');
+const { CAMPAIGN_CHANNELS } = require('../utils/attribution');
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -28,6 +35,11 @@ const validate = (schema) => {
   };
 };
 
+// Fields of a body the schema allows, with unknown keys removed. validate()
+// leaves req.body as sent, so controllers that apply a whole body to a
+// document pass it through this first.
+const pickValidFields = (schema, body) => schema.validate(body, { stripUnknown: true }).value;
+
 // User validation schemas
 const userValidation = {
   register: Joi.object({
@@ -86,6 +98,13 @@ const userValidation = {
       .optional(),
     avatar: Joi.string()
       .uri()
+      .optional(),
+    notificationPreferences: Joi.object({
+      followUpEmail: Joi.boolean(),
+      followUpInApp: Joi.boolean(),
+      taskReminderEmail: Joi.boolean(),
+      taskReminderInApp: Joi.boolean()
+    })
       .optional()
   }),
 
@@ -160,7 +179,18 @@ const customerValidation = {
       .optional(),
     status: Joi.string()
       .valid('active', 'inactive', 'prospect')
-      .default('prospect')
+      .default('prospect'),
+    parentId: Joi.string()
+      .hex()
+      .length(24)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.hex': 'Parent customer ID is invalid',
+        'string.length': 'Parent customer ID is invalid'
+      }),
+    customFields: Joi.object()
+      .optional()
   }),
 
   update: Joi.object({
@@ -198,10 +228,151 @@ const customerValidation = {
       .optional(),
     status: Joi.string()
       .valid('active', 'inactive', 'prospect')
+      .optional(),
+    parentId: Joi.string()
+      .hex()
+      .length(24)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.hex': 'Parent customer ID is invalid',
+        'string.length': 'Parent customer ID is invalid'
+      }),
+    customFields: Joi.object()
+      .optional()
+  }),
+
+  merge: Joi.object({
+    sourceIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one customer to merge is required',
+        'any.required': 'Customer IDs to merge are required'
+      })
+  })
+};
+
+// Contact validation schemas
+const contactValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Name must be at least 2 characters',
+        'string.max': 'Name cannot exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    title: Joi.string()
+      .max(100)
+      .optional(),
+    email: Joi.string()
+      .email()
+      .optional()
+      .messages({
+        'string.email': 'Please enter a valid email'
+      }),
+    phone: Joi.string()
+      .pattern(/^[\+]?[\d\s\-\(\)]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Please enter a valid phone number'
+      }),
+    role: Joi.string()
+      .valid('decision_maker', 'billing', 'technical', 'champion', 'influencer', 'end_user', 'other')
+      .default('other'),
+    isPrimary: Joi.boolean()
+      .default(false),
+    notes: Joi.string()
+      .max(1000)
+      .optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .optional(),
+    title: Joi.string()
+      .max(100)
+      .allow('')
+      .optional(),
+    email: Joi.string()
+      .email()
+      .optional(),
+    phone: Joi.string()
+      .pattern(/^[\+]?[\d\s\-\(\)]+$/)
+      .optional(),
+    role: Joi.string()
+      .valid('decision_maker', 'billing', 'technical', 'champion', 'influencer', 'end_user', 'other')
+      .optional(),
+    isPrimary: Joi.boolean()
+      .optional(),
+    notes: Joi.string()
+      .max(1000)
+      .allow('')
       .optional()
   })
 };
 
+// UTM parameters of a marketing touch
+const utmSchema = Joi.object({
+  source: Joi.string().trim().max(200),
+  medium: Joi.string().trim().max(200),
+  campaign: Joi.string().trim().max(200),
+  term: Joi.string().trim().max(200),
+  content: Joi.string().trim().max(200)
+});
+
+const campaignIdSchema = Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': 'Campaign ID is invalid',
+    'string.length': 'Campaign ID is invalid'
+  });
+
+// Lead line items; name, SKU and a default unit price come from the product
+const lineItemsSchema = Joi.array()
+  .items(Joi.object({
+    _id: Joi.string()
+      .hex()
+      .length(24)
+      .optional(),
+    productId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'Product ID is invalid',
+        'string.length': 'Product ID is invalid',
+        'any.required': 'Product ID is required'
+      }),
+    quantity: Joi.number()
+      .greater(0)
+      .required()
+      .messages({
+        'number.greater': 'Quantity must be greater than 0',
+        'any.required': 'Quantity is required'
+      }),
+    unitPrice: Joi.number()
+      .min(0)
+      .optional(),
+    discount: Joi.number()
+      .min(0)
+      .max(100)
+      .optional(),
+    taxRate: Joi.number()
+      .min(0)
+      .max(100)
+      .optional()
+  }))
+  .max(100)
+  .optional();
+
 // Lead validation schemas
 const leadValidation = {
   create: Joi.object({
@@ -217,16 +388,37 @@ const leadValidation = {
     description: Joi.string()
       .max(1000)
       .optional(),
+    // Checked against the lead's pipeline stages by the Lead model
     status: Joi.string()
-      .valid('New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Converted', 'Lost')
-      .default('New'),
+      .trim()
+      .max(50)
+      .optional(),
+    pipelineId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Pipeline ID is invalid',
+        'string.length': 'Pipeline ID is invalid'
+      }),
+    // Routed by the assignment rules when omitted
+    assignedTo: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Assignee ID is invalid',
+        'string.length': 'Assignee ID is invalid'
+      }),
+    // Computed from the line items when there are any
     value: Joi.number()
       .min(0)
-      .required()
+      .when('lineItems', { is: Joi.array().min(1).required(), then: Joi.optional(), otherwise: Joi.required() })
       .messages({
         'number.min': 'Value cannot be negative',
         'any.required': 'Value is required'
       }),
+    lineItems: lineItemsSchema,
     currency: Joi.string()
       .valid('USD', 'EUR', 'GBP', 'CAD', 'AUD')
       .default('USD'),
@@ -252,6 +444,27 @@ const leadValidation = {
       .optional(),
     nextFollowUp: Joi.date()
       .min('now')
+      .optional(),
+    closeReason: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Close reason ID is invalid',
+        'string.length': 'Close reason ID is invalid'
+      }),
+    competitor: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    contacts: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .optional(),
+    // First marketing touch of the lead
+    campaignId: campaignIdSchema.optional(),
+    utm: utmSchema.optional(),
+    customFields: Joi.object()
       .optional()
   }),
 
@@ -264,11 +477,21 @@ const leadValidation = {
       .max(1000)
       .optional(),
     status: Joi.string()
-      .valid('New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Converted', 'Lost')
+      .trim()
+      .max(50)
       .optional(),
+    pipelineId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Pipeline ID is invalid',
+        'string.length': 'Pipeline ID is invalid'
+      }),
     value: Joi.number()
       .min(0)
       .optional(),
+    lineItems: lineItemsSchema,
     currency: Joi.string()
       .valid('USD', 'EUR', 'GBP', 'CAD', 'AUD')
       .optional(),
@@ -291,9 +514,38 @@ const leadValidation = {
       .items(Joi.string())
       .optional(),
     nextFollowUp: Joi.date()
+      .optional(),
+    closeReason: Joi.string()
+      .hex()
+      .length(24)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.hex': 'Close reason ID is invalid',
+        'string.length': 'Close reason ID is invalid'
+      }),
+    competitor: Joi.string()
+      .trim()
+      .max(100)
+      .allow('')
+      .optional(),
+    contacts: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .optional(),
+    customFields: Joi.object()
       .optional()
   }),
 
+  touch: Joi.object({
+    campaignId: campaignIdSchema,
+    utm: utmSchema
+  })
+    .or('campaignId', 'utm')
+    .messages({
+      'object.missing': 'A campaign or UTM parameters are required'
+    }),
+
   addActivity: Joi.object({
     type: Joi.string()
       .valid('call', 'email', 'meeting', 'note', 'task')
@@ -306,7 +558,995 @@ const leadValidation = {
         'any.required': 'Description is required'
       }),
     date: Joi.date()
-      .default(Date.now)
+      .default(Date.now),
+    endDate: Joi.date()
+      .min(Joi.ref('date'))
+      .optional()
+      .messages({
+        'date.min': 'End date cannot be before the activity date'
+      })
+  }),
+
+  assign: Joi.object({
+    assignedTo: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Assignee ID is invalid',
+        'string.length': 'Assignee ID is invalid'
+      })
+  }),
+
+  updateStatus: Joi.object({
+    status: Joi.string()
+      .trim()
+      .max(50)
+      .required()
+      .messages({
+        'any.required': 'Status is required'
+      }),
+    closeReason: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Close reason ID is invalid',
+        'string.length': 'Close reason ID is invalid'
+      }),
+    competitor: Joi.string()
+      .trim()
+      .max(100)
+      .allow('')
+      .optional()
+  })
+};
+
+// Lead quote schemas
+const quoteValidation = {
+  create: Joi.object({
+    validUntil: Joi.date()
+      .min('now')
+      .optional()
+      .messages({
+        'date.min': 'Valid until date must be in the future'
+      }),
+    terms: Joi.string()
+      .max(2000)
+      .allow('')
+      .optional()
+  }),
+
+  updateStatus: Joi.object({
+    status: Joi.string()
+      .valid(...QUOTE_STATUSES)
+      .required()
+      .messages({
+        'any.only': `Status must be one of: ${QUOTE_STATUSES.join(', ')}`,
+        'any.required': 'Status is required'
+      })
+  })
+};
+
+// Product catalog schemas
+const productValidation = {
+  create: Joi.object({
+    sku: Joi.string()
+      .trim()
+      .max(50)
+      .required()
+      .messages({
+        'string.max': 'SKU cannot exceed 50 characters',
+        'any.required': 'SKU is required'
+      }),
+    name: Joi.string()
+      .trim()
+      .max(200)
+      .required()
+      .messages({
+        'string.max': 'Product name cannot exceed 200 characters',
+        'any.required': 'Product name is required'
+      }),
+    description: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional(),
+    unitPrice: Joi.number()
+      .min(0)
+      .required()
+      .messages({
+        'number.min': 'Unit price cannot be negative',
+        'any.required': 'Unit price is required'
+      }),
+    currency: Joi.string()
+      .valid('USD', 'EUR', 'GBP', 'CAD', 'AUD')
+      .optional(),
+    isActive: Joi.boolean()
+      .optional()
+  }),
+
+  update: Joi.object({
+    sku: Joi.string()
+      .trim()
+      .max(50)
+      .optional(),
+    name: Joi.string()
+      .trim()
+      .max(200)
+      .optional(),
+    description: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional(),
+    unitPrice: Joi.number()
+      .min(0)
+      .optional(),
+    currency: Joi.string()
+      .valid('USD', 'EUR', 'GBP', 'CAD', 'AUD')
+      .optional(),
+    isActive: Joi.boolean()
+      .optional()
+  })
+};
+
+// Task schemas
+const objectId = (label) => Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': `${label} ID is invalid`,
+    'string.length': `${label} ID is invalid`
+  });
+
+const taskValidation = {
+  create: Joi.object({
+    title: Joi.string()
+      .trim()
+      .max(200)
+      .required()
+      .messages({
+        'string.max': 'Title cannot exceed 200 characters',
+        'any.required': 'Title is required'
+      }),
+    description: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional(),
+    dueDate: Joi.date()
+      .required()
+      .messages({
+        'any.required': 'Due date is required'
+      }),
+    priority: Joi.string()
+      .valid('low', 'medium', 'high')
+      .optional(),
+    assignedTo: objectId('Assignee').optional(),
+    customerId: objectId('Customer').optional(),
+    leadId: objectId('Lead').optional(),
+    reminderAt: Joi.date()
+      .allow(null)
+      .optional()
+  }),
+
+  update: Joi.object({
+    title: Joi.string()
+      .trim()
+      .max(200)
+      .optional(),
+    description: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional(),
+    dueDate: Joi.date()
+      .optional(),
+    priority: Joi.string()
+      .valid('low', 'medium', 'high')
+      .optional(),
+    assignedTo: objectId('Assignee').optional(),
+    customerId: objectId('Customer').allow(null).optional(),
+    leadId: objectId('Lead').allow(null).optional(),
+    completed: Joi.boolean()
+      .optional(),
+    reminderAt: Joi.date()
+      .allow(null)
+      .optional()
+  }),
+
+  complete: Joi.object({
+    completed: Joi.boolean()
+      .optional()
+  })
+};
+
+const calendarValidation = {
+  import: Joi.object({
+    leadId: objectId('Lead')
+      .required()
+      .messages({
+        'any.required': 'Lead is required'
+      })
+  })
+};
+
+// Exchange rate schemas; rates are quoted against the base currency
+const exchangeRateValidation = {
+  create: Joi.object({
+    currency: Joi.string()
+      .valid(...CURRENCIES.filter(currency => currency !== RATE_BASE_CURRENCY))
+      .required()
+      .messages({
+        'any.only': `Rates are quoted against ${RATE_BASE_CURRENCY}; currency must be another supported currency`,
+        'any.required': 'Currency is required'
+      }),
+    rate: Joi.number()
+      .greater(0)
+      .required()
+      .messages({
+        'number.greater': 'Rate must be greater than 0',
+        'any.required': 'Rate is required'
+      }),
+    effectiveDate: Joi.date()
+      .required()
+      .messages({
+        'any.required': 'Effective date is required'
+      })
+  }),
+
+  update: Joi.object({
+    rate: Joi.number()
+      .greater(0)
+      .optional()
+      .messages({
+        'number.greater': 'Rate must be greater than 0'
+      }),
+    effectiveDate: Joi.date()
+      .optional()
+  })
+};
+
+// Company settings schemas
+const settingsValidation = {
+  update: Joi.object({
+    reportingCurrency: Joi.string()
+      .valid(...CURRENCIES)
+      .optional()
+  })
+};
+
+// Custom field definition schemas
+const customFieldValidation = {
+  create: Joi.object({
+    entity: Joi.string()
+      .valid('Customer', 'Lead')
+      .required()
+      .messages({
+        'any.required': 'Entity is required'
+      }),
+    key: Joi.string()
+      .pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+      .max(50)
+      .required()
+      .messages({
+        'string.pattern.base': 'Key must start with a letter and contain only letters, numbers and underscores',
+        'any.required': 'Field key is required'
+      }),
+    label: Joi.string()
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Field label is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .optional(),
+    type: Joi.string()
+      .valid('text', 'number', 'date', 'select', 'multiselect', 'boolean')
+      .required()
+      .messages({
+        'any.required': 'Field type is required'
+      }),
+    options: Joi.array()
+      .items(Joi.string())
+      .unique()
+      .when('type', {
+        is: Joi.valid('select', 'multiselect'),
+        then: Joi.array().min(1).required(),
+        otherwise: Joi.forbidden()
+      })
+      .messages({
+        'any.required': 'Select fields require options',
+        'any.unknown': 'Options are only allowed for select fields'
+      }),
+    required: Joi.boolean()
+      .default(false),
+    order: Joi.number()
+      .integer()
+      .optional()
+  }),
+
+  // Entity, key and type are fixed once values may have been stored
+  update: Joi.object({
+    label: Joi.string()
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    options: Joi.array()
+      .items(Joi.string())
+      .unique()
+      .min(1)
+      .optional(),
+    required: Joi.boolean()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  })
+};
+
+// Build a Joi schema for custom field values from their definitions
+const buildCustomFieldSchema = (definitions, { isCreate = false } = {}) => {
+  const keys = definitions.reduce((acc, definition) => {
+    let schema;
+
+    switch (definition.type) {
+      case 'number':
+        schema = Joi.number();
+        break;
+      case 'date':
+        schema = Joi.date();
+        break;
+      case 'boolean':
+        schema = Joi.boolean();
+        break;
+      case 'select':
+        schema = Joi.any().valid(...definition.options);
+        break;
+      case 'multiselect':
+        schema = Joi.array().items(Joi.any().valid(...definition.options)).unique();
+        break;
+      default:
+        schema = Joi.string().max(1000);
+    }
+
+    schema = schema.label(definition.label);
+
+    if (definition.required) {
+      // Required values can't be cleared with null either
+      if (isCreate) schema = schema.required();
+    } else {
+      // null clears an optional value
+      schema = schema.allow(null);
+    }
+
+    acc[definition.key] = schema;
+    return acc;
+  }, {});
+
+  return Joi.object(keys).messages({
+    'object.unknown': '{{#label}} is not a defined custom field'
+  });
+};
+
+// Validate req.body.customFields against the active definitions for an entity
+const validateCustomFields = (entity, { isCreate = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const definitions = await CustomFieldDefinition.getActive(entity);
+      const hasRequired = isCreate && definitions.some(definition => definition.required);
+
+      if (req.body.customFields === undefined && !hasRequired) {
+        return next();
+      }
+
+      const schema = buildCustomFieldSchema(definitions, { isCreate });
+      const { error, value } = schema.validate(req.body.customFields || {}, { abortEarly: false });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => ({
+            field: ['customFields', ...detail.path].join('.'),
+            message: detail.message
+          }))
+        });
+      }
+
+      // Keep converted values (numbers, dates, booleans)
+      req.body.customFields = value;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Pipeline validation schemas
+const pipelineStageSchema = Joi.object({
+  _id: Joi.string()
+    .hex()
+    .length(24)
+    .optional(),
+  name: Joi.string()
+    .trim()
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'Stage name cannot exceed 50 characters',
+      'any.required': 'Stage name is required'
+    }),
+  probability: Joi.number()
+    .min(0)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Stage probability is required'
+    }),
+  followUpDays: Joi.number()
+    .integer()
+    .min(0)
+    .default(0),
+  category: Joi.string()
+    .valid('open', 'won', 'lost')
+    .required()
+    .messages({
+      'any.only': 'Stage category must be open, won or lost',
+      'any.required': 'Stage category is required'
+    }),
+  allowedTransitions: Joi.array()
+    .items(Joi.string().trim().max(50))
+    .optional(),
+  requiredFields: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .optional(),
+  requiresActivity: Joi.boolean()
+    .optional()
+});
+
+const pipelineValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Pipeline name cannot exceed 100 characters',
+        'any.required': 'Pipeline name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    stages: Joi.array()
+      .items(pipelineStageSchema)
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'Pipeline needs at least one stage',
+        'any.required': 'Stages are required'
+      }),
+    isDefault: Joi.boolean()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    stages: Joi.array()
+      .items(pipelineStageSchema)
+      .min(1)
+      .optional(),
+    isDefault: Joi.boolean()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional()
+  })
+};
+
+// Close reason schemas
+const closeReasonValidation = {
+  create: Joi.object({
+    type: Joi.string()
+      .valid('won', 'lost')
+      .required()
+      .messages({
+        'any.only': 'Reason type must be won or lost',
+        'any.required': 'Reason type is required'
+      }),
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Reason name cannot exceed 100 characters',
+        'any.required': 'Reason name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  })
+};
+
+// Lead scoring rule schemas; the model checks that value fits the operator
+const scoringRuleValue = Joi.alternatives().try(
+  Joi.string().max(200),
+  Joi.number(),
+  Joi.boolean(),
+  Joi.array().items(Joi.string().max(200), Joi.number()).max(100)
+);
+
+const scoringRuleValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Rule name cannot exceed 100 characters',
+        'any.required': 'Rule name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    field: Joi.string()
+      .valid(...SCORING_FIELDS)
+      .required()
+      .messages({
+        'any.only': `Field must be one of: ${SCORING_FIELDS.join(', ')}`,
+        'any.required': 'Scoring field is required'
+      }),
+    customFieldKey: Joi.string()
+      .max(50)
+      .optional(),
+    operator: Joi.string()
+      .valid(...OPERATORS)
+      .required()
+      .messages({
+        'any.only': `Operator must be one of: ${OPERATORS.join(', ')}`,
+        'any.required': 'Operator is required'
+      }),
+    value: scoringRuleValue.optional(),
+    points: Joi.number()
+      .min(-100)
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Points are required'
+      }),
+    maxPoints: Joi.number()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    field: Joi.string()
+      .valid(...SCORING_FIELDS)
+      .optional(),
+    customFieldKey: Joi.string()
+      .max(50)
+      .optional(),
+    operator: Joi.string()
+      .valid(...OPERATORS)
+      .optional(),
+    value: scoringRuleValue.optional(),
+    points: Joi.number()
+      .min(-100)
+      .max(100)
+      .optional(),
+    maxPoints: Joi.number()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  })
+};
+
+// Lead assignment rule schemas
+const assignmentConditionsSchema = Joi.object({
+  sources: Joi.array()
+    .items(Joi.string().valid('Website', 'Referral', 'Cold Call', 'Email', 'Social Media', 'Event', 'Other'))
+    .optional(),
+  minValue: Joi.number()
+    .min(0)
+    .optional(),
+  maxValue: Joi.number()
+    .min(0)
+    .optional(),
+  industries: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .optional(),
+  countries: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .optional()
+});
+
+const assignmentRuleValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Rule name cannot exceed 100 characters',
+        'any.required': 'Rule name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    conditions: assignmentConditionsSchema.optional(),
+    strategy: Joi.string()
+      .valid(...ASSIGNMENT_STRATEGIES)
+      .optional()
+      .messages({
+        'any.only': `Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`
+      }),
+    assignees: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'Rule needs at least one assignee',
+        'any.required': 'Assignees are required'
+      }),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    conditions: assignmentConditionsSchema.optional(),
+    strategy: Joi.string()
+      .valid(...ASSIGNMENT_STRATEGIES)
+      .optional(),
+    assignees: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .unique()
+      .optional(),
+    isActive: Joi.boolean()
+      .optional(),
+    order: Joi.number()
+      .integer()
+      .optional()
+  })
+};
+
+const webFormFieldMappingSchema = Joi.array()
+  .items(Joi.object({
+    formField: Joi.string()
+      .trim()
+      .max(100)
+      .required(),
+    target: Joi.string()
+      .valid(...WEB_FORM_TARGETS)
+      .required()
+      .messages({
+        'any.only': `Target must be one of: ${WEB_FORM_TARGETS.join(', ')}`
+      })
+  }))
+  .unique('formField')
+  .messages({
+    'array.unique': 'Each form field can be mapped only once'
+  });
+
+const webFormOriginsSchema = Joi.array()
+  .items(Joi.string().uri({ scheme: ['http', 'https'] }))
+  .messages({
+    'string.uriCustomScheme': 'Allowed origins must be http or https URLs'
+  });
+
+// Fields shared by web form create and update
+const webFormFields = {
+  description: Joi.string()
+    .max(500)
+    .allow('')
+    .optional(),
+  fieldMapping: webFormFieldMappingSchema.optional(),
+  defaultSource: Joi.string()
+    .valid('Website', 'Referral', 'Cold Call', 'Email', 'Social Media', 'Event', 'Other')
+    .optional(),
+  defaultValue: Joi.number()
+    .min(0)
+    .optional(),
+  expectedCloseDays: Joi.number()
+    .integer()
+    .min(1)
+    .optional(),
+  allowedOrigins: webFormOriginsSchema.optional(),
+  assignmentRuleId: objectId('Assignment rule')
+    .allow(null)
+    .optional(),
+  campaignId: objectId('Campaign')
+    .allow(null)
+    .optional(),
+  honeypotField: Joi.string()
+    .trim()
+    .max(50)
+    .allow('')
+    .optional(),
+  redirectUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .allow('')
+    .optional(),
+  isActive: Joi.boolean()
+    .optional()
+};
+
+const webFormValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Form name cannot exceed 100 characters',
+        'any.required': 'Form name is required'
+      }),
+    defaultOwner: objectId('Default owner')
+      .required()
+      .messages({
+        'any.required': 'Default owner is required'
+      }),
+    ...webFormFields
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    defaultOwner: objectId('Default owner')
+      .optional(),
+    ...webFormFields
+  })
+};
+
+const campaignFields = {
+  description: Joi.string()
+    .max(500)
+    .allow('')
+    .optional(),
+  budget: Joi.number()
+    .min(0)
+    .allow(null)
+    .optional(),
+  currency: Joi.string()
+    .valid('USD', 'EUR', 'GBP', 'CAD', 'AUD')
+    .optional(),
+  endDate: Joi.date()
+    .allow(null)
+    .optional(),
+  utmCampaign: Joi.string()
+    .trim()
+    .max(200)
+    .allow(null)
+    .optional(),
+  isActive: Joi.boolean()
+    .optional()
+};
+
+const campaignValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Campaign name cannot exceed 100 characters',
+        'any.required': 'Campaign name is required'
+      }),
+    channel: Joi.string()
+      .valid(...CAMPAIGN_CHANNELS)
+      .required()
+      .messages({
+        'any.only': `Channel must be one of: ${CAMPAIGN_CHANNELS.join(', ')}`,
+        'any.required': 'Channel is required'
+      }),
+    startDate: Joi.date()
+      .required()
+      .messages({
+        'any.required': 'Start date is required'
+      }),
+    ...campaignFields
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    channel: Joi.string()
+      .valid(...CAMPAIGN_CHANNELS)
+      .optional(),
+    startDate: Joi.date()
+      .optional(),
+    ...campaignFields
+  })
+};
+
+const segmentFields = {
+  description: Joi.string()
+    .max(500)
+    .allow('')
+    .optional(),
+  filters: Joi.object({
+    statuses: Joi.array()
+      .items(Joi.string().valid('active', 'inactive', 'prospect'))
+      .optional(),
+    industries: Joi.array()
+      .items(Joi.string().valid('Technology', 'Healthcare', 'Finance', 'Education', 'Retail', 'Manufacturing', 'Real Estate', 'Consulting', 'Marketing', 'Other'))
+      .optional(),
+    countries: Joi.array()
+      .items(Joi.string().trim())
+      .optional(),
+    tags: Joi.array()
+      .items(Joi.string().trim())
+      .optional(),
+    ownerIds: Joi.array()
+      .items(objectId('Owner'))
+      .optional(),
+    minLeadValue: Joi.number()
+      .min(0)
+      .allow(null)
+      .optional(),
+    maxLeadValue: Joi.number()
+      .min(Joi.ref('minLeadValue'))
+      .allow(null)
+      .optional()
+      .messages({
+        'number.min': 'Maximum lead value cannot be less than the minimum'
+      })
+  }).optional(),
+  isActive: Joi.boolean()
+    .optional()
+};
+
+const segmentValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Segment name cannot exceed 100 characters',
+        'any.required': 'Segment name is required'
+      }),
+    ...segmentFields
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    ...segmentFields
+  })
+};
+
+const emailCampaignFields = {
+  // Shared template variables, such as heading and content
+  variables: Joi.object()
+    .pattern(/^\w+$/, Joi.string().max(20000).allow(''))
+    .optional()
+};
+
+const emailCampaignValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Campaign name is required'
+      }),
+    subject: Joi.string()
+      .trim()
+      .max(200)
+      .required()
+      .messages({
+        'any.required': 'Subject is required'
+      }),
+    template: Joi.string()
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Template is required'
+      }),
+    segmentId: objectId('Segment')
+      .required()
+      .messages({
+        'any.required': 'Segment is required'
+      }),
+    ...emailCampaignFields
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    subject: Joi.string()
+      .trim()
+      .max(200)
+      .optional(),
+    template: Joi.string()
+      .trim()
+      .optional(),
+    segmentId: objectId('Segment')
+      .optional(),
+    ...emailCampaignFields
+  }),
+
+  schedule: Joi.object({
+    scheduledAt: Joi.date()
+      .greater('now')
+      .required()
+      .messages({
+        'date.greater': 'Scheduled time must be in the future',
+        'any.required': 'Scheduled time is required'
+      })
   })
 };
 
@@ -340,8 +1580,27 @@ const queryValidation = {
 
 module.exports = {
   validate,
+  pickValidFields,
   userValidation,
   customerValidation,
+  contactValidation,
   leadValidation,
-  queryValidation
+  quoteValidation,
+  productValidation,
+  exchangeRateValidation,
+  settingsValidation,
+  taskValidation,
+  calendarValidation,
+  customFieldValidation,
+  pipelineValidation,
+  closeReasonValidation,
+  scoringRuleValidation,
+  assignmentRuleValidation,
+  webFormValidation,
+  campaignValidation,
+  segmentValidation,
+  emailCampaignValidation,
+  queryValidation,
+  buildCustomFieldSchema,
+  validateCustomFields
 };
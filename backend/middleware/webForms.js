@@ -0,0 +1,43 @@
+const cors = require('cors');
+const WebForm = require('../models/WebForm');
+const { asyncHandler } = require('./error');
+const { isOriginAllowed } = require('../utils/webForms');
+
+// Load the active form of the public key in the URL into req.webForm
+const loadWebForm = asyncHandler(async (req, res, next) => {
+  const form = await WebForm.findOne({ publicKey: req.params.key, isActive: true });
+
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'Form not found'
+    });
+  }
+
+  req.webForm = form;
+  next();
+});
+
+// Browsers may only post a form from its allowed origins. Requests without
+// an Origin header (server-side posts) are let through.
+const webFormCors = (req, res, next) => {
+  const origin = req.get('Origin');
+
+  if (origin && !isOriginAllowed(origin, req.webForm.allowedOrigins)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This website is not allowed to submit the form'
+    });
+  }
+
+  cors({
+    origin: Boolean(origin),
+    methods: ['POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type']
+  })(req, res, next);
+};
+
+module.exports = {
+  loadWebForm,
+  webFormCors
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { ASSIGNMENT_STRATEGIES } = require('../utils/assignmentRules');
+
+const assignmentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Every condition that is set must match; no conditions matches all leads
+  conditions: {
+    sources: [{
+      type: String,
+      enum: ['Website', 'Referral', 'Cold Call', 'Email', 'Social Media', 'Event', 'Other']
+    }],
+    minValue: {
+      type: Number,
+      min: [0, 'Minimum value cannot be negative']
+    },
+    maxValue: {
+      type: Number,
+      min: [0, 'Maximum value cannot be negative']
+    },
+    industries: [{
+      type: String,
+      trim: true
+    }],
+    countries: [{
+      type: String,
+      trim: true
+    }]
+  },
+  strategy: {
+    type: String,
+    enum: ASSIGNMENT_STRATEGIES,
+    default: 'round_robin'
+  },
+  // The team leads matching this rule are shared across
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Leads assigned through this rule; drives the round-robin turn
+  assignmentCount: {
+    type: Number,
+    default: 0
+  },
+  lastAssignedAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Rules are tried in ascending order
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+assignmentRuleSchema.index({ isActive: 1, order: 1 });
+
+// Rules need someone to assign to and a sensible value range
+assignmentRuleSchema.pre('validate', function(next) {
+  if (!this.assignees || this.assignees.length === 0) {
+    this.invalidate('assignees', 'Rule needs at least one assignee');
+  }
+
+  const { minValue, maxValue } = this.conditions || {};
+  if (minValue !== undefined && maxValue !== undefined && minValue > maxValue) {
+    this.invalidate('conditions.maxValue', 'Maximum value cannot be less than minimum value');
+  }
+
+  next();
+});
+
+// Static method to get the active rules in evaluation order
+assignmentRuleSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort('order createdAt').lean();
+};
+
+module.exports = mongoose.model('AssignmentRule', assignmentRuleSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: ['Customer', 'Lead']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'assign']
+  },
+  // Where the change came from
+  source: {
+    type: String,
+    enum: ['api', 'bulk', 'import', 'merge', 'cascade', 'system', 'assignment', 'web_form', 'unsubscribe'],
+    default: 'api'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: String,
+  userAgent: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Create indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.field': 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { CAMPAIGN_CHANNELS } = require('../utils/attribution');
+
+// Marketing campaign leads are attributed to
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Campaign name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: CAMPAIGN_CHANNELS
+  },
+  // null when the campaign has no budget
+  budget: {
+    type: Number,
+    default: null,
+    min: [0, 'Budget cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(endDate) {
+        return !endDate || !this.startDate || endDate >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  // utm_campaign value that identifies the campaign in tracked links
+  utmCampaign: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [200, 'UTM campaign cannot exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+campaignSchema.index({ utmCampaign: 1 }, { unique: true, partialFilterExpression: { utmCampaign: { $type: 'string' } } });
+campaignSchema.index({ isActive: 1, startDate: -1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
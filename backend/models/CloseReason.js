@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Reasons every installation starts with
+const DEFAULT_REASONS = [
+  { type: 'won', name: 'Best value', order: 1 },
+  { type: 'won', name: 'Product fit', order: 2 },
+  { type: 'won', name: 'Relationship', order: 3 },
+  { type: 'won', name: 'Other', order: 4 },
+  { type: 'lost', name: 'Price', order: 1 },
+  { type: 'lost', name: 'Lost to competitor', order: 2 },
+  { type: 'lost', name: 'No budget', order: 3 },
+  { type: 'lost', name: 'No decision', order: 4 },
+  { type: 'lost', name: 'Timing', order: 5 },
+  { type: 'lost', name: 'Other', order: 6 }
+];
+
+const closeReasonSchema = new mongoose.Schema({
+  // Whether the reason explains a won or a lost lead
+  type: {
+    type: String,
+    required: [true, 'Reason type is required'],
+    enum: ['won', 'lost']
+  },
+  name: {
+    type: String,
+    required: [true, 'Reason name is required'],
+    trim: true,
+    maxlength: [100, 'Reason name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+closeReasonSchema.index({ type: 1, name: 1 }, { unique: true });
+closeReasonSchema.index({ type: 1, isActive: 1 });
+
+// Static method to get active reasons, optionally of one type
+closeReasonSchema.statics.getActive = function(type) {
+  const filter = { isActive: true };
+  if (type) filter.type = type;
+  return this.find(filter).sort('type order name').lean();
+};
+
+// Static method to create the default reasons if there are none
+closeReasonSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) return [];
+
+  return this.insertMany(DEFAULT_REASONS);
+};
+
+closeReasonSchema.statics.DEFAULT_REASONS = DEFAULT_REASONS;
+
+module.exports = mongoose.model('CloseReason', closeReasonSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currency');
+
+const SETTINGS_KEY = 'company';
+
+// Company-wide settings, stored as a single document
+const companySettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: SETTINGS_KEY,
+    unique: true,
+    immutable: true
+  },
+  // Currency every lead value is converted to for totals and reports
+  reportingCurrency: {
+    type: String,
+    enum: CURRENCIES,
+    default: 'USD'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the settings, creating them with defaults if needed
+companySettingSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $setOnInsert: { key: SETTINGS_KEY } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('CompanySetting', companySettingSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const contactSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Contact must be associated with a customer']
+  },
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email'
+    ]
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [
+      /^[\+]?[\d\s\-\(\)]+$/,
+      'Please enter a valid phone number'
+    ]
+  },
+  role: {
+    type: String,
+    enum: ['decision_maker', 'billing', 'technical', 'champion', 'influencer', 'end_user', 'other'],
+    default: 'other'
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+contactSchema.index({ customerId: 1, isPrimary: -1 });
+contactSchema.index({ email: 1 });
+contactSchema.index(
+  { customerId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
+
+// First contact of a customer becomes the primary contact
+contactSchema.pre('save', async function(next) {
+  if (this.isNew && !this.isPrimary) {
+    const existing = await this.constructor.countDocuments({ customerId: this.customerId });
+    if (existing === 0) {
+      this.isPrimary = true;
+    }
+  }
+  next();
+});
+
+// Only one primary contact per customer
+contactSchema.post('save', async function() {
+  if (this.isPrimary) {
+    await this.constructor.updateMany(
+      { customerId: this.customerId, _id: { $ne: this._id }, isPrimary: true },
+      { isPrimary: false }
+    );
+  }
+});
+
+// Static method to promote the oldest remaining contact when the primary goes away
+contactSchema.statics.ensurePrimary = async function(customerId) {
+  const hasPrimary = await this.exists({ customerId, isPrimary: true });
+  if (hasPrimary) return null;
+
+  return this.findOneAndUpdate(
+    { customerId },
+    { isPrimary: true },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const customFieldDefinitionSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: [true, 'Entity is required'],
+    enum: ['Customer', 'Lead']
+  },
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    maxlength: [50, 'Key cannot exceed 50 characters'],
+    match: [
+      /^[a-zA-Z][a-zA-Z0-9_]*$/,
+      'Key must start with a letter and contain only letters, numbers and underscores'
+    ]
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Field type is required'],
+    enum: ['text', 'number', 'date', 'select', 'multiselect', 'boolean']
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+customFieldDefinitionSchema.index({ entity: 1, key: 1 }, { unique: true });
+customFieldDefinitionSchema.index({ entity: 1, isActive: 1 });
+
+// Select fields need at least one option
+customFieldDefinitionSchema.pre('validate', function(next) {
+  if (['select', 'multiselect'].includes(this.type) && (!this.options || this.options.length === 0)) {
+    this.invalidate('options', 'Select fields require at least one option');
+  }
+  next();
+});
+
+// Static method to get active definitions for an entity
+customFieldDefinitionSchema.statics.getActive = function(entity) {
+  return this.find({ entity, isActive: true }).sort('order label').lean();
+};
+
+module.exports = mongoose.model('CustomFieldDefinition', customFieldDefinitionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -85,6 +86,11 @@ const customerSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Customer must be assigned to a user']
   },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -112,6 +118,21 @@ const customerSchema = new mongoose.Schema({
   lastContactDate: {
     type: Date,
     default: null
+  },
+  // Set when the customer unsubscribes from campaign emails
+  emailOptOut: {
+    type: Boolean,
+    default: false
+  },
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  },
+  // Values for admin-defined fields (see CustomFieldDefinition)
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
   }
 }, {
   timestamps: true,
@@ -119,6 +140,9 @@ const customerSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted records stay in the trash until restored or purged
+customerSchema.plugin(softDelete);
+
 // Create indexes
 customerSchema.index({ ownerId: 1 });
 customerSchema.index({ email: 1 });
@@ -126,6 +150,7 @@ customerSchema.index({ status: 1 });
 customerSchema.index({ industry: 1 });
 customerSchema.index({ name: 'text', company: 'text', email: 'text' });
 customerSchema.index({ createdAt: -1 });
+customerSchema.index({ parentId: 1 });
 
 // Virtual for customer's leads
 customerSchema.virtual('leads', {
@@ -144,7 +169,7 @@ customerSchema.pre('save', async function(next) {
   }
 });
 
-// Method to update lead statistics
+// Method to update lead statistics; values are in the reporting currency
 customerSchema.methods.updateLeadStats = async function() {
   const Lead = mongoose.model('Lead');
   
@@ -153,7 +178,7 @@ customerSchema.methods.updateLeadStats = async function() {
     {
       $group: {
         _id: null,
-        totalValue: { $sum: '$value' },
+        totalValue: { $sum: { $ifNull: ['$convertedValue', 0] } },
         count: { $sum: 1 },
         lastContact: { $max: '$updatedAt' }
       }
@@ -203,6 +228,114 @@ customerSchema.statics.paginate = function(filter, options) {
     .limit(limit);
 };
 
+// Maximum depth walked when following parent references
+const MAX_HIERARCHY_DEPTH = 50;
+
+// Static method to get the ancestors of a customer, nearest parent first
+customerSchema.statics.getAncestors = async function(customerId) {
+  const ancestors = [];
+  const seen = new Set([customerId.toString()]);
+  let current = await this.findById(customerId).select('parentId').lean();
+
+  while (current && current.parentId && ancestors.length < MAX_HIERARCHY_DEPTH) {
+    const parentKey = current.parentId.toString();
+    if (seen.has(parentKey)) break;
+    seen.add(parentKey);
+
+    current = await this.findById(current.parentId)
+      .select('name company parentId ownerId')
+      .lean();
+
+    if (current) ancestors.push(current);
+  }
+
+  return ancestors;
+};
+
+// Static method to check whether setting parentId on a customer would create a cycle
+customerSchema.statics.wouldCreateCycle = async function(customerId, parentId) {
+  if (!parentId) return false;
+  if (customerId.toString() === parentId.toString()) return true;
+
+  const ancestors = await this.getAncestors(parentId);
+  return ancestors.some(ancestor => ancestor._id.toString() === customerId.toString());
+};
+
+// Static method to get the whole tree a customer belongs to, with rolled-up lead totals.
+// With an ownerId, customers of other owners are redacted.
+customerSchema.statics.getHierarchy = async function(customerId, { ownerId } = {}) {
+  const { buildCustomerTree, redactCustomerNodes } = require('../utils/hierarchy');
+
+  const ancestors = await this.getAncestors(customerId);
+  const rootId = ancestors.length > 0 ? ancestors[ancestors.length - 1]._id : customerId;
+
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(rootId.toString()) } },
+    {
+      $graphLookup: {
+        from: 'customers',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentId',
+        as: 'descendants',
+        maxDepth: MAX_HIERARCHY_DEPTH,
+        restrictSearchWithMatch: { deletedAt: null }
+      }
+    }
+  ]);
+
+  if (!result) return null;
+
+  const fields = ['_id', 'name', 'company', 'status', 'industry', 'parentId', 'ownerId', 'totalLeadValue', 'leadsCount'];
+  const pick = (doc) => fields.reduce((acc, field) => {
+    acc[field] = doc[field];
+    return acc;
+  }, {});
+
+  let nodes = [pick(result), ...result.descendants.map(pick)];
+  if (ownerId) {
+    nodes = redactCustomerNodes(nodes, ownerId);
+  }
+
+  return {
+    rootId,
+    ancestors: ancestors.map(ancestor => ancestor._id),
+    tree: buildCustomerTree(nodes, rootId)
+  };
+};
+
+// Static method to get top-level customers ranked by lead value rolled up from subsidiaries
+customerSchema.statics.getTopRollups = function(filter = {}, limit = 5) {
+  return this.aggregate([
+    { $match: { ...filter, parentId: null } },
+    {
+      $graphLookup: {
+        from: 'customers',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentId',
+        as: 'descendants',
+        maxDepth: MAX_HIERARCHY_DEPTH,
+        restrictSearchWithMatch: { ...filter, deletedAt: null }
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        company: 1,
+        ownerId: 1,
+        totalLeadValue: 1,
+        leadsCount: 1,
+        subsidiariesCount: { $size: '$descendants' },
+        rollupLeadValue: { $add: ['$totalLeadValue', { $sum: '$descendants.totalLeadValue' }] },
+        rollupLeadsCount: { $add: ['$leadsCount', { $sum: '$descendants.leadsCount' }] }
+      }
+    },
+    { $sort: { rollupLeadValue: -1 } },
+    { $limit: limit }
+  ]);
+};
+
 // Method to get full address string
 customerSchema.methods.getFullAddress = function() {
   const { street, city, state, zipCode, country } = this.address;
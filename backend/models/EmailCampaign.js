@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { EMAIL_CAMPAIGN_STATUSES } = require('../utils/emailCampaigns');
+
+// Email sent from a template to the customers of a segment
+const emailCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Campaign name cannot exceed 100 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  // Name of a template known to loadTemplate
+  template: {
+    type: String,
+    required: [true, 'Template is required'],
+    trim: true
+  },
+  // Template variables shared by all recipients, such as heading and content
+  variables: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment',
+    required: [true, 'Segment is required']
+  },
+  status: {
+    type: String,
+    enum: EMAIL_CAMPAIGN_STATUSES,
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Recipient counts by status; the recipients are EmailRecipient documents
+  stats: {
+    total: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailCampaignSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('EmailCampaign', emailCampaignSchema);
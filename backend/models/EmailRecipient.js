@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { RECIPIENT_STATUSES, generateUnsubscribeToken } = require('../utils/emailCampaigns');
+
+// Customer an email campaign is sent to, copied from the segment when
+// sending starts
+const emailRecipientSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailCampaign',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  name: String,
+  status: {
+    type: String,
+    enum: RECIPIENT_STATUSES,
+    default: 'pending'
+  },
+  // Token of the recipient's unsubscribe link. Issued once and kept, so
+  // the link in an email already sent keeps working.
+  unsubscribeToken: {
+    type: String,
+    default: generateUnsubscribeToken,
+    select: false
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  messageId: String,
+  error: String,
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+emailRecipientSchema.index({ campaignId: 1, customerId: 1 }, { unique: true });
+emailRecipientSchema.index({ campaignId: 1, status: 1 });
+emailRecipientSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailRecipient', emailRecipientSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, RATE_BASE_CURRENCY } = require('../utils/currency');
+
+// Value of one unit of `currency` in the rate base currency (USD) from
+// `effectiveDate` until the next rate for the currency takes effect
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    enum: CURRENCIES.filter(currency => currency !== RATE_BASE_CURRENCY)
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: {
+      validator: function(rate) {
+        return rate > 0;
+      },
+      message: 'Rate must be greater than 0'
+    }
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1 }, { unique: true });
+
+// Static method to get the whole rate table for conversions
+exchangeRateSchema.statics.getTable = function() {
+  return this.find().select('currency rate effectiveDate').sort('currency effectiveDate').lean();
+};
+
+exchangeRateSchema.statics.BASE_CURRENCY = RATE_BASE_CURRENCY;
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,65 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { StageTransitionError, evaluateStageTransition } = require('../utils/stageRules');
+const { rulesUseCustomer, scoreLead } = require('../utils/leadScoring');
+const { calculateLineItem, calculateLineItemsTotal } = require('../utils/lineItems');
+const { QUOTE_STATUSES } = require('../utils/quotes');
+const { convertLeadValue } = require('../utils/currency');
+require('./Pipeline');
+require('./CloseReason');
+require('./ScoringRule');
+require('./ExchangeRate');
+require('./CompanySetting');
+
+const emailAddressSchema = new mongoose.Schema({
+  name: String,
+  address: String
+}, { _id: false });
+
+// Email logged from an uploaded message (see services/emailLogService)
+const emailMessageSchema = new mongoose.Schema({
+  messageId: String,
+  subject: String,
+  from: emailAddressSchema,
+  to: [emailAddressSchema],
+  cc: [emailAddressSchema],
+  body: String,
+  bodyTruncated: {
+    type: Boolean,
+    default: false
+  },
+  // Contacts of the lead's customer who took part in the email
+  contactIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  }],
+  // Lead attachments holding the email's files and the original message
+  attachmentIds: [mongoose.Schema.Types.ObjectId],
+  sourceAttachmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, { _id: false });
+
+// Campaign and UTM parameters of a marketing touch
+const touchSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  utm: {
+    source: String,
+    medium: String,
+    campaign: String,
+    term: String,
+    content: String
+  },
+  touchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const activitySchema = new mongoose.Schema({
   type: {
@@ -15,6 +76,24 @@ const activitySchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // When a meeting ends
+  endDate: {
+    type: Date
+  },
+  // UID of the calendar event an imported meeting came from
+  externalId: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: emailMessageSchema,
+    default: undefined
+  },
+  // Email campaign an email activity was sent by
+  emailCampaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailCampaign'
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -24,6 +103,109 @@ const activitySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Product on a lead; SKU, name and unit price are copied from the catalog
+// when the item is added, so later catalog changes leave the deal as quoted
+const lineItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Line item must reference a product']
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Line item name is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: function(quantity) {
+        return quantity > 0;
+      },
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  // Percentage off the line subtotal
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be less than 0'],
+    max: [100, 'Discount cannot be greater than 100']
+  },
+  // Percentage charged on the discounted amount
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be less than 0'],
+    max: [100, 'Tax rate cannot be greater than 100']
+  },
+  // Discounted amount plus tax, kept in sync by the pre-validate hook
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Versioned quote generated from the lead; the PDF is one of its attachments
+const quoteSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  number: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: QUOTE_STATUSES,
+    default: 'draft'
+  },
+  currency: String,
+  items: [{
+    _id: false,
+    sku: String,
+    name: String,
+    quantity: Number,
+    unitPrice: Number,
+    discount: Number,
+    taxRate: Number,
+    total: Number
+  }],
+  subtotal: Number,
+  discountAmount: Number,
+  taxAmount: Number,
+  total: Number,
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  terms: String,
+  attachmentId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
 const leadSchema = new mongoose.Schema({
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -42,45 +224,63 @@ const leadSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    required: [true, 'Lead must belong to a pipeline']
+  },
+  // One of the pipeline's stage names; defaults to its first open stage
   status: {
     type: String,
     required: [true, 'Lead status is required'],
-    enum: ['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Converted', 'Lost'],
-    default: 'New'
+    trim: true
   },
+  // Category of the current stage, kept in sync by the pre-validate hook
+  stageCategory: {
+    type: String,
+    enum: ['open', 'won', 'lost'],
+    default: 'open'
+  },
+  // Computed from the line items when the lead has any
   value: {
     type: Number,
     required: [true, 'Lead value is required'],
     min: [0, 'Value cannot be negative']
   },
+  lineItems: [lineItemSchema],
   currency: {
     type: String,
     default: 'USD',
     enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD']
   },
+  // Value in the company reporting currency, refreshed on save and when
+  // rates or the reporting currency change; null when a rate is missing
+  convertedValue: {
+    type: Number,
+    default: null
+  },
+  reportingCurrency: {
+    type: String
+  },
+  // Rate applied from the lead currency to the reporting currency
+  exchangeRate: {
+    type: Number
+  },
+  // Defaults to the stage probability of the pipeline
   probability: {
     type: Number,
     min: [0, 'Probability cannot be less than 0'],
-    max: [100, 'Probability cannot be greater than 100'],
-    default: function() {
-      // Auto-set probability based on status
-      const statusProbability = {
-        'New': 10,
-        'Contacted': 25,
-        'Qualified': 50,
-        'Proposal': 75,
-        'Negotiation': 85,
-        'Converted': 100,
-        'Lost': 0
-      };
-      return statusProbability[this.status] || 10;
-    }
+    max: [100, 'Probability cannot be greater than 100']
   },
   expectedCloseDate: {
     type: Date,
     required: [true, 'Expected close date is required'],
     validate: {
+      // Only checked when the date is set, so overdue leads stay editable
       validator: function(date) {
+        if (!this.isNew && !this.isModified('expectedCloseDate')) {
+          return true;
+        }
         return date > new Date();
       },
       message: 'Expected close date must be in the future'
@@ -90,6 +290,17 @@ const leadSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Why the lead was won or lost; required to enter a won or lost stage
+  closeReason: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CloseReason',
+    default: null
+  },
+  competitor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Competitor cannot exceed 100 characters']
+  },
   source: {
     type: String,
     required: [true, 'Lead source is required'],
@@ -101,65 +312,143 @@ const leadSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  // Marketing touches (see utils/attribution): the campaign or tracked
+  // visit that brought the lead in, and the latest one
+  firstTouch: {
+    type: touchSchema,
+    default: undefined
+  },
+  lastTouch: {
+    type: touchSchema,
+    default: undefined
+  },
+  webFormId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebForm',
+    default: null
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Lead must be assigned to a user']
   },
+  contacts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  }],
   activities: [activitySchema],
   tags: [{
     type: String,
     trim: true,
     lowercase: true
   }],
+  // Defaults to the follow-up cadence of the stage
   nextFollowUp: {
-    type: Date,
-    default: function() {
-      // Set default follow-up date based on status
-      const followUpDays = {
-        'New': 1,
-        'Contacted': 3,
-        'Qualified': 7,
-        'Proposal': 5,
-        'Negotiation': 2,
-        'Converted': 0,
-        'Lost': 0
-      };
-      
-      const days = followUpDays[this.status] || 7;
-      if (days > 0) {
-        const followUp = new Date();
-        followUp.setDate(followUp.getDate() + days);
-        return followUp;
-      }
-      return null;
+    type: Date
+  },
+  // The nextFollowUp dates reminders have gone out for (see
+  // services/followUpService); a new follow-up date gets new reminders
+  followUpReminder: {
+    _id: false,
+    upcomingFor: {
+      type: Date,
+      default: null
+    },
+    dueFor: {
+      type: Date,
+      default: null
     }
   },
+  // Files kept in private storage (see services/attachmentService);
+  // filename and thumbnail are paths relative to the storage root
   attachments: [{
     filename: String,
     originalName: String,
     mimetype: String,
     size: Number,
+    thumbnail: {
+      type: String,
+      default: null
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadDate: {
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  quotes: [quoteSchema],
+  // Append-only record of status changes, written by the pre-save hook
+  stageHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Values for admin-defined fields (see CustomFieldDefinition)
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 0-100 rating from the active scoring rules, refreshed on every save
+  score: {
+    type: Number,
+    default: 0
+  },
+  // The rules that contributed to the score
+  scoreBreakdown: [{
+    _id: false,
+    rule: String,
+    field: String,
+    value: mongoose.Schema.Types.Mixed,
+    points: Number
+  }],
+  scoredAt: {
+    type: Date
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Deleted records stay in the trash until restored or purged
+leadSchema.plugin(softDelete);
+
 // Create indexes
 leadSchema.index({ customerId: 1 });
 leadSchema.index({ assignedTo: 1 });
 leadSchema.index({ status: 1 });
+leadSchema.index({ pipelineId: 1, status: 1 });
+leadSchema.index({ stageCategory: 1 });
 leadSchema.index({ priority: 1 });
 leadSchema.index({ expectedCloseDate: 1 });
 leadSchema.index({ source: 1 });
 leadSchema.index({ nextFollowUp: 1 });
+leadSchema.index({ 'firstTouch.campaignId': 1 });
+leadSchema.index({ 'lastTouch.campaignId': 1 });
 leadSchema.index({ createdAt: -1 });
+leadSchema.index({ contacts: 1 });
+leadSchema.index({ closeReason: 1 });
+leadSchema.index({ score: -1 });
+leadSchema.index({ 'lineItems.productId': 1 });
+leadSchema.index({ convertedValue: -1 });
 
 // Virtual for weighted value (value * probability)
 leadSchema.virtual('weightedValue').get(function() {
@@ -178,39 +467,168 @@ leadSchema.virtual('daysToClose').get(function() {
 
 // Virtual for overdue status
 leadSchema.virtual('isOverdue').get(function() {
-  if (!this.expectedCloseDate || this.status === 'Converted' || this.status === 'Lost') {
+  if (!this.expectedCloseDate || this.stageCategory !== 'open') {
     return false;
   }
   return new Date() > this.expectedCloseDate;
 });
 
+// Remember the stored status so the pre-save hook can record transitions
+leadSchema.post('init', function() {
+  this.$locals.previousStatus = this.status;
+});
+
+// Follow-up date for a stage's cadence, or null when the stage has none
+const followUpDateFor = (stage) => {
+  if (!stage.followUpDays) return null;
+
+  const followUp = new Date();
+  followUp.setDate(followUp.getDate() + stage.followUpDays);
+  return followUp;
+};
+
+// Keep line item totals and the lead value in sync with the line items
+leadSchema.pre('validate', function() {
+  if (this.lineItems.length === 0) return;
+
+  this.lineItems.forEach(item => {
+    item.total = calculateLineItem(item).total;
+  });
+  this.value = calculateLineItemsTotal(this.lineItems).total;
+});
+
+// Check the status against the lead's pipeline and its stage rules, and
+// apply stage defaults
+leadSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('status') && !this.isModified('pipelineId')) return;
+
+  const Pipeline = mongoose.model('Pipeline');
+  const pipeline = this.pipelineId
+    ? await Pipeline.findById(this.pipelineId)
+    : await Pipeline.ensureDefault();
+
+  if (!pipeline) {
+    this.invalidate('pipelineId', 'Pipeline not found');
+    return;
+  }
+
+  if (!pipeline.isActive && (this.isNew || this.isModified('pipelineId'))) {
+    this.invalidate('pipelineId', `The ${pipeline.name} pipeline is not active`);
+    return;
+  }
+
+  this.pipelineId = pipeline._id;
+
+  if (!this.status) {
+    this.status = pipeline.getStageNames('open')[0];
+  }
+
+  const stage = pipeline.getStage(this.status);
+
+  if (!stage) {
+    this.invalidate('status', `"${this.status}" is not a stage of the ${pipeline.name} pipeline`);
+    return;
+  }
+
+  // Rules apply when entering a stage; a move between pipelines has no
+  // previous stage to check allowed transitions against
+  const statusChanged = this.isNew || this.isModified('pipelineId') || this.status !== this.$locals.previousStatus;
+  if (statusChanged) {
+    const from = this.isNew || this.isModified('pipelineId')
+      ? null
+      : pipeline.getStage(this.$locals.previousStatus);
+    const closeReason = stage.category !== 'open' && this.closeReason
+      ? await mongoose.model('CloseReason').findById(this.closeReason).lean()
+      : null;
+    const violations = evaluateStageTransition(this, from, stage, { closeReason });
+
+    if (violations.length > 0) {
+      throw new StageTransitionError(this.isNew ? null : this.$locals.previousStatus, stage.name, violations);
+    }
+  }
+
+  this.stageCategory = stage.category;
+  this.$locals.stage = stage;
+
+  if (this.isNew) {
+    if (this.probability === undefined || this.probability === null) {
+      this.probability = stage.probability;
+    }
+    if (this.nextFollowUp === undefined) {
+      this.nextFollowUp = followUpDateFor(stage);
+    }
+  }
+});
+
 // Pre-save middleware
 leadSchema.pre('save', function(next) {
-  // Auto-update probability based on status if not manually set
-  if (this.isModified('status') && !this.isModified('probability')) {
-    const statusProbability = {
-      'New': 10,
-      'Contacted': 25,
-      'Qualified': 50,
-      'Proposal': 75,
-      'Negotiation': 85,
-      'Converted': 100,
-      'Lost': 0
-    };
-    this.probability = statusProbability[this.status] || this.probability;
+  // Record stage transitions; set `lead.$locals.changedBy` to attribute them
+  if (this.isNew || this.isModified('status')) {
+    const from = this.isNew ? null : this.$locals.previousStatus || null;
+
+    if (from !== this.status) {
+      this.stageHistory.push({
+        from,
+        to: this.status,
+        changedAt: new Date(),
+        changedBy: this.$locals.changedBy || this.assignedTo
+      });
+    }
+    this.$locals.previousStatus = this.status;
   }
 
-  // Set actual close date when status changes to Converted or Lost
-  if (this.isModified('status') && (this.status === 'Converted' || this.status === 'Lost')) {
+  // Auto-update probability and follow-up from the new stage if not manually set
+  const stage = this.$locals.stage;
+  if (!this.isNew && this.isModified('status') && stage) {
+    if (!this.isModified('probability')) {
+      this.probability = stage.probability;
+    }
+    if (!this.isModified('nextFollowUp') && stage.category === 'open') {
+      this.nextFollowUp = followUpDateFor(stage) || this.nextFollowUp;
+    }
+  }
+
+  // Set actual close date when the lead moves to a won or lost stage
+  if (this.isModified('status') && this.stageCategory !== 'open') {
     if (!this.actualCloseDate) {
       this.actualCloseDate = new Date();
     }
     this.nextFollowUp = null; // Clear follow-up for closed leads
   }
 
+  // A reopened lead no longer has a close date or reason
+  if (!this.isNew && this.isModified('status') && this.stageCategory === 'open') {
+    this.actualCloseDate = null;
+    this.closeReason = null;
+    this.competitor = undefined;
+  }
+
   next();
 });
 
+// Score the lead with the active scoring rules
+leadSchema.pre('save', async function() {
+  const rules = await mongoose.model('ScoringRule').getActive();
+  const customer = rulesUseCustomer(rules)
+    ? await mongoose.model('Customer').findById(this.customerId).select('industry').lean()
+    : null;
+
+  this.applyScore(scoreLead(this, rules, { customer }));
+});
+
+// Convert the value to the reporting currency
+leadSchema.pre('save', async function() {
+  const conversionFields = ['value', 'currency', 'actualCloseDate'];
+  if (!this.isNew && !conversionFields.some(field => this.isModified(field)) && this.convertedValue !== null) return;
+
+  const [rates, settings] = await Promise.all([
+    mongoose.model('ExchangeRate').getTable(),
+    mongoose.model('CompanySetting').getSettings()
+  ]);
+
+  this.applyConversion(convertLeadValue(this, rates, settings.reportingCurrency));
+});
+
 // Post-save middleware to update customer statistics
 leadSchema.post('save', async function() {
   try {
@@ -245,12 +663,42 @@ leadSchema.methods.addActivity = function(activityData) {
   return this.save();
 };
 
+// Method to record a marketing touch; the first one is kept as first touch
+leadSchema.methods.recordTouch = function(touch) {
+  if (!this.firstTouch) {
+    this.firstTouch = touch;
+  }
+  this.lastTouch = touch;
+};
+
+// Method to store a result of scoreLead
+leadSchema.methods.applyScore = function({ score, breakdown }) {
+  this.score = score;
+  this.scoreBreakdown = breakdown;
+  this.scoredAt = new Date();
+};
+
+// Method to store a result of convertLeadValue
+leadSchema.methods.applyConversion = function({ convertedValue, reportingCurrency, exchangeRate }) {
+  this.convertedValue = convertedValue;
+  this.reportingCurrency = reportingCurrency;
+  this.exchangeRate = exchangeRate;
+};
+
 // Method to update next follow-up
 leadSchema.methods.setNextFollowUp = function(date) {
   this.nextFollowUp = date;
   return this.save({ validateBeforeSave: false });
 };
 
+// Static method to find a lead the user may access: admins see every lead,
+// others their own
+leadSchema.statics.findAccessible = function(leadId, user) {
+  const query = { _id: leadId };
+  if (user.role !== 'admin') query.assignedTo = user._id;
+  return this.findOne(query);
+};
+
 // Static method to find leads by status
 leadSchema.statics.findByStatus = function(status, assignedTo) {
   const query = { status };
@@ -262,15 +710,18 @@ leadSchema.statics.findByStatus = function(status, assignedTo) {
 leadSchema.statics.findOverdue = function(assignedTo) {
   const query = {
     expectedCloseDate: { $lt: new Date() },
-    status: { $nin: ['Converted', 'Lost'] }
+    stageCategory: 'open'
   };
   if (assignedTo) query.assignedTo = assignedTo;
   return this.find(query).populate('customerId', 'name company email');
 };
 
-// Static method to get lead statistics
-leadSchema.statics.getStats = function(assignedTo) {
+// Static method to get lead statistics. Values are in the reporting
+// currency, multiplied by `currencyFactor` to report in another currency.
+leadSchema.statics.getStats = function(assignedTo, pipelineId, currencyFactor = 1) {
   const matchQuery = assignedTo ? { assignedTo } : {};
+  const valueExpression = { $multiply: [{ $ifNull: ['$convertedValue', 0] }, currencyFactor] };
+  if (pipelineId) matchQuery.pipelineId = new mongoose.Types.ObjectId(pipelineId.toString());
   
   return this.aggregate([
     { $match: matchQuery },
@@ -278,9 +729,9 @@ leadSchema.statics.getStats = function(assignedTo) {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        totalValue: { $sum: '$value' },
+        totalValue: { $sum: valueExpression },
         avgProbability: { $avg: '$probability' },
-        weightedValue: { $sum: { $multiply: ['$value', { $divide: ['$probability', 100] }] } }
+        weightedValue: { $sum: { $multiply: [valueExpression, { $divide: ['$probability', 100] }] } }
       }
     },
     {
@@ -304,8 +755,9 @@ leadSchema.statics.getStats = function(assignedTo) {
 };
 
 // Static method for lead conversion funnel
-leadSchema.statics.getConversionFunnel = function(assignedTo) {
+leadSchema.statics.getConversionFunnel = function(assignedTo, pipelineId) {
   const matchQuery = assignedTo ? { assignedTo } : {};
+  if (pipelineId) matchQuery.pipelineId = new mongoose.Types.ObjectId(pipelineId.toString());
   
   return this.aggregate([
     { $match: matchQuery },
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['follow_up_upcoming', 'follow_up_due', 'task_reminder'];
+
+// In-app notification shown to a single user
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must belong to a user']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: NOTIFICATION_TYPES
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Frontend path the notification opens
+  link: String,
+  entityType: {
+    type: String,
+    enum: ['Lead', 'Task']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Identifies the event the notification is for, so the same reminder is
+  // never stored twice
+  dedupeKey: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
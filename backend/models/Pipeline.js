@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { isRequirableField } = require('../utils/stageRules');
+
+// Stages of the pipeline every installation starts with
+const DEFAULT_STAGES = [
+  { name: 'New', probability: 10, followUpDays: 1, category: 'open' },
+  { name: 'Contacted', probability: 25, followUpDays: 3, category: 'open' },
+  { name: 'Qualified', probability: 50, followUpDays: 7, category: 'open' },
+  { name: 'Proposal', probability: 75, followUpDays: 5, category: 'open' },
+  { name: 'Negotiation', probability: 85, followUpDays: 2, category: 'open' },
+  { name: 'Converted', probability: 100, followUpDays: 0, category: 'won' },
+  { name: 'Lost', probability: 0, followUpDays: 0, category: 'lost' }
+];
+
+const DEFAULT_PIPELINE_NAME = 'Sales Pipeline';
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [50, 'Stage name cannot exceed 50 characters']
+  },
+  probability: {
+    type: Number,
+    required: [true, 'Stage probability is required'],
+    min: [0, 'Probability cannot be less than 0'],
+    max: [100, 'Probability cannot be greater than 100']
+  },
+  // Days until the next follow-up when a lead enters the stage (0 = none)
+  followUpDays: {
+    type: Number,
+    min: [0, 'Follow-up days cannot be negative'],
+    default: 0
+  },
+  category: {
+    type: String,
+    required: [true, 'Stage category is required'],
+    enum: ['open', 'won', 'lost'],
+    default: 'open'
+  },
+  // Stages a lead in this stage may move to (empty = any stage)
+  allowedTransitions: [{
+    type: String,
+    trim: true
+  }],
+  // Lead fields that must be filled before a lead enters this stage
+  requiredFields: [{
+    type: String,
+    trim: true
+  }],
+  // Whether a lead needs at least one logged activity to enter this stage
+  requiresActivity: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const pipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pipeline name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Pipeline name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Stages in funnel order
+  stages: [stageSchema],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+pipelineSchema.index({ isDefault: 1 });
+
+// Stage names are unique, every pipeline can open, win and lose deals and
+// stage rules only reference existing stages and known lead fields
+pipelineSchema.pre('validate', function(next) {
+  const names = this.stages.map(stage => stage.name.toLowerCase());
+
+  if (new Set(names).size !== names.length) {
+    this.invalidate('stages', 'Stage names must be unique within a pipeline');
+  }
+
+  const stageNames = this.stages.map(stage => stage.name);
+
+  this.stages.forEach((stage, index) => {
+    const unknownStages = stage.allowedTransitions.filter(name => !stageNames.includes(name));
+    if (unknownStages.length > 0) {
+      this.invalidate(`stages.${index}.allowedTransitions`, `Stage "${stage.name}" allows moves to unknown stages: ${unknownStages.join(', ')}`);
+    }
+
+    const unknownFields = stage.requiredFields.filter(field => !isRequirableField(field));
+    if (unknownFields.length > 0) {
+      this.invalidate(`stages.${index}.requiredFields`, `Stage "${stage.name}" requires unknown fields: ${unknownFields.join(', ')}`);
+    }
+  });
+
+  ['open', 'won', 'lost'].forEach(category => {
+    if (!this.stages.some(stage => stage.category === category)) {
+      this.invalidate('stages', `Pipeline needs at least one ${category} stage`);
+    }
+  });
+
+  next();
+});
+
+// Only one default pipeline
+pipelineSchema.post('save', async function() {
+  if (this.isDefault) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+});
+
+// Method to find a stage by name
+pipelineSchema.methods.getStage = function(name) {
+  return this.stages.find(stage => stage.name === name) || null;
+};
+
+// Method to get stage names of a category, in order
+pipelineSchema.methods.getStageNames = function(category) {
+  return this.stages
+    .filter(stage => !category || stage.category === category)
+    .map(stage => stage.name);
+};
+
+// Static method to get the default pipeline
+pipelineSchema.statics.getDefault = function() {
+  return this.findOne({ isDefault: true });
+};
+
+// Static method to create the default pipeline if there is none
+pipelineSchema.statics.ensureDefault = async function() {
+  const existing = await this.getDefault();
+  if (existing) return existing;
+
+  // Promote an existing pipeline before creating a new one
+  const first = await this.findOne().sort('createdAt');
+  if (first) {
+    first.isDefault = true;
+    return first.save();
+  }
+
+  return this.create({
+    name: DEFAULT_PIPELINE_NAME,
+    stages: DEFAULT_STAGES,
+    isDefault: true
+  });
+};
+
+pipelineSchema.statics.DEFAULT_STAGES = DEFAULT_STAGES;
+
+module.exports = mongoose.model('Pipeline', pipelineSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const {
+  SCORING_FIELDS,
+  OPERATORS,
+  DEFAULT_SCORING_RULES,
+  validateRule
+} = require('../utils/leadScoring');
+
+const scoringRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  field: {
+    type: String,
+    required: [true, 'Scoring field is required'],
+    enum: SCORING_FIELDS
+  },
+  // Key of the lead custom field when field is customField
+  customFieldKey: {
+    type: String,
+    trim: true
+  },
+  operator: {
+    type: String,
+    required: [true, 'Operator is required'],
+    enum: OPERATORS
+  },
+  // Compared against the field; a list for `in`, [min, max] for `between`
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Points awarded on a match (per unit for `per`); negative points penalize
+  points: {
+    type: Number,
+    required: [true, 'Points are required'],
+    min: [-100, 'Points cannot be less than -100'],
+    max: [100, 'Points cannot be greater than 100']
+  },
+  // Cap for `per` rules
+  maxPoints: {
+    type: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+scoringRuleSchema.index({ isActive: 1, order: 1 });
+
+// Operators need a value of the right shape
+scoringRuleSchema.pre('validate', function(next) {
+  const error = validateRule(this);
+  if (error) {
+    this.invalidate('value', error);
+  }
+  next();
+});
+
+// Static method to get the active rules in evaluation order
+scoringRuleSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort('order name').lean();
+};
+
+// Static method to create the default rules if there are none
+scoringRuleSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) return [];
+
+  return this.insertMany(DEFAULT_SCORING_RULES);
+};
+
+module.exports = mongoose.model('ScoringRule', scoringRuleSchema);
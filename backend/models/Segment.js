@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Saved customer filter that email campaigns are sent to. Empty filters
+// match every customer.
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Segment name is required'],
+    trim: true,
+    maxlength: [100, 'Segment name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  filters: {
+    statuses: [{
+      type: String,
+      enum: ['active', 'inactive', 'prospect']
+    }],
+    industries: [String],
+    countries: [String],
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    ownerIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    minLeadValue: {
+      type: Number,
+      min: [0, 'Minimum lead value cannot be negative']
+    },
+    maxLeadValue: {
+      type: Number,
+      min: [0, 'Maximum lead value cannot be negative']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Segment', segmentSchema);
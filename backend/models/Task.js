@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const taskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Task must be assigned to a user']
+  },
+  // Optional links; a task on a lead is also linked to the lead's customer
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When to email the assignee; claimed by the reminder job via reminderSentAt
+  reminderAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Create indexes
+taskSchema.index({ assignedTo: 1, completed: 1, dueDate: 1 });
+taskSchema.index({ leadId: 1 });
+taskSchema.index({ customerId: 1 });
+taskSchema.index({ reminderAt: 1, reminderSentAt: 1 });
+
+// Virtual for overdue status
+taskSchema.virtual('isOverdue').get(function() {
+  return !this.completed && Boolean(this.dueDate) && this.dueDate < new Date();
+});
+
+// Pre-save middleware
+taskSchema.pre('save', function(next) {
+  // Track when the task was completed, and clear it when reopened
+  if (this.isModified('completed')) {
+    this.completedAt = this.completed ? new Date() : null;
+    if (!this.completed) {
+      this.completedBy = undefined;
+    }
+  }
+
+  // A moved reminder is sent again
+  if (!this.isNew && this.isModified('reminderAt')) {
+    this.reminderSentAt = null;
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Task', taskSchema);
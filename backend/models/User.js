@@ -68,7 +68,31 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   resetPasswordToken: String,
-  resetPasswordExpire: Date
+  resetPasswordExpire: Date,
+  // Hash of the token in the user's calendar feed URL
+  calendarToken: {
+    type: String,
+    select: false
+  },
+  // Which reminders the user gets by email and in the app
+  notificationPreferences: {
+    followUpEmail: {
+      type: Boolean,
+      default: true
+    },
+    followUpInApp: {
+      type: Boolean,
+      default: true
+    },
+    taskReminderEmail: {
+      type: Boolean,
+      default: true
+    },
+    taskReminderInApp: {
+      type: Boolean,
+      default: true
+    }
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -79,6 +103,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ calendarToken: 1 }, { sparse: true });
 
 // Virtual for user's customers
 userSchema.virtual('customers', {
@@ -127,6 +152,21 @@ userSchema.methods.generatePasswordResetToken = function() {
   return resetToken;
 };
 
+// Generate a calendar feed token, replacing any earlier one
+userSchema.methods.generateCalendarToken = function() {
+  const crypto = require('crypto');
+
+  const calendarToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the hash is stored, like password reset tokens
+  this.calendarToken = crypto
+    .createHash('sha256')
+    .update(calendarToken)
+    .digest('hex');
+
+  return calendarToken;
+};
+
 // Generate OTP for email verification
 userSchema.methods.generateOTP = function() {
   // Generate 6-digit OTP
@@ -189,6 +229,7 @@ userSchema.methods.toJSON = function() {
   delete userObject.password;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
+  delete userObject.calendarToken;
   return userObject;
 };
 
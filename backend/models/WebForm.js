@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WEB_FORM_TARGETS, normalizeOrigin } = require('../utils/webForms');
+
+const generatePublicKey = () => `wf_${crypto.randomBytes(16).toString('hex')}`;
+
+// Website form that creates leads through the public submission endpoint
+const webFormSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true,
+    maxlength: [100, 'Form name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Identifies the form in its public URL
+  publicKey: {
+    type: String,
+    unique: true,
+    default: generatePublicKey
+  },
+  // Which submitted field fills which customer or lead field; forms
+  // without a mapping use DEFAULT_FIELD_MAPPING
+  fieldMapping: [{
+    _id: false,
+    formField: {
+      type: String,
+      required: [true, 'Form field name is required'],
+      trim: true
+    },
+    target: {
+      type: String,
+      required: [true, 'Target field is required'],
+      enum: WEB_FORM_TARGETS
+    }
+  }],
+  // Campaign credited with the form's leads; without one, the campaign is
+  // found from the submission's utm_campaign
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  defaultSource: {
+    type: String,
+    enum: ['Website', 'Referral', 'Cold Call', 'Email', 'Social Media', 'Event', 'Other'],
+    default: 'Website'
+  },
+  defaultValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Default value cannot be negative']
+  },
+  // Days from submission to the lead's expected close date
+  expectedCloseDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Expected close days must be at least 1']
+  },
+  // Websites allowed to post the form from a browser
+  allowedOrigins: [{
+    type: String,
+    trim: true,
+    set: normalizeOrigin
+  }],
+  // Leads go through this assignment rule, or all active rules when none
+  // is set, and to the default owner when no rule applies
+  assignmentRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssignmentRule',
+    default: null
+  },
+  defaultOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Default owner is required']
+  },
+  // Hidden field that must stay empty
+  honeypotField: {
+    type: String,
+    trim: true,
+    default: '_hp'
+  },
+  // Where browsers posting the form directly are sent afterwards
+  redirectUrl: {
+    type: String,
+    trim: true,
+    match: [
+      /^https?:\/\/.+/,
+      'Please enter a valid redirect URL'
+    ]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  submissionCount: {
+    type: Number,
+    default: 0
+  },
+  lastSubmissionAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to replace the public key, disabling the old form URL
+webFormSchema.methods.regenerateKey = function() {
+  this.publicKey = generatePublicKey();
+  return this.publicKey;
+};
+
+module.exports = mongoose.model('WebForm', webFormSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Query operations that hide soft-deleted documents by default
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne'
+];
+
+// Soft delete plugin: adds deletedAt/deletedBy and excludes deleted documents
+// from queries and aggregations unless the `withDeleted` option is set
+// (e.g. Model.find().setOptions({ withDeleted: true })).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function(next) {
+    const { withDeleted } = this.getOptions();
+
+    if (withDeleted) {
+      delete this.options.withDeleted;
+    } else if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return next();
+    }
+
+    // $geoNear has to stay the first stage of the pipeline
+    const pipeline = this.pipeline();
+    const position = pipeline.length > 0 && pipeline[0].$geoNear ? 1 : 0;
+    pipeline.splice(position, 0, { $match: { deletedAt: null } });
+
+    next();
+  });
+
+  // Method to move a document to the trash
+  schema.methods.softDelete = function(userId, deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = userId || null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Method to bring a document back from the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Static method to query only documents in the trash
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getAssignmentRules,
+  createAssignmentRule,
+  updateAssignmentRule,
+  deleteAssignmentRule
+} = require('../controllers/assignmentRuleController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, assignmentRuleValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router
+  .route('/')
+  .get(getAssignmentRules)
+  .post(validate(assignmentRuleValidation.create), createAssignmentRule);
+
+router
+  .route('/:id')
+  .put(validate(assignmentRuleValidation.update), updateAssignmentRule)
+  .delete(deleteAssignmentRule);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getCalendarFeed,
+  createCalendarToken,
+  revokeCalendarToken,
+  importCalendar
+} = require('../controllers/calendarController');
+
+const { protect } = require('../middleware/auth');
+const { calendarUpload } = require('../middleware/upload');
+const { validate, calendarValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Calendar clients authenticate with the token in the feed URL
+router.get('/:token.ics', getCalendarFeed);
+
+// Protect all other routes
+router.use(protect);
+
+router
+  .route('/token')
+  .post(createCalendarToken)
+  .delete(revokeCalendarToken);
+
+router.post('/import', calendarUpload.single('file'), validate(calendarValidation.import), importCalendar);
+
+module.exports = router;
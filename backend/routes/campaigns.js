@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign
+} = require('../controllers/campaignController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, campaignValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getCampaigns)
+  .post(authorize('admin'), validate(campaignValidation.create), createCampaign);
+
+router
+  .route('/:id')
+  .get(getCampaign)
+  .put(authorize('admin'), validate(campaignValidation.update), updateCampaign)
+  .delete(authorize('admin'), deleteCampaign);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getCloseReasons,
+  createCloseReason,
+  updateCloseReason,
+  deleteCloseReason
+} = require('../controllers/closeReasonController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, closeReasonValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getCloseReasons)
+  .post(authorize('admin'), validate(closeReasonValidation.create), createCloseReason);
+
+router
+  .route('/:id')
+  .put(authorize('admin'), validate(closeReasonValidation.update), updateCloseReason)
+  .delete(authorize('admin'), deleteCloseReason);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact
+} = require('../controllers/contactController');
+
+const { protect } = require('../middleware/auth');
+const { validate, contactValidation } = require('../middleware/validation');
+
+const router = express.Router({ mergeParams: true });
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getContacts)
+  .post(validate(contactValidation.create), createContact);
+
+router
+  .route('/:id')
+  .get(getContact)
+  .put(validate(contactValidation.update), updateContact)
+  .delete(deleteContact);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, customFieldValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getCustomFields)
+  .post(authorize('admin'), validate(customFieldValidation.create), createCustomField);
+
+router
+  .route('/:id')
+  .put(authorize('admin'), validate(customFieldValidation.update), updateCustomField)
+  .delete(authorize('admin'), deleteCustomField);
+
+module.exports = router;
@@ -8,19 +8,27 @@ const {
   getCustomerStats,
   searchCustomers,
   exportCustomers,
+  importCustomers,
+  findDuplicateCustomers,
+  mergeCustomers,
+  getCustomerHierarchy,
+  getCustomerHistory,
   bulkUpdateCustomers
 } = require('../controllers/customerController');
 
 const { protect, authorize } = require('../middleware/auth');
-const { validate, customerValidation, queryValidation } = require('../middleware/validation');
+const { validate, validateCustomFields, customerValidation, queryValidation } = require('../middleware/validation');
+const { csvUpload } = require('../middleware/upload');
 
 // Include other resource routers
 const leadRouter = require('./leads');
+const contactRouter = require('./contacts');
 
 const router = express.Router();
 
 // Re-route into other resource routers
 router.use('/:customerId/leads', leadRouter);
+router.use('/:customerId/contacts', contactRouter);
 
 // Protect all routes
 router.use(protect);
@@ -29,17 +37,23 @@ router.use(protect);
 router
   .route('/')
   .get(getCustomers)
-  .post(validate(customerValidation.create), createCustomer);
+  .post(validate(customerValidation.create), validateCustomFields('Customer', { isCreate: true }), createCustomer);
 
 router.get('/stats', getCustomerStats);
 router.get('/search', searchCustomers);
 router.get('/export', exportCustomers);
+router.post('/import', csvUpload.single('file'), importCustomers);
+router.get('/duplicates', findDuplicateCustomers);
 router.patch('/bulk', bulkUpdateCustomers);
 
 router
   .route('/:id')
   .get(getCustomer)
-  .put(validate(customerValidation.update), updateCustomer)
+  .put(validate(customerValidation.update), validateCustomFields('Customer'), updateCustomer)
   .delete(deleteCustomer);
 
+router.get('/:id/hierarchy', getCustomerHierarchy);
+router.get('/:id/history', getCustomerHistory);
+router.post('/:id/merge', validate(customerValidation.merge), mergeCustomers);
+
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const {
   getDashboard,
   getSalesFunnel,
+  getStageMetrics,
+  getCloseReasonAnalytics,
   getRevenueAnalytics,
   getActivityFeed
 } = require('../controllers/dashboardController');
@@ -15,6 +17,8 @@ router.use(protect);
 
 router.get('/', getDashboard);
 router.get('/funnel', getSalesFunnel);
+router.get('/stage-metrics', getStageMetrics);
+router.get('/close-reasons', getCloseReasonAnalytics);
 router.get('/revenue', getRevenueAnalytics);
 router.get('/activity', getActivityFeed);
 
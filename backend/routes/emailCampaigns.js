@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getEmailCampaigns,
+  getEmailTemplates,
+  getEmailCampaign,
+  getEmailCampaignRecipients,
+  previewEmailCampaign,
+  createEmailCampaign,
+  updateEmailCampaign,
+  scheduleEmailCampaign,
+  sendEmailCampaign,
+  cancelEmailCampaign,
+  deleteEmailCampaign
+} = require('../controllers/emailCampaignController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, emailCampaignValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router
+  .route('/')
+  .get(getEmailCampaigns)
+  .post(validate(emailCampaignValidation.create), createEmailCampaign);
+
+router.get('/templates', getEmailTemplates);
+
+router
+  .route('/:id')
+  .get(getEmailCampaign)
+  .put(validate(emailCampaignValidation.update), updateEmailCampaign)
+  .delete(deleteEmailCampaign);
+
+router.get('/:id/recipients', getEmailCampaignRecipients);
+router.get('/:id/preview', previewEmailCampaign);
+router.post('/:id/schedule', validate(emailCampaignValidation.schedule), scheduleEmailCampaign);
+router.post('/:id/send', sendEmailCampaign);
+router.post('/:id/cancel', cancelEmailCampaign);
+
+module.exports = router;
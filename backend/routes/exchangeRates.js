@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, exchangeRateValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getExchangeRates)
+  .post(authorize('admin'), validate(exchangeRateValidation.create), createExchangeRate);
+
+router
+  .route('/:id')
+  .put(authorize('admin'), validate(exchangeRateValidation.update), updateExchangeRate)
+  .delete(authorize('admin'), deleteExchangeRate);
+
+module.exports = router;
@@ -9,11 +9,31 @@ const {
   addActivity,
   getLeadStats,
   getOverdueLeads,
-  updateLeadStatus
+  getLeadHistory,
+  assignLead,
+  updateLeadStatus,
+  addLeadTouch
 } = require('../controllers/leadController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getQuotes,
+  createQuote,
+  updateQuoteStatus
+} = require('../controllers/quoteController');
+const {
+  logLeadEmail,
+  logMatchedEmail
+} = require('../controllers/emailController');
 
-const { protect } = require('../middleware/auth');
-const { validate, leadValidation } = require('../middleware/validation');
+const { protect, authorize } = require('../middleware/auth');
+const { validate, validateCustomFields, leadValidation, quoteValidation } = require('../middleware/validation');
+const { attachmentUpload, emailUpload, rawEmail } = require('../middleware/upload');
 
 const router = express.Router({ mergeParams: true });
 
@@ -24,20 +44,42 @@ router.use(protect);
 router
   .route('/')
   .get(getCustomerLeads)
-  .post(validate(leadValidation.create), createLead);
+  .post(validate(leadValidation.create), validateCustomFields('Lead', { isCreate: true }), createLead);
 
 // Standalone lead routes (when accessed directly via /api/leads)
 router.get('/all', getAllLeads);
 router.get('/stats', getLeadStats);
 router.get('/overdue', getOverdueLeads);
+router.post('/emails', emailUpload.single('file'), rawEmail, logMatchedEmail);
 
 router
   .route('/:id')
   .get(getLead)
-  .put(validate(leadValidation.update), updateLead)
+  .put(validate(leadValidation.update), validateCustomFields('Lead'), updateLead)
   .delete(deleteLead);
 
+router.get('/:id/history', getLeadHistory);
 router.post('/:id/activities', validate(leadValidation.addActivity), addActivity);
-router.patch('/:id/status', updateLeadStatus);
+router.post('/:id/assign', authorize('admin'), validate(leadValidation.assign), assignLead);
+router.patch('/:id/status', validate(leadValidation.updateStatus), updateLeadStatus);
+router.post('/:id/touches', validate(leadValidation.touch), addLeadTouch);
+
+router
+  .route('/:id/attachments')
+  .get(getAttachments)
+  .post(attachmentUpload.single('file'), uploadAttachment);
+
+router.get('/:id/attachments/:attachmentId/download', downloadAttachment);
+router.get('/:id/attachments/:attachmentId/thumbnail', getAttachmentThumbnail);
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
+router.post('/:id/emails', emailUpload.single('file'), rawEmail, logLeadEmail);
+
+router
+  .route('/:id/quotes')
+  .get(getQuotes)
+  .post(validate(quoteValidation.create), createQuote);
+
+router.patch('/:id/quotes/:quoteId/status', validate(quoteValidation.updateStatus), updateQuoteStatus);
 
 module.exports = router;
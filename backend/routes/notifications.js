@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router.get('/', getNotifications);
+router.patch('/read-all', markAllNotificationsRead);
+router.patch('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+} = require('../controllers/pipelineController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, pipelineValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getPipelines)
+  .post(authorize('admin'), validate(pipelineValidation.create), createPipeline);
+
+router
+  .route('/:id')
+  .get(getPipeline)
+  .put(authorize('admin'), validate(pipelineValidation.update), updatePipeline)
+  .delete(authorize('admin'), deletePipeline);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct
+} = require('../controllers/productController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, productValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getProducts)
+  .post(authorize('admin'), validate(productValidation.create), createProduct);
+
+router
+  .route('/:id')
+  .get(getProduct)
+  .put(authorize('admin'), validate(productValidation.update), updateProduct)
+  .delete(authorize('admin'), deleteProduct);
+
+module.exports = router;
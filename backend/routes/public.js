@@ -0,0 +1,22 @@
+const express = require('express');
+const { submitWebForm } = require('../controllers/webFormController');
+const { getUnsubscribePage, unsubscribeRecipient } = require('../controllers/emailCampaignController');
+
+const { loadWebForm, webFormCors } = require('../middleware/webForms');
+const { webFormLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+// Routes called from other websites; no authentication
+
+router
+  .route('/forms/:key/submissions')
+  .options(loadWebForm, webFormCors)
+  .post(webFormLimiter, loadWebForm, webFormCors, submitWebForm);
+
+router
+  .route('/unsubscribe/:token')
+  .get(getUnsubscribePage)
+  .post(unsubscribeRecipient);
+
+module.exports = router;
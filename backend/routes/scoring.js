@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getScoringRules,
+  createScoringRule,
+  updateScoringRule,
+  deleteScoringRule,
+  recalculateScores
+} = require('../controllers/scoringController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, scoringRuleValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/rules')
+  .get(getScoringRules)
+  .post(authorize('admin'), validate(scoringRuleValidation.create), createScoringRule);
+
+router
+  .route('/rules/:id')
+  .put(authorize('admin'), validate(scoringRuleValidation.update), updateScoringRule)
+  .delete(authorize('admin'), deleteScoringRule);
+
+router.post('/recalculate', authorize('admin'), recalculateScores);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment
+} = require('../controllers/segmentController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, segmentValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router
+  .route('/')
+  .get(getSegments)
+  .post(validate(segmentValidation.create), createSegment);
+
+router
+  .route('/:id')
+  .get(getSegment)
+  .put(validate(segmentValidation.update), updateSegment)
+  .delete(deleteSegment);
+
+module.exports = router;
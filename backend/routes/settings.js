@@ -0,0 +1,17 @@
+const express = require('express');
+const { getSettings, updateSettings } = require('../controllers/settingsController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, settingsValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getSettings)
+  .put(authorize('admin'), validate(settingsValidation.update), updateSettings);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getTasks,
+  getMyTasks,
+  getTask,
+  createTask,
+  updateTask,
+  completeTask,
+  deleteTask
+} = require('../controllers/taskController');
+
+const { protect } = require('../middleware/auth');
+const { validate, taskValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getTasks)
+  .post(validate(taskValidation.create), createTask);
+
+router.get('/my', getMyTasks);
+
+router
+  .route('/:id')
+  .get(getTask)
+  .put(validate(taskValidation.update), updateTask)
+  .delete(deleteTask);
+
+router.patch('/:id/complete', validate(taskValidation.complete), completeTask);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  emptyTrash
+} = require('../controllers/trashController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getTrash)
+  .delete(authorize('admin'), emptyTrash);
+
+router.post('/:type/:id/restore', restoreItem);
+router.delete('/:type/:id', authorize('admin'), purgeItem);
+
+module.exports = router;
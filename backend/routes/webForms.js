@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getWebForms,
+  getWebForm,
+  createWebForm,
+  updateWebForm,
+  regenerateWebFormKey,
+  deleteWebForm
+} = require('../controllers/webFormController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { validate, webFormValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router
+  .route('/')
+  .get(getWebForms)
+  .post(validate(webFormValidation.create), createWebForm);
+
+router
+  .route('/:id')
+  .get(getWebForm)
+  .put(validate(webFormValidation.update), updateWebForm)
+  .delete(deleteWebForm);
+
+router.post('/:id/regenerate-key', regenerateWebFormKey);
+
+module.exports = router;
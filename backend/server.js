@@ -7,6 +7,17 @@ dotenv.config();
 
 const { connectDB, checkDatabaseHealth, getDatabaseMetrics } = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/error');
+const schedulerService = require('./services/schedulerService');
+const { purgeExpired } = require('./services/trashService');
+const { initializePipelines } = require('./services/pipelineService');
+const CloseReason = require('./models/CloseReason');
+const ScoringRule = require('./models/ScoringRule');
+const { rescoreLeads } = require('./services/scoringService');
+const { convertLeads } = require('./services/currencyService');
+const { sendDueReminders } = require('./services/taskService');
+const { sendFollowUpReminders } = require('./services/followUpService');
+const { processEmailCampaigns } = require('./services/emailCampaignService');
+const { migrateLegacyUtm } = require('./services/campaignService');
 const {
   securityConfig,
   loggingConfig,
@@ -51,6 +62,24 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/customers', require('./routes/customers'));
 app.use('/api/leads', require('./routes/leads'));
 app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/custom-fields', require('./routes/customFields'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/pipelines', require('./routes/pipelines'));
+app.use('/api/close-reasons', require('./routes/closeReasons'));
+app.use('/api/scoring', require('./routes/scoring'));
+app.use('/api/assignment-rules', require('./routes/assignmentRules'));
+app.use('/api/products', require('./routes/products'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/web-forms', require('./routes/webForms'));
+app.use('/api/campaigns', require('./routes/campaigns'));
+app.use('/api/segments', require('./routes/segments'));
+app.use('/api/email-campaigns', require('./routes/emailCampaigns'));
+app.use('/api/public', require('./routes/public'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -76,6 +105,23 @@ app.get('/api', (req, res) => {
       customers: '/api/customers',
       leads: '/api/leads',
       dashboard: '/api/dashboard',
+      customFields: '/api/custom-fields',
+      trash: '/api/trash',
+      audit: '/api/audit',
+      pipelines: '/api/pipelines',
+      closeReasons: '/api/close-reasons',
+      scoring: '/api/scoring',
+      assignmentRules: '/api/assignment-rules',
+      products: '/api/products',
+      exchangeRates: '/api/exchange-rates',
+      settings: '/api/settings',
+      tasks: '/api/tasks',
+      notifications: '/api/notifications',
+      calendar: '/api/calendar',
+      webForms: '/api/web-forms',
+      campaigns: '/api/campaigns',
+      segments: '/api/segments',
+      emailCampaigns: '/api/email-campaigns',
       health: '/api/health',
       metrics: '/api/metrics'
     }
@@ -106,6 +152,7 @@ app.get('/api/metrics', async (req, res) => {
       version: process.version,
       platform: process.platform
     },
+    scheduler: schedulerService.getStatus(),
     timestamp: new Date().toISOString()
   });
 });
@@ -126,6 +173,70 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Background jobs
+if (process.env.NODE_ENV !== 'test') {
+  // Make sure the default pipeline exists before leads are created
+  initializePipelines()
+    .then(({ pipeline, leadsAssigned }) => {
+      if (leadsAssigned > 0) {
+        console.log(`📊 Assigned ${leadsAssigned} lead(s) to the ${pipeline.name} pipeline`);
+      }
+    })
+    .catch(error => console.error('❌ Pipeline setup failed:', error.message));
+
+  // Seed the win and loss reasons leads are closed with
+  CloseReason.ensureDefaults()
+    .catch(error => console.error('❌ Close reason setup failed:', error.message));
+
+  // Seed the lead scoring rules
+  ScoringRule.ensureDefaults()
+    .catch(error => console.error('❌ Scoring rule setup failed:', error.message));
+
+  // Purge trashed customers and leads past the retention period
+  schedulerService.schedule('purge-trash', 6 * 60 * 60 * 1000, async () => {
+    const summary = await purgeExpired();
+    if (summary.customers > 0 || summary.leads > 0) {
+      console.log(`🗑️ Purged ${summary.customers} customer(s) and ${summary.leads} lead(s) from trash`);
+    }
+    return summary;
+  });
+
+  // Refresh open lead scores daily so activity recency stays current
+  schedulerService.schedule('rescore-leads', 24 * 60 * 60 * 1000, () => rescoreLeads());
+
+  // Convert leads saved before currency conversion existed
+  convertLeads({ reportingCurrency: { $exists: false } })
+    .then(({ converted }) => {
+      if (converted > 0) {
+        console.log(`💱 Converted ${converted} lead value(s) to the reporting currency`);
+      }
+    })
+    .catch(error => console.error('❌ Lead currency conversion failed:', error.message));
+
+  // Move UTM parameters saved before campaign attribution existed to touches
+  migrateLegacyUtm()
+    .then(({ migrated }) => {
+      if (migrated > 0) {
+        console.log(`📣 Moved the UTM parameters of ${migrated} lead(s) to their touches`);
+      }
+    })
+    .catch(error => console.error('❌ UTM migration failed:', error.message));
+
+  // Open leads convert at today's rate; pick up rates that took effect since
+  schedulerService.schedule('convert-lead-values', 24 * 60 * 60 * 1000, () => convertLeads({ stageCategory: 'open' }));
+
+  // Send task reminders that have come due
+  schedulerService.schedule('task-reminders', 60 * 1000, () => sendDueReminders());
+
+  // Remind lead owners of upcoming and missed follow-ups
+  schedulerService.schedule('follow-up-reminders', 5 * 60 * 1000, () => sendFollowUpReminders());
+
+  // Start due email campaigns and send the next batch of each
+  schedulerService.schedule('email-campaigns', 60 * 1000, () => processEmailCampaigns());
+
+  schedulerService.start();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -145,6 +256,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully');
+  schedulerService.stop();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
@@ -152,6 +264,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('👋 SIGINT received. Shutting down gracefully');
+  schedulerService.stop();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
@@ -0,0 +1,107 @@
+const AssignmentRule = require('../models/AssignmentRule');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const { sendLeadNotificationEmail } = require('../utils/helpers');
+const { matchesRule, pickRoundRobin, pickLeastLoaded } = require('../utils/assignmentRules');
+
+// Routing facts of a lead (or lead data) and its customer
+const getLeadFacts = (lead, customer) => ({
+  source: lead.source || 'Other',
+  value: lead.value,
+  industry: customer ? customer.industry : undefined,
+  country: customer && customer.address ? customer.address.country : undefined
+});
+
+// Active assignees of a rule, in the rule's order
+const getActiveAssignees = async (rule) => {
+  const users = await User.find({ _id: { $in: rule.assignees }, isActive: true }).select('_id').lean();
+  const active = new Set(users.map(user => user._id.toString()));
+  return rule.assignees.filter(id => active.has(id.toString()));
+};
+
+const pickAssignee = async (rule, assignees) => {
+  // Claiming the turn atomically keeps concurrent leads on different users
+  const claimed = await AssignmentRule.findOneAndUpdate(
+    { _id: rule._id },
+    { $inc: { assignmentCount: 1 }, $set: { lastAssignedAt: new Date() } }
+  ).lean();
+  const turn = claimed ? claimed.assignmentCount : 0;
+
+  if (rule.strategy !== 'least_loaded') {
+    return pickRoundRobin(assignees, turn);
+  }
+
+  const counts = await Lead.aggregate([
+    { $match: { assignedTo: { $in: assignees }, stageCategory: 'open' } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  return pickLeastLoaded(assignees, new Map(counts.map(({ _id, count }) => [_id.toString(), count])));
+};
+
+// Find the user a lead should go to. Returns { userId, rule } for the first
+// matching rule with an active assignee, or null when no rule applies.
+// `ruleId` limits routing to that one rule.
+const routeLead = async (lead, customer, { ruleId = null } = {}) => {
+  const rules = ruleId
+    ? await AssignmentRule.find({ _id: ruleId, isActive: true }).lean()
+    : await AssignmentRule.getActive();
+  const facts = getLeadFacts(lead, customer);
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, facts)) continue;
+
+    const assignees = await getActiveAssignees(rule);
+    if (assignees.length === 0) continue;
+
+    return { userId: await pickAssignee(rule, assignees), rule };
+  }
+
+  return null;
+};
+
+// Email the assignee about a lead; failures are logged, never thrown
+const notifyAssignee = async (lead) => {
+  try {
+    const user = await User.findById(lead.assignedTo).select('name email isActive');
+    if (!user || !user.isActive) return;
+
+    const populated = await Lead.findById(lead._id)
+      .populate('customerId', 'name company')
+      .setOptions({ withDeleted: true });
+
+    await sendLeadNotificationEmail(user, populated || lead);
+  } catch (error) {
+    console.error('Error sending lead assignment email:', error.message);
+  }
+};
+
+// Record an assignment in the lead's history and email the new assignee,
+// unless they assigned the lead to themselves. `routing` is the result of
+// routeLead for automatic assignments.
+const recordAssignment = async (lead, { previousUserId = null, routing = null, req } = {}) => {
+  await auditService.logAction('Lead', 'assign', [lead._id], req, {
+    source: routing ? 'assignment' : 'api',
+    changes: [{
+      field: 'assignedTo',
+      oldValue: previousUserId ? previousUserId.toString() : null,
+      newValue: lead.assignedTo.toString()
+    }],
+    metadata: routing
+      ? { ruleId: routing.rule._id, ruleName: routing.rule.name, strategy: routing.rule.strategy }
+      : undefined
+  });
+
+  const actorId = req && req.user ? req.user._id.toString() : null;
+  if (lead.assignedTo.toString() !== actorId) {
+    // Don't hold up the request on the mail server
+    notifyAssignee(lead);
+  }
+};
+
+module.exports = {
+  getLeadFacts,
+  routeLead,
+  recordAssignment
+};
@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createUploadError } = require('../middleware/upload');
+
+const THUMBNAIL_SIZE = 320;
+
+// Attachments live outside the public /uploads folder and are only served
+// through the authorized download routes
+const getStorageRoot = () => path.resolve(
+  process.env.ATTACHMENT_STORAGE_PATH || path.join(__dirname, '..', 'storage', 'attachments')
+);
+
+// Absolute path of a stored file; refuses paths that leave the storage root
+const resolveStoragePath = (relativePath, root = getStorageRoot()) => {
+  const absolute = path.resolve(root, relativePath);
+
+  if (!absolute.startsWith(root + path.sep)) {
+    throw new Error(`Invalid attachment path: ${relativePath}`);
+  }
+
+  return absolute;
+};
+
+// Small webp preview of an image; rejects files that are not valid images
+const createThumbnail = async (buffer) => {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    throw createUploadError('The uploaded image could not be read');
+  }
+};
+
+// Write an uploaded file (from multer memory storage) for a lead and return
+// the attachment record to store on the lead
+const saveAttachment = async (leadId, file, userId) => {
+  const id = crypto.randomBytes(16).toString('hex');
+  const extension = path.extname(file.originalname).toLowerCase();
+  const filename = path.posix.join(leadId.toString(), `${id}${extension}`);
+  const thumbnailBuffer = file.mimetype.startsWith('image/') ? await createThumbnail(file.buffer) : null;
+  const thumbnail = thumbnailBuffer ? path.posix.join(leadId.toString(), `${id}-thumb.webp`) : null;
+
+  await fs.mkdir(resolveStoragePath(leadId.toString()), { recursive: true });
+  await fs.writeFile(resolveStoragePath(filename), file.buffer, { flag: 'wx' });
+
+  if (thumbnail) {
+    await fs.writeFile(resolveStoragePath(thumbnail), thumbnailBuffer, { flag: 'wx' });
+  }
+
+  return {
+    filename,
+    originalName: path.basename(file.originalname),
+    mimetype: file.mimetype,
+    size: file.size,
+    thumbnail,
+    uploadedBy: userId
+  };
+};
+
+// Remove an attachment's file and thumbnail; missing files are ignored
+const removeAttachmentFiles = async (attachment) => {
+  const files = [attachment.filename, attachment.thumbnail].filter(Boolean);
+
+  await Promise.all(files.map(file => fs.rm(resolveStoragePath(file), { force: true })));
+};
+
+// Remove every stored file of a lead (when it is purged)
+const removeLeadFiles = async (leadId) => {
+  await fs.rm(resolveStoragePath(leadId.toString()), { recursive: true, force: true });
+};
+
+module.exports = {
+  getStorageRoot,
+  resolveStoragePath,
+  createThumbnail,
+  saveAttachment,
+  removeAttachmentFiles,
+  removeLeadFiles
+};
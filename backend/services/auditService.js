@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping and computed fields that are not user changes
+const IGNORED_FIELDS = [
+  '_id',
+  '__v',
+  'id',
+  'createdAt',
+  'updatedAt',
+  'activities',
+  'stageHistory',
+  'score',
+  'scoreBreakdown',
+  'scoredAt',
+  'convertedValue',
+  'reportingCurrency',
+  'exchangeRate',
+  'followUpReminder',
+  'totalLeadValue',
+  'leadsCount',
+  'lastContactDate',
+  'deletedAt',
+  'deletedBy'
+];
+
+const isIgnored = (field, ignored) => ignored.some(name => field === name || field.startsWith(`${name}.`));
+
+// Convert values to something stable to compare and store
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value instanceof Map) return normalizeValue(Object.fromEntries(value));
+  if (typeof value === 'object') {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = normalizeValue(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const isNestedObject = (value) => value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+// Flatten nested objects to dotted paths; arrays are compared as a whole
+const flattenObject = (obj, prefix = '', out = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const value = obj[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value instanceof Map) {
+      flattenObject(Object.fromEntries(value), path, out);
+    } else if (isNestedObject(value)) {
+      flattenObject(value, path, out);
+    } else {
+      out[path] = normalizeValue(value);
+    }
+  });
+
+  return out;
+};
+
+// Missing values and empty arrays count as no value
+const valueOrNull = (value) => {
+  if (value === undefined || (Array.isArray(value) && value.length === 0)) return null;
+  return value;
+};
+
+// List field-level differences between two plain objects
+const diffObjects = (before = {}, after = {}, ignored = IGNORED_FIELDS) => {
+  const oldValues = flattenObject(before);
+  const newValues = flattenObject(after);
+  const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+  return fields
+    .filter(field => !isIgnored(field, ignored))
+    .filter(field => JSON.stringify(valueOrNull(oldValues[field])) !== JSON.stringify(valueOrNull(newValues[field])))
+    .sort()
+    .map(field => ({
+      field,
+      oldValue: valueOrNull(oldValues[field]),
+      newValue: valueOrNull(newValues[field])
+    }));
+};
+
+// Plain copy of a document to diff against after changes are applied
+const snapshot = (doc) => {
+  if (!doc) return {};
+  if (typeof doc.toObject === 'function') {
+    return doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false });
+  }
+  return doc;
+};
+
+// Who made the change and from where
+const getRequestContext = (req) => ({
+  userId: req && req.user ? req.user._id : null,
+  ip: req ? req.ip : undefined,
+  userAgent: req && req.get ? req.get('user-agent') : undefined
+});
+
+const buildEntry = ({ entityType, entityId, action, changes = [], source = 'api', metadata, req }) => ({
+  entityType,
+  entityId,
+  action,
+  source,
+  changes,
+  metadata,
+  ...getRequestContext(req)
+});
+
+// Audit writes never fail the request that triggered them
+const saveEntries = async (entries) => {
+  if (entries.length === 0) return [];
+
+  try {
+    return await AuditLog.insertMany(entries, { ordered: false });
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+    return [];
+  }
+};
+
+const logCreate = async (entityType, doc, req, options = {}) => {
+  const [entry] = await saveEntries([buildEntry({
+    entityType,
+    entityId: doc._id,
+    action: 'create',
+    changes: diffObjects({}, snapshot(doc)),
+    req,
+    ...options
+  })]);
+  return entry || null;
+};
+
+// `before` is a snapshot taken before the document was changed
+const logUpdate = async (entityType, before, after, req, options = {}) => {
+  const changes = diffObjects(before, snapshot(after));
+  if (changes.length === 0) return null;
+
+  const [entry] = await saveEntries([buildEntry({
+    entityType,
+    entityId: after._id,
+    action: 'update',
+    changes,
+    req,
+    ...options
+  })]);
+  return entry || null;
+};
+
+// Log one action (delete, restore, purge) for several documents of the same type
+const logAction = (entityType, action, entityIds, req, options = {}) => saveEntries(
+  entityIds.map(entityId => buildEntry({ entityType, entityId, action, req, ...options }))
+);
+
+// Log updates for many documents at once from [before, after] pairs
+const logUpdates = (entityType, pairs, req, options = {}) => saveEntries(
+  pairs
+    .map(([before, after]) => ({ entityId: after._id, changes: diffObjects(before, snapshot(after)) }))
+    .filter(({ changes }) => changes.length > 0)
+    .map(({ entityId, changes }) => buildEntry({ entityType, entityId, action: 'update', changes, req, ...options }))
+);
+
+// Build an AuditLog query from request filters
+const buildAuditFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.entityType) filter.entityType = String(query.entityType);
+  if (query.entityId) filter.entityId = query.entityId.toString();
+  if (query.userId) filter.userId = String(query.userId);
+  if (query.action) filter.action = String(query.action);
+  if (query.source) filter.source = String(query.source);
+  if (query.field) filter['changes.field'] = String(query.field);
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+// Paginated audit entries, newest first
+const findLogs = async (filter, { skip = 0, limit = 20 } = {}) => {
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('userId', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return { logs, total };
+};
+
+module.exports = {
+  IGNORED_FIELDS,
+  normalizeValue,
+  flattenObject,
+  diffObjects,
+  snapshot,
+  logCreate,
+  logUpdate,
+  logUpdates,
+  logAction,
+  buildAuditFilter,
+  findLogs
+};
@@ -0,0 +1,155 @@
+const Lead = require('../models/Lead');
+const Task = require('../models/Task');
+const { buildCalendar } = require('../utils/icalendar');
+
+// Past events kept in the feed; everything upcoming is included
+const FEED_PAST_DAYS = 90;
+
+// Length of events that have no end of their own, in minutes
+const MEETING_MINUTES = 60;
+const REMINDER_MINUTES = 30;
+
+// Imported meeting descriptions are cut to the activity description limit
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const UID_DOMAIN = 'mini-crm';
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+const leadUrl = (lead) => `${process.env.FRONTEND_URL}/leads/${lead._id}`;
+
+const customerLabel = (lead) => {
+  const customer = lead.customerId;
+  if (!customer || !customer.name) return null;
+  return customer.company ? `${customer.name} (${customer.company})` : customer.name;
+};
+
+// Meetings, the next follow-up and the expected close date of a lead
+const leadEvents = (lead, since) => {
+  const customer = customerLabel(lead);
+  const events = [];
+
+  lead.activities
+    .filter(activity => activity.type === 'meeting' && activity.date >= since)
+    .forEach(activity => events.push({
+      uid: `meeting-${activity._id}@${UID_DOMAIN}`,
+      start: activity.date,
+      end: activity.endDate || addMinutes(activity.date, MEETING_MINUTES),
+      summary: `Meeting: ${lead.title}`,
+      description: [activity.description, customer].filter(Boolean).join('\n'),
+      url: leadUrl(lead),
+      categories: ['Meeting']
+    }));
+
+  if (lead.stageCategory !== 'open') return events;
+
+  if (lead.nextFollowUp && lead.nextFollowUp >= since) {
+    events.push({
+      uid: `follow-up-${lead._id}@${UID_DOMAIN}`,
+      start: lead.nextFollowUp,
+      end: addMinutes(lead.nextFollowUp, REMINDER_MINUTES),
+      summary: `Follow up: ${lead.title}`,
+      description: customer,
+      url: leadUrl(lead),
+      categories: ['Follow-up']
+    });
+  }
+
+  if (lead.expectedCloseDate && lead.expectedCloseDate >= since) {
+    events.push({
+      uid: `expected-close-${lead._id}@${UID_DOMAIN}`,
+      start: lead.expectedCloseDate,
+      allDay: true,
+      summary: `Expected close: ${lead.title}`,
+      description: customer,
+      url: leadUrl(lead),
+      categories: ['Expected close']
+    });
+  }
+
+  return events;
+};
+
+const taskEvent = (task) => ({
+  uid: `task-${task._id}@${UID_DOMAIN}`,
+  start: task.dueDate,
+  end: addMinutes(task.dueDate, REMINDER_MINUTES),
+  summary: `Task: ${task.title}`,
+  description: [task.description, task.leadId && task.leadId.title && `Lead: ${task.leadId.title}`]
+    .filter(Boolean)
+    .join('\n'),
+  url: `${process.env.FRONTEND_URL}/tasks`,
+  categories: ['Task']
+});
+
+// iCalendar feed of a user's meetings, follow-ups and expected close dates
+// on the leads assigned to them, and of their open tasks
+const buildUserFeed = async (user, now = new Date()) => {
+  const since = new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+  const [leads, tasks] = await Promise.all([
+    Lead.find({
+      assignedTo: user._id,
+      $or: [
+        { activities: { $elemMatch: { type: 'meeting', date: { $gte: since } } } },
+        { stageCategory: 'open', nextFollowUp: { $gte: since } },
+        { stageCategory: 'open', expectedCloseDate: { $gte: since } }
+      ]
+    })
+      .select('title stageCategory nextFollowUp expectedCloseDate activities customerId')
+      .populate('customerId', 'name company')
+      .lean(),
+    Task.find({ assignedTo: user._id, completed: false })
+      .select('title description dueDate leadId')
+      .populate('leadId', 'title')
+      .lean()
+  ]);
+
+  const events = [
+    ...leads.flatMap(lead => leadEvents(lead, since)),
+    ...tasks.map(taskEvent)
+  ].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  return buildCalendar({ name: `CRM - ${user.name}`, events, now });
+};
+
+// Lead activities for the meetings of an imported calendar. Cancelled
+// events and events already imported to the lead (by UID) are skipped.
+const buildMeetingActivities = (events, lead, userId) => {
+  const importedIds = new Set(
+    lead.activities.filter(activity => activity.externalId).map(activity => activity.externalId)
+  );
+  const activities = [];
+  let skipped = 0;
+
+  events.forEach(event => {
+    if (event.status === 'CANCELLED' || (event.uid && importedIds.has(event.uid))) {
+      skipped += 1;
+      return;
+    }
+
+    const description = [event.summary || 'Meeting', event.location && `Location: ${event.location}`, event.description]
+      .filter(Boolean)
+      .join('\n')
+      .slice(0, MAX_DESCRIPTION_LENGTH);
+
+    activities.push({
+      type: 'meeting',
+      description,
+      date: event.start,
+      endDate: event.end && event.end > event.start ? event.end : undefined,
+      externalId: event.uid,
+      userId
+    });
+
+    if (event.uid) importedIds.add(event.uid);
+  });
+
+  return { activities, skipped };
+};
+
+module.exports = {
+  FEED_PAST_DAYS,
+  buildUserFeed,
+  buildMeetingActivities
+};
@@ -0,0 +1,113 @@
+const Campaign = require('../models/Campaign');
+const Lead = require('../models/Lead');
+const ExchangeRate = require('../models/ExchangeRate');
+const { reportValue } = require('./currencyService');
+const { convertAmount } = require('../utils/currency');
+const { buildTouch, touchField, calculateCampaignMetrics } = require('../utils/attribution');
+
+// Touch for a campaign and/or UTM parameters. Without a campaign, the one
+// whose utmCampaign matches utm.campaign is used. Returns { touch } or
+// { error }.
+const resolveTouch = async ({ campaignId = null, utm = {} } = {}, now = new Date()) => {
+  let campaign = null;
+
+  if (campaignId) {
+    campaign = await Campaign.findById(campaignId).select('_id');
+    if (!campaign) {
+      return { error: 'Campaign not found' };
+    }
+  } else if (utm.campaign) {
+    campaign = await Campaign.findOne({ utmCampaign: utm.campaign.toLowerCase() }).select('_id');
+  }
+
+  return { touch: buildTouch({ campaignId: campaign ? campaign._id : null, utm, at: now }) };
+};
+
+// Record a touch on every lead matching the filter, without save hooks
+const recordTouches = (filter, touch) => Lead.updateMany(filter, [{
+  $set: {
+    lastTouch: { $literal: touch },
+    firstTouch: { $ifNull: ['$firstTouch', { $literal: touch }] }
+  }
+}]);
+
+// Move the UTM parameters leads stored before touches existed (`utm`) to
+// their first and last touch, crediting the campaign whose utmCampaign
+// matches. Trashed leads are included. Returns { migrated }.
+const migrateLegacyUtm = async () => {
+  const legacy = { utm: { $exists: true }, firstTouch: { $exists: false } };
+  const campaigns = await Campaign.find({ utmCampaign: { $ne: null } }).select('utmCampaign').lean();
+  const campaignIds = new Map(campaigns.map(campaign => [campaign.utmCampaign, campaign._id]));
+
+  const migrate = async (filter, campaignId) => {
+    const touch = { campaignId: { $literal: campaignId }, utm: '$utm', touchedAt: '$createdAt' };
+    const result = await Lead.collection.updateMany({ ...legacy, ...filter }, [
+      { $set: { firstTouch: touch, lastTouch: touch } },
+      { $unset: 'utm' }
+    ]);
+    return result.modifiedCount;
+  };
+
+  let migrated = 0;
+  const utmCampaigns = await Lead.collection.distinct('utm.campaign', legacy);
+
+  for (const utmCampaign of utmCampaigns) {
+    const campaignId = typeof utmCampaign === 'string' ? campaignIds.get(utmCampaign.toLowerCase()) : null;
+    migrated += await migrate({ 'utm.campaign': utmCampaign }, campaignId || null);
+  }
+  migrated += await migrate({}, null);
+
+  return { migrated };
+};
+
+// Leads, won deals, revenue, spend and ROI per campaign under the first or
+// last touch model, in the report currency. Campaigns without a budget, or
+// whose budget can't be converted, report a null budget.
+const getCampaignPerformance = async (leadFilter, { model = 'first', report, campaignFilter = {} }) => {
+  const field = touchField(model);
+  const won = { $eq: ['$stageCategory', 'won'] };
+
+  const [stats, campaigns, rates] = await Promise.all([
+    Lead.aggregate([
+      { $match: { ...leadFilter, [`${field}.campaignId`]: { $ne: null } } },
+      {
+        $group: {
+          _id: `$${field}.campaignId`,
+          leads: { $sum: 1 },
+          deals: { $sum: { $cond: [won, 1, 0] } },
+          revenue: { $sum: { $cond: [won, reportValue(report.factor), 0] } }
+        }
+      }
+    ]),
+    Campaign.find(campaignFilter).select('name channel budget currency startDate endDate isActive').lean(),
+    ExchangeRate.getTable()
+  ]);
+
+  const statsById = new Map(stats.map(({ _id, ...campaignStats }) => [_id.toString(), campaignStats]));
+
+  return campaigns
+    .map(({ budget: campaignBudget, currency, ...campaign }) => {
+      const { leads = 0, deals = 0, revenue = 0 } = statsById.get(campaign._id.toString()) || {};
+      const budget = campaignBudget === null || campaignBudget === undefined
+        ? null
+        : convertAmount(rates, campaignBudget, currency, report.currency, campaign.startDate);
+
+      return {
+        ...campaign,
+        budget,
+        leads,
+        deals,
+        revenue,
+        ...calculateCampaignMetrics({ budget, leads, deals, revenue })
+      };
+    })
+    .filter(campaign => campaign.isActive || campaign.leads > 0)
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+module.exports = {
+  resolveTouch,
+  recordTouches,
+  migrateLegacyUtm,
+  getCampaignPerformance
+};
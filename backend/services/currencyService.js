@@ -0,0 +1,106 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const ExchangeRate = require('../models/ExchangeRate');
+const CompanySetting = require('../models/CompanySetting');
+const { CURRENCIES, getConversionRate, convertLeadValue } = require('../utils/currency');
+
+const BATCH_SIZE = 500;
+
+const getReportingCurrency = async () => (await CompanySetting.getSettings()).reportingCurrency;
+
+// Currency a report is in: ?currency= or the reporting currency, with the
+// factor that turns stored reporting currency values into it at today's
+// rate. Returns { currency, factor } or { error }.
+const resolveReportCurrency = async (requested) => {
+  const reportingCurrency = await getReportingCurrency();
+
+  if (!requested || requested === reportingCurrency) {
+    return { currency: reportingCurrency, factor: 1 };
+  }
+
+  if (!CURRENCIES.includes(requested)) {
+    return { error: `Currency must be one of: ${CURRENCIES.join(', ')}` };
+  }
+
+  const factor = getConversionRate(await ExchangeRate.getTable(), reportingCurrency, requested);
+
+  if (factor === null) {
+    return { error: `No exchange rate to convert ${reportingCurrency} to ${requested}` };
+  }
+
+  return { currency: requested, factor };
+};
+
+// Aggregation expression for a converted lead value in the report currency
+const reportValue = (factor = 1, path = '$convertedValue') => (
+  factor === 1
+    ? { $ifNull: [path, 0] }
+    : { $multiply: [{ $ifNull: [path, 0] }, factor] }
+);
+
+// Write converted values for a batch of leads without running save hooks
+const writeConversions = async (leads, rates, reportingCurrency, now) => {
+  const operations = leads.map(lead => ({
+    updateOne: {
+      filter: { _id: lead._id },
+      update: { $set: convertLeadValue(lead, rates, reportingCurrency, now) }
+    }
+  }));
+
+  if (operations.length > 0) {
+    await Lead.bulkWrite(operations, { ordered: false });
+  }
+};
+
+// Refresh the converted values of leads, including those in the trash, and
+// the lead totals of their customers
+const convertLeads = async (filter = {}) => {
+  const [rates, reportingCurrency] = await Promise.all([ExchangeRate.getTable(), getReportingCurrency()]);
+  const now = new Date();
+  const customerIds = new Set();
+  const cursor = Lead.find(filter)
+    .setOptions({ withDeleted: true })
+    .select('customerId value currency actualCloseDate')
+    .lean()
+    .cursor();
+
+  let batch = [];
+  let converted = 0;
+
+  for await (const lead of cursor) {
+    batch.push(lead);
+    customerIds.add(lead.customerId.toString());
+
+    if (batch.length === BATCH_SIZE) {
+      await writeConversions(batch, rates, reportingCurrency, now);
+      converted += batch.length;
+      batch = [];
+    }
+  }
+
+  await writeConversions(batch, rates, reportingCurrency, now);
+  converted += batch.length;
+
+  for (const customerId of customerIds) {
+    const customer = await Customer.findById(customerId);
+    if (customer) {
+      await customer.updateLeadStats();
+    }
+  }
+
+  return { converted, reportingCurrency };
+};
+
+// Convert every lead after rates or the reporting currency change, logging failures
+const convertAllInBackground = () => {
+  convertLeads({})
+    .catch(error => console.error('Error converting lead values:', error));
+};
+
+module.exports = {
+  getReportingCurrency,
+  resolveReportCurrency,
+  reportValue,
+  convertLeads,
+  convertAllInBackground
+};
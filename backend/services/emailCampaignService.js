@@ -0,0 +1,309 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Segment = require('../models/Segment');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailRecipient = require('../models/EmailRecipient');
+const auditService = require('./auditService');
+const {
+  loadTemplate,
+  replaceTemplateVariables,
+  sendBulkEmail
+} = require('../utils/enhancedEmailService');
+const {
+  getBatchSize,
+  buildSegmentQuery,
+  customerVariables,
+  addUnsubscribeLink,
+  generateUnsubscribeToken,
+  unsubscribeUrl
+} = require('../utils/emailCampaigns');
+
+const CUSTOMER_FIELDS = 'name email company phone industry address emailOptOut';
+
+const loadCampaignTemplate = async (name) => addUnsubscribeLink(await loadTemplate(name));
+
+// Customers of a segment who can be emailed
+const findSegmentCustomers = (segment) => Customer.find(buildSegmentQuery(segment.filters)).select(CUSTOMER_FIELDS);
+
+const countSegmentCustomers = (segment) => Customer.countDocuments(buildSegmentQuery(segment.filters));
+
+// Subject and HTML of a campaign email for a customer. Previews get a
+// placeholder unsubscribe link.
+const renderEmail = async (campaign, customer, url = '#unsubscribe') => ({
+  subject: campaign.subject,
+  html: replaceTemplateVariables(await loadCampaignTemplate(campaign.template), {
+    ...Object.fromEntries(campaign.variables || []),
+    ...customerVariables(customer),
+    unsubscribeUrl: url
+  })
+});
+
+// Recipients written per bulk write when a campaign starts
+const RECIPIENT_CHUNK_SIZE = 1000;
+
+// Recipients still `sending` this long after their claim were interrupted
+// by a crash; they are failed rather than sent again
+const STALE_CLAIM_MS = 60 * 60 * 1000;
+
+// Add customers as pending recipients; customers already added keep their
+// recipient and unsubscribe token
+const addRecipients = (campaignId, customers) => EmailRecipient.bulkWrite(
+  customers.map(customer => ({
+    updateOne: {
+      filter: { campaignId, customerId: customer._id },
+      update: {
+        $setOnInsert: {
+          email: customer.email,
+          name: customer.name,
+          status: 'pending',
+          unsubscribeToken: generateUnsubscribeToken()
+        }
+      },
+      upsert: true
+    }
+  })),
+  { ordered: false }
+);
+
+// Copy the segment's customers to the recipients and start sending. Adding
+// recipients is repeatable, so a run interrupted here picks up on the next
+// one. Returns false when the campaign was not started.
+const startCampaign = async (campaign, now = new Date()) => {
+  const segment = await Segment.findById(campaign.segmentId);
+
+  if (!segment) {
+    await EmailCampaign.updateOne(
+      { _id: campaign._id, status: 'scheduled' },
+      { $set: { status: 'cancelled', completedAt: now } }
+    );
+    return false;
+  }
+
+  const cursor = findSegmentCustomers(segment).select('name email').lean().cursor();
+  let chunk = [];
+
+  for await (const customer of cursor) {
+    chunk.push(customer);
+    if (chunk.length === RECIPIENT_CHUNK_SIZE) {
+      await addRecipients(campaign._id, chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    await addRecipients(campaign._id, chunk);
+  }
+
+  const total = await EmailRecipient.countDocuments({ campaignId: campaign._id });
+  const result = await EmailCampaign.updateOne(
+    { _id: campaign._id, status: 'scheduled' },
+    { $set: { status: 'sending', startedAt: now, 'stats.total': total } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Claim the next pending recipient of a campaign. Marking it `sending`
+// before anything is sent means overlapping runs, restarts or other servers
+// never email a recipient twice.
+const claimRecipient = (campaignId, now) => EmailRecipient.findOneAndUpdate(
+  { campaignId, status: 'pending' },
+  { $set: { status: 'sending', claimedAt: now } },
+  { new: true, sort: { _id: 1 } }
+).select('+unsubscribeToken');
+
+const updateCampaignStats = async (campaignId) => {
+  const counts = await EmailRecipient.aggregate([
+    { $match: { campaignId } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  await EmailCampaign.updateOne({ _id: campaignId }, {
+    $set: {
+      'stats.total': counts.reduce((total, { count }) => total + count, 0),
+      'stats.delivered': byStatus.delivered || 0,
+      'stats.failed': byStatus.failed || 0,
+      'stats.skipped': byStatus.skipped || 0
+    }
+  });
+
+  return byStatus;
+};
+
+// Log a delivered campaign email on the customer's open leads
+const logEmailActivities = (campaign, sent, now) => Promise.all(sent.map(({ customer, messageId }) => (
+  Lead.updateMany(
+    { customerId: customer._id, stageCategory: 'open' },
+    {
+      $push: {
+        activities: {
+          type: 'email',
+          description: `Campaign email sent: ${campaign.subject}`.slice(0, 500),
+          date: now,
+          emailCampaignId: campaign._id,
+          email: {
+            messageId,
+            subject: campaign.subject,
+            to: [{ name: customer.name, address: customer.email }]
+          },
+          userId: campaign.createdBy
+        }
+      }
+    }
+  )
+)));
+
+// Send the next batch of pending recipients of a sending campaign and
+// complete it when none are left. Customers who unsubscribed since the
+// campaign started are skipped.
+const sendNextBatch = async (campaignId, now = new Date()) => {
+  const result = { delivered: 0, failed: 0, skipped: 0 };
+  const campaign = await EmailCampaign.findOne({ _id: campaignId, status: 'sending' });
+
+  if (!campaign) {
+    return result;
+  }
+
+  await EmailRecipient.updateMany(
+    { campaignId, status: 'sending', claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+    { $set: { status: 'failed', error: 'Sending was interrupted' } }
+  );
+
+  const batch = [];
+  for (let claimed = 0; claimed < getBatchSize(); claimed++) {
+    const recipient = await claimRecipient(campaignId, now);
+    if (!recipient) break;
+    batch.push(recipient);
+  }
+
+  const customers = await Customer.find({ _id: { $in: batch.map(recipient => recipient.customerId) } })
+    .select(CUSTOMER_FIELDS);
+  const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+  const sendable = [];
+
+  for (const recipient of batch) {
+    const customer = customersById.get(recipient.customerId.toString());
+
+    if (!customer || customer.emailOptOut || !customer.email) {
+      await EmailRecipient.updateOne({ _id: recipient._id }, { $set: { status: 'skipped' } });
+      result.skipped += 1;
+    } else {
+      sendable.push({ recipient, customer });
+    }
+  }
+
+  if (sendable.length > 0) {
+    const template = await loadCampaignTemplate(campaign.template);
+    const { results } = await sendBulkEmail(
+      sendable.map(({ recipient, customer }) => ({
+        email: customer.email,
+        name: customer.name,
+        variables: customerVariables(customer),
+        unsubscribeUrl: unsubscribeUrl(recipient.unsubscribeToken)
+      })),
+      campaign.subject,
+      template,
+      Object.fromEntries(campaign.variables)
+    );
+
+    const sent = [];
+    const updates = sendable.map(({ recipient, customer }, index) => {
+      const { success, messageId, error } = results[index];
+
+      if (success) {
+        result.delivered += 1;
+        sent.push({ customer, messageId });
+      } else {
+        result.failed += 1;
+      }
+
+      const update = { status: success ? 'delivered' : 'failed', email: customer.email, sentAt: now };
+      if (success) {
+        update.messageId = messageId;
+      } else {
+        update.error = error;
+      }
+
+      return { updateOne: { filter: { _id: recipient._id }, update: { $set: update } } };
+    });
+
+    await EmailRecipient.bulkWrite(updates);
+    await logEmailActivities(campaign, sent, now);
+  }
+
+  const byStatus = await updateCampaignStats(campaign._id);
+
+  if (!byStatus.pending && !byStatus.sending) {
+    // A campaign cancelled meanwhile stays cancelled
+    await EmailCampaign.updateOne(
+      { _id: campaign._id, status: 'sending' },
+      { $set: { status: 'sent', completedAt: now } }
+    );
+  }
+
+  return result;
+};
+
+// Start scheduled campaigns that are due and send one batch of each
+// sending campaign; called by the scheduler, so sends are spread over runs
+const processEmailCampaigns = async (now = new Date()) => {
+  const summary = { started: 0, campaigns: 0, delivered: 0, failed: 0, skipped: 0 };
+
+  const due = await EmailCampaign.find({ status: 'scheduled', scheduledAt: { $lte: now } })
+    .select('_id segmentId')
+    .sort('scheduledAt');
+
+  for (const campaign of due) {
+    if (await startCampaign(campaign, now)) {
+      summary.started += 1;
+    }
+  }
+
+  const sending = await EmailCampaign.find({ status: 'sending' }).select('_id').sort('startedAt');
+
+  for (const campaign of sending) {
+    const result = await sendNextBatch(campaign._id, now);
+    summary.campaigns += 1;
+    summary.delivered += result.delivered;
+    summary.failed += result.failed;
+    summary.skipped += result.skipped;
+  }
+
+  return summary;
+};
+
+// Recipient an unsubscribe link was sent to
+const findRecipientByToken = (token) => EmailRecipient.findOne({ unsubscribeToken: String(token) });
+
+// Opt out the customer an unsubscribe link was sent to. Returns
+// { customer } or { error }.
+const unsubscribe = async (token, req) => {
+  const recipient = await findRecipientByToken(token);
+
+  if (!recipient) {
+    return { error: 'Unsubscribe link is invalid' };
+  }
+
+  const customer = await Customer.findById(recipient.customerId).setOptions({ withDeleted: true });
+
+  if (customer && !customer.emailOptOut) {
+    const before = auditService.snapshot(customer);
+    customer.emailOptOut = true;
+    customer.unsubscribedAt = new Date();
+    await customer.save();
+    await auditService.logUpdate('Customer', before, customer, req, { source: 'unsubscribe' });
+  }
+
+  return { customer };
+};
+
+module.exports = {
+  findSegmentCustomers,
+  countSegmentCustomers,
+  renderEmail,
+  startCampaign,
+  sendNextBatch,
+  processEmailCampaigns,
+  findRecipientByToken,
+  unsubscribe
+};
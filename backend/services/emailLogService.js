@@ -0,0 +1,159 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { simpleParser } = require('mailparser');
+const Lead = require('../models/Lead');
+const Customer = require('../models/Customer');
+const Contact = require('../models/Contact');
+const { ATTACHMENT_TYPES, isAllowedAttachment } = require('../middleware/upload');
+const { saveAttachment, removeAttachmentFiles } = require('./attachmentService');
+const { normalizeAddresses, buildEmailActivity } = require('../utils/emailMessages');
+
+// Parse an RFC 822 message. Returns null when the data has none of the
+// headers of an email.
+const parseEmail = async (buffer) => {
+  const message = await simpleParser(buffer);
+  const [from] = normalizeAddresses(message.from);
+
+  if (!from && !message.subject && !message.messageId) {
+    return null;
+  }
+
+  return {
+    messageId: message.messageId || null,
+    subject: message.subject || '',
+    date: message.date || null,
+    from: from || null,
+    to: normalizeAddresses(message.to),
+    cc: normalizeAddresses(message.cc),
+    text: message.text || '',
+    html: message.html || '',
+    // Images embedded in the HTML body (signatures, logos) are not kept
+    attachments: message.attachments.filter(attachment => !attachment.related)
+  };
+};
+
+// Customers and contacts whose address took part in the email
+const matchParticipants = async (addresses) => {
+  if (addresses.length === 0) {
+    return { customerIds: [], contacts: [] };
+  }
+
+  const [customers, contacts] = await Promise.all([
+    Customer.find({ email: { $in: addresses } }).select('_id').lean(),
+    Contact.find({ email: { $in: addresses } }).select('_id customerId').lean()
+  ]);
+
+  const customerIds = [
+    ...new Set([...customers.map(customer => customer._id), ...contacts.map(contact => contact.customerId)]
+      .map(id => id.toString()))
+  ];
+
+  return { customerIds, contacts };
+};
+
+// Lead an email belongs to: the most recently updated open lead of a
+// matched customer, or else their most recently updated lead
+const findLeadForCustomers = async (customerIds, user) => {
+  if (customerIds.length === 0) return null;
+
+  const query = { customerId: { $in: customerIds } };
+
+  // Role-based access control
+  if (user.role !== 'admin') {
+    query.assignedTo = user._id;
+  }
+
+  return await Lead.findOne({ ...query, stageCategory: 'open' }).sort('-updatedAt') ||
+    await Lead.findOne(query).sort('-updatedAt');
+};
+
+// Email attachment as a multer-style file; attachments without a name are
+// named after their type
+const toUploadFile = (attachment, index) => {
+  const extensions = ATTACHMENT_TYPES[attachment.contentType] || [];
+  const originalname = attachment.filename
+    ? path.basename(attachment.filename)
+    : `attachment-${index + 1}${extensions[0] || ''}`;
+
+  return {
+    originalname,
+    mimetype: attachment.contentType,
+    buffer: attachment.content,
+    size: attachment.size
+  };
+};
+
+// Store the email's attachments and the original message on the lead, and
+// log the email as an activity linked to them. Attachments of types that
+// lead attachments don't allow are left out and reported.
+const logEmail = async (lead, email, source, { userId, contacts = [] }) => {
+  const stored = [];
+  const skippedAttachments = [];
+
+  const storeFile = async (file) => {
+    const attachment = await saveAttachment(lead._id, file, userId);
+    attachment._id = new mongoose.Types.ObjectId();
+    stored.push(attachment);
+    return attachment._id;
+  };
+
+  try {
+    const attachmentIds = [];
+
+    for (const [index, attachment] of email.attachments.entries()) {
+      const file = toUploadFile(attachment, index);
+
+      if (!isAllowedAttachment(file.mimetype, file.originalname)) {
+        skippedAttachments.push(file.originalname);
+        continue;
+      }
+
+      try {
+        attachmentIds.push(await storeFile(file));
+      } catch (error) {
+        // Images that can't be read get no thumbnail and are skipped
+        if (error.statusCode !== 400) throw error;
+        skippedAttachments.push(file.originalname);
+      }
+    }
+
+    const sourceAttachmentId = await storeFile({
+      originalname: source.originalname,
+      mimetype: 'message/rfc822',
+      buffer: source.buffer,
+      size: source.buffer.length
+    });
+
+    // Only contacts of the lead's customer are linked to the activity
+    const contactIds = contacts
+      .filter(contact => contact.customerId.equals(lead.customerId))
+      .map(contact => contact._id);
+
+    const activity = buildEmailActivity(email, { userId, contactIds, attachmentIds, sourceAttachmentId });
+
+    lead.attachments.push(...stored);
+    lead.activities.push(activity);
+    await lead.save();
+
+    return {
+      activity: lead.activities[lead.activities.length - 1],
+      skippedAttachments
+    };
+  } catch (error) {
+    await Promise.all(stored.map(removeAttachmentFiles));
+    throw error;
+  }
+};
+
+// Whether the lead already has an activity for the email
+const isEmailLogged = (lead, email) => Boolean(email.messageId) && lead.activities.some(
+  activity => activity.email && activity.email.messageId === email.messageId
+);
+
+module.exports = {
+  parseEmail,
+  matchParticipants,
+  findLeadForCustomers,
+  logEmail,
+  isEmailLogged
+};
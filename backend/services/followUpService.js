@@ -0,0 +1,92 @@
+const Lead = require('../models/Lead');
+const { sendFollowUpReminderEmail } = require('../utils/helpers');
+const { createNotification } = require('./notificationService');
+const {
+  FOLLOW_UP_KINDS,
+  getFollowUpRanges,
+  followUpDedupeKey,
+  isNotificationEnabled,
+  describeFollowUp
+} = require('../utils/followUps');
+
+// Most leads reminded per run; the rest go out on the next run
+const MAX_REMINDERS_PER_RUN = 200;
+
+// Claim the next open lead whose follow-up falls in `range` and has had no
+// `kind` reminder for its current follow-up date. Recording the date before
+// anything is sent means overlapping runs, restarts or other servers never
+// remind twice, while a rescheduled follow-up gets reminders again.
+const claimLead = (kind, range) => {
+  const sentField = `followUpReminder.${kind}For`;
+
+  return Lead.findOneAndUpdate(
+    {
+      stageCategory: 'open',
+      assignedTo: { $ne: null },
+      nextFollowUp: range,
+      $expr: { $ne: [`$${sentField}`, '$nextFollowUp'] }
+    },
+    [{ $set: { [sentField]: '$nextFollowUp' } }],
+    { new: true, sort: { nextFollowUp: 1 } }
+  )
+    .populate('assignedTo', 'name email isActive notificationPreferences')
+    .populate('customerId', 'name company');
+};
+
+const remind = async (lead, kind) => {
+  const user = lead.assignedTo;
+  const text = describeFollowUp(lead, kind);
+  const result = { notified: false, emailed: false, failed: false };
+
+  if (isNotificationEnabled(user, 'followUpInApp')) {
+    const notification = await createNotification({
+      userId: user._id,
+      type: `follow_up_${kind}`,
+      title: text.title,
+      message: text.message,
+      link: `/leads/${lead._id}`,
+      entityType: 'Lead',
+      entityId: lead._id,
+      dedupeKey: followUpDedupeKey(lead._id, lead.nextFollowUp, kind)
+    });
+    result.notified = Boolean(notification);
+  }
+
+  if (isNotificationEnabled(user, 'followUpEmail')) {
+    const email = await sendFollowUpReminderEmail(user, lead, text);
+    result.emailed = email.success;
+    result.failed = !email.success;
+  }
+
+  return result;
+};
+
+// Remind lead owners of follow-ups coming up within the reminder window
+// and of follow-ups that have just passed
+const sendFollowUpReminders = async (now = new Date()) => {
+  const ranges = getFollowUpRanges(now);
+  const summary = { leads: 0, notified: 0, emailed: 0, failed: 0 };
+
+  for (const kind of FOLLOW_UP_KINDS) {
+    while (summary.leads < MAX_REMINDERS_PER_RUN) {
+      const lead = await claimLead(kind, ranges[kind]);
+
+      if (!lead) break;
+
+      summary.leads += 1;
+
+      if (!lead.assignedTo || lead.assignedTo.isActive === false) continue;
+
+      const result = await remind(lead, kind);
+      if (result.notified) summary.notified += 1;
+      if (result.emailed) summary.emailed += 1;
+      if (result.failed) summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  sendFollowUpReminders
+};
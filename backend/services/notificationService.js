@@ -0,0 +1,18 @@
+const Notification = require('../models/Notification');
+
+// Store an in-app notification. Returns null when one with the same
+// dedupeKey already exists.
+const createNotification = async (data) => {
+  try {
+    return await Notification.create(data);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createNotification
+};
@@ -0,0 +1,66 @@
+const Pipeline = require('../models/Pipeline');
+const Lead = require('../models/Lead');
+
+// Keep the denormalized stageCategory of leads in line with their pipeline
+const syncStageCategories = async (pipeline) => {
+  let modified = 0;
+
+  for (const stage of pipeline.stages) {
+    const result = await Lead.updateMany(
+      { pipelineId: pipeline._id, status: stage.name, stageCategory: { $ne: stage.category } },
+      { $set: { stageCategory: stage.category } },
+      { withDeleted: true }
+    );
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+// Move leads to renamed stages. Renames go through a temporary name first so
+// swapping two stage names does not merge their leads.
+const renameStages = async (pipelineId, renames) => {
+  const pending = renames.filter(({ from, to }) => from !== to);
+
+  for (const { from, id } of pending) {
+    await Lead.updateMany(
+      { pipelineId, status: from },
+      { $set: { status: `__rename__${id}` } },
+      { withDeleted: true }
+    );
+  }
+
+  for (const { to, id } of pending) {
+    await Lead.updateMany(
+      { pipelineId, status: `__rename__${id}` },
+      { $set: { status: to } },
+      { withDeleted: true }
+    );
+  }
+};
+
+// Make sure a default pipeline exists and assign leads created before
+// pipelines existed to it
+const initializePipelines = async () => {
+  const pipeline = await Pipeline.ensureDefault();
+
+  const assigned = await Lead.updateMany(
+    { pipelineId: { $exists: false } },
+    { $set: { pipelineId: pipeline._id } },
+    { withDeleted: true }
+  );
+
+  const synced = await syncStageCategories(pipeline);
+
+  return {
+    pipeline,
+    leadsAssigned: assigned.modifiedCount,
+    leadsSynced: synced
+  };
+};
+
+module.exports = {
+  syncStageCategories,
+  renameStages,
+  initializePipelines
+};
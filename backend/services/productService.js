@@ -0,0 +1,54 @@
+const Product = require('../models/Product');
+
+// Turn requested line items ({ productId, quantity, unitPrice, discount,
+// taxRate }) into line items for a lead in `currency`. Items that carry the
+// _id of one of the lead's `existingItems` keep their catalog snapshot and
+// price, so re-saving a lead does not re-price it; new items must use an
+// active product. Returns { lineItems } or { error }.
+const resolveLineItems = async (items, currency, existingItems = []) => {
+  const productIds = [...new Set(items.map(item => item.productId.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } }).lean();
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const existingById = new Map(existingItems.map(item => [item._id.toString(), item]));
+  const lineItems = [];
+
+  for (const item of items) {
+    const product = productsById.get(item.productId.toString());
+
+    if (!product) {
+      return { error: `Product ${item.productId} not found` };
+    }
+
+    if (product.currency !== currency) {
+      return { error: `${product.name} is priced in ${product.currency}, but the lead is in ${currency}` };
+    }
+
+    const existing = item._id && existingById.get(item._id.toString());
+    const snapshot = existing && existing.productId.toString() === product._id.toString()
+      ? existing
+      : null;
+
+    if (!snapshot && !product.isActive) {
+      return { error: `${product.name} is no longer sold` };
+    }
+
+    const source = snapshot || product;
+
+    lineItems.push({
+      ...(snapshot && { _id: snapshot._id }),
+      productId: product._id,
+      sku: source.sku,
+      name: source.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice !== undefined ? item.unitPrice : source.unitPrice,
+      discount: item.discount !== undefined ? item.discount : (snapshot ? snapshot.discount : 0),
+      taxRate: item.taxRate !== undefined ? item.taxRate : (snapshot ? snapshot.taxRate : 0)
+    });
+  }
+
+  return { lineItems };
+};
+
+module.exports = {
+  resolveLineItems
+};
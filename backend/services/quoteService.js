@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Lead = require('../models/Lead');
+const { formatCurrency } = require('../utils/helpers');
+const { buildQuoteNumber, buildQuoteItems } = require('../utils/quotes');
+const { saveAttachment, removeAttachmentFiles } = require('./attachmentService');
+
+const MARGIN = 50;
+
+// Left edge and width of each item table column
+const COLUMNS = {
+  item: { x: 50, width: 200 },
+  quantity: { x: 250, width: 45 },
+  unitPrice: { x: 295, width: 80 },
+  discount: { x: 375, width: 45 },
+  tax: { x: 420, width: 45 },
+  total: { x: 465, width: 80 }
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const formatPercent = (value) => (value ? `${value}%` : '-');
+
+const tableRow = (doc, y, cells, options = {}) => {
+  Object.keys(COLUMNS).forEach(column => {
+    const { x, width } = COLUMNS[column];
+    doc.text(cells[column], x, y, {
+      width,
+      align: column === 'item' ? 'left' : 'right',
+      ...options
+    });
+  });
+};
+
+// Render a quote to a PDF buffer. `customer` is the lead's customer document.
+const renderQuotePdf = (quote, { lead, customer }) => new Promise((resolve, reject) => {
+  const companyName = process.env.COMPANY_NAME || 'CRM System';
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `Quote ${quote.number}`,
+      Author: companyName
+    }
+  });
+  const chunks = [];
+  const money = (amount) => formatCurrency(amount, quote.currency);
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(20).text(companyName, MARGIN, MARGIN);
+  doc.fontSize(16).text('QUOTE', MARGIN, MARGIN, { align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Quote ${quote.number} (version ${quote.version})`, { align: 'right' })
+    .text(`Date: ${formatDate(quote.createdAt || new Date())}`, { align: 'right' })
+    .text(`Valid until: ${formatDate(quote.validUntil)}`, { align: 'right' });
+
+  // Customer
+  doc.moveDown(2);
+  const customerLines = [
+    customer.name,
+    customer.company,
+    customer.getFullAddress(),
+    customer.email
+  ].filter(Boolean);
+
+  doc.font('Helvetica-Bold').text('Prepared for', MARGIN);
+  doc.font('Helvetica').text(customerLines.join('\n'));
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Regarding');
+  doc.font('Helvetica').text(lead.title);
+
+  // Items
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold');
+  tableRow(doc, doc.y, {
+    item: 'Item',
+    quantity: 'Qty',
+    unitPrice: 'Unit price',
+    discount: 'Disc.',
+    tax: 'Tax',
+    total: 'Total'
+  });
+  doc.moveTo(MARGIN, doc.y + 4).lineTo(doc.page.width - MARGIN, doc.y + 4).stroke();
+  doc.font('Helvetica');
+  doc.moveDown();
+
+  quote.items.forEach(item => {
+    const name = item.sku ? `${item.name} (${item.sku})` : item.name;
+    const rowHeight = doc.heightOfString(name, { width: COLUMNS.item.width });
+
+    if (doc.y + rowHeight > doc.page.height - MARGIN) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    tableRow(doc, y, {
+      item: name,
+      quantity: String(item.quantity),
+      unitPrice: money(item.unitPrice),
+      discount: formatPercent(item.discount),
+      tax: formatPercent(item.taxRate),
+      total: money(item.total)
+    });
+    doc.y = y + rowHeight + 6;
+  });
+
+  // Totals
+  if (doc.y + 100 > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).stroke();
+  doc.moveDown();
+
+  const totals = [
+    ['Subtotal', money(quote.subtotal)],
+    ['Discount', money(-quote.discountAmount)],
+    ['Tax', money(quote.taxAmount)],
+    ['Total', money(quote.total)]
+  ];
+
+  totals.forEach(([label, amount], index) => {
+    const y = doc.y;
+    doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, COLUMNS.discount.x, y, { width: COLUMNS.discount.width + COLUMNS.tax.width });
+    doc.text(amount, COLUMNS.total.x, y, { width: COLUMNS.total.width, align: 'right' });
+  });
+
+  // Terms
+  if (quote.terms) {
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').text('Terms', MARGIN);
+    doc.font('Helvetica').text(quote.terms, { width: doc.page.width - MARGIN * 2 });
+  }
+
+  doc.end();
+});
+
+// Create the next version of a lead's quote, render it and store the PDF as
+// a lead attachment. Returns null when another quote took the version first.
+const createQuote = async (lead, customer, { validUntil, terms }, userId) => {
+  const version = lead.quotes.reduce((latest, existing) => Math.max(latest, existing.version), 0) + 1;
+  const quote = {
+    _id: new mongoose.Types.ObjectId(),
+    version,
+    number: buildQuoteNumber(lead._id, version),
+    status: 'draft',
+    currency: lead.currency,
+    ...buildQuoteItems(lead),
+    validUntil,
+    terms,
+    createdBy: userId
+  };
+
+  const buffer = await renderQuotePdf(quote, { lead, customer });
+  const attachment = await saveAttachment(lead._id, {
+    originalname: `${quote.number}.pdf`,
+    mimetype: 'application/pdf',
+    buffer,
+    size: buffer.length
+  }, userId);
+
+  attachment._id = new mongoose.Types.ObjectId();
+  quote.attachmentId = attachment._id;
+
+  const updated = await Lead.findOneAndUpdate(
+    { _id: lead._id, 'quotes.version': { $ne: version } },
+    { $push: { attachments: attachment, quotes: quote } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await removeAttachmentFiles(attachment);
+    return null;
+  }
+
+  return updated.quotes.id(quote._id);
+};
+
+module.exports = {
+  renderQuotePdf,
+  createQuote
+};
@@ -0,0 +1,106 @@
+// Lightweight in-process scheduler for recurring maintenance jobs
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.isRunning = false;
+  }
+
+  // Register a job; it starts immediately if the scheduler is already running
+  schedule(name, intervalMs, task, options = {}) {
+    if (this.jobs.has(name)) {
+      this.unschedule(name);
+    }
+
+    const job = {
+      name,
+      intervalMs,
+      task,
+      runOnStart: options.runOnStart !== false,
+      timer: null,
+      isExecuting: false,
+      lastRunAt: null,
+      lastError: null
+    };
+
+    this.jobs.set(name, job);
+
+    if (this.isRunning) {
+      this.startJob(job);
+    }
+
+    return job;
+  }
+
+  // Remove a job and clear its timer
+  unschedule(name) {
+    const job = this.jobs.get(name);
+    if (!job) return false;
+
+    clearInterval(job.timer);
+    this.jobs.delete(name);
+    return true;
+  }
+
+  // Run a job once, skipping the run if the previous one has not finished
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.isExecuting) return null;
+
+    job.isExecuting = true;
+
+    try {
+      const result = await job.task();
+      job.lastRunAt = new Date();
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`❌ Scheduled job "${name}" failed:`, error.message);
+      return null;
+    } finally {
+      job.isExecuting = false;
+    }
+  }
+
+  startJob(job) {
+    job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+
+    // Don't keep the process alive just for maintenance jobs
+    if (job.timer.unref) job.timer.unref();
+
+    if (job.runOnStart) {
+      setImmediate(() => this.runJob(job.name));
+    }
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.jobs.forEach(job => this.startJob(job));
+  }
+
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.isRunning = false;
+  }
+
+  // Job status for health and metrics endpoints
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      isExecuting: job.isExecuting,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+}
+
+// Create singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
@@ -0,0 +1,78 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const ScoringRule = require('../models/ScoringRule');
+const { rulesUseCustomer, scoreLead } = require('../utils/leadScoring');
+
+const BATCH_SIZE = 500;
+
+// Write fresh scores for a batch of leads without running save hooks
+const writeScores = async (leads, rules, customersById) => {
+  const scoredAt = new Date();
+
+  const operations = leads.map(lead => {
+    const customer = customersById.get(lead.customerId.toString());
+    const { score, breakdown } = scoreLead(lead, rules, { customer, now: scoredAt });
+
+    return {
+      updateOne: {
+        filter: { _id: lead._id },
+        update: { $set: { score, scoreBreakdown: breakdown, scoredAt } }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Lead.bulkWrite(operations, { ordered: false });
+  }
+};
+
+const loadCustomers = async (leads, rules) => {
+  if (!rulesUseCustomer(rules)) return new Map();
+
+  const ids = [...new Set(leads.map(lead => lead.customerId.toString()))];
+  const customers = await Customer.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select('industry')
+    .lean();
+
+  return new Map(customers.map(customer => [customer._id.toString(), customer]));
+};
+
+// Rescore leads with the active rules. Defaults to open leads, whose
+// activity recency changes as time passes.
+const rescoreLeads = async (filter = { stageCategory: 'open' }) => {
+  const rules = await ScoringRule.getActive();
+  const cursor = Lead.find(filter)
+    .select('customerId value probability status stageCategory priority source activities customFields')
+    .lean()
+    .cursor();
+
+  let batch = [];
+  let rescored = 0;
+
+  for await (const lead of cursor) {
+    batch.push(lead);
+
+    if (batch.length === BATCH_SIZE) {
+      await writeScores(batch, rules, await loadCustomers(batch, rules));
+      rescored += batch.length;
+      batch = [];
+    }
+  }
+
+  await writeScores(batch, rules, await loadCustomers(batch, rules));
+  rescored += batch.length;
+
+  return { rescored };
+};
+
+// Rescore every lead after the rules change, logging failures
+const rescoreAllInBackground = () => {
+  rescoreLeads({})
+    .catch(error => console.error('Error rescoring leads:', error));
+};
+
+module.exports = {
+  rescoreLeads,
+  rescoreAllInBackground
+};
@@ -0,0 +1,61 @@
+const Task = require('../models/Task');
+const { sendTaskReminderEmail } = require('../utils/helpers');
+const { isNotificationEnabled } = require('../utils/followUps');
+const { createNotification } = require('./notificationService');
+
+// Most reminders sent per run; the rest go out on the next run
+const MAX_REMINDERS_PER_RUN = 200;
+
+// Remind the assignees of open tasks whose reminder time has passed, by
+// email and in the app as their preferences allow. Each task is claimed by
+// setting reminderSentAt first, so overlapping runs or servers never send
+// the same reminder twice.
+const sendDueReminders = async (now = new Date()) => {
+  let sent = 0;
+  let failed = 0;
+  let notified = 0;
+
+  for (let claimed = 0; claimed < MAX_REMINDERS_PER_RUN; claimed++) {
+    const task = await Task.findOneAndUpdate(
+      { completed: false, reminderSentAt: null, reminderAt: { $ne: null, $lte: now } },
+      { $set: { reminderSentAt: now } },
+      { new: true, sort: { reminderAt: 1 } }
+    )
+      .populate('assignedTo', 'name email isActive notificationPreferences')
+      .populate('leadId', 'title')
+      .populate('customerId', 'name company');
+
+    if (!task) break;
+
+    if (!task.assignedTo || task.assignedTo.isActive === false) continue;
+
+    if (isNotificationEnabled(task.assignedTo, 'taskReminderInApp')) {
+      const notification = await createNotification({
+        userId: task.assignedTo._id,
+        type: 'task_reminder',
+        title: `Task reminder: ${task.title}`,
+        message: `${task.title} is due ${new Date(task.dueDate).toLocaleString('en-US')}.`,
+        link: '/tasks',
+        entityType: 'Task',
+        entityId: task._id,
+        dedupeKey: `task_reminder:${task._id}:${task.reminderAt.toISOString()}`
+      });
+      if (notification) notified += 1;
+    }
+
+    if (!isNotificationEnabled(task.assignedTo, 'taskReminderEmail')) continue;
+
+    const result = await sendTaskReminderEmail(task.assignedTo, task);
+    if (result.success) {
+      sent += 1;
+    } else {
+      failed += 1;
+    }
+  }
+
+  return { sent, failed, notified };
+};
+
+module.exports = {
+  sendDueReminders
+};
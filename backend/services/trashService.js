@@ -0,0 +1,89 @@
+const Customer = require('../models/Customer');
+const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const Task = require('../models/Task');
+const auditService = require('./auditService');
+const { removeLeadFiles } = require('./attachmentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted record stays in the trash before it is purged
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 1 ? 30 : days;
+};
+
+// Permanently remove a customer together with its leads, contacts and tasks.
+// `req` is omitted for scheduled purges, which are logged as system actions.
+const purgeCustomer = async (customer, req) => {
+  const source = req ? 'api' : 'system';
+  const leadIds = await Lead.find({ customerId: customer._id })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+
+  const leadResult = await Lead.deleteMany({ _id: { $in: leadIds } });
+  await Promise.all(leadIds.map(leadId => removeLeadFiles(leadId)));
+  await Contact.deleteMany({ customerId: customer._id });
+  await Task.deleteMany({ $or: [{ customerId: customer._id }, { leadId: { $in: leadIds } }] });
+
+  // Subsidiaries that still point here move up to the customer's parent
+  await Customer.updateMany(
+    { parentId: customer._id },
+    { $set: { parentId: customer.parentId || null } },
+    { withDeleted: true }
+  );
+
+  await Customer.deleteOne({ _id: customer._id });
+
+  await auditService.logAction('Customer', 'purge', [customer._id], req, { source });
+  await auditService.logAction('Lead', 'purge', leadIds, req, {
+    source: req ? 'cascade' : 'system',
+    metadata: { customerId: customer._id }
+  });
+
+  return { leadsPurged: leadResult.deletedCount };
+};
+
+// Permanently remove a lead with its attachments and tasks; the delete hook
+// refreshes customer statistics
+const purgeLead = async (lead, req) => {
+  const purged = await Lead.findOneAndDelete({ _id: lead._id });
+
+  if (purged) {
+    await removeLeadFiles(purged._id);
+    await Task.deleteMany({ leadId: purged._id });
+    await auditService.logAction('Lead', 'purge', [purged._id], req, { source: req ? 'api' : 'system' });
+  }
+
+  return purged;
+};
+
+// Purge everything that has been in the trash longer than the retention period
+const purgeExpired = async (retentionDays = getRetentionDays(), req) => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const summary = { customers: 0, leads: 0 };
+
+  const customers = await Customer.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const customer of customers) {
+    const { leadsPurged } = await purgeCustomer(customer, req);
+    summary.customers++;
+    summary.leads += leadsPurged;
+  }
+
+  const leads = await Lead.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+
+  for (const lead of leads) {
+    await purgeLead(lead, req);
+    summary.leads++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeCustomer,
+  purgeLead,
+  purgeExpired
+};
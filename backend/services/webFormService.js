@@ -0,0 +1,127 @@
+const Customer = require('../models/Customer');
+const Contact = require('../models/Contact');
+const Lead = require('../models/Lead');
+const WebForm = require('../models/WebForm');
+const auditService = require('./auditService');
+const assignmentService = require('./assignmentService');
+const { resolveTouch, recordTouches } = require('./campaignService');
+const { DEFAULT_FIELD_MAPPING, mapSubmission, getUtmParameters } = require('../utils/webForms');
+const { hasTouch } = require('../utils/attribution');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customer with the email address, directly or through one of its
+// contacts, including customers in the trash
+const findCustomerByEmail = async (email) => {
+  let customer = await Customer.findOne({ email }).setOptions({ withDeleted: true });
+  let contact = null;
+
+  if (!customer) {
+    contact = await Contact.findOne({ email }).select('_id customerId');
+    customer = contact ? await Customer.findById(contact.customerId).setOptions({ withDeleted: true }) : null;
+  }
+
+  return { customer, contact: customer ? contact : null };
+};
+
+const createCustomer = async (data, ownerId, req) => {
+  const name = data.name || data.email.split('@')[0];
+
+  try {
+    const customer = await Customer.create({
+      ...data,
+      name,
+      company: data.company || name,
+      ownerId,
+      status: 'prospect'
+    });
+    await auditService.logCreate('Customer', customer, req, { source: 'web_form' });
+    return customer;
+  } catch (error) {
+    // Another submission with the same email created the customer first
+    if (error.code === 11000) {
+      return Customer.findOne({ email: data.email });
+    }
+    throw error;
+  }
+};
+
+const parseValue = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Create a lead from a web form submission, matching the customer by email
+// or creating one. Returns { lead } or { error }.
+const submitForm = async (form, req) => {
+  const mapping = form.fieldMapping.length > 0 ? form.fieldMapping : DEFAULT_FIELD_MAPPING;
+  const data = mapSubmission(req.body, mapping);
+
+  if (!data.customer.email) {
+    return { error: 'Email is required' };
+  }
+
+  const { customer: existing, contact } = await findCustomerByEmail(data.customer.email);
+
+  const touchData = { campaignId: form.campaignId, utm: getUtmParameters(req.body, req.query) };
+  let touch;
+
+  if (hasTouch(touchData)) {
+    const result = await resolveTouch(touchData);
+    // A form campaign deleted since is left out
+    touch = result.touch || (await resolveTouch({ utm: touchData.utm })).touch;
+  }
+
+  const leadData = {
+    title: data.lead.title || `${form.name}: ${existing ? existing.name : (data.customer.name || data.customer.email)}`,
+    description: data.lead.description,
+    value: parseValue(data.lead.value, form.defaultValue),
+    priority: ['low', 'medium', 'high'].includes(data.lead.priority) ? data.lead.priority : undefined,
+    source: form.defaultSource,
+    expectedCloseDate: new Date(Date.now() + form.expectedCloseDays * DAY_MS),
+    firstTouch: touch,
+    lastTouch: touch,
+    webFormId: form._id
+  };
+
+  const routing = await assignmentService.routeLead(leadData, existing || data.customer, {
+    ruleId: form.assignmentRuleId
+  });
+  const assignedTo = routing ? routing.userId : form.defaultOwner;
+
+  const customer = existing || await createCustomer(data.customer, assignedTo, req);
+
+  const lead = new Lead({
+    ...leadData,
+    customerId: customer._id,
+    contacts: contact ? [contact._id] : [],
+    assignedTo
+  });
+
+  // A customer in the trash stays there: the lead joins it and comes back
+  // if someone restores the customer
+  if (customer.deletedAt) {
+    lead.deletedAt = customer.deletedAt;
+    lead.deletedBy = customer.deletedBy;
+  }
+  await lead.save();
+  await auditService.logCreate('Lead', lead, req, { source: 'web_form' });
+  await assignmentService.recordAssignment(lead, { routing, req });
+
+  // The customer's other open leads were touched by this visit too
+  if (existing && touch && !customer.deletedAt) {
+    await recordTouches({ customerId: customer._id, stageCategory: 'open', _id: { $ne: lead._id } }, touch);
+  }
+
+  await WebForm.updateOne(
+    { _id: form._id },
+    { $inc: { submissionCount: 1 }, $set: { lastSubmissionAt: new Date() } }
+  );
+
+  return { lead, customer };
+};
+
+module.exports = {
+  findCustomerByEmail,
+  submitForm
+};
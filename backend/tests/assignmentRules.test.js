@@ -0,0 +1,28 @@
+const {
+  matchesRule,
+  pickRoundRobin,
+  pickLeastLoaded
+} = require('../utils/assignmentRules');
+
+const facts = { source: 'Website', value: 25000, industry: 'Technology', country: 'Germany' };
+
+describe('Assignment rules', () => {
+  it('should match only when every condition a rule sets is met', () => {
+    expect(matchesRule({ conditions: {} }, facts)).toBe(true);
+    expect(matchesRule({ conditions: { sources: ['Website', 'Event'], countries: ['germany'] } }, facts)).toBe(true);
+    expect(matchesRule({ conditions: { sources: ['Referral'] } }, facts)).toBe(false);
+    expect(matchesRule({ conditions: { industries: ['Finance'] } }, facts)).toBe(false);
+    expect(matchesRule({ conditions: { industries: ['Finance'] } }, { ...facts, industry: undefined })).toBe(false);
+    expect(matchesRule({ conditions: { minValue: 10000, maxValue: 25000 } }, facts)).toBe(true);
+    expect(matchesRule({ conditions: { minValue: 50000 } }, facts)).toBe(false);
+  });
+
+  it('should take turns round-robin and prefer the least loaded assignee', () => {
+    const team = ['a', 'b', 'c'];
+
+    expect([0, 1, 2, 3].map(turn => pickRoundRobin(team, turn))).toEqual(['a', 'b', 'c', 'a']);
+    expect(pickLeastLoaded(team, new Map([['a', 4], ['b', 1], ['c', 2]]))).toBe('b');
+    expect(pickLeastLoaded(team, new Map([['a', 3], ['b', 3]]))).toBe('c');
+    expect(pickLeastLoaded(team, new Map())).toBe('a');
+  });
+});
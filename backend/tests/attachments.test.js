@@ -0,0 +1,40 @@
+const path = require('path');
+const sharp = require('sharp');
+const { isAllowedAttachment } = require('../middleware/upload');
+const { resolveStoragePath, createThumbnail } = require('../services/attachmentService');
+
+describe('Lead attachments', () => {
+  it('should only allow files whose MIME type and extension agree', () => {
+    expect(isAllowedAttachment('application/pdf', 'proposal.PDF')).toBe(true);
+    expect(isAllowedAttachment('image/jpeg', 'photo.jpeg')).toBe(true);
+    expect(isAllowedAttachment('application/pdf', 'proposal.exe')).toBe(false);
+    expect(isAllowedAttachment('text/html', 'page.html')).toBe(false);
+    expect(isAllowedAttachment('image/svg+xml', 'logo.svg')).toBe(false);
+  });
+
+  it('should refuse storage paths outside the storage root', () => {
+    const root = path.resolve('/tmp/attachments');
+
+    expect(resolveStoragePath('lead/file.pdf', root)).toBe(path.join(root, 'lead', 'file.pdf'));
+    expect(() => resolveStoragePath('../secret.txt', root)).toThrow('Invalid attachment path');
+    expect(() => resolveStoragePath('/etc/passwd', root)).toThrow('Invalid attachment path');
+  });
+
+  it('should create a webp thumbnail that fits the thumbnail size', async () => {
+    const image = await sharp({
+      create: { width: 800, height: 400, channels: 3, background: '#336699' }
+    }).png().toBuffer();
+
+    const metadata = await sharp(await createThumbnail(image)).metadata();
+
+    expect(metadata.format).toBe('webp');
+    expect(metadata.width).toBe(320);
+    expect(metadata.height).toBe(160);
+  });
+
+  it('should reject images that cannot be read', async () => {
+    await expect(createThumbnail(Buffer.from('not an image'))).rejects.toMatchObject({
+      statusCode: 400
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  touchField,
+  buildTouch,
+  hasTouch,
+  calculateCampaignMetrics
+} = require('../utils/attribution');
+
+describe('Marketing attribution', () => {
+  it('should calculate cost per lead, conversion rate and ROI', () => {
+    expect(calculateCampaignMetrics({ budget: 1000, leads: 8, deals: 3, revenue: 4500 })).toEqual({
+      costPerLead: 125,
+      costPerDeal: 333.33,
+      conversionRate: 37.5,
+      roi: 350
+    });
+  });
+
+  it('should leave ratios without a budget or leads empty', () => {
+    expect(calculateCampaignMetrics({ budget: 0, leads: 0 })).toEqual({
+      costPerLead: null,
+      costPerDeal: null,
+      conversionRate: 0,
+      roi: null
+    });
+    expect(calculateCampaignMetrics({ budget: null, leads: 4, deals: 1, revenue: 100 }).costPerLead).toBeNull();
+  });
+
+  it('should build touches and pick the touch of a model', () => {
+    const at = new Date('2026-03-01T10:00:00Z');
+
+    expect(buildTouch({ utm: { source: 'google' }, at })).toEqual({
+      campaignId: null,
+      utm: { source: 'google' },
+      touchedAt: at
+    });
+    expect(hasTouch({ campaignId: null, utm: {} })).toBe(false);
+    expect(hasTouch({ utm: { campaign: 'spring' } })).toBe(true);
+    expect(touchField('first')).toBe('firstTouch');
+    expect(touchField('last')).toBe('lastTouch');
+  });
+});
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { diffObjects, flattenObject, buildAuditFilter } = require('../services/auditService');
+
+describe('Audit trail', () => {
+  describe('diffObjects', () => {
+    it('should list changed fields with old and new values', () => {
+      const changes = diffObjects(
+        { title: 'Website redesign', value: 5000, status: 'New' },
+        { title: 'Website redesign', value: 7500, status: 'Qualified' }
+      );
+
+      expect(changes).toEqual([
+        { field: 'status', oldValue: 'New', newValue: 'Qualified' },
+        { field: 'value', oldValue: 5000, newValue: 7500 }
+      ]);
+    });
+
+    it('should compare nested fields, maps, ids and dates by value', () => {
+      const ownerId = new mongoose.Types.ObjectId();
+      const closeDate = new Date('2024-05-01T00:00:00.000Z');
+
+      const changes = diffObjects(
+        {
+          ownerId,
+          expectedCloseDate: closeDate,
+          address: { city: 'Austin', state: 'TX' },
+          customFields: new Map([['tier', 'gold']])
+        },
+        {
+          ownerId: new mongoose.Types.ObjectId(ownerId.toString()),
+          expectedCloseDate: new Date(closeDate),
+          address: { city: 'Dallas', state: 'TX' },
+          customFields: new Map([['tier', 'platinum']])
+        }
+      );
+
+      expect(changes).toEqual([
+        { field: 'address.city', oldValue: 'Austin', newValue: 'Dallas' },
+        { field: 'customFields.tier', oldValue: 'gold', newValue: 'platinum' }
+      ]);
+    });
+
+    it('should record added and removed fields as null on the other side', () => {
+      const changes = diffObjects({ notes: 'Call back' }, { phone: '555-0100' });
+
+      expect(changes).toEqual([
+        { field: 'notes', oldValue: 'Call back', newValue: null },
+        { field: 'phone', oldValue: null, newValue: '555-0100' }
+      ]);
+    });
+
+    it('should ignore bookkeeping fields', () => {
+      const changes = diffObjects(
+        { updatedAt: new Date(1), leadsCount: 1, activities: [], __v: 0 },
+        { updatedAt: new Date(2), leadsCount: 2, activities: [{ type: 'call' }], __v: 1 }
+      );
+
+      expect(changes).toEqual([]);
+    });
+
+    it('should compare arrays as a whole', () => {
+      expect(flattenObject({ tags: ['a', 'b'] })).toEqual({ tags: ['a', 'b'] });
+      expect(diffObjects({ tags: ['a'] }, { tags: ['a', 'b'] })).toEqual([
+        { field: 'tags', oldValue: ['a'], newValue: ['a', 'b'] }
+      ]);
+    });
+  });
+
+  describe('buildAuditFilter', () => {
+    it('should map query filters to an audit log query', () => {
+      const filter = buildAuditFilter({
+        entityType: 'Lead',
+        field: 'value',
+        action: 'update',
+        from: '2024-01-01',
+        to: '2024-01-31'
+      });
+
+      expect(filter).toEqual({
+        entityType: 'Lead',
+        action: 'update',
+        'changes.field': 'value',
+        createdAt: { $gte: new Date('2024-01-01'), $lte: new Date('2024-01-31') }
+      });
+    });
+  });
+});
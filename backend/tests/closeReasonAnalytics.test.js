@@ -0,0 +1,88 @@
+const { getValueBand, getPeriodKey, computeCloseReasonAnalytics } = require('../utils/closeReasonAnalytics');
+
+const price = { _id: '64b000000000000000000001', name: 'Price', type: 'lost' };
+const fit = { _id: '64b000000000000000000002', name: 'Product fit', type: 'won' };
+const alice = { _id: '64b0000000000000000000a1', name: 'Alice' };
+const bob = { _id: '64b0000000000000000000b2', name: 'Bob' };
+
+const lead = (stageCategory, closeReason, fields = {}) => ({
+  stageCategory,
+  closeReason,
+  value: 2000,
+  source: 'Website',
+  assignedTo: alice,
+  actualCloseDate: new Date(Date.UTC(2024, 0, 15)),
+  ...fields
+});
+
+describe('Close reason analytics', () => {
+  it('should place values in bands and dates in periods', () => {
+    expect(getValueBand(0)).toBe('Under 1,000');
+    expect(getValueBand(1000)).toBe('1,000 - 4,999');
+    expect(getValueBand(250000)).toBe('100,000+');
+
+    const date = new Date(Date.UTC(2024, 11, 30));
+    expect(getPeriodKey(date, 'month')).toBe('2024-12');
+    expect(getPeriodKey(date, 'quarter')).toBe('2024-Q4');
+    expect(getPeriodKey(date, 'week')).toBe('2025-W01');
+    expect(getPeriodKey(date, 'year')).toBe('2024');
+  });
+
+  it('should summarize reasons with their share of won or lost leads', () => {
+    const result = computeCloseReasonAnalytics([
+      lead('won', fit, { value: 10000 }),
+      lead('lost', price),
+      lead('lost', price),
+      lead('lost', null),
+      lead('open', null)
+    ]);
+
+    expect(result.summary).toEqual({ won: 1, lost: 3, wonValue: 10000, lostValue: 6000, winRate: 25 });
+    expect(result.byReason).toEqual([
+      { reasonId: price._id, reason: 'Price', type: 'lost', count: 2, value: 4000, percentage: 67 },
+      { reasonId: fit._id, reason: 'Product fit', type: 'won', count: 1, value: 10000, percentage: 100 },
+      { reasonId: null, reason: 'Unspecified', type: 'lost', count: 1, value: 2000, percentage: 33 }
+    ]);
+  });
+
+  it('should break reasons down by source, owner, value band and period', () => {
+    const result = computeCloseReasonAnalytics([
+      lead('won', fit, { source: 'Referral', assignedTo: bob, value: 30000 }),
+      lead('lost', price, { actualCloseDate: new Date(Date.UTC(2024, 3, 2)) }),
+      lead('lost', price)
+    ], { period: 'quarter' });
+
+    expect(result.bySource.map(({ source, won, lost }) => ({ source, won, lost }))).toEqual([
+      { source: 'Website', won: 0, lost: 2 },
+      { source: 'Referral', won: 1, lost: 0 }
+    ]);
+    expect(result.byOwner.map(({ owner, winRate }) => ({ name: owner.name, winRate }))).toEqual([
+      { name: 'Alice', winRate: 0 },
+      { name: 'Bob', winRate: 100 }
+    ]);
+    expect(result.byValueBand.map(({ band, won, lost }) => [band, won, lost])).toEqual([
+      ['Under 1,000', 0, 0],
+      ['1,000 - 4,999', 0, 2],
+      ['5,000 - 24,999', 0, 0],
+      ['25,000 - 99,999', 1, 0],
+      ['100,000+', 0, 0]
+    ]);
+    expect(result.byPeriod.map(({ period, won, lost }) => [period, won, lost])).toEqual([
+      ['2024-Q1', 1, 1],
+      ['2024-Q2', 0, 1]
+    ]);
+  });
+
+  it('should group competitors regardless of case', () => {
+    const result = computeCloseReasonAnalytics([
+      lead('lost', price, { competitor: 'Acme ' }),
+      lead('lost', price, { competitor: 'acme' }),
+      lead('won', fit, { competitor: 'Globex' })
+    ]);
+
+    expect(result.competitors).toEqual([
+      { competitor: 'Acme', won: 0, lost: 2, wonValue: 0, lostValue: 4000, winRate: 0 },
+      { competitor: 'Globex', won: 1, lost: 0, wonValue: 2000, lostValue: 0, winRate: 100 }
+    ]);
+  });
+});
@@ -0,0 +1,27 @@
+const { findContactsToFold } = require('../utils/contacts');
+
+const contact = (id, email) => ({ _id: id, email });
+
+describe('Contacts', () => {
+  describe('findContactsToFold', () => {
+    it('should fold merged contacts into the survivor contact with the same email', () => {
+      const survivorContact = contact('s1', 'jane@acme.com');
+      const merged = contact('a1', 'jane@acme.com');
+
+      expect(findContactsToFold([survivorContact], [merged, contact('a2', 'john@acme.com')]))
+        .toEqual([[merged, survivorContact]]);
+    });
+
+    it('should fold contacts that two merged customers share into the first one', () => {
+      const first = contact('a1', 'jane@acme.com');
+      const second = contact('b1', 'jane@acme.com');
+      const third = contact('c1', 'jane@acme.com');
+
+      expect(findContactsToFold([], [first, second, third])).toEqual([[second, first], [third, first]]);
+    });
+
+    it('should leave contacts without an email alone', () => {
+      expect(findContactsToFold([contact('s1')], [contact('a1'), contact('b1', '')])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { escapeFormula, escapeCsvValue, toCsvLine, getValueByPath, setValueByPath, parseCsv } = require('../utils/csv');
+
+describe('CSV utilities', () => {
+  describe('escapeCsvValue', () => {
+    it('should leave plain values untouched', () => {
+      expect(escapeCsvValue('Acme')).toBe('Acme');
+      expect(escapeCsvValue(42)).toBe('42');
+    });
+
+    it('should quote values with separators, quotes and line breaks', () => {
+      expect(escapeCsvValue('Acme, Inc.')).toBe('"Acme, Inc."');
+      expect(escapeCsvValue('The "Best" Co')).toBe('"The ""Best"" Co"');
+      expect(escapeCsvValue('line1\nline2')).toBe('"line1\nline2"');
+    });
+
+    it('should render empty, date and array values', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+      expect(escapeCsvValue(new Date('2024-01-02T03:04:05.000Z'))).toBe('2024-01-02T03:04:05.000Z');
+      expect(escapeCsvValue(['vip', 'enterprise'])).toBe('vip; enterprise');
+    });
+  });
+
+  describe('escapeFormula', () => {
+    it('should prefix text that spreadsheets would run as a formula', () => {
+      ['=SUM(A1:A2)', '+1', '-2+3', '@cmd', '\tx', '\rx'].forEach(value => {
+        expect(escapeFormula(value)).toBe(`'${value}`);
+      });
+      expect(escapeFormula('Acme')).toBe('Acme');
+      expect(escapeFormula(-5)).toBe(-5);
+      expect(escapeFormula(null)).toBeNull();
+    });
+
+    it('should be applied to CSV cells but not to numbers', () => {
+      expect(escapeCsvValue('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+      expect(escapeCsvValue(['=1', 'vip'])).toBe("'=1; vip");
+      expect(escapeCsvValue(-5)).toBe('-5');
+    });
+  });
+
+  describe('toCsvLine', () => {
+    it('should join escaped values with a CRLF terminator', () => {
+      expect(toCsvLine(['John', 'Acme, Inc.', null])).toBe('John,"Acme, Inc.",\r\n');
+    });
+  });
+
+  describe('getValueByPath', () => {
+    it('should read nested values', () => {
+      const customer = { address: { city: 'Berlin' } };
+      expect(getValueByPath(customer, 'address.city')).toBe('Berlin');
+      expect(getValueByPath(customer, 'address.zipCode')).toBeUndefined();
+      expect(getValueByPath({}, 'address.city')).toBeUndefined();
+    });
+  });
+
+  describe('setValueByPath', () => {
+    it('should create nested objects as needed', () => {
+      const customer = setValueByPath({ name: 'John' }, 'address.city', 'Berlin');
+      setValueByPath(customer, 'address.country', 'Germany');
+      expect(customer).toEqual({ name: 'John', address: { city: 'Berlin', country: 'Germany' } });
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should parse quoted fields, escaped quotes and CRLF line breaks', () => {
+      const text = '\ufeffname,company\r\n"Doe, John","The ""Best"" Co"\r\nJane,Acme\r\n';
+      expect(parseCsv(text)).toEqual([
+        ['name', 'company'],
+        ['Doe, John', 'The "Best" Co'],
+        ['Jane', 'Acme']
+      ]);
+    });
+
+    it('should keep line breaks inside quoted fields and skip blank lines', () => {
+      const text = 'notes\n"first\nsecond"\n\n';
+      expect(parseCsv(text)).toEqual([['notes'], ['first\nsecond']]);
+    });
+
+    it('should parse a last row without trailing line break', () => {
+      expect(parseCsv('a,b\n1,')).toEqual([['a', 'b'], ['1', '']]);
+    });
+  });
+});
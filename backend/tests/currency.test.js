@@ -0,0 +1,36 @@
+const { findRate, convertAmount, convertLeadValue } = require('../utils/currency');
+
+const rates = [
+  { currency: 'EUR', rate: 1.10, effectiveDate: new Date('2025-01-01') },
+  { currency: 'EUR', rate: 1.05, effectiveDate: new Date('2025-07-01') },
+  { currency: 'GBP', rate: 1.25, effectiveDate: new Date('2025-01-01') }
+];
+
+describe('Currency conversion', () => {
+  it('should use the rate in effect on the date', () => {
+    expect(findRate(rates, 'EUR', new Date('2025-03-15'))).toBe(1.10);
+    expect(findRate(rates, 'EUR', new Date('2025-07-01'))).toBe(1.05);
+    expect(findRate(rates, 'EUR', new Date('2024-06-01'))).toBe(1.10);
+    expect(findRate(rates, 'USD')).toBe(1);
+    expect(findRate(rates, 'CAD')).toBeNull();
+  });
+
+  it('should cross rates through the base currency', () => {
+    const date = new Date('2025-03-15');
+
+    expect(convertAmount(rates, 1000, 'EUR', 'USD', date)).toBe(1100);
+    expect(convertAmount(rates, 1100, 'USD', 'EUR', date)).toBe(1000);
+    expect(convertAmount(rates, 1000, 'EUR', 'GBP', date)).toBe(880);
+    expect(convertAmount(rates, 1000, 'CAD', 'USD', date)).toBeNull();
+  });
+
+  it('should convert closed leads at their close date and open leads at today', () => {
+    const now = new Date('2025-09-01');
+
+    expect(convertLeadValue({ value: 200, currency: 'EUR', actualCloseDate: new Date('2025-02-01') }, rates, 'USD', now))
+      .toEqual({ convertedValue: 220, reportingCurrency: 'USD', exchangeRate: 1.10 });
+    expect(convertLeadValue({ value: 200, currency: 'EUR', actualCloseDate: null }, rates, 'USD', now))
+      .toEqual({ convertedValue: 210, reportingCurrency: 'USD', exchangeRate: 1.05 });
+    expect(convertLeadValue({ value: 200, currency: 'CAD' }, rates, 'USD', now).convertedValue).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+const { buildCustomFieldSchema } = require('../middleware/validation');
+const { buildCustomFieldFilter } = require('../utils/helpers');
+
+const definitions = [
+  { key: 'tier', label: 'Contract tier', type: 'select', options: ['Gold', 'Silver'], required: true },
+  { key: 'seats', label: 'Seats', type: 'number' },
+  { key: 'regions', label: 'Regions', type: 'multiselect', options: ['EMEA', 'APAC'] },
+  { key: 'renewalDate', label: 'Renewal date', type: 'date' },
+  { key: 'strategic', label: 'Strategic', type: 'boolean' },
+  { key: 'region', label: 'Region', type: 'text' }
+];
+
+describe('Custom fields', () => {
+  describe('buildCustomFieldSchema', () => {
+    it('should convert valid values', () => {
+      const schema = buildCustomFieldSchema(definitions, { isCreate: true });
+      const { error, value } = schema.validate({ tier: 'Gold', seats: '25', strategic: 'true' });
+
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ tier: 'Gold', seats: 25, strategic: true });
+    });
+
+    it('should require required fields on create only', () => {
+      expect(buildCustomFieldSchema(definitions, { isCreate: true }).validate({}).error).toBeDefined();
+      expect(buildCustomFieldSchema(definitions).validate({}).error).toBeUndefined();
+    });
+
+    it('should reject unknown keys, invalid options and clearing required fields', () => {
+      const schema = buildCustomFieldSchema(definitions);
+      const { error } = schema.validate(
+        { tier: null, regions: ['LATAM'], unknown: 'x' },
+        { abortEarly: false }
+      );
+
+      expect(error.details.map(detail => detail.path.join('.'))).toEqual(['tier', 'regions.0', 'unknown']);
+    });
+  });
+
+  describe('buildCustomFieldFilter', () => {
+    it('should build queries by field type', () => {
+      const filter = buildCustomFieldFilter({
+        tier: 'Gold,Silver',
+        seats: { gte: '10', lt: '100' },
+        strategic: 'false',
+        region: 'north',
+        notDefined: 'x'
+      }, definitions);
+
+      expect(filter).toEqual({
+        'customFields.tier': { $in: ['Gold', 'Silver'] },
+        'customFields.seats': { $gte: 10, $lt: 100 },
+        'customFields.strategic': false,
+        'customFields.region': { $regex: 'north', $options: 'i' }
+      });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  normalizeCompanyName,
+  normalizePhone,
+  extractDomain,
+  extractEmailDomain,
+  buildMatchKeys,
+  scoreCustomerMatch,
+  findDuplicateCandidates
+} = require('../utils/duplicateDetection');
+
+describe('Duplicate detection', () => {
+  describe('normalizers', () => {
+    it('should normalize company names', () => {
+      expect(normalizeCompanyName('Acme Inc')).toBe('acme');
+      expect(normalizeCompanyName('ACME, Inc.')).toBe('acme');
+      expect(normalizeCompanyName('The Smith & Sons Co.')).toBe('smith and sons');
+      expect(normalizeCompanyName(undefined)).toBe('');
+    });
+
+    it('should normalize phone numbers', () => {
+      expect(normalizePhone('555-123-4567')).toBe('5551234567');
+      expect(normalizePhone('+1 (555) 123 4567')).toBe('5551234567');
+      expect(normalizePhone('123')).toBe('');
+      expect(normalizePhone(null)).toBe('');
+    });
+
+    it('should extract website and email domains', () => {
+      expect(extractDomain('https://www.Acme.com/about?x=1')).toBe('acme.com');
+      expect(extractDomain('http://acme.com:8080')).toBe('acme.com');
+      expect(extractEmailDomain('john@acme.com')).toBe('acme.com');
+      expect(extractEmailDomain('john@gmail.com')).toBe('');
+    });
+  });
+
+  describe('scoreCustomerMatch', () => {
+    it('should score a strong match on company, phone and domain', () => {
+      const a = buildMatchKeys({ company: 'Acme Inc', phone: '555-123-4567', website: 'https://acme.com', email: 'a@acme.com' });
+      const b = buildMatchKeys({ company: 'ACME, Inc.', phone: '(555) 123-4567', website: 'http://www.acme.com', email: 'b@acme.com' });
+
+      const match = scoreCustomerMatch(a, b);
+      expect(match.score).toBe(100);
+      expect(match.reasons).toEqual(['company', 'phone', 'website', 'emailDomain']);
+    });
+
+    it('should score an email domain matching the other website the same either way round', () => {
+      const a = buildMatchKeys({ company: 'Acme', website: 'https://acme.com' });
+      const b = buildMatchKeys({ company: 'Acme Labs', email: 'b@acme.com' });
+
+      const match = scoreCustomerMatch(a, b);
+      expect(match.reasons).toEqual(['similarCompany', 'emailDomain']);
+      expect(scoreCustomerMatch(b, a)).toEqual(match);
+    });
+
+    it('should not score unrelated customers', () => {
+      const a = buildMatchKeys({ company: 'Acme', email: 'a@gmail.com' });
+      const b = buildMatchKeys({ company: 'Globex', email: 'b@gmail.com' });
+
+      expect(scoreCustomerMatch(a, b)).toEqual({ score: 0, reasons: [] });
+    });
+  });
+
+  describe('findDuplicateCandidates', () => {
+    it('should return pairs above the threshold sorted by score', () => {
+      const customers = [
+        { _id: '1', company: 'Acme Inc', email: 'a@acme.com', phone: '555-123-4567' },
+        { _id: '2', company: 'ACME, Inc.', email: 'b@acme.com' },
+        { _id: '3', company: 'Globex', email: 'c@globex.com', phone: '555-123-4567' },
+        { _id: '4', company: 'Initech', email: 'd@initech.com' }
+      ];
+
+      const candidates = findDuplicateCandidates(customers, 30);
+
+      expect(candidates).toHaveLength(2);
+      expect(candidates[0].customers.map(c => c._id)).toEqual(['1', '2']);
+      expect(candidates[0].score).toBe(60);
+      expect(candidates[1].customers.map(c => c._id)).toEqual(['1', '3']);
+      expect(candidates[1].reasons).toEqual(['phone']);
+    });
+
+    it('should compare companies that share a word other than the first', () => {
+      const candidates = findDuplicateCandidates([
+        { _id: '1', company: 'Big Acme' },
+        { _id: '2', company: 'Acme' },
+        { _id: '3', company: 'Initech' }
+      ], 20);
+
+      expect(candidates).toHaveLength(1);
+      expect(candidates[0].customers.map(c => c._id)).toEqual(['1', '2']);
+      expect(candidates[0].reasons).toEqual(['similarCompany']);
+    });
+
+    it('should report customers with the same company name at the default threshold', () => {
+      const candidates = findDuplicateCandidates([
+        { _id: '1', company: 'Acme Inc' },
+        { _id: '2', company: 'ACME, Inc.' }
+      ]);
+
+      expect(candidates).toHaveLength(1);
+      expect(candidates[0].reasons).toEqual(['company']);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  buildSegmentQuery,
+  customerVariables,
+  addUnsubscribeLink,
+  generateUnsubscribeToken,
+  unsubscribeUrl
+} = require('../utils/emailCampaigns');
+
+describe('Email campaigns', () => {
+  it('should build a customer query from segment filters without unsubscribed customers', () => {
+    expect(buildSegmentQuery({})).toEqual({ emailOptOut: { $ne: true } });
+
+    expect(buildSegmentQuery({
+      statuses: ['active'],
+      industries: [],
+      countries: ['Germany'],
+      tags: ['VIP'],
+      minLeadValue: 0,
+      maxLeadValue: null
+    })).toEqual({
+      emailOptOut: { $ne: true },
+      status: { $in: ['active'] },
+      'address.country': { $in: ['Germany'] },
+      tags: { $in: ['vip'] },
+      totalLeadValue: { $gte: 0 }
+    });
+  });
+
+  it('should fill template variables from customer fields, escaped for HTML', () => {
+    const variables = customerVariables({
+      name: 'Jane <Doe>',
+      email: 'jane@example.com',
+      company: 'Smith & Sons',
+      address: { city: 'Berlin' }
+    });
+
+    expect(variables).toMatchObject({
+      customerName: 'Jane &lt;Doe&gt;',
+      company: 'Smith &amp; Sons',
+      email: 'jane@example.com',
+      city: 'Berlin',
+      country: '',
+      phone: ''
+    });
+  });
+
+  it('should add an unsubscribe link to templates without one', () => {
+    const withLink = addUnsubscribeLink('<html><body><p>Hi</p></body></html>');
+    expect(withLink).toMatch(/<p>Hi<\/p><p[^>]*><a href="{{unsubscribeUrl}}">Unsubscribe<\/a>.*<\/p><\/body><\/html>$/);
+
+    const template = '<p>Hi</p><a href="{{unsubscribeUrl}}">Stop</a>';
+    expect(addUnsubscribeLink(template)).toBe(template);
+
+    const token = generateUnsubscribeToken();
+    expect(token).toMatch(/^[0-9a-f]{48}$/);
+    expect(generateUnsubscribeToken()).not.toBe(token);
+    expect(unsubscribeUrl(token)).toMatch(new RegExp(`/api/public/unsubscribe/${token}$`));
+  });
+});
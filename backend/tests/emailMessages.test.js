@@ -0,0 +1,55 @@
+const {
+  MAX_EMAIL_BODY_LENGTH,
+  normalizeAddresses,
+  htmlToText,
+  getParticipantAddresses,
+  buildEmailActivity
+} = require('../utils/emailMessages');
+
+describe('Email messages', () => {
+  it('should normalize, deduplicate and flatten address headers', () => {
+    const addresses = normalizeAddresses([
+      { value: [{ name: 'Bob', address: 'Bob@Acme.com' }, { name: 'Team', group: [{ name: '', address: 'carol@acme.com' }] }] },
+      { value: [{ name: 'Bob again', address: 'bob@acme.com' }] },
+      undefined
+    ]);
+
+    expect(addresses).toEqual([
+      { name: 'Bob', address: 'bob@acme.com' },
+      { name: '', address: 'carol@acme.com' }
+    ]);
+    expect(normalizeAddresses(undefined)).toEqual([]);
+  });
+
+  it('should turn an HTML body into plain text', () => {
+    const text = htmlToText('<style>p { color: red; }</style><p>Hello <b>Bob</b> &amp; team</p><p>Price: &#36;5<br>Thanks</p>');
+
+    expect(text).toBe('Hello Bob & team\nPrice: $5\nThanks');
+  });
+
+  it('should build an email activity from the participants, subject and body', () => {
+    const email = {
+      messageId: '<1@acme.com>',
+      subject: 'Pricing',
+      date: new Date('2025-05-12T09:30:00Z'),
+      from: { name: 'Bob', address: 'bob@acme.com' },
+      to: [{ name: '', address: 'rep@crm.test' }],
+      cc: [{ name: '', address: 'bob@acme.com' }],
+      text: 'x'.repeat(MAX_EMAIL_BODY_LENGTH + 1),
+      html: ''
+    };
+
+    expect(getParticipantAddresses(email)).toEqual(['bob@acme.com', 'rep@crm.test']);
+
+    const activity = buildEmailActivity(email, { userId: 'user' });
+
+    expect(activity).toMatchObject({
+      type: 'email',
+      description: 'Email from Bob: Pricing',
+      date: email.date,
+      userId: 'user'
+    });
+    expect(activity.email.body).toHaveLength(MAX_EMAIL_BODY_LENGTH);
+    expect(activity.email.bodyTruncated).toBe(true);
+  });
+});
@@ -0,0 +1,33 @@
+const {
+  DUE_LOOKBACK_DAYS,
+  getFollowUpRanges,
+  followUpDedupeKey,
+  isNotificationEnabled
+} = require('../utils/followUps');
+
+describe('Follow-up reminders', () => {
+  const now = new Date('2025-05-10T12:00:00Z');
+
+  it('should cover the window ahead for upcoming and the lookback for due follow-ups', () => {
+    const ranges = getFollowUpRanges(now, 24);
+
+    expect(ranges.upcoming.$gt).toEqual(now);
+    expect(ranges.upcoming.$lte).toEqual(new Date('2025-05-11T12:00:00Z'));
+    expect(ranges.due.$lte).toEqual(now);
+    expect(now - ranges.due.$gte).toBe(DUE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  });
+
+  it('should key reminders by lead, follow-up date and kind', () => {
+    const key = followUpDedupeKey('abc', now, 'due');
+
+    expect(key).toBe('follow_up_due:abc:2025-05-10T12:00:00.000Z');
+    expect(followUpDedupeKey('abc', now, 'upcoming')).not.toBe(key);
+    expect(followUpDedupeKey('abc', new Date('2025-05-12T12:00:00Z'), 'due')).not.toBe(key);
+  });
+
+  it('should treat missing notification preferences as enabled', () => {
+    expect(isNotificationEnabled({}, 'followUpEmail')).toBe(true);
+    expect(isNotificationEnabled({ notificationPreferences: { followUpEmail: true } }, 'followUpEmail')).toBe(true);
+    expect(isNotificationEnabled({ notificationPreferences: { followUpEmail: false } }, 'followUpEmail')).toBe(false);
+  });
+});
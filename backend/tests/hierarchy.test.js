@@ -0,0 +1,60 @@
+const { buildCustomerTree, redactCustomerNodes } = require('../utils/hierarchy');
+
+const node = (id, parentId, totalLeadValue = 0, leadsCount = 0) => ({
+  _id: id,
+  parentId,
+  name: id,
+  totalLeadValue,
+  leadsCount
+});
+
+describe('Customer hierarchy', () => {
+  it('should roll lead totals up from all descendants', () => {
+    const tree = buildCustomerTree([
+      node('holding', null, 100, 1),
+      node('sub-a', 'holding', 200, 2),
+      node('sub-b', 'holding', 50, 1),
+      node('sub-a-1', 'sub-a', 25, 3)
+    ], 'holding');
+
+    expect(tree.rollup).toEqual({ totalLeadValue: 375, leadsCount: 7, descendantsCount: 3 });
+    expect(tree.children).toHaveLength(2);
+
+    const subA = tree.children.find(child => child._id === 'sub-a');
+    expect(subA.depth).toBe(1);
+    expect(subA.rollup).toEqual({ totalLeadValue: 225, leadsCount: 5, descendantsCount: 1 });
+    expect(subA.children[0].depth).toBe(2);
+  });
+
+  it('should return null when the root is not in the list', () => {
+    expect(buildCustomerTree([node('a', null)], 'missing')).toBeNull();
+  });
+
+  it('should stop at nodes already visited when the data contains a loop', () => {
+    const tree = buildCustomerTree([
+      node('a', 'b', 10, 1),
+      node('b', 'a', 20, 1)
+    ], 'a');
+
+    expect(tree.children).toHaveLength(1);
+    expect(tree.children[0].children).toHaveLength(0);
+    expect(tree.rollup.totalLeadValue).toBe(30);
+  });
+
+  it('should redact customers of other owners but keep the tree connected', () => {
+    const nodes = [
+      { ...node('holding', null, 100, 1), ownerId: 'jane' },
+      { ...node('sub-a', 'holding', 200, 2), ownerId: 'john' },
+      { ...node('sub-a-1', 'sub-a', 25, 3), ownerId: 'jane' }
+    ];
+
+    const tree = buildCustomerTree(redactCustomerNodes(nodes, 'jane'), 'holding');
+    const subA = tree.children[0];
+
+    expect(subA).toMatchObject({ _id: 'sub-a', restricted: true, totalLeadValue: 0 });
+    expect(subA.name).toBeUndefined();
+    expect(subA.ownerId).toBeUndefined();
+    expect(subA.children[0]).toMatchObject({ _id: 'sub-a-1', name: 'sub-a-1' });
+    expect(tree.rollup).toEqual({ totalLeadValue: 125, leadsCount: 4, descendantsCount: 2 });
+  });
+});
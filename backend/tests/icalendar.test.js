@@ -0,0 +1,116 @@
+const {
+  buildCalendar,
+  foldLine,
+  parseDateValue,
+  parseCalendar
+} = require('../utils/icalendar');
+
+describe('iCalendar', () => {
+  const now = new Date('2025-05-10T12:00:00Z');
+
+  it('should build events that parse back to the same values', () => {
+    const calendar = buildCalendar({
+      name: 'CRM - Jane',
+      now,
+      events: [
+        {
+          uid: 'meeting-1@mini-crm',
+          start: new Date('2025-05-12T09:30:00Z'),
+          end: new Date('2025-05-12T10:30:00Z'),
+          summary: 'Meeting: Acme, renewal; phase 2',
+          description: 'Agenda\nPricing'
+        },
+        {
+          uid: 'expected-close-2@mini-crm',
+          start: new Date('2025-06-01T00:00:00Z'),
+          allDay: true,
+          summary: 'Expected close: Acme'
+        }
+      ]
+    });
+
+    expect(calendar).toContain('DTSTART:20250512T093000Z');
+    expect(calendar).toContain('DTSTART;VALUE=DATE:20250601');
+    expect(calendar).toContain('DTEND;VALUE=DATE:20250602');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    const [meeting, close] = parseCalendar(calendar);
+
+    expect(meeting).toMatchObject({
+      uid: 'meeting-1@mini-crm',
+      summary: 'Meeting: Acme, renewal; phase 2',
+      description: 'Agenda\nPricing',
+      start: new Date('2025-05-12T09:30:00Z'),
+      end: new Date('2025-05-12T10:30:00Z'),
+      allDay: false
+    });
+    expect(close).toMatchObject({ start: new Date('2025-06-01T00:00:00Z'), allDay: true });
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  it('should read durations, cancelled events and skip nested alarms', () => {
+    const events = parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc',
+      'SUMMARY:Demo call with a very long title that a client',
+      '  folded',
+      'DTSTART:20250512T090000Z',
+      'DURATION:PT1H30M',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:def',
+      'STATUS:CANCELLED',
+      'DTSTART:20250513T090000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No start',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+
+    expect(events).toHaveLength(2);
+    expect(events[0].summary).toBe('Demo call with a very long title that a client folded');
+    expect(events[0].description).toBeUndefined();
+    expect(events[0].end).toEqual(new Date('2025-05-12T10:30:00Z'));
+    expect(events[1].status).toBe('CANCELLED');
+    expect(parseCalendar('not a calendar')).toBeNull();
+  });
+
+  it('should read dates with a TZID in that time zone', () => {
+    expect(parseDateValue('20250512T093000', { TZID: 'Europe/Berlin' }))
+      .toEqual({ date: new Date('2025-05-12T07:30:00Z'), allDay: false });
+    expect(parseDateValue('20250115T093000', { TZID: 'America/New_York' }))
+      .toEqual({ date: new Date('2025-01-15T14:30:00Z'), allDay: false });
+    // Just after the spring-forward gap
+    expect(parseDateValue('20250330T030000', { TZID: 'Europe/Berlin' }).date)
+      .toEqual(new Date('2025-03-30T01:00:00Z'));
+    expect(parseDateValue('20250512T093000', { TZID: 'Not/A_Zone' })).toBeNull();
+
+    const events = parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:tz',
+      'DTSTART;TZID="Asia/Tokyo":20250512T180000',
+      'DTEND;TZID="Asia/Tokyo":20250512T190000',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+
+    expect(events[0]).toMatchObject({
+      start: new Date('2025-05-12T09:00:00Z'),
+      end: new Date('2025-05-12T10:00:00Z')
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  DEFAULT_SCORING_RULES,
+  validateRule,
+  evaluateRule,
+  scoreLead
+} = require('../utils/leadScoring');
+
+const now = new Date(Date.UTC(2024, 5, 30));
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('Lead scoring', () => {
+  it('should evaluate comparison, list, range and per-unit operators', () => {
+    expect(evaluateRule({ operator: 'eq', value: 'high', points: 15 }, 'high')).toBe(15);
+    expect(evaluateRule({ operator: 'in', value: ['Website', 'Event'], points: 5 }, 'Referral')).toBe(0);
+    expect(evaluateRule({ operator: 'between', value: [10, 50], points: 10 }, 50)).toBe(0);
+    expect(evaluateRule({ operator: 'between', value: [10, 50], points: 10 }, 10)).toBe(10);
+    expect(evaluateRule({ operator: 'per', points: 3, maxPoints: 15 }, 4)).toBe(12);
+    expect(evaluateRule({ operator: 'per', points: 3, maxPoints: 15 }, 9)).toBe(15);
+    expect(evaluateRule({ operator: 'exists', points: 5 }, '')).toBe(0);
+    expect(evaluateRule({ operator: 'gte', value: 5, points: 5 }, null)).toBe(0);
+  });
+
+  it('should explain every point with the default rules', () => {
+    const lead = {
+      value: 120000,
+      probability: 50,
+      priority: 'high',
+      source: 'Referral',
+      activities: [{ date: daysAgo(20) }, { date: daysAgo(3) }]
+    };
+
+    const { score, breakdown } = scoreLead(lead, DEFAULT_SCORING_RULES, { now });
+
+    expect(breakdown).toEqual([
+      { rule: 'Deal value 100,000+', field: 'value', value: 120000, points: 25 },
+      { rule: 'Stage win probability', field: 'probability', value: 50, points: 15 },
+      { rule: 'High priority', field: 'priority', value: 'high', points: 15 },
+      { rule: 'Referral', field: 'source', value: 'Referral', points: 10 },
+      { rule: 'Activities logged', field: 'activityCount', value: 2, points: 6 },
+      { rule: 'Activity in the last week', field: 'daysSinceActivity', value: 3, points: 10 }
+    ]);
+    expect(score).toBe(81);
+  });
+
+  it('should score customer industry and custom fields and clamp the total', () => {
+    const rules = [
+      { name: 'Target industry', field: 'industry', operator: 'in', value: ['Finance', 'Healthcare'], points: 60 },
+      { name: 'Enterprise tier', field: 'customField', customFieldKey: 'tier', operator: 'eq', value: 'Enterprise', points: 60 },
+      { name: 'Competitor account', field: 'customField', customFieldKey: 'competitor', operator: 'exists', points: -200 }
+    ];
+    const lead = { customFields: new Map([['tier', 'Enterprise']]) };
+
+    const result = scoreLead(lead, rules, { customer: { industry: 'Finance' } });
+    expect(result.breakdown.map(entry => entry.field)).toEqual(['industry', 'customFields.tier']);
+    expect(result.score).toBe(100);
+
+    lead.customFields.set('competitor', 'Acme');
+    expect(scoreLead(lead, rules, { customer: { industry: 'Finance' } }).score).toBe(0);
+  });
+
+  it('should reject rules whose value does not fit the operator', () => {
+    expect(validateRule({ field: 'value', operator: 'between', value: [100, 10] })).toMatch(/min below max/);
+    expect(validateRule({ field: 'priority', operator: 'gte', value: 1 })).toMatch(/numeric field/);
+    expect(validateRule({ field: 'customField', operator: 'eq', value: 'x' })).toMatch(/customFieldKey/);
+    expect(validateRule({ field: 'source', operator: 'in', value: [] })).toMatch(/list of values/);
+    DEFAULT_SCORING_RULES.forEach(rule => expect(validateRule(rule)).toBeNull());
+  });
+});
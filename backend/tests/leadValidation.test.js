@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const { leadValidation, pickValidFields } = require('../middleware/validation');
+const { applyDocumentUpdate } = require('../utils/helpers');
+
+const overdueLead = () => Lead.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 0,
+  title: 'Website redesign',
+  customerId: new mongoose.Types.ObjectId(),
+  assignedTo: new mongoose.Types.ObjectId(),
+  pipelineId: new mongoose.Types.ObjectId(),
+  value: 5000,
+  status: 'Negotiation',
+  stageCategory: 'open',
+  source: 'Website',
+  expectedCloseDate: new Date('2020-01-01T00:00:00.000Z')
+});
+
+describe('Lead validation', () => {
+  it('should close an overdue lead without moving its expected close date', () => {
+    const lead = overdueLead();
+    lead.status = 'Lost';
+    lead.stageCategory = 'lost';
+
+    expect(lead.validateSync()).toBeUndefined();
+  });
+
+  it('should still reject a past expected close date that is set', () => {
+    const lead = overdueLead();
+    lead.expectedCloseDate = new Date('2021-01-01T00:00:00.000Z');
+
+    expect(lead.validateSync().errors.expectedCloseDate.message).toBe('Expected close date must be in the future');
+
+    const { _id, __v, ...fields } = overdueLead().toObject();
+    expect(new Lead(fields).validateSync().errors.expectedCloseDate).toBeDefined();
+  });
+
+  it('should not let a lead update rewrite server-managed fields', () => {
+    const lead = overdueLead();
+    lead.stageHistory.push({ from: 'Qualified', to: 'Negotiation', changedAt: new Date('2020-01-01T00:00:00.000Z') });
+    lead.score = 40;
+
+    const body = { title: 'Website relaunch', stageHistory: [], score: 100, quotes: [], deletedAt: new Date() };
+    applyDocumentUpdate(lead, pickValidFields(leadValidation.update, body));
+
+    expect(lead.title).toBe('Website relaunch');
+    expect(lead.stageHistory).toHaveLength(1);
+    expect(lead.score).toBe(40);
+    expect(lead.deletedAt).toBeNull();
+  });
+});
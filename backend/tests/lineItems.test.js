@@ -0,0 +1,28 @@
+const { calculateLineItem, calculateLineItemsTotal } = require('../utils/lineItems');
+
+describe('Lead line items', () => {
+  it('should apply the discount before tax', () => {
+    expect(calculateLineItem({ quantity: 3, unitPrice: 100, discount: 10, taxRate: 20 })).toEqual({
+      subtotal: 300,
+      discountAmount: 30,
+      taxAmount: 54,
+      total: 324
+    });
+  });
+
+  it('should round every amount to cents', () => {
+    const amounts = calculateLineItem({ quantity: 3, unitPrice: 19.99, discount: 15, taxRate: 7.5 });
+
+    expect(amounts).toEqual({ subtotal: 59.97, discountAmount: 9, taxAmount: 3.82, total: 54.79 });
+  });
+
+  it('should add up the totals of all line items', () => {
+    const totals = calculateLineItemsTotal([
+      { quantity: 2, unitPrice: 50 },
+      { quantity: 1, unitPrice: 200, discount: 25, taxRate: 10 }
+    ]);
+
+    expect(totals).toEqual({ subtotal: 300, discountAmount: 50, taxAmount: 15, total: 265 });
+    expect(calculateLineItemsTotal([]).total).toBe(0);
+  });
+});
@@ -0,0 +1,57 @@
+const { buildQuoteItems, buildQuoteNumber, canChangeQuoteStatus } = require('../utils/quotes');
+const { renderQuotePdf } = require('../services/quoteService');
+
+const customer = {
+  name: 'Jane Smith',
+  company: 'Acme Corp',
+  email: 'jane@acme.test',
+  getFullAddress: () => '1 Main St, Springfield, USA'
+};
+
+describe('Lead quotes', () => {
+  it('should quote the line items of a lead', () => {
+    const quote = buildQuoteItems({
+      title: 'Fleet renewal',
+      value: 324,
+      lineItems: [{ sku: 'SEAT', name: 'Seat licence', quantity: 3, unitPrice: 100, discount: 10, taxRate: 20 }]
+    });
+
+    expect(quote.items).toEqual([
+      { sku: 'SEAT', name: 'Seat licence', quantity: 3, unitPrice: 100, discount: 10, taxRate: 20, total: 324 }
+    ]);
+    expect(quote).toMatchObject({ subtotal: 300, discountAmount: 30, taxAmount: 54, total: 324 });
+  });
+
+  it('should quote the lead value when the lead has no line items', () => {
+    const quote = buildQuoteItems({ title: 'Consulting', value: 5000, lineItems: [] });
+
+    expect(quote.items).toHaveLength(1);
+    expect(quote.items[0]).toMatchObject({ name: 'Consulting', quantity: 1, unitPrice: 5000 });
+    expect(quote.total).toBe(5000);
+  });
+
+  it('should only allow forward status changes', () => {
+    expect(canChangeQuoteStatus('draft', 'sent')).toBe(true);
+    expect(canChangeQuoteStatus('sent', 'accepted')).toBe(true);
+    expect(canChangeQuoteStatus('draft', 'accepted')).toBe(false);
+    expect(canChangeQuoteStatus('accepted', 'rejected')).toBe(false);
+    expect(buildQuoteNumber('64f1a2b3c4d5e6f7a8b9c0d1', 2)).toBe('Q-B9C0D1-2');
+  });
+
+  it('should render a quote to PDF', async () => {
+    const lead = { title: 'Fleet renewal' };
+    const quote = {
+      number: 'Q-B9C0D1-1',
+      version: 1,
+      currency: 'USD',
+      validUntil: new Date('2030-01-31'),
+      terms: 'Net 30',
+      ...buildQuoteItems({ title: 'Fleet renewal', value: 1000 })
+    };
+
+    const pdf = await renderQuotePdf(quote, { lead, customer });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.length).toBeGreaterThan(1000);
+  });
+});
@@ -0,0 +1,52 @@
+const schedulerService = require('../services/schedulerService');
+
+describe('Scheduler service', () => {
+  afterEach(() => {
+    schedulerService.stop();
+    schedulerService.getStatus().forEach(job => schedulerService.unschedule(job.name));
+  });
+
+  it('should run a registered job and record its last run', async () => {
+    const task = jest.fn().mockResolvedValue({ purged: 2 });
+    schedulerService.schedule('test-job', 60000, task);
+
+    const result = await schedulerService.runJob('test-job');
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ purged: 2 });
+    expect(schedulerService.getStatus()[0].lastRunAt).toBeInstanceOf(Date);
+  });
+
+  it('should not run a job again while it is still executing', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    schedulerService.schedule('slow-job', 60000, task);
+
+    const firstRun = schedulerService.runJob('slow-job');
+    await schedulerService.runJob('slow-job');
+    finish();
+    await firstRun;
+
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep errors from failing jobs', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    schedulerService.schedule('failing-job', 60000, () => Promise.reject(new Error('boom')));
+
+    await schedulerService.runJob('failing-job');
+
+    expect(schedulerService.getStatus()[0].lastError).toBe('boom');
+    consoleSpy.mockRestore();
+  });
+
+  it('should run jobs on start when the scheduler starts', async () => {
+    const task = jest.fn().mockResolvedValue(null);
+    schedulerService.schedule('startup-job', 60000, task);
+
+    schedulerService.start();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
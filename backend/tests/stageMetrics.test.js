@@ -0,0 +1,74 @@
+const { isBackwardMove, computeStageMetrics } = require('../utils/stageMetrics');
+
+const STAGES = [
+  { name: 'New', category: 'open' },
+  { name: 'Contacted', category: 'open' },
+  { name: 'Qualified', category: 'open' },
+  { name: 'Proposal', category: 'open' },
+  { name: 'Negotiation', category: 'open' },
+  { name: 'Converted', category: 'won' },
+  { name: 'Lost', category: 'lost' }
+];
+const day = (n) => new Date(Date.UTC(2024, 0, 1 + n));
+
+const entry = (from, to, n) => ({ from, to, changedAt: day(n) });
+
+describe('Stage metrics', () => {
+  it('should detect backward moves from the pipeline stage order', () => {
+    expect(isBackwardMove(STAGES, 'Proposal', 'Qualified')).toBe(true);
+    expect(isBackwardMove(STAGES, 'Qualified', 'Proposal')).toBe(false);
+    expect(isBackwardMove(STAGES, 'Converted', 'Negotiation')).toBe(true);
+    expect(isBackwardMove(STAGES, 'Proposal', 'Lost')).toBe(false);
+    expect(isBackwardMove(STAGES, 'Lost', 'New')).toBe(false);
+  });
+
+  it('should average completed stays per stage and track current stays separately', () => {
+    const leads = [
+      {
+        status: 'Qualified',
+        stageHistory: [entry(null, 'New', 0), entry('New', 'Contacted', 2), entry('Contacted', 'Qualified', 6)]
+      },
+      {
+        status: 'Contacted',
+        stageHistory: [entry(null, 'New', 0), entry('New', 'Contacted', 4)]
+      }
+    ];
+
+    const { timeInStage } = computeStageMetrics(leads, STAGES, day(10));
+    const byStage = Object.fromEntries(timeInStage.map(stats => [stats.stage, stats]));
+
+    expect(byStage.New).toMatchObject({ completedStays: 2, avgDays: 3, currentLeads: 0 });
+    expect(byStage.Contacted).toMatchObject({ completedStays: 1, avgDays: 4, currentLeads: 1, avgCurrentDays: 6 });
+    expect(byStage.Qualified).toMatchObject({ completedStays: 0, avgDays: 0, currentLeads: 1, avgCurrentDays: 4 });
+    expect(byStage.Converted).toBeUndefined();
+  });
+
+  it('should count backward moves and the stage lost leads were in', () => {
+    const leads = [
+      {
+        status: 'Lost',
+        stageHistory: [
+          entry(null, 'New', 0),
+          entry('New', 'Proposal', 1),
+          entry('Proposal', 'Qualified', 2),
+          entry('Qualified', 'Lost', 3)
+        ]
+      },
+      {
+        status: 'Lost',
+        stageHistory: [entry(null, 'New', 0), entry('New', 'Lost', 1)]
+      },
+      { status: 'Lost', stageHistory: [] }
+    ];
+
+    const metrics = computeStageMetrics(leads, STAGES, day(10));
+
+    expect(metrics.leadsAnalyzed).toBe(2);
+    expect(metrics.backwardMoves).toMatchObject({ total: 1, transitions: 4, rate: 25, leads: 1, leadRate: 50 });
+    expect(metrics.backwardMoves.byTransition).toEqual([{ from: 'Proposal', to: 'Qualified', count: 1 }]);
+    expect(metrics.lostFromStage).toEqual([
+      { stage: 'Qualified', count: 1, percentage: 50 },
+      { stage: 'New', count: 1, percentage: 50 }
+    ]);
+  });
+});
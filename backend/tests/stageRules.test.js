@@ -0,0 +1,69 @@
+const { isRequirableField, evaluateStageTransition } = require('../utils/stageRules');
+
+const stage = (name, rules = {}) => ({
+  name,
+  category: 'open',
+  allowedTransitions: [],
+  requiredFields: [],
+  requiresActivity: false,
+  ...rules
+});
+
+const codes = (violations) => violations.map(violation => violation.code);
+
+describe('Stage rules', () => {
+  it('should only allow moves to the configured stages', () => {
+    const from = stage('New', { allowedTransitions: ['Contacted', 'Lost'] });
+
+    expect(evaluateStageTransition({ value: 100 }, from, stage('Contacted'))).toEqual([]);
+    expect(codes(evaluateStageTransition({ value: 100 }, from, stage('Proposal'))))
+      .toEqual(['TRANSITION_NOT_ALLOWED']);
+    expect(evaluateStageTransition({ value: 100 }, stage('New'), stage('Negotiation'))).toEqual([]);
+  });
+
+  it('should name the required fields that are missing, including custom fields', () => {
+    const to = stage('Proposal', { requiredFields: ['value', 'contacts', 'customFields.proposalAmount'] });
+    const lead = { value: 0, contacts: [], customFields: new Map([['tier', 'Gold']]) };
+
+    const violations = evaluateStageTransition(lead, stage('Qualified'), to);
+
+    expect(codes(violations)).toEqual(['FIELD_REQUIRED', 'FIELD_REQUIRED', 'FIELD_REQUIRED']);
+    expect(violations.map(violation => violation.field)).toEqual(['value', 'contacts', 'customFields.proposalAmount']);
+
+    lead.value = 5000;
+    lead.contacts = ['64b000000000000000000001'];
+    lead.customFields.set('proposalAmount', 4800);
+    expect(evaluateStageTransition(lead, stage('Qualified'), to)).toEqual([]);
+  });
+
+  it('should require an activity on existing leads only', () => {
+    const to = stage('Qualified', { requiresActivity: true });
+
+    expect(codes(evaluateStageTransition({ activities: [] }, stage('New'), to))).toEqual(['ACTIVITY_REQUIRED']);
+    expect(evaluateStageTransition({ activities: [{ type: 'call' }] }, stage('New'), to)).toEqual([]);
+    expect(evaluateStageTransition({ isNew: true, activities: [] }, null, to)).toEqual([]);
+  });
+
+  it('should require an active close reason of the stage category to close a lead', () => {
+    const lost = stage('Lost', { category: 'lost' });
+    const won = stage('Converted', { category: 'won' });
+    const priceReason = { _id: '64b000000000000000000002', type: 'lost', isActive: true };
+
+    expect(codes(evaluateStageTransition({ closeReason: null }, stage('Proposal'), lost)))
+      .toEqual(['CLOSE_REASON_REQUIRED']);
+    expect(evaluateStageTransition({ closeReason: priceReason._id }, stage('Proposal'), lost, { closeReason: priceReason }))
+      .toEqual([]);
+    expect(codes(evaluateStageTransition({ closeReason: priceReason._id }, stage('Proposal'), won, { closeReason: priceReason })))
+      .toEqual(['CLOSE_REASON_INVALID']);
+    expect(codes(evaluateStageTransition({ closeReason: priceReason._id }, stage('Proposal'), lost, {
+      closeReason: { ...priceReason, isActive: false }
+    }))).toEqual(['CLOSE_REASON_INVALID']);
+  });
+
+  it('should accept known lead fields and custom fields as requirements', () => {
+    expect(isRequirableField('expectedCloseDate')).toBe(true);
+    expect(isRequirableField('customFields.proposalAmount')).toBe(true);
+    expect(isRequirableField('customFields.')).toBe(false);
+    expect(isRequirableField('assignedTo')).toBe(false);
+  });
+});
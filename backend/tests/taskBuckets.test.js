@@ -0,0 +1,28 @@
+const { getDayBounds, bucketTasks } = require('../utils/taskBuckets');
+
+const at = (day, hour) => new Date(2025, 4, day, hour);
+
+describe('Task buckets', () => {
+  it('should bound the day in server time', () => {
+    const { start, end } = getDayBounds(at(10, 15));
+
+    expect(start).toEqual(new Date(2025, 4, 10));
+    expect(end).toEqual(new Date(2025, 4, 11));
+  });
+
+  it('should split tasks into overdue, today and upcoming by due date', () => {
+    const tasks = [
+      { title: 'later', dueDate: at(20, 9) },
+      { title: 'tomorrow', dueDate: at(11, 9) },
+      { title: 'this evening', dueDate: at(10, 18) },
+      { title: 'this morning', dueDate: at(10, 8) },
+      { title: 'yesterday', dueDate: at(9, 9) }
+    ];
+
+    const buckets = bucketTasks(tasks, { now: at(10, 12), days: 7 });
+
+    expect(buckets.overdue.map(task => task.title)).toEqual(['yesterday']);
+    expect(buckets.today.map(task => task.title)).toEqual(['this morning', 'this evening']);
+    expect(buckets.upcoming.map(task => task.title)).toEqual(['tomorrow']);
+  });
+});
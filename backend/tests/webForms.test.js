@@ -0,0 +1,45 @@
+const {
+  mapSubmission,
+  getUtmParameters,
+  isHoneypotFilled,
+  isOriginAllowed
+} = require('../utils/webForms');
+
+describe('Web forms', () => {
+  it('should map submitted fields to customer and lead fields', () => {
+    const data = mapSubmission(
+      { full_name: ' Jane Doe ', work_email: 'Jane@Example.com', city: 'Berlin', budget: 5000, notes: { $gt: '' }, ignored: 'x' },
+      [
+        { formField: 'full_name', target: 'customer.name' },
+        { formField: 'work_email', target: 'customer.email' },
+        { formField: 'city', target: 'customer.address.city' },
+        { formField: 'budget', target: 'lead.value' },
+        { formField: 'notes', target: 'lead.description' }
+      ]
+    );
+
+    expect(data).toEqual({
+      customer: { name: 'Jane Doe', email: 'jane@example.com', address: { city: 'Berlin' } },
+      lead: { value: '5000' }
+    });
+  });
+
+  it('should read UTM parameters from the submission before the query string', () => {
+    const utm = getUtmParameters(
+      { utm_source: 'google', utm_medium: '' },
+      { utm_source: 'bing', utm_medium: 'cpc', utm_campaign: 'spring' }
+    );
+
+    expect(utm).toEqual({ source: 'google', medium: 'cpc', campaign: 'spring' });
+  });
+
+  it('should spot a filled honeypot and match allowed origins', () => {
+    expect(isHoneypotFilled({ _hp: 'http://spam.example' }, '_hp')).toBe(true);
+    expect(isHoneypotFilled({ _hp: ' ' }, '_hp')).toBe(false);
+    expect(isHoneypotFilled({ _hp: 'x' }, '')).toBe(false);
+
+    expect(isOriginAllowed('https://Example.com', ['https://example.com/'])).toBe(true);
+    expect(isOriginAllowed('https://evil.com', ['https://example.com'])).toBe(false);
+    expect(isOriginAllowed('https://example.com', [])).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+// How a rule picks one of its assignees
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_loaded'];
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const includesText = (list, value) => value !== undefined && value !== null && value !== '' &&
+  list.some(item => sameText(item, value));
+
+// Whether a lead with facts { source, value, industry, country } meets every
+// condition a rule sets. A rule without conditions matches every lead.
+const matchesRule = (rule, facts) => {
+  const conditions = rule.conditions || {};
+
+  if (conditions.sources && conditions.sources.length > 0 && !includesText(conditions.sources, facts.source)) {
+    return false;
+  }
+  if (conditions.industries && conditions.industries.length > 0 && !includesText(conditions.industries, facts.industry)) {
+    return false;
+  }
+  if (conditions.countries && conditions.countries.length > 0 && !includesText(conditions.countries, facts.country)) {
+    return false;
+  }
+
+  const value = Number(facts.value) || 0;
+  if (conditions.minValue !== undefined && conditions.minValue !== null && value < conditions.minValue) {
+    return false;
+  }
+  if (conditions.maxValue !== undefined && conditions.maxValue !== null && value > conditions.maxValue) {
+    return false;
+  }
+
+  return true;
+};
+
+// Assignee whose turn it is, given how many leads the rule has handed out
+const pickRoundRobin = (assigneeIds, turn) => assigneeIds[turn % assigneeIds.length];
+
+// Assignee with the fewest open leads; ties go to the earlier assignee.
+// `openCounts` maps user id strings to open lead counts.
+const pickLeastLoaded = (assigneeIds, openCounts) => assigneeIds.reduce((best, id) => (
+  (openCounts.get(id.toString()) || 0) < (openCounts.get(best.toString()) || 0) ? id : best
+));
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  matchesRule,
+  pickRoundRobin,
+  pickLeastLoaded
+};
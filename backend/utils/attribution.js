@@ -0,0 +1,36 @@
+const { roundMoney } = require('./lineItems');
+
+// Which touch a lead is credited to: the one that brought it in, or the
+// latest one
+const ATTRIBUTION_MODELS = ['first', 'last'];
+
+const CAMPAIGN_CHANNELS = ['email', 'search', 'social', 'display', 'content', 'event', 'referral', 'other'];
+
+const touchField = (model) => (model === 'last' ? 'lastTouch' : 'firstTouch');
+
+// Touch of a lead by a campaign and/or a UTM-tagged visit
+const buildTouch = ({ campaignId = null, utm = {}, at = new Date() } = {}) => ({
+  campaignId,
+  utm,
+  touchedAt: at
+});
+
+const hasTouch = ({ campaignId, utm } = {}) => Boolean(campaignId) || Object.keys(utm || {}).length > 0;
+
+// Spend efficiency of a campaign; money in the same currency as `budget`
+// and `revenue`. Ratios are null when they can't be computed.
+const calculateCampaignMetrics = ({ budget, leads = 0, deals = 0, revenue = 0 }) => ({
+  costPerLead: budget !== null && leads > 0 ? roundMoney(budget / leads) : null,
+  costPerDeal: budget !== null && deals > 0 ? roundMoney(budget / deals) : null,
+  conversionRate: leads > 0 ? Math.round((deals / leads) * 1000) / 10 : 0,
+  roi: budget ? Math.round(((revenue - budget) / budget) * 1000) / 10 : null
+});
+
+module.exports = {
+  ATTRIBUTION_MODELS,
+  CAMPAIGN_CHANNELS,
+  touchField,
+  buildTouch,
+  hasTouch,
+  calculateCampaignMetrics
+};
@@ -0,0 +1,163 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead value bands, each up to (not including) `max`
+const VALUE_BANDS = [
+  { label: 'Under 1,000', max: 1000 },
+  { label: '1,000 - 4,999', max: 5000 },
+  { label: '5,000 - 24,999', max: 25000 },
+  { label: '25,000 - 99,999', max: 100000 },
+  { label: '100,000+', max: Infinity }
+];
+
+const PERIODS = ['week', 'month', 'quarter', 'year'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const getValueBand = (value) => VALUE_BANDS.find(band => (value || 0) < band.max).label;
+
+// Period label of a date (UTC): 2024-W05, 2024-01, 2024-Q1 or 2024
+const getPeriodKey = (date, period) => {
+  const day = new Date(date);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+
+  switch (period) {
+    case 'week': {
+      // ISO week: the week belongs to the year its Thursday falls in
+      const thursday = new Date(Date.UTC(year, month, day.getUTCDate()));
+      thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+      const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+      const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+      return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+    }
+    case 'quarter':
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    case 'year':
+      return `${year}`;
+    default:
+      return `${year}-${pad(month + 1)}`;
+  }
+};
+
+const reasonOf = (lead) => ({
+  reasonId: lead.closeReason && lead.closeReason._id ? lead.closeReason._id.toString() : null,
+  reason: lead.closeReason && lead.closeReason.name ? lead.closeReason.name : 'Unspecified'
+});
+
+const createBucket = (fields) => ({
+  fields,
+  won: 0,
+  lost: 0,
+  wonValue: 0,
+  lostValue: 0,
+  reasons: new Map()
+});
+
+const addToBucket = (bucket, lead) => {
+  const type = lead.stageCategory;
+  const value = lead.value || 0;
+  const { reasonId, reason } = reasonOf(lead);
+  const key = `${type}:${reasonId}`;
+
+  bucket[type]++;
+  bucket[`${type}Value`] += value;
+
+  if (!bucket.reasons.has(key)) {
+    bucket.reasons.set(key, { reasonId, reason, type, count: 0, value: 0 });
+  }
+  const entry = bucket.reasons.get(key);
+  entry.count++;
+  entry.value += value;
+};
+
+const winRate = (won, lost) => (won + lost > 0 ? Math.round((won / (won + lost)) * 100) : 0);
+
+const finalizeBucket = (bucket) => ({
+  ...bucket.fields,
+  won: bucket.won,
+  lost: bucket.lost,
+  wonValue: bucket.wonValue,
+  lostValue: bucket.lostValue,
+  winRate: winRate(bucket.won, bucket.lost),
+  reasons: [...bucket.reasons.values()].sort((a, b) => b.count - a.count)
+});
+
+// Group leads into buckets by `keyOf`; `fieldsOf` describes a bucket
+const groupLeads = (leads, keyOf, fieldsOf) => {
+  const buckets = new Map();
+
+  leads.forEach(lead => {
+    const key = keyOf(lead);
+    if (!buckets.has(key)) buckets.set(key, createBucket(fieldsOf(lead, key)));
+    addToBucket(buckets.get(key), lead);
+  });
+
+  return buckets;
+};
+
+const byTotalDesc = (a, b) => (b.won + b.lost) - (a.won + a.lost);
+
+// Break the reasons of won and lost leads down by source, owner, value band
+// and period. Leads need { stageCategory, value, source, assignedTo,
+// closeReason, competitor, actualCloseDate }; assignedTo and closeReason may
+// be populated. Leads closed before reasons were tracked count as
+// "Unspecified".
+const computeCloseReasonAnalytics = (leads, { period = 'month' } = {}) => {
+  const closed = leads.filter(lead => ['won', 'lost'].includes(lead.stageCategory));
+  const overall = [...groupLeads(closed, () => 'all', () => ({})).values()][0] || createBucket({});
+  const totals = finalizeBucket(overall);
+
+  const ownerId = (lead) => (lead.assignedTo && lead.assignedTo._id ? lead.assignedTo._id : lead.assignedTo);
+
+  const bands = groupLeads(closed, lead => getValueBand(lead.value), (lead, band) => ({ band }));
+
+  return {
+    summary: {
+      won: totals.won,
+      lost: totals.lost,
+      wonValue: totals.wonValue,
+      lostValue: totals.lostValue,
+      winRate: totals.winRate
+    },
+    byReason: totals.reasons.map(entry => ({
+      ...entry,
+      percentage: Math.round((entry.count / totals[entry.type]) * 100)
+    })),
+    bySource: [...groupLeads(closed, lead => lead.source || 'Other', (lead, source) => ({ source })).values()]
+      .map(finalizeBucket)
+      .sort(byTotalDesc),
+    byOwner: [...groupLeads(closed, lead => String(ownerId(lead)), lead => ({
+      owner: {
+        _id: ownerId(lead),
+        name: lead.assignedTo && lead.assignedTo.name ? lead.assignedTo.name : null
+      }
+    })).values()]
+      .map(finalizeBucket)
+      .sort(byTotalDesc),
+    // Every band is listed, in value order, so charts keep a stable axis
+    byValueBand: VALUE_BANDS.map(({ label }) => finalizeBucket(bands.get(label) || createBucket({ band: label }))),
+    byPeriod: [...groupLeads(
+      closed.filter(lead => lead.actualCloseDate),
+      lead => getPeriodKey(lead.actualCloseDate, period),
+      (lead, key) => ({ period: key })
+    ).values()]
+      .map(finalizeBucket)
+      .sort((a, b) => a.period.localeCompare(b.period)),
+    competitors: [...groupLeads(
+      closed.filter(lead => lead.competitor),
+      lead => lead.competitor.trim().toLowerCase(),
+      lead => ({ competitor: lead.competitor.trim() })
+    ).values()]
+      .map(finalizeBucket)
+      .map(({ reasons, ...competitor }) => competitor)
+      .sort(byTotalDesc)
+  };
+};
+
+module.exports = {
+  VALUE_BANDS,
+  PERIODS,
+  getValueBand,
+  getPeriodKey,
+  computeCloseReasonAnalytics
+};
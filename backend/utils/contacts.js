@@ -0,0 +1,27 @@
+// Contacts to fold together when customers are merged: a customer can hold
+// only one contact per email, so a merged contact whose email is already
+// taken, by the survivor or by an earlier merged contact, folds into that
+// one. Returns [[contact, target], ...].
+const findContactsToFold = (survivorContacts, sourceContacts) => {
+  const targetsByEmail = new Map(
+    survivorContacts.filter(contact => contact.email).map(contact => [contact.email, contact])
+  );
+  const folds = [];
+
+  sourceContacts.forEach(contact => {
+    if (!contact.email) return;
+
+    const target = targetsByEmail.get(contact.email);
+    if (target) {
+      folds.push([contact, target]);
+    } else {
+      targetsByEmail.set(contact.email, contact);
+    }
+  });
+
+  return folds;
+};
+
+module.exports = {
+  findContactsToFold
+};
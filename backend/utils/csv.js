@@ -0,0 +1,124 @@
+// Prefix text that a spreadsheet would run as a formula with a quote, so
+// exported values cannot inject formulas. Other values are left as they are.
+const escapeFormula = (value) => {
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    return `'${value}`;
+  }
+
+  return value;
+};
+
+// Escape a single value for a CSV cell
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let str;
+  if (value instanceof Date) {
+    str = value.toISOString();
+  } else if (Array.isArray(value)) {
+    str = escapeFormula(value.join('; '));
+  } else if (typeof value === 'number') {
+    str = String(value);
+  } else {
+    str = escapeFormula(String(value));
+  }
+
+  // Quote values containing separators, quotes or line breaks
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+};
+
+// Build a CSV line (including the trailing line break) from an array of values
+const toCsvLine = (values) => {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+};
+
+// Read a nested value using dot notation (e.g. "address.city")
+const getValueByPath = (obj, path) => {
+  return path.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    if (current instanceof Map) return current.get(key);
+    return current[key];
+  }, obj);
+};
+
+// Set a nested value using dot notation, creating intermediate objects
+const setValueByPath = (obj, path, value) => {
+  const keys = path.split('.');
+  let current = obj;
+
+  keys.slice(0, -1).forEach(key => {
+    if (typeof current[key] !== 'object' || current[key] === null) {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+
+  current[keys[keys.length - 1]] = value;
+  return obj;
+};
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark added by spreadsheet applications
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  escapeFormula,
+  escapeCsvValue,
+  toCsvLine,
+  getValueByPath,
+  setValueByPath,
+  parseCsv
+};
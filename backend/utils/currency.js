@@ -0,0 +1,71 @@
+const { roundMoney } = require('./lineItems');
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+// Exchange rates are quoted against this currency: a EUR rate of 1.08 means
+// 1 EUR = 1.08 USD. Rates between two other currencies are crossed through it.
+const RATE_BASE_CURRENCY = 'USD';
+
+// Rate of a currency on a date from a table of { currency, rate, effectiveDate }:
+// the latest rate in effect on that date, or the earliest known rate for
+// dates before the table starts. Null when the currency has no rate.
+const findRate = (rates, currency, date = new Date()) => {
+  if (currency === RATE_BASE_CURRENCY) return 1;
+
+  const time = new Date(date).getTime();
+  let effective = null;
+  let earliest = null;
+
+  rates.forEach(entry => {
+    if (entry.currency !== currency) return;
+
+    const entryTime = new Date(entry.effectiveDate).getTime();
+    if (entryTime <= time && (!effective || entryTime > new Date(effective.effectiveDate).getTime())) {
+      effective = entry;
+    }
+    if (!earliest || entryTime < new Date(earliest.effectiveDate).getTime()) {
+      earliest = entry;
+    }
+  });
+
+  const match = effective || earliest;
+  return match ? match.rate : null;
+};
+
+// Multiplier from one currency to another on a date, or null without rates
+const getConversionRate = (rates, from, to, date = new Date()) => {
+  if (from === to) return 1;
+
+  const fromRate = findRate(rates, from, date);
+  const toRate = findRate(rates, to, date);
+
+  return fromRate && toRate ? fromRate / toRate : null;
+};
+
+// Amount converted to another currency, rounded to cents; null without rates
+const convertAmount = (rates, amount, from, to, date = new Date()) => {
+  const rate = getConversionRate(rates, from, to, date);
+  return rate === null ? null : roundMoney(amount * rate);
+};
+
+// Value of a lead in the reporting currency. Closed leads convert at the
+// rate of their close date, open leads at today's rate.
+const convertLeadValue = (lead, rates, reportingCurrency, now = new Date()) => {
+  const date = lead.actualCloseDate || now;
+  const exchangeRate = getConversionRate(rates, lead.currency, reportingCurrency, date);
+
+  return {
+    convertedValue: exchangeRate === null ? null : roundMoney((lead.value || 0) * exchangeRate),
+    reportingCurrency,
+    exchangeRate
+  };
+};
+
+module.exports = {
+  CURRENCIES,
+  RATE_BASE_CURRENCY,
+  findRate,
+  getConversionRate,
+  convertAmount,
+  convertLeadValue
+};
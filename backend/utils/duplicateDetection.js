@@ -0,0 +1,188 @@
+const { formatPhoneNumber } = require('./helpers');
+
+// Legal-form and filler words ignored when comparing company names
+const COMPANY_STOP_WORDS = [
+  'the', 'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'sarl', 'bv', 'nv', 'pty', 'group'
+];
+
+// Email providers that say nothing about the customer's company
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'protonmail.com', 'gmx.com', 'mail.com'
+];
+
+// Points awarded per matching signal (a perfect match scores 100). The same
+// company name alone reaches the default threshold.
+const MATCH_WEIGHTS = {
+  company: 50,
+  similarCompany: 25,
+  phone: 30,
+  website: 20,
+  emailDomain: 10
+};
+
+// "ACME, Inc." -> "acme"
+const normalizeCompanyName = (name) => {
+  if (!name) return '';
+
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !COMPANY_STOP_WORDS.includes(word))
+    .join(' ');
+};
+
+// Reduce a phone number to comparable digits
+const normalizePhone = (phone) => {
+  const formatted = formatPhoneNumber(phone);
+  if (!formatted) return '';
+
+  const digits = formatted.replace(/\D/g, '');
+
+  // Treat +1 (555) 123-4567 and (555) 123-4567 as the same number
+  if (digits.length === 11 && digits[0] === '1') {
+    return digits.slice(1);
+  }
+
+  return digits.length >= 7 ? digits : '';
+};
+
+// "https://www.acme.com/about" -> "acme.com"
+const extractDomain = (url) => {
+  if (!url) return '';
+
+  return url
+    .toLowerCase()
+    .trim()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+};
+
+// Company part of an email address, ignoring free mail providers
+const extractEmailDomain = (email) => {
+  if (!email || !email.includes('@')) return '';
+
+  const domain = email.toLowerCase().trim().split('@').pop();
+  return FREE_EMAIL_DOMAINS.includes(domain) ? '' : domain;
+};
+
+// Precompute the comparable keys for a customer
+const buildMatchKeys = (customer) => ({
+  company: normalizeCompanyName(customer.company),
+  phone: normalizePhone(customer.phone),
+  website: extractDomain(customer.website),
+  emailDomain: extractEmailDomain(customer.email)
+});
+
+// Score how likely two customers are the same account
+const scoreCustomerMatch = (keysA, keysB) => {
+  let score = 0;
+  const reasons = [];
+
+  if (keysA.company && keysA.company === keysB.company) {
+    score += MATCH_WEIGHTS.company;
+    reasons.push('company');
+  } else if (
+    keysA.company.length >= 4 &&
+    keysB.company.length >= 4 &&
+    (keysA.company.includes(keysB.company) || keysB.company.includes(keysA.company))
+  ) {
+    score += MATCH_WEIGHTS.similarCompany;
+    reasons.push('similarCompany');
+  }
+
+  if (keysA.phone && keysA.phone === keysB.phone) {
+    score += MATCH_WEIGHTS.phone;
+    reasons.push('phone');
+  }
+
+  if (keysA.website && keysA.website === keysB.website) {
+    score += MATCH_WEIGHTS.website;
+    reasons.push('website');
+  }
+
+  // Website and email domain usually agree, so only count one of them.
+  // Either customer's email domain may match the other's website.
+  const websiteMatched = reasons.includes('website');
+  const sameEmailDomain = keysA.emailDomain && keysA.emailDomain === keysB.emailDomain;
+  const emailMatchesWebsite = !websiteMatched && (
+    (keysA.emailDomain && keysA.emailDomain === keysB.website) ||
+    (keysB.emailDomain && keysB.emailDomain === keysA.website)
+  );
+  if (sameEmailDomain || emailMatchesWebsite) {
+    score += MATCH_WEIGHTS.emailDomain;
+    reasons.push('emailDomain');
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+// Find likely duplicate pairs in a list of customers.
+// Only customers sharing at least one key are compared.
+const findDuplicateCandidates = (customers, threshold = 50) => {
+  const keyed = customers.map(customer => ({ customer, keys: buildMatchKeys(customer) }));
+  const buckets = new Map();
+
+  keyed.forEach((entry, index) => {
+    const { company, phone, website, emailDomain } = entry.keys;
+
+    // The whole name, and each significant word so "Big Acme" and "Acme"
+    // share a bucket
+    const companyWords = company.split(' ').filter(word => word.length >= 3 && word !== 'and');
+
+    [
+      company && `company:${company}`,
+      ...companyWords.map(word => `company:${word}`),
+      phone && `phone:${phone}`,
+      website && `domain:${website}`,
+      emailDomain && `domain:${emailDomain}`
+    ].filter(Boolean).forEach(bucketKey => {
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, new Set());
+      buckets.get(bucketKey).add(index);
+    });
+  });
+
+  const compared = new Set();
+  const candidates = [];
+
+  buckets.forEach(indexes => {
+    const list = [...indexes];
+
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const pairKey = `${Math.min(list[i], list[j])}:${Math.max(list[i], list[j])}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const a = keyed[list[i]];
+        const b = keyed[list[j]];
+        const match = scoreCustomerMatch(a.keys, b.keys);
+
+        if (match.score >= threshold) {
+          candidates.push({
+            customers: [a.customer, b.customer],
+            score: match.score,
+            reasons: match.reasons
+          });
+        }
+      }
+    }
+  });
+
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  MATCH_WEIGHTS,
+  normalizeCompanyName,
+  normalizePhone,
+  extractDomain,
+  extractEmailDomain,
+  buildMatchKeys,
+  scoreCustomerMatch,
+  findDuplicateCandidates
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { escapeHtml } = require('./helpers');
+
+const EMAIL_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// sending: claimed by a run; delivered: accepted by the mail server;
+// skipped: unsubscribed or without an address by the time its batch was sent
+const RECIPIENT_STATUSES = ['pending', 'sending', 'delivered', 'failed', 'skipped'];
+
+const DEFAULT_BATCH_SIZE = 50;
+
+// Recipients sent each time the email campaign job runs
+const getBatchSize = () => {
+  const size = parseInt(process.env.EMAIL_CAMPAIGN_BATCH_SIZE, 10);
+  return Number.isFinite(size) && size > 0 ? size : DEFAULT_BATCH_SIZE;
+};
+
+// Customer query for the filters of a segment. Unsubscribed customers never
+// match.
+const buildSegmentQuery = (filters = {}) => {
+  const query = { emailOptOut: { $ne: true } };
+
+  if (filters.statuses && filters.statuses.length > 0) {
+    query.status = { $in: filters.statuses };
+  }
+  if (filters.industries && filters.industries.length > 0) {
+    query.industry = { $in: filters.industries };
+  }
+  if (filters.countries && filters.countries.length > 0) {
+    query['address.country'] = { $in: filters.countries };
+  }
+  if (filters.tags && filters.tags.length > 0) {
+    query.tags = { $in: filters.tags.map(tag => tag.toLowerCase()) };
+  }
+  if (filters.ownerIds && filters.ownerIds.length > 0) {
+    query.ownerId = { $in: filters.ownerIds };
+  }
+
+  const hasMin = filters.minLeadValue !== undefined && filters.minLeadValue !== null;
+  const hasMax = filters.maxLeadValue !== undefined && filters.maxLeadValue !== null;
+  if (hasMin || hasMax) {
+    query.totalLeadValue = {};
+    if (hasMin) query.totalLeadValue.$gte = filters.minLeadValue;
+    if (hasMax) query.totalLeadValue.$lte = filters.maxLeadValue;
+  }
+
+  return query;
+};
+
+// Template variables filled from a customer, escaped for HTML
+const customerVariables = (customer) => {
+  const address = customer.address || {};
+  const variables = {
+    customerName: customer.name,
+    userName: customer.name,
+    company: customer.company,
+    email: customer.email,
+    phone: customer.phone,
+    industry: customer.industry,
+    city: address.city,
+    country: address.country
+  };
+
+  return Object.fromEntries(
+    Object.entries(variables).map(([key, value]) => [key, escapeHtml(value)])
+  );
+};
+
+// Templates without an unsubscribe link get one before </body>
+const addUnsubscribeLink = (template) => {
+  if (template.includes('{{unsubscribeUrl}}')) {
+    return template;
+  }
+
+  const footer = '<p style="font-size: 12px; color: #666; text-align: center;">'
+    + '<a href="{{unsubscribeUrl}}">Unsubscribe</a> from these emails.</p>';
+  const bodyEnd = template.lastIndexOf('</body>');
+
+  return bodyEnd === -1
+    ? `${template}${footer}`
+    : `${template.slice(0, bodyEnd)}${footer}${template.slice(bodyEnd)}`;
+};
+
+const generateUnsubscribeToken = () => crypto.randomBytes(24).toString('hex');
+
+const unsubscribeUrl = (token) => {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/+$/, '')}/api/public/unsubscribe/${token}`;
+};
+
+module.exports = {
+  EMAIL_CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  DEFAULT_BATCH_SIZE,
+  getBatchSize,
+  buildSegmentQuery,
+  customerVariables,
+  addUnsubscribeLink,
+  generateUnsubscribeToken,
+  unsubscribeUrl
+};
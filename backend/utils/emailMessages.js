@@ -0,0 +1,102 @@
+// Longest email body kept on an activity; the full message stays in the
+// stored .eml attachment
+const MAX_EMAIL_BODY_LENGTH = 20000;
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// Addresses of a parsed header (one address object, a list of them, or
+// nothing) as [{ name, address }], lowercased, unique, groups flattened
+const normalizeAddresses = (field) => {
+  const headers = Array.isArray(field) ? field : [field];
+  const seen = new Set();
+  const addresses = [];
+
+  const add = ({ name, address, group }) => {
+    if (group) {
+      group.forEach(add);
+      return;
+    }
+    if (!address) return;
+
+    const normalized = address.trim().toLowerCase();
+    if (seen.has(normalized)) return;
+
+    seen.add(normalized);
+    addresses.push({ name: (name || '').trim(), address: normalized });
+  };
+
+  headers
+    .filter(header => header && Array.isArray(header.value))
+    .forEach(header => header.value.forEach(add));
+
+  return addresses;
+};
+
+// Plain text of an HTML-only email body
+const htmlToText = (html) => String(html)
+  .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  })
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Every address that sent or received the email
+const getParticipantAddresses = (email) => [
+  ...new Set([email.from, ...email.to, ...email.cc].filter(Boolean).map(participant => participant.address))
+];
+
+const describeEmail = (email) => {
+  const sender = email.from ? (email.from.name || email.from.address) : 'unknown sender';
+  return `Email from ${sender}: ${email.subject || '(no subject)'}`.slice(0, MAX_DESCRIPTION_LENGTH);
+};
+
+// Email activity for a parsed email (see services/emailLogService)
+const buildEmailActivity = (email, { userId, contactIds = [], attachmentIds = [], sourceAttachmentId = null }) => {
+  const body = email.text || (email.html ? htmlToText(email.html) : '');
+
+  return {
+    type: 'email',
+    description: describeEmail(email),
+    date: email.date || new Date(),
+    userId,
+    email: {
+      messageId: email.messageId,
+      subject: email.subject,
+      from: email.from,
+      to: email.to,
+      cc: email.cc,
+      body: body.slice(0, MAX_EMAIL_BODY_LENGTH),
+      bodyTruncated: body.length > MAX_EMAIL_BODY_LENGTH,
+      contactIds,
+      attachmentIds,
+      sourceAttachmentId
+    }
+  };
+};
+
+module.exports = {
+  MAX_EMAIL_BODY_LENGTH,
+  normalizeAddresses,
+  htmlToText,
+  getParticipantAddresses,
+  describeEmail,
+  buildEmailActivity
+};
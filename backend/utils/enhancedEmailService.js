@@ -24,7 +24,7 @@ const createEnhancedTransporter = () => {
     rateLimit: 10 // messages per second
   };
 
-  return nodemailer.createTransporter(config);
+  return nodemailer.createTransport(config);
 };
 
 // Enhanced error handling and logging
@@ -263,12 +263,76 @@ const getFallbackTemplate = (templateName) => {
         </div>
       </body>
       </html>
+    `,
+    newsletterAdvanced: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>{{heading}}</title>
+        <style>
+          body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: #f4f5f7; margin: 0; padding: 20px;
+          }
+          .container {
+            max-width: 600px; margin: 0 auto; background: #ffffff;
+            border-radius: 12px; overflow: hidden;
+          }
+          .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white; padding: 30px; text-align: center;
+          }
+          .header h1 { margin: 0; font-size: 24px; font-weight: 600; }
+          .content { padding: 30px; color: #333; font-size: 16px; line-height: 1.6; }
+          .footer {
+            background: #f8f9fa; padding: 20px 30px; text-align: center;
+            color: #666; font-size: 12px;
+          }
+          .footer a { color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>{{heading}}</h1>
+          </div>
+          <div class="content">
+            <p>Hello {{customerName}},</p>
+            {{content}}
+            <p>Best regards,<br><strong>The {{appName}} Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>You receive this email as a customer of {{appName}}.</p>
+            <p><a href="{{unsubscribeUrl}}">Unsubscribe</a> from these emails.</p>
+            <p>&copy; {{currentYear}} {{appName}}. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
     `
   };
 
   return templates[templateName] || templates.otpAdvanced;
 };
 
+// Names of the fallback templates and the template files
+const listTemplates = async () => {
+  const fallbackNames = ['otpAdvanced', 'welcomeAdvanced', 'newsletterAdvanced'];
+
+  try {
+    const files = await fs.readdir(path.join(__dirname, '..', 'templates', 'email'));
+    const fileNames = files.filter(file => file.endsWith('.html')).map(file => file.slice(0, -'.html'.length));
+    return [...new Set([...fileNames, ...fallbackNames])].sort();
+  } catch (error) {
+    return fallbackNames.sort();
+  }
+};
+
+// loadTemplate falls back to the OTP template for unknown names
+const templateExists = async (templateName) => (await listTemplates()).includes(templateName);
+
 // Replace template variables
 const replaceTemplateVariables = (template, variables) => {
   let processedTemplate = template;
@@ -318,7 +382,8 @@ const sendEnhancedEmail = async (options) => {
         'X-Priority': options.priority || '3',
         'X-MSMail-Priority': options.priority === '1' ? 'High' : 'Normal',
         'X-Mailer': 'CRM-System-v2.0',
-        'List-Unsubscribe': options.unsubscribeUrl ? `<${options.unsubscribeUrl}>` : undefined
+        'List-Unsubscribe': options.unsubscribeUrl ? `<${options.unsubscribeUrl}>` : undefined,
+        'List-Unsubscribe-Post': options.unsubscribeUrl ? 'List-Unsubscribe=One-Click' : undefined
       }
     };
     
@@ -411,7 +476,8 @@ const sendAdvancedWelcomeEmail = async (user) => {
   }
 };
 
-// Send bulk email with rate limiting
+// Send bulk email with rate limiting. Each recipient may bring its own
+// `variables` and `unsubscribeUrl`; results are in the order of `emails`.
 const sendBulkEmail = async (emails, subject, template, variables = {}) => {
   const results = [];
   const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -422,13 +488,16 @@ const sendBulkEmail = async (emails, subject, template, variables = {}) => {
       const html = replaceTemplateVariables(template, {
         ...variables,
         email: email.email,
-        userName: email.name || 'User'
+        userName: email.name || 'User',
+        ...email.variables,
+        ...(email.unsubscribeUrl && { unsubscribeUrl: email.unsubscribeUrl })
       });
       
       const result = await sendEnhancedEmail({
         to: email.email,
         subject,
-        html
+        html,
+        unsubscribeUrl: email.unsubscribeUrl
       });
       
       results.push({
@@ -467,7 +536,7 @@ const sendBulkEmail = async (emails, subject, template, variables = {}) => {
       total: results.length,
       successful: successCount,
       failed: failureCount,
-      successRate: ((successCount / results.length) * 100).toFixed(2) + '%'
+      successRate: results.length > 0 ? ((successCount / results.length) * 100).toFixed(2) + '%' : '0.00%'
     }
   };
 };
@@ -539,6 +608,8 @@ module.exports = {
   
   // Utility functions
   loadTemplate,
+  listTemplates,
+  templateExists,
   replaceTemplateVariables,
   createEnhancedTransporter
 };
@@ -0,0 +1,66 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours ahead of a follow-up that the "upcoming" reminder goes out
+const DEFAULT_REMINDER_WINDOW_HOURS = 24;
+
+// Follow-ups missed for longer than this get no "due" reminder, so leads
+// that were overdue long before reminders existed don't flood inboxes
+const DUE_LOOKBACK_DAYS = 7;
+
+const FOLLOW_UP_KINDS = ['upcoming', 'due'];
+
+const getReminderWindowHours = () => {
+  const hours = Number(process.env.FOLLOW_UP_REMINDER_WINDOW_HOURS);
+  return hours > 0 ? hours : DEFAULT_REMINDER_WINDOW_HOURS;
+};
+
+// nextFollowUp ranges each kind of reminder covers at `now`: upcoming
+// follow-ups fall within the window after now, due ones have just passed
+const getFollowUpRanges = (now = new Date(), windowHours = getReminderWindowHours()) => ({
+  upcoming: {
+    $gt: now,
+    $lte: new Date(now.getTime() + windowHours * HOUR_MS)
+  },
+  due: {
+    $gte: new Date(now.getTime() - DUE_LOOKBACK_DAYS * DAY_MS),
+    $lte: now
+  }
+});
+
+// Identifies the reminder of one kind for one follow-up date of a lead
+const followUpDedupeKey = (leadId, followUpDate, kind) => (
+  `follow_up_${kind}:${leadId}:${new Date(followUpDate).toISOString()}`
+);
+
+// Missing preferences count as enabled
+const isNotificationEnabled = (user, preference) => (
+  !user || !user.notificationPreferences || user.notificationPreferences[preference] !== false
+);
+
+const describeFollowUp = (lead, kind) => {
+  const when = new Date(lead.nextFollowUp).toLocaleString('en-US');
+
+  if (kind === 'due') {
+    return {
+      title: `Follow-up due: ${lead.title}`,
+      message: `The follow-up for ${lead.title} was due ${when}.`
+    };
+  }
+
+  return {
+    title: `Upcoming follow-up: ${lead.title}`,
+    message: `The follow-up for ${lead.title} is due ${when}.`
+  };
+};
+
+module.exports = {
+  DEFAULT_REMINDER_WINDOW_HOURS,
+  DUE_LOOKBACK_DAYS,
+  FOLLOW_UP_KINDS,
+  getReminderWindowHours,
+  getFollowUpRanges,
+  followUpDedupeKey,
+  isNotificationEnabled,
+  describeFollowUp
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const { DEFAULT_SCORING_RULES, scoreLead } = require('./leadScoring');
 
 // Generate JWT token
 const generateToken = (id) => {
@@ -182,6 +183,73 @@ const buildDateRangeQuery = (field, startDate, endDate) => {
   return query;
 };
 
+// Custom field query builder, e.g. ?cf[tier]=Gold&cf[seats][gte]=10
+const buildCustomFieldFilter = (cfQuery, definitions = []) => {
+  const query = {};
+
+  if (!cfQuery || typeof cfQuery !== 'object') return query;
+
+  definitions.forEach(definition => {
+    const raw = cfQuery[definition.key];
+    if (raw === undefined || raw === '') return;
+
+    const path = `customFields.${definition.key}`;
+    const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    switch (definition.type) {
+      case 'number':
+      case 'date': {
+        const cast = (value) => (definition.type === 'number' ? parseFloat(value) : new Date(value));
+
+        if (typeof raw === 'object' && !Array.isArray(raw)) {
+          // Range operators
+          const range = {};
+          ['gt', 'gte', 'lt', 'lte'].forEach(operator => {
+            if (raw[operator] !== undefined) range[`$${operator}`] = cast(raw[operator]);
+          });
+          if (Object.keys(range).length > 0) query[path] = range;
+        } else {
+          query[path] = cast(raw);
+        }
+        break;
+      }
+      case 'boolean':
+        query[path] = raw === true || raw === 'true';
+        break;
+      case 'select':
+      case 'multiselect':
+        query[path] = { $in: toList(raw) };
+        break;
+      default:
+        query[path] = { $regex: sanitizeSearchQuery(String(raw)), $options: 'i' };
+    }
+  });
+
+  return query;
+};
+
+// Apply a request body to a document; customFields is a partial update
+// where null removes a value
+const applyDocumentUpdate = (doc, body) => {
+  const { customFields, ...fields } = body;
+
+  doc.set(fields);
+
+  if (customFields) {
+    Object.keys(customFields).forEach(key => {
+      if (customFields[key] === null) {
+        doc.customFields.delete(key);
+      } else {
+        doc.customFields.set(key, customFields[key]);
+      }
+    });
+  }
+
+  return doc;
+};
+
 // Generate slug from string
 const generateSlug = (str) => {
   return str
@@ -198,6 +266,14 @@ const calculatePercentage = (value, total) => {
   return Math.round((value / total) * 100);
 };
 
+// Escape text for use in HTML emails
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Format currency
 const formatCurrency = (amount, currency = 'USD') => {
   return new Intl.NumberFormat('en-US', {
@@ -206,41 +282,10 @@ const formatCurrency = (amount, currency = 'USD') => {
   }).format(amount);
 };
 
-// Calculate lead score (example scoring algorithm)
-const calculateLeadScore = (lead) => {
-  let score = 0;
-  
-  // Value-based scoring
-  if (lead.value > 100000) score += 30;
-  else if (lead.value > 50000) score += 20;
-  else if (lead.value > 10000) score += 10;
-  else score += 5;
-  
-  // Status-based scoring
-  const statusScores = {
-    'New': 10,
-    'Contacted': 20,
-    'Qualified': 40,
-    'Proposal': 60,
-    'Negotiation': 80,
-    'Converted': 100,
-    'Lost': 0
-  };
-  score += statusScores[lead.status] || 0;
-  
-  // Priority-based scoring
-  const priorityScores = {
-    'high': 20,
-    'medium': 10,
-    'low': 5
-  };
-  score += priorityScores[lead.priority] || 0;
-  
-  // Activity-based scoring
-  score += Math.min(lead.activities.length * 5, 25);
-  
-  return Math.min(score, 100); // Cap at 100
-};
+// Calculate a lead score with the scoring engine (see utils/leadScoring).
+// Saved leads store their score from the configured rules in `lead.score`.
+const calculateLeadScore = (lead, rules = DEFAULT_SCORING_RULES, context) =>
+  scoreLead(lead, rules, context).score;
 
 // Async retry wrapper
 const retry = async (fn, maxRetries = 3, delay = 1000) => {
@@ -256,7 +301,7 @@ const retry = async (fn, maxRetries = 3, delay = 1000) => {
 
 // Email Configuration
 const createEmailTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -373,20 +418,22 @@ const sendVerificationEmail = async (user, verificationCode) => {
 
 // Send lead notification email
 const sendLeadNotificationEmail = async (user, lead) => {
+  // The customer is included when the lead has customerId populated
+  const customer = lead.customerId && lead.customerId.name ? lead.customerId : null;
+
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h1 style="color: #333; text-align: center;">New Lead Assignment</h1>
-      <p>Hello ${user.name},</p>
+      <p>Hello ${escapeHtml(user.name)},</p>
       <p>A new lead has been assigned to you:</p>
       <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
         <h3>Lead Details:</h3>
-        <p><strong>Name:</strong> ${lead.name}</p>
-        <p><strong>Company:</strong> ${lead.company}</p>
-        <p><strong>Email:</strong> ${lead.email}</p>
-        <p><strong>Phone:</strong> ${lead.phone}</p>
-        <p><strong>Value:</strong> ${formatCurrency(lead.value)}</p>
-        <p><strong>Priority:</strong> ${lead.priority}</p>
-        <p><strong>Source:</strong> ${lead.source}</p>
+        <p><strong>Title:</strong> ${escapeHtml(lead.title)}</p>
+        <p><strong>Customer:</strong> ${customer ? `${escapeHtml(customer.name)} (${escapeHtml(customer.company)})` : '-'}</p>
+        <p><strong>Stage:</strong> ${escapeHtml(lead.status)}</p>
+        <p><strong>Value:</strong> ${escapeHtml(formatCurrency(lead.value, lead.currency))}</p>
+        <p><strong>Priority:</strong> ${escapeHtml(lead.priority)}</p>
+        <p><strong>Source:</strong> ${escapeHtml(lead.source)}</p>
       </div>
       <p style="text-align: center; margin: 30px 0;">
         <a href="${process.env.FRONTEND_URL}/leads/${lead._id}" 
@@ -401,7 +448,73 @@ const sendLeadNotificationEmail = async (user, lead) => {
 
   return await sendEmail({
     email: user.email,
-    subject: `New Lead Assignment: ${lead.name} - CRM System`,
+    subject: `New Lead Assignment: ${lead.title} - CRM System`,
+    html
+  });
+};
+
+// Send task reminder email; task lead and customer are shown when populated
+const sendTaskReminderEmail = async (user, task) => {
+  const lead = task.leadId && task.leadId.title ? task.leadId : null;
+  const customer = task.customerId && task.customerId.name ? task.customerId : null;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #333; text-align: center;">Task Reminder</h1>
+      <p>Hello ${escapeHtml(user.name)},</p>
+      <p>This is a reminder about your task:</p>
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <h3>${escapeHtml(task.title)}</h3>
+        ${task.description ? `<p>${escapeHtml(task.description)}</p>` : ''}
+        <p><strong>Due:</strong> ${escapeHtml(new Date(task.dueDate).toLocaleString('en-US'))}</p>
+        <p><strong>Priority:</strong> ${escapeHtml(task.priority)}</p>
+        ${lead ? `<p><strong>Lead:</strong> ${escapeHtml(lead.title)}</p>` : ''}
+        ${customer ? `<p><strong>Customer:</strong> ${escapeHtml(customer.name)}${customer.company ? ` (${escapeHtml(customer.company)})` : ''}</p>` : ''}
+      </div>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL}/tasks"
+           style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          View My Tasks
+        </a>
+      </p>
+      <p>Best regards,<br>The CRM Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    email: user.email,
+    subject: `Task Reminder: ${task.title} - CRM System`,
+    html
+  });
+};
+
+const sendFollowUpReminderEmail = async (user, lead, { title, message }) => {
+  const customer = lead.customerId && lead.customerId.name ? lead.customerId : null;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #333; text-align: center;">Follow-up Reminder</h1>
+      <p>Hello ${escapeHtml(user.name)},</p>
+      <p>${escapeHtml(message)}</p>
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <h3>${escapeHtml(lead.title)}</h3>
+        <p><strong>Follow-up:</strong> ${escapeHtml(new Date(lead.nextFollowUp).toLocaleString('en-US'))}</p>
+        ${lead.status ? `<p><strong>Status:</strong> ${escapeHtml(lead.status)}</p>` : ''}
+        ${customer ? `<p><strong>Customer:</strong> ${escapeHtml(customer.name)}${customer.company ? ` (${escapeHtml(customer.company)})` : ''}</p>` : ''}
+      </div>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL}/leads/${lead._id}"
+           style="background-color: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          View Lead
+        </a>
+      </p>
+      <p>Best regards,<br>The CRM Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    email: user.email,
+    subject: `${title} - CRM System`,
     html
   });
 };
@@ -421,8 +534,11 @@ module.exports = {
   buildSortQuery,
   buildSearchQuery,
   buildDateRangeQuery,
+  buildCustomFieldFilter,
+  applyDocumentUpdate,
   generateSlug,
   calculatePercentage,
+  escapeHtml,
   formatCurrency,
   calculateLeadScore,
   retry,
@@ -430,5 +546,7 @@ module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendVerificationEmail,
-  sendLeadNotificationEmail
+  sendLeadNotificationEmail,
+  sendTaskReminderEmail,
+  sendFollowUpReminderEmail
 };
@@ -0,0 +1,66 @@
+// Build a customer tree from a flat list of nodes and roll lead totals up
+// from descendants. Nodes need _id, parentId, totalLeadValue and leadsCount.
+const buildCustomerTree = (nodes, rootId) => {
+  const byParent = new Map();
+
+  nodes.forEach(node => {
+    const parentKey = node.parentId ? node.parentId.toString() : null;
+    if (!byParent.has(parentKey)) byParent.set(parentKey, []);
+    byParent.get(parentKey).push(node);
+  });
+
+  const root = nodes.find(node => node._id.toString() === rootId.toString());
+  if (!root) return null;
+
+  // Guard against corrupt data that already contains a loop
+  const visited = new Set();
+
+  const buildNode = (node, depth) => {
+    visited.add(node._id.toString());
+
+    const children = (byParent.get(node._id.toString()) || [])
+      .filter(child => !visited.has(child._id.toString()))
+      .map(child => buildNode(child, depth + 1));
+
+    const rollup = children.reduce((totals, child) => ({
+      totalLeadValue: totals.totalLeadValue + child.rollup.totalLeadValue,
+      leadsCount: totals.leadsCount + child.rollup.leadsCount,
+      descendantsCount: totals.descendantsCount + child.rollup.descendantsCount + 1
+    }), {
+      totalLeadValue: node.totalLeadValue || 0,
+      leadsCount: node.leadsCount || 0,
+      descendantsCount: 0
+    });
+
+    return {
+      ...node,
+      depth,
+      rollup,
+      children
+    };
+  };
+
+  return buildNode(root, 0);
+};
+
+// Hide the customers of other owners in a hierarchy. Their place in the tree
+// is kept so the user's own customers stay connected, but only the ids are
+// shown and their lead totals are not rolled up.
+const redactCustomerNodes = (nodes, ownerId) => nodes.map(node => {
+  if (node.ownerId && node.ownerId.toString() === ownerId.toString()) {
+    return node;
+  }
+
+  return {
+    _id: node._id,
+    parentId: node.parentId,
+    restricted: true,
+    totalLeadValue: 0,
+    leadsCount: 0
+  };
+});
+
+module.exports = {
+  buildCustomerTree,
+  redactCustomerNodes
+};
@@ -0,0 +1,298 @@
+// iCalendar (RFC 5545) building and parsing for the calendar feed and
+// meeting import. Only the parts of the format those need are covered.
+
+const PRODUCT_ID = '-//Mini CRM//Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+// 20250510T120000Z
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// 20250510, for all-day events
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Split a content line into lines of at most 75 octets, continuation lines
+// starting with a space, without breaking multi-byte characters
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+const buildEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`
+  ];
+
+  if (event.allDay) {
+    const end = event.end || new Date(new Date(event.start).getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end || event.start)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a calendar from events of the form
+// { uid, start, end, allDay, summary, description, location, url, categories }
+const buildCalendar = ({ name, events = [], now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event, now)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// NAME;PARAM=VALUE:value -> { name, params, value }
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Wall-clock time in an IANA time zone (e.g. Europe/Berlin) -> Date, or
+// null when the zone is unknown. The zone's offset is looked up at the
+// guessed instant and applied again in case a DST change lies in between.
+const zonedTimeToDate = ([year, month, day, hour, minute, second], timeZone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  } catch (error) {
+    return null;
+  }
+
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  const zoneWallTime = (time) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  };
+
+  let time = wallTime;
+  for (let i = 0; i < 2; i++) {
+    time = wallTime - (zoneWallTime(time) - time);
+  }
+
+  return new Date(time);
+};
+
+// Dates in UTC (trailing Z) are exact and dates with a TZID are read in that
+// zone; a TZID the server does not know makes the date invalid. Dates without
+// a zone are read in server time, and all-day dates as UTC midnight.
+const parseDateValue = (value, params = {}) => {
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (dateOnly || params.VALUE === 'DATE') {
+    if (!dateOnly) return null;
+    const [, year, month, day] = dateOnly.map(Number);
+    return { date: new Date(Date.UTC(year, month - 1, day)), allDay: true };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!match) return null;
+
+  const parts = match.slice(1, 7).map(Number);
+  const [year, month, day, hour, minute, second] = parts;
+  let date;
+  if (match[7]) {
+    date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  } else if (params.TZID) {
+    date = zonedTimeToDate(parts, params.TZID);
+  } else {
+    date = new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  return date ? { date, allDay: false } : null;
+};
+
+// P1W, PT1H30M, P1DT2H -> milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((((Number(weeks || 0) * 7 + Number(days || 0)) * 24 + Number(hours || 0)) * 60 +
+    Number(minutes || 0)) * 60 + Number(seconds || 0)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+};
+
+// Events of an iCalendar file as
+// { uid, summary, description, location, status, start, end, allDay }.
+// Events without a valid start are left out. Returns null when the text is
+// not a calendar.
+const parseCalendar = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return null;
+  }
+
+  const events = [];
+  const components = [];
+  let event = null;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line.trim());
+    if (!property) return;
+
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      components.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') event = {};
+      return;
+    }
+
+    if (name === 'END') {
+      if (components.pop() === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    // Properties of nested components such as alarms are skipped
+    if (!event || components[components.length - 1] !== 'VEVENT') return;
+
+    switch (name) {
+      case 'UID':
+        event.uid = value;
+        break;
+      case 'SUMMARY':
+      case 'DESCRIPTION':
+      case 'LOCATION':
+        event[name.toLowerCase()] = unescapeText(value);
+        break;
+      case 'STATUS':
+        event.status = value.toUpperCase();
+        break;
+      case 'DTSTART':
+      case 'DTEND': {
+        const parsed = parseDateValue(value, params);
+        if (parsed) {
+          event[name === 'DTSTART' ? 'start' : 'end'] = parsed.date;
+          if (name === 'DTSTART') event.allDay = parsed.allDay;
+        }
+        break;
+      }
+      case 'DURATION':
+        event.duration = parseDuration(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events
+    .filter(parsed => parsed.start)
+    .map(({ duration, ...parsed }) => {
+      if (!parsed.end && duration) {
+        parsed.end = new Date(parsed.start.getTime() + duration);
+      }
+      return parsed;
+    });
+};
+
+module.exports = {
+  formatDateTime,
+  formatDate,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  parseDateValue,
+  parseDuration,
+  parseCalendar
+};
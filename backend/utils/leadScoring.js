@@ -0,0 +1,197 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead facts a scoring rule can look at
+const SCORING_FIELDS = [
+  'value',
+  'probability',
+  'status',
+  'stageCategory',
+  'priority',
+  'source',
+  'activityCount',
+  'daysSinceActivity',
+  'industry',
+  'customField'
+];
+
+const NUMERIC_FIELDS = ['value', 'probability', 'activityCount', 'daysSinceActivity'];
+
+// `between` is [min, max): min inclusive, max exclusive. `per` awards the
+// rule's points for every unit of the field, up to `maxPoints`.
+const OPERATORS = ['eq', 'neq', 'in', 'gt', 'gte', 'lt', 'lte', 'between', 'exists', 'per'];
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between', 'per'];
+
+const MIN_SCORE = 0;
+const MAX_SCORE = 100;
+
+// Rules every installation starts with; at most 100 points in total
+const DEFAULT_SCORING_RULES = [
+  { name: 'Deal value 100,000+', field: 'value', operator: 'gte', value: 100000, points: 25, order: 1 },
+  { name: 'Deal value 50,000 - 99,999', field: 'value', operator: 'between', value: [50000, 100000], points: 18, order: 2 },
+  { name: 'Deal value 10,000 - 49,999', field: 'value', operator: 'between', value: [10000, 50000], points: 10, order: 3 },
+  { name: 'Deal value under 10,000', field: 'value', operator: 'lt', value: 10000, points: 5, order: 4 },
+  { name: 'Stage win probability', field: 'probability', operator: 'per', points: 0.3, maxPoints: 30, order: 5 },
+  { name: 'High priority', field: 'priority', operator: 'eq', value: 'high', points: 15, order: 6 },
+  { name: 'Medium priority', field: 'priority', operator: 'eq', value: 'medium', points: 8, order: 7 },
+  { name: 'Low priority', field: 'priority', operator: 'eq', value: 'low', points: 3, order: 8 },
+  { name: 'Referral', field: 'source', operator: 'eq', value: 'Referral', points: 10, order: 9 },
+  { name: 'Inbound source', field: 'source', operator: 'in', value: ['Website', 'Event'], points: 5, order: 10 },
+  { name: 'Activities logged', field: 'activityCount', operator: 'per', points: 3, maxPoints: 15, order: 11 },
+  { name: 'Activity in the last week', field: 'daysSinceActivity', operator: 'lt', value: 7, points: 10, order: 12 },
+  { name: 'Activity in the last month', field: 'daysSinceActivity', operator: 'between', value: [7, 30], points: 5, order: 13 }
+];
+
+const round = (number) => Math.round(number * 10) / 10;
+
+const isNumericField = (rule) => NUMERIC_FIELDS.includes(rule.field) || rule.field === 'customField';
+
+// Check a rule's shape; returns an error message or null
+const validateRule = (rule) => {
+  if (!SCORING_FIELDS.includes(rule.field)) return `Unknown scoring field "${rule.field}"`;
+  if (!OPERATORS.includes(rule.operator)) return `Unknown operator "${rule.operator}"`;
+
+  if (rule.field === 'customField' && !rule.customFieldKey) {
+    return 'Custom field rules need a customFieldKey';
+  }
+
+  if (NUMERIC_OPERATORS.includes(rule.operator) && !isNumericField(rule)) {
+    return `The ${rule.operator} operator needs a numeric field`;
+  }
+
+  const { value } = rule;
+
+  switch (rule.operator) {
+    case 'in':
+      return Array.isArray(value) && value.length > 0 ? null : 'The in operator needs a list of values';
+    case 'between':
+      return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] < value[1]
+        ? null
+        : 'The between operator needs [min, max] with min below max';
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return Number.isFinite(value) ? null : `The ${rule.operator} operator needs a number`;
+    case 'per':
+      return rule.maxPoints === undefined || rule.maxPoints === null || Number.isFinite(rule.maxPoints)
+        ? null
+        : 'maxPoints must be a number';
+    case 'exists':
+      return null;
+    default:
+      return value === undefined || value === null ? `The ${rule.operator} operator needs a value` : null;
+  }
+};
+
+// Whether any rule needs the lead's customer to be loaded
+const rulesUseCustomer = (rules) => rules.some(rule => rule.field === 'industry');
+
+const lastActivityDate = (lead) => (lead.activities || []).reduce((latest, activity) => {
+  const date = new Date(activity.date || activity.createdAt);
+  return !latest || date > latest ? date : latest;
+}, null);
+
+// Value of the rule's field for a lead; `customer` is the lead's customer
+// (for industry) and `now` the time recency is measured from
+const getFactorValue = (lead, rule, { customer, now = new Date() } = {}) => {
+  switch (rule.field) {
+    case 'activityCount':
+      return (lead.activities || []).length;
+    case 'daysSinceActivity': {
+      const latest = lastActivityDate(lead);
+      return latest ? (now - latest) / DAY_MS : null;
+    }
+    case 'industry':
+      return customer ? customer.industry : null;
+    case 'customField': {
+      const customFields = lead.customFields;
+      if (!customFields) return null;
+      return customFields instanceof Map ? customFields.get(rule.customFieldKey) : customFields[rule.customFieldKey];
+    }
+    default:
+      return lead[rule.field];
+  }
+};
+
+const isEmpty = (actual) => actual === undefined || actual === null || actual === '' ||
+  (Array.isArray(actual) && actual.length === 0);
+
+// Points a rule awards for a value, or 0 when it does not match
+const evaluateRule = (rule, actual) => {
+  if (rule.operator === 'exists') return isEmpty(actual) ? 0 : rule.points;
+  if (isEmpty(actual)) return 0;
+
+  const values = Array.isArray(actual) ? actual : [actual];
+  const number = Number(actual);
+
+  switch (rule.operator) {
+    case 'eq':
+      return values.some(item => String(item) === String(rule.value)) ? rule.points : 0;
+    case 'neq':
+      return values.every(item => String(item) !== String(rule.value)) ? rule.points : 0;
+    case 'in':
+      return values.some(item => rule.value.map(String).includes(String(item))) ? rule.points : 0;
+    case 'gt':
+      return number > rule.value ? rule.points : 0;
+    case 'gte':
+      return number >= rule.value ? rule.points : 0;
+    case 'lt':
+      return number < rule.value ? rule.points : 0;
+    case 'lte':
+      return number <= rule.value ? rule.points : 0;
+    case 'between':
+      return number >= rule.value[0] && number < rule.value[1] ? rule.points : 0;
+    case 'per': {
+      if (!Number.isFinite(number)) return 0;
+      const points = number * rule.points;
+      return Number.isFinite(rule.maxPoints) ? Math.min(points, rule.maxPoints) : points;
+    }
+    default:
+      return 0;
+  }
+};
+
+const describeValue = (actual) => {
+  if (actual instanceof Date) return actual.toISOString();
+  if (typeof actual === 'number') return round(actual);
+  return actual;
+};
+
+// Score a lead with the given rules. Returns the score, clamped to 0-100,
+// and a breakdown of every rule that awarded points and why.
+const scoreLead = (lead, rules, context = {}) => {
+  const breakdown = [];
+
+  rules.forEach(rule => {
+    const actual = getFactorValue(lead, rule, context);
+    const points = round(evaluateRule(rule, actual));
+
+    if (points !== 0) {
+      breakdown.push({
+        rule: rule.name,
+        field: rule.field === 'customField' ? `customFields.${rule.customFieldKey}` : rule.field,
+        value: describeValue(actual),
+        points
+      });
+    }
+  });
+
+  const total = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+
+  return {
+    score: Math.round(Math.min(Math.max(total, MIN_SCORE), MAX_SCORE)),
+    breakdown
+  };
+};
+
+module.exports = {
+  SCORING_FIELDS,
+  OPERATORS,
+  DEFAULT_SCORING_RULES,
+  validateRule,
+  rulesUseCustomer,
+  getFactorValue,
+  evaluateRule,
+  scoreLead
+};
@@ -0,0 +1,35 @@
+// Round a money amount to cents
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// Amounts of one line item. `discount` and `taxRate` are percentages; tax
+// is charged on the discounted amount.
+const calculateLineItem = ({ quantity, unitPrice, discount = 0, taxRate = 0 }) => {
+  const subtotal = roundMoney(quantity * unitPrice);
+  const discountAmount = roundMoney(subtotal * (discount || 0) / 100);
+  const taxAmount = roundMoney((subtotal - discountAmount) * (taxRate || 0) / 100);
+
+  return {
+    subtotal,
+    discountAmount,
+    taxAmount,
+    total: roundMoney(subtotal - discountAmount + taxAmount)
+  };
+};
+
+// Totals of a list of line items; `total` is what the lead is worth
+const calculateLineItemsTotal = (lineItems) => lineItems.reduce((totals, item) => {
+  const amounts = calculateLineItem(item);
+
+  return {
+    subtotal: roundMoney(totals.subtotal + amounts.subtotal),
+    discountAmount: roundMoney(totals.discountAmount + amounts.discountAmount),
+    taxAmount: roundMoney(totals.taxAmount + amounts.taxAmount),
+    total: roundMoney(totals.total + amounts.total)
+  };
+}, { subtotal: 0, discountAmount: 0, taxAmount: 0, total: 0 });
+
+module.exports = {
+  roundMoney,
+  calculateLineItem,
+  calculateLineItemsTotal
+};
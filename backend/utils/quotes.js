@@ -0,0 +1,54 @@
+const { calculateLineItem, calculateLineItemsTotal } = require('./lineItems');
+
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'rejected'];
+
+// Statuses a quote may move to from each status
+const QUOTE_STATUS_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: []
+};
+
+const DEFAULT_QUOTE_VALIDITY_DAYS = 30;
+
+const DEFAULT_QUOTE_TERMS = 'Prices are valid until the date above. Payment is due within 30 days of invoice.';
+
+const canChangeQuoteStatus = (from, to) => (QUOTE_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Quote number shown on the document, e.g. Q-4F1A2B-3 for version 3
+const buildQuoteNumber = (leadId, version) =>
+  `Q-${leadId.toString().slice(-6).toUpperCase()}-${version}`;
+
+// Items and totals of a quote for a lead: its line items, or a single item
+// for the lead value when it has none
+const buildQuoteItems = (lead) => {
+  const lineItems = lead.lineItems && lead.lineItems.length > 0
+    ? lead.lineItems
+    : [{ name: lead.title, quantity: 1, unitPrice: lead.value || 0 }];
+
+  const items = lineItems.map(item => ({
+    sku: item.sku,
+    name: item.name,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    discount: item.discount || 0,
+    taxRate: item.taxRate || 0,
+    total: calculateLineItem(item).total
+  }));
+
+  return {
+    items,
+    ...calculateLineItemsTotal(items)
+  };
+};
+
+module.exports = {
+  QUOTE_STATUSES,
+  QUOTE_STATUS_TRANSITIONS,
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  DEFAULT_QUOTE_TERMS,
+  canChangeQuoteStatus,
+  buildQuoteNumber,
+  buildQuoteItems
+};
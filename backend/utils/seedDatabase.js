@@ -9,6 +9,7 @@ dotenv.config();
 const User = require('../models/User');
 const Customer = require('../models/Customer');
 const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
 
 // Connect to DB
 mongoose.connect(process.env.MONGODB_URI);
@@ -46,6 +47,7 @@ const deleteData = async () => {
     await User.deleteMany();
     await Customer.deleteMany();
     await Lead.deleteMany();
+    await Pipeline.deleteMany();
 
     console.log('Data Destroyed...');
     process.exit();
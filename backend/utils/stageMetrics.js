@@ -0,0 +1,119 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+// A move is backward when it goes to an earlier stage of the pipeline.
+// Lost stages sit outside the funnel order, so moves to or from them never count.
+const isBackwardMove = (stages, from, to) => {
+  const order = stages.filter(stage => stage.category !== 'lost').map(stage => stage.name);
+  const fromIndex = order.indexOf(from);
+  const toIndex = order.indexOf(to);
+  return fromIndex !== -1 && toIndex !== -1 && toIndex < fromIndex;
+};
+
+// Derive time-in-stage, backward moves and lost-from-stage figures from
+// leads with { status, stageCategory, stageHistory } using the pipeline's
+// ordered stages ({ name, category }). Stays in open stages that are still
+// running count towards `avgCurrentDays`, not `avgDays`.
+const computeStageMetrics = (leads, stages, now = new Date()) => {
+  const openStages = stages.filter(stage => stage.category === 'open');
+  const lostStages = stages.filter(stage => stage.category === 'lost').map(stage => stage.name);
+
+  const byStage = new Map(openStages.map(stage => [stage.name, {
+    stage: stage.name,
+    completedStays: 0,
+    totalDays: 0,
+    currentLeads: 0,
+    currentDays: 0
+  }]));
+
+  const backwardTransitions = new Map();
+  const lostFromStage = new Map();
+  let leadsWithHistory = 0;
+  let leadsMovedBackward = 0;
+  let backwardMoves = 0;
+  let transitions = 0;
+
+  leads.forEach(lead => {
+    const history = [...(lead.stageHistory || [])]
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+    if (history.length === 0) return;
+    leadsWithHistory++;
+
+    let movedBackward = false;
+
+    history.forEach((entry, index) => {
+      const next = history[index + 1];
+      const stats = byStage.get(entry.to);
+
+      if (entry.from) {
+        transitions++;
+
+        if (isBackwardMove(stages, entry.from, entry.to)) {
+          backwardMoves++;
+          movedBackward = true;
+          const key = `${entry.from}->${entry.to}`;
+          backwardTransitions.set(key, (backwardTransitions.get(key) || 0) + 1);
+        }
+      }
+
+      if (!stats) return;
+
+      if (next) {
+        stats.completedStays++;
+        stats.totalDays += new Date(next.changedAt) - new Date(entry.changedAt);
+      } else {
+        stats.currentLeads++;
+        stats.currentDays += now - new Date(entry.changedAt);
+      }
+    });
+
+    if (movedBackward) leadsMovedBackward++;
+
+    if (lead.stageCategory === 'lost' || lostStages.includes(lead.status)) {
+      const lostEntry = [...history].reverse().find(entry => lostStages.includes(entry.to));
+      const stage = lostEntry && lostEntry.from ? lostEntry.from : 'Unknown';
+      lostFromStage.set(stage, (lostFromStage.get(stage) || 0) + 1);
+    }
+  });
+
+  const totalLost = [...lostFromStage.values()].reduce((sum, count) => sum + count, 0);
+
+  return {
+    timeInStage: [...byStage.values()]
+      .map(stats => ({
+        stage: stats.stage,
+        completedStays: stats.completedStays,
+        avgDays: stats.completedStays > 0 ? roundDays(stats.totalDays / stats.completedStays) : 0,
+        currentLeads: stats.currentLeads,
+        avgCurrentDays: stats.currentLeads > 0 ? roundDays(stats.currentDays / stats.currentLeads) : 0
+      })),
+    backwardMoves: {
+      total: backwardMoves,
+      transitions,
+      rate: transitions > 0 ? Math.round((backwardMoves / transitions) * 100) : 0,
+      leads: leadsMovedBackward,
+      leadRate: leadsWithHistory > 0 ? Math.round((leadsMovedBackward / leadsWithHistory) * 100) : 0,
+      byTransition: [...backwardTransitions.entries()]
+        .map(([transition, count]) => {
+          const [from, to] = transition.split('->');
+          return { from, to, count };
+        })
+        .sort((a, b) => b.count - a.count)
+    },
+    lostFromStage: [...lostFromStage.entries()]
+      .map(([stage, count]) => ({
+        stage,
+        count,
+        percentage: Math.round((count / totalLost) * 100)
+      }))
+      .sort((a, b) => b.count - a.count),
+    leadsAnalyzed: leadsWithHistory
+  };
+};
+
+module.exports = {
+  isBackwardMove,
+  computeStageMetrics
+};
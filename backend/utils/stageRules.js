@@ -0,0 +1,115 @@
+// Lead fields a stage can require before a lead enters it. Custom fields are
+// referenced as `customFields.<key>`.
+const REQUIRABLE_FIELDS = [
+  'description',
+  'value',
+  'probability',
+  'expectedCloseDate',
+  'nextFollowUp',
+  'contacts',
+  'tags'
+];
+
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+const isRequirableField = (field) =>
+  REQUIRABLE_FIELDS.includes(field) ||
+  (field.startsWith(CUSTOM_FIELD_PREFIX) && field.length > CUSTOM_FIELD_PREFIX.length);
+
+// Raised when a status change breaks the pipeline's stage rules
+class StageTransitionError extends Error {
+  constructor(from, to, violations) {
+    super(from
+      ? `Cannot move lead from "${from}" to "${to}"`
+      : `Cannot create lead in stage "${to}"`);
+    this.name = 'StageTransitionError';
+    this.statusCode = 422;
+    this.from = from;
+    this.to = to;
+    this.violations = violations;
+  }
+}
+
+const getFieldValue = (lead, field) => {
+  if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const key = field.slice(CUSTOM_FIELD_PREFIX.length);
+    const customFields = lead.customFields;
+    if (!customFields) return undefined;
+    return customFields instanceof Map ? customFields.get(key) : customFields[key];
+  }
+  return lead[field];
+};
+
+const isFilled = (field, value) => {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  // A lead value of 0 means no amount has been entered yet
+  if (field === 'value') return value > 0;
+  return true;
+};
+
+// Check a move of `lead` (already holding its new field values) from the
+// stage `from` (null for new leads and moves between pipelines) to the
+// stage `to`. `closeReason` is the CloseReason the lead's `closeReason`
+// points to, if any. Returns a list of { code, field, message } violations,
+// empty when the move is allowed. Activities are logged on existing leads,
+// so new leads skip that rule.
+const evaluateStageTransition = (lead, from, to, { closeReason } = {}) => {
+  const violations = [];
+
+  if (from && from.name !== to.name && from.allowedTransitions && from.allowedTransitions.length > 0 &&
+      !from.allowedTransitions.includes(to.name)) {
+    violations.push({
+      code: 'TRANSITION_NOT_ALLOWED',
+      field: 'status',
+      message: `"${from.name}" can only move to ${from.allowedTransitions.map(name => `"${name}"`).join(', ')}`
+    });
+  }
+
+  (to.requiredFields || []).forEach(field => {
+    if (!isFilled(field, getFieldValue(lead, field))) {
+      violations.push({
+        code: 'FIELD_REQUIRED',
+        field,
+        message: `${field} is required before entering "${to.name}"`
+      });
+    }
+  });
+
+  if (!lead.isNew && to.requiresActivity && (!lead.activities || lead.activities.length === 0)) {
+    violations.push({
+      code: 'ACTIVITY_REQUIRED',
+      field: 'activities',
+      message: `At least one activity must be logged before entering "${to.name}"`
+    });
+  }
+
+  // Won and lost leads need an active reason of the same type
+  if (to.category !== 'open') {
+    const reasonType = to.category === 'won' ? 'win' : 'loss';
+
+    if (!lead.closeReason) {
+      violations.push({
+        code: 'CLOSE_REASON_REQUIRED',
+        field: 'closeReason',
+        message: `A ${reasonType} reason is required when a lead is ${to.category}`
+      });
+    } else if (!closeReason || !closeReason.isActive || closeReason.type !== to.category) {
+      violations.push({
+        code: 'CLOSE_REASON_INVALID',
+        field: 'closeReason',
+        message: `Choose an active ${reasonType} reason`
+      });
+    }
+  }
+
+  return violations;
+};
+
+module.exports = {
+  REQUIRABLE_FIELDS,
+  isRequirableField,
+  StageTransitionError,
+  evaluateStageTransition
+};
@@ -0,0 +1,31 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the day of `date` and of the day after, in server time
+const getDayBounds = (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  return { start, end };
+};
+
+// Split open tasks into overdue (due before today), today, and upcoming
+// (due in the `days` days after today). Later tasks are left out.
+const bucketTasks = (tasks, { now = new Date(), days = 7 } = {}) => {
+  const { start, end } = getDayBounds(now);
+  const upcomingEnd = new Date(end.getTime() + days * DAY_MS);
+  const byDueDate = [...tasks].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  return {
+    overdue: byDueDate.filter(task => new Date(task.dueDate) < start),
+    today: byDueDate.filter(task => new Date(task.dueDate) >= start && new Date(task.dueDate) < end),
+    upcoming: byDueDate.filter(task => new Date(task.dueDate) >= end && new Date(task.dueDate) < upcomingEnd)
+  };
+};
+
+module.exports = {
+  getDayBounds,
+  bucketTasks
+};
@@ -0,0 +1,100 @@
+// Customer and lead fields a web form field can fill
+const WEB_FORM_TARGETS = [
+  'customer.name',
+  'customer.email',
+  'customer.phone',
+  'customer.company',
+  'customer.website',
+  'customer.industry',
+  'customer.address.city',
+  'customer.address.country',
+  'lead.title',
+  'lead.description',
+  'lead.value',
+  'lead.priority'
+];
+
+// Mapping used by forms that don't define their own
+const DEFAULT_FIELD_MAPPING = [
+  { formField: 'name', target: 'customer.name' },
+  { formField: 'email', target: 'customer.email' },
+  { formField: 'phone', target: 'customer.phone' },
+  { formField: 'company', target: 'customer.company' },
+  { formField: 'message', target: 'lead.description' }
+];
+
+const UTM_PARAMETERS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const MAX_FIELD_LENGTH = 1000;
+
+// Submitted values are kept only when they are plain strings or numbers
+const cleanValue = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value !== 'string') return undefined;
+
+  const trimmed = value.trim().slice(0, MAX_FIELD_LENGTH);
+  return trimmed === '' ? undefined : trimmed;
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Customer and lead data of a submission: { customer, lead }
+const mapSubmission = (body = {}, mapping = DEFAULT_FIELD_MAPPING) => {
+  const data = { customer: {}, lead: {} };
+
+  mapping.forEach(({ formField, target }) => {
+    const value = cleanValue(body[formField]);
+    if (value !== undefined && WEB_FORM_TARGETS.includes(target)) {
+      setPath(data, target, value);
+    }
+  });
+
+  if (data.customer.email) {
+    data.customer.email = data.customer.email.toLowerCase();
+  }
+
+  return data;
+};
+
+// utm_source, utm_medium... from the submission, or from the query string
+// of the URL the form posted to
+const getUtmParameters = (body = {}, query = {}) => {
+  const utm = {};
+
+  UTM_PARAMETERS.forEach(parameter => {
+    const value = cleanValue(body[`utm_${parameter}`]) || cleanValue(query[`utm_${parameter}`]);
+    if (value) utm[parameter] = value.slice(0, 200);
+  });
+
+  return utm;
+};
+
+// Bots fill every field, people never see the honeypot
+const isHoneypotFilled = (body = {}, honeypotField) => Boolean(
+  honeypotField && body[honeypotField] !== undefined && String(body[honeypotField]).trim() !== ''
+);
+
+const normalizeOrigin = (origin) => String(origin).trim().toLowerCase().replace(/\/+$/, '');
+
+const isOriginAllowed = (origin, allowedOrigins = []) => (
+  allowedOrigins.some(allowed => normalizeOrigin(allowed) === normalizeOrigin(origin))
+);
+
+module.exports = {
+  WEB_FORM_TARGETS,
+  DEFAULT_FIELD_MAPPING,
+  UTM_PARAMETERS,
+  mapSubmission,
+  getUtmParameters,
+  isHoneypotFilled,
+  normalizeOrigin,
+  isOriginAllowed
+};
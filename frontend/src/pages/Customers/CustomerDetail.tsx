@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
@@ -8,8 +8,10 @@ import {
   BuildingOfficeIcon,
   CalendarIcon,
   PencilIcon,
-  TrashIcon
+  TrashIcon,
+  UserGroupIcon
 } from '@heroicons/react/24/outline';
+import { Contact, contactService, contactRoleLabels } from '../../services/contactService';
 
 interface Customer {
   id: string;
@@ -44,6 +46,32 @@ const CustomerDetail: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const [customer] = useState<Customer>(mockCustomer);
+  const [contacts, setContacts] = useState<Contact[]>([]);
+  const [contactsLoading, setContactsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!id) return;
+
+    let cancelled = false;
+    setContactsLoading(true);
+
+    contactService
+      .getContacts(id)
+      .then((result) => {
+        if (!cancelled) setContacts(result);
+      })
+      .catch((error) => {
+        console.error('Failed to load contacts:', error);
+        if (!cancelled) setContacts([]);
+      })
+      .finally(() => {
+        if (!cancelled) setContactsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
 
   const getStatusBadge = (status: string) => {
     const statusStyles = {
@@ -182,6 +210,69 @@ const CustomerDetail: React.FC = () => {
         </div>
       </div>
 
+      {/* Contacts */}
+      <div className="bg-white shadow-sm rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Contacts</h3>
+          <span className="text-sm text-gray-500">{contacts.length}</span>
+        </div>
+        <div className="p-6">
+          {contactsLoading ? (
+            <p className="text-gray-600">Loading contacts...</p>
+          ) : contacts.length === 0 ? (
+            <div className="text-center py-8">
+              <UserGroupIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No contacts yet</h3>
+              <p className="text-gray-600">
+                People at this account will appear here.
+              </p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {contacts.map((contact) => (
+                <li key={contact._id} className="py-4 flex items-center justify-between">
+                  <div className="flex items-center">
+                    <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center">
+                      <span className="text-blue-600 font-medium">
+                        {contact.name.charAt(0).toUpperCase()}
+                      </span>
+                    </div>
+                    <div className="ml-3">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm font-medium text-gray-900">{contact.name}</span>
+                        {contact.isPrimary && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            Primary
+                          </span>
+                        )}
+                      </div>
+                      {contact.title && <p className="text-sm text-gray-600">{contact.title}</p>}
+                    </div>
+                  </div>
+                  <div className="text-right space-y-1">
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                      {contactRoleLabels[contact.role]}
+                    </span>
+                    {contact.email && (
+                      <div className="flex items-center justify-end text-sm text-gray-600">
+                        <EnvelopeIcon className="h-4 w-4 text-gray-400 mr-1" />
+                        {contact.email}
+                      </div>
+                    )}
+                    {contact.phone && (
+                      <div className="flex items-center justify-end text-sm text-gray-600">
+                        <PhoneIcon className="h-4 w-4 text-gray-400 mr-1" />
+                        {contact.phone}
+                      </div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
       {/* Activity Timeline */}
       <div className="bg-white shadow-sm rounded-lg">
         <div className="px-6 py-4 border-b border-gray-200">
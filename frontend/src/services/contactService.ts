@@ -0,0 +1,85 @@
+import { AxiosResponse } from 'axios';
+import { apiClient } from './authService';
+
+// Types
+export type ContactRole =
+  | 'decision_maker'
+  | 'billing'
+  | 'technical'
+  | 'champion'
+  | 'influencer'
+  | 'end_user'
+  | 'other';
+
+export interface Contact {
+  _id: string;
+  customerId: string;
+  name: string;
+  title?: string;
+  email?: string;
+  phone?: string;
+  role: ContactRole;
+  isPrimary: boolean;
+  notes?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ContactInput = Partial<Omit<Contact, '_id' | 'customerId' | 'createdAt' | 'updatedAt'>> & {
+  name: string;
+};
+
+interface ContactsResponse {
+  success: boolean;
+  count: number;
+  data: {
+    contacts: Contact[];
+  };
+}
+
+interface ContactResponse {
+  success: boolean;
+  message?: string;
+  data: {
+    contact: Contact;
+  };
+}
+
+// Contact Service
+export const contactService = {
+  // List contacts of a customer
+  getContacts: async (customerId: string): Promise<Contact[]> => {
+    const response: AxiosResponse<ContactsResponse> = await apiClient.get(`/customers/${customerId}/contacts`);
+    return response.data.data.contacts;
+  },
+
+  // Create contact
+  createContact: async (customerId: string, contact: ContactInput): Promise<Contact> => {
+    const response: AxiosResponse<ContactResponse> = await apiClient.post(`/customers/${customerId}/contacts`, contact);
+    return response.data.data.contact;
+  },
+
+  // Update contact
+  updateContact: async (customerId: string, contactId: string, updates: Partial<ContactInput>): Promise<Contact> => {
+    const response: AxiosResponse<ContactResponse> = await apiClient.put(
+      `/customers/${customerId}/contacts/${contactId}`,
+      updates
+    );
+    return response.data.data.contact;
+  },
+
+  // Delete contact
+  deleteContact: async (customerId: string, contactId: string): Promise<void> => {
+    await apiClient.delete(`/customers/${customerId}/contacts/${contactId}`);
+  },
+};
+
+export const contactRoleLabels: Record<ContactRole, string> = {
+  decision_maker: 'Decision Maker',
+  billing: 'Billing',
+  technical: 'Technical',
+  champion: 'Champion',
+  influencer: 'Influencer',
+  end_user: 'End User',
+  other: 'Other',
+};